@@ -1,8 +1,62 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useDeferredValue } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/Page/AnnotationLayer.css';
 import 'react-pdf/dist/Page/TextLayer.css';
 import { supabase } from './supabase.js';
+import { loadReadingProgress, saveReadingProgress } from './readingProgress.js';
+import { getPageText, extractPageTexts, searchPageTexts, buildSearchPattern, markTextItem } from './pdfText.js';
+import {
+  READ_ALOUD_RATES, speechSupported, loadVoices, loadReadAloudOptions, loadReadAloudPosition, createReadAloud,
+} from './readAloud.js';
+import { loadOutline, flattenOutline, currentOutlineEntry } from './pdfOutline.js';
+import { loadPageLabels, pageLabel, pageFromInput, pageThumbnail } from './pdfPages.js';
+import {
+  DEFAULT_PDF_VIEW, PDF_ZOOM_MODES, PDF_LAYOUTS, MIN_SCALE, MAX_SCALE, SPREAD_GAP,
+  normalizeView, fitScale, pageRows, adjacentPage,
+} from './pdfLayout.js';
+import {
+  reflowPage, markBlocks, REFLOW_FONTS, REFLOW_FONT_SIZES, REFLOW_LINE_HEIGHTS, REFLOW_MARGINS, loadReflowStyle, saveReflowStyle,
+} from './pdfReflow.js';
+import { extractFileText, saveBookText, deleteBookText, searchLibraryText } from './textIndex.js';
+import {
+  EXPORT_FORMATS, exportBookAnnotations, readAnnotationsFile, importBookAnnotations, describeImport,
+} from './exportAnnotations.js';
+import { signedUrlSource, openPdfSource, downloadBookFile } from './bookFiles.js';
+import {
+  renderPageCover, coverFromPdfPage, imageFileToCover, coverUrl, coverColumns, removeCover,
+  needsCoverMigration, migrateInlineCovers,
+} from './covers.js';
+import {
+  METADATA_FIELDS, readPdfInfo, scanPdfIsbns, lookupMetadata, searchMetadata, mergeCandidates,
+} from './metadata.js';
+import {
+  SHORTCUT_SCOPES, SHORTCUT_ACTIONS, FIXED_SHORTCUTS, keyCombo, isTypingTarget,
+  resolveBindings, matchShortcut, rebindShortcut, resetShortcut, comboKeys,
+} from './shortcuts.js';
+import {
+  createSessionTracker, loadReadingSessions, computeReadingStats, estimateTimeLeft, formatDuration,
+} from './readingSessions.js';
+import {
+  normalizeGoals, GOAL_LIMITS, goalProgress, goalFraction, goalReminder, dismissGoalReminder, booksFinishedIn,
+} from './readingGoals.js';
+import {
+  BOOK_STATUSES, MAX_RATING, statusLabel, startsReadingOnOpen, statusChanges, statusToRow, dateInputValue, dateFromInput,
+} from './bookStatus.js';
+import { TRASH_RETENTION_DAYS, daysLeftInTrash, moveToTrash, restoreFromTrash, purgeBook } from './trash.js';
+import ePub from 'epubjs';
+import { EPUB_MIME, isEpubFile, extractEpubMeta, ensureLocations, forgetLocations } from './epub.js';
+import {
+  saveOfflineFile, loadOfflineFile, removeOfflineFile, listOfflineBookIds,
+  saveSnapshot, loadSnapshot, makeTempId, isTempId, queueMutation, writeOrQueue,
+  pendingMutationCount, replayMutations, subscribeToSync,
+} from './offline.js';
+import {
+  isSupportedBookFile, filesFromDataTransfer, uploadWithProgress, hashFile, findDuplicateBook,
+} from './uploads.js';
+import {
+  DEFAULT_LIBRARY_VIEW, SORT_OPTIONS, STATUS_FILTERS,
+  filterBooks, sortBooks, progressOf, readingStatusOf,
+} from './libraryView.js';
 
 // Configure PDF.js worker using the bundled worker
 pdfjs.GlobalWorkerOptions.workerSrc = new URL(
@@ -19,60 +73,240 @@ async function extractPdfMeta(file) {
         const loadingTask = pdfjs.getDocument({ data: e.target.result });
         const pdf = await loadingTask.promise;
 
-        // Pull embedded metadata
-        const meta = await pdf.getMetadata().catch(() => ({}));
-        const info = meta?.info ?? {};
-        const metaTitle = typeof info.Title === 'string' ? info.Title.trim() : '';
-        const metaAuthor = typeof info.Author === 'string' ? info.Author.trim() : '';
-
-        // Render first page as cover thumbnail (0.6 scale — plenty for a card thumbnail)
-        const page = await pdf.getPage(1);
-        const viewport = page.getViewport({ scale: 0.6 });
-        const canvas = document.createElement('canvas');
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
-        const ctx = canvas.getContext('2d');
-        await page.render({ canvasContext: ctx, viewport }).promise;
-        const cover = canvas.toDataURL('image/jpeg', 0.8);
-
-        resolve({ metaTitle, metaAuthor, cover });
+        // Pull embedded metadata (Info dictionary / XMP) and any printed ISBNs
+        const { title: metaTitle, author: metaAuthor, year: metaYear } =
+          readPdfInfo(await pdf.getMetadata().catch(() => ({})));
+        const isbns = await scanPdfIsbns(pdf).catch(() => []);
+
+        // Render first page as cover thumbnail
+        const cover = await renderPageCover(pdf, 1);
+
+        resolve({ metaTitle, metaAuthor, metaYear, isbns, cover, pageCount: pdf.numPages });
       } catch {
-        resolve({ metaTitle: '', metaAuthor: '', cover: null });
+        resolve({ metaTitle: '', metaAuthor: '', metaYear: null, isbns: [], cover: null, pageCount: null });
       }
     };
     reader.readAsArrayBuffer(file);
   });
 }
 
-// ─── Utility: query Google Books API for book info ────────────────────────────
-async function fetchBookInfo(query) {
-  try {
-    const url = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=1`;
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    const data = await res.json();
-    const item = data.items?.[0];
-    if (!item) return null;
-    const vol = item.volumeInfo;
-    return {
-      title: vol.title?.trim() || '',
-      author: (vol.authors?.[0] ?? '').trim(),
-      cover: vol.imageLinks?.thumbnail?.replace('http:', 'https:') ?? null,
-    };
-  } catch {
-    return null;
-  }
-}
-
 // ─── Utility: clean filename into a readable title ────────────────────────────
 function titleFromFilename(filename) {
   return filename
-    .replace(/\.pdf$/i, '')
+    .replace(/\.(pdf|epub)$/i, '')
     .replace(/[-_]/g, ' ')
     .replace(/\b\w/g, (c) => c.toUpperCase())
     .trim() || 'Untitled Book';
 }
 
+// ─── Utility: map a `books` row to the shape the UI works with ───────────────
+// `pdf_path` / `pdfPath` point at EPUB files too — named after the storage bucket.
+// The bucket is private; readers sign URLs for it on open (see bookFiles.js).
+function rowToBook(row) {
+  return {
+    id: row.id,
+    format: row.format || 'pdf',
+    title: row.title,
+    author: row.author,
+    cover: row.cover_path ? coverUrl(row.cover_path) : row.cover_url || null,
+    coverThumb: row.cover_path ? coverUrl(row.cover_path, 'sm') : row.cover_url || null,
+    coverPath: row.cover_path ?? null,
+    pdfPath: row.pdf_path || null,
+    contentHash: row.content_hash ?? null,
+    favorite: row.favorite,
+    status: row.status ?? null,
+    startedAt: row.started_at ?? null,
+    finishedAt: row.finished_at ?? null,
+    rating: row.rating ?? null,
+    review: row.review ?? '',
+    pageCount: row.page_count ?? null,
+    createdAt: row.created_at,
+    lastOpenedAt: row.last_opened_at ?? null,
+    deletedAt: row.deleted_at ?? null,
+    ...rowToDetails(row),
+  };
+}
+
+// Inverse of rowToBook, for the offline library snapshot
+function bookToRow(book) {
+  return {
+    id: book.id,
+    format: book.format,
+    title: book.title,
+    author: book.author,
+    cover_url: book.coverPath ? null : book.cover,
+    cover_path: book.coverPath,
+    pdf_path: book.pdfPath,
+    content_hash: book.contentHash,
+    favorite: book.favorite,
+    ...statusToRow(book),
+    page_count: book.pageCount,
+    created_at: book.createdAt,
+    last_opened_at: book.lastOpenedAt,
+    deleted_at: book.deletedAt,
+    ...detailsToRow(book),
+  };
+}
+
+// Descriptive fields edited after import (see BookEditModal). `tags` is a text[] column.
+function rowToDetails(row) {
+  return {
+    series: row.series ?? '',
+    genre: row.genre ?? '',
+    year: row.year ?? null,
+    isbn: row.isbn ?? '',
+    description: row.description ?? '',
+    tags: row.tags ?? [],
+  };
+}
+
+function detailsToRow(details) {
+  return {
+    series: details.series || null,
+    genre: details.genre || null,
+    year: details.year || null,
+    isbn: details.isbn || null,
+    description: details.description || null,
+    tags: details.tags?.length ? details.tags : null,
+  };
+}
+
+// ─── Utility: read a picked / dropped file into a pending book ──────────────
+// The file's own metadata (and any ISBN printed in it) feeds the provider
+// lookup; each field starts out from the best-ranked candidate that has it. With
+// `extractText`, page text for the library search index starts extracting too.
+async function prepareBookFile(file, { extractText = true } = {}) {
+  const format = isEpubFile(file) ? 'epub' : 'pdf';
+  const textPromise = extractText && format === 'pdf' ? extractFileText(file).catch(() => null) : null;
+  const fileTitle = titleFromFilename(file.name);
+  const [
+    { metaTitle, metaAuthor, metaYear, isbns, cover: fileCover, pageCount },
+    contentHash,
+  ] = await Promise.all([
+    format === 'epub' ? extractEpubMeta(file) : extractPdfMeta(file),
+    hashFile(file).catch(() => null),
+  ]);
+  const candidates = await lookupMetadata({
+    query: `${metaTitle || fileTitle} ${metaAuthor}`,
+    isbns: isbns.map((i) => i.isbn),
+    isbnPages: Object.fromEntries(isbns.map((i) => [i.isbn, i.page])),
+    embedded: { title: metaTitle, author: metaAuthor, year: metaYear, cover: fileCover },
+  });
+  const merged = mergeCandidates(candidates);
+  return {
+    file,                                        // ← raw File object — uploaded only after confirmation
+    format,                                      // ← 'pdf' | 'epub'
+    textPromise,                                 // ← resolves to { [page]: text }, or null
+    contentHash,                                 // ← SHA-256 hex, for duplicate detection
+    candidates,                                  // ← ranked metadata candidates, best first
+    ...merged,
+    cover: merged.cover || fileCover || null,
+    title: merged.title || fileTitle,
+    pageCount,
+  };
+}
+
+const BOOK_CONTENT_TYPES = { pdf: 'application/pdf', epub: EPUB_MIME };
+
+// ─── Utility: upload a pending book and insert its `books` row ──────────────
+// Resolves to the new book in UI shape; text indexing carries on in the background.
+// `cover` and the descriptive fields default to what was looked up for the file.
+async function addBookToLibrary(userId, pending, { title, author, cover, onProgress, ...details }) {
+  // 1. Upload the file to Supabase Storage (EPUBs share the PDFs bucket)
+  const filePath = `${userId}/${Date.now()}_${pending.file.name}`;
+  await uploadWithProgress('PDFs', filePath, pending.file, {
+    contentType: BOOK_CONTENT_TYPES[pending.format],
+    onProgress,
+  });
+
+  // 2. Store the cover, then insert the book row
+  const covers = await coverColumns(userId, cover ?? pending.cover);
+  const { data: row, error } = await supabase
+    .from('books')
+    .insert({
+      user_id: userId,
+      title: title.trim() || 'Untitled Book',
+      author: author.trim() || 'Unknown Author',
+      ...covers,
+      ...detailsToRow({ ...pending, ...details }),
+      pdf_path: filePath,
+      format: pending.format,
+      content_hash: pending.contentHash,
+      page_count: pending.pageCount,
+      favorite: false,
+    })
+    .select()
+    .single();
+  if (error) {
+    // Nothing points at the uploads without the row — a retry uploads afresh
+    supabase.storage.from('PDFs').remove([filePath]).catch(console.error);
+    if (covers.cover_path) removeCover(covers.cover_path).catch(console.error);
+    throw error;
+  }
+
+  // 3. Index page text for library search — the book is already usable.
+  //    Batch uploads skip extraction up front, so it starts here instead.
+  const textPromise = pending.textPromise
+    ?? (pending.format === 'pdf' ? extractFileText(pending.file).catch(() => null) : null);
+  textPromise
+    ?.then((texts) => texts && saveBookText(userId, row.id, texts))
+    .catch((err) => console.error('Failed to index book text:', err.message));
+
+  return rowToBook(row);
+}
+
+// ─── Utility: swap an existing book's file for a pending upload ──────────────
+// Same `books` row, so notes, bookmarks and shelves stay attached.
+async function replaceBookFile(userId, book, pending) {
+  const filePath = `${userId}/${Date.now()}_${pending.file.name}`;
+  await uploadWithProgress('PDFs', filePath, pending.file, {
+    contentType: BOOK_CONTENT_TYPES[pending.format],
+  });
+
+  const { data: row, error } = await supabase
+    .from('books')
+    .update({
+      pdf_path: filePath,
+      format: pending.format,
+      content_hash: pending.contentHash,
+      page_count: pending.pageCount,
+    })
+    .eq('id', book.id)
+    .select()
+    .single();
+  if (error) {
+    supabase.storage.from('PDFs').remove([filePath]).catch(console.error);
+    throw error;
+  }
+
+  // Old file — best-effort, like deletes
+  if (book.pdfPath) supabase.storage.from('PDFs').remove([book.pdfPath]).catch(console.error);
+  forgetLocations(book.id);
+
+  // Re-index page text for library search in the background
+  deleteBookText(book.id)
+    .then(() => pending.textPromise)
+    .then((texts) => texts && saveBookText(userId, book.id, texts))
+    .catch((err) => console.error('Failed to re-index book text:', err.message));
+
+  return rowToBook(row);
+}
+
+// ─── Hook: browser online / offline status ───────────────────────────────────
+function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+  return online;
+}
+
 // ─── Main App ────────────────────────────────────────────────────────────────
 export default function KindleWoodLibrary() {
   const [activeTab, setActiveTab] = useState('all');
@@ -99,8 +333,42 @@ export default function KindleWoodLibrary() {
     return () => subscription.unsubscribe();
   }, []);
 
+  // ── Offline: connectivity, queued-change sync, books kept on this device ──
+  const online = useOnlineStatus();
+  const [syncVersion, setSyncVersion] = useState(0);      // bumped after queued changes replay → reloads
+  const [pendingChanges, setPendingChanges] = useState(0); // queued mutations not yet synced
+  const [syncNotice, setSyncNotice] = useState(null);      // { applied, conflicts } from the last replay
+
+  const refreshPendingChanges = useCallback(() => {
+    pendingMutationCount().then(setPendingChanges);
+  }, []);
+
+  useEffect(() => subscribeToSync((result) => {
+    setSyncNotice(result);
+    setSyncVersion((v) => v + 1);
+  }), []);
+
+  // Replay queued changes on load and whenever the connection comes back
+  useEffect(() => {
+    if (!online || !session) return;
+    replayMutations().then(refreshPendingChanges);
+  }, [online, session, refreshPendingChanges]);
+
+  // Readers queue their own note edits — recount when one closes or connectivity changes
+  useEffect(() => {
+    refreshPendingChanges();
+  }, [openBook, online, refreshPendingChanges]);
+
+  useEffect(() => {
+    if (!syncNotice) return;
+    const timer = setTimeout(() => setSyncNotice(null), syncNotice.conflicts.length ? 12000 : 4000);
+    return () => clearTimeout(timer);
+  }, [syncNotice]);
+
   // ── Load books from Supabase when session is ready ───────────────────────
+  // Offline, the last library seen on this device is shown instead.
   const [booksLoading, setBooksLoading] = useState(false);
+  const [booksLoaded, setBooksLoaded] = useState(false);
 
   useEffect(() => {
     if (!session) return;
@@ -108,24 +376,112 @@ export default function KindleWoodLibrary() {
     supabase
       .from('books')
       .select('*')
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
-      .then(({ data, error }) => {
-        if (error) { console.error('Failed to load books:', error.message); }
-        else {
-          setBooks((data || []).map(row => ({
-            id: row.id,
-            title: row.title,
-            author: row.author,
-            cover: row.cover_url || null,
-            pdfUrl: row.pdf_path
-              ? supabase.storage.from('PDFs').getPublicUrl(row.pdf_path).data.publicUrl
-              : null,
-            favorite: row.favorite,
-          })));
+      .then(async ({ data, error }) => {
+        if (error) {
+          console.error('Failed to load books:', error.message);
+          const cached = await loadSnapshot(`books:${session.user.id}`);
+          if (cached) { setBooks(cached.map(rowToBook)); setBooksLoaded(true); }
+        } else {
+          setBooks((data || []).map(rowToBook));
+          setBooksLoaded(true);
         }
         setBooksLoading(false);
       });
-  }, [session]);
+  }, [session, syncVersion]);
+
+  // Keep the offline copy of the library in step with local changes (favorites etc.)
+  useEffect(() => {
+    if (!session || !booksLoaded) return;
+    saveSnapshot(`books:${session.user.id}`, books.map(bookToRow));
+  }, [books, booksLoaded, session]);
+
+  // Covers kept in the row — data URLs from before the `covers` bucket, or
+  // hotlinked provider images — move into storage the first time the library
+  // loads with any of them.
+  const coverMigrationStarted = useRef(false);
+  useEffect(() => {
+    if (!session || !booksLoaded || !online || coverMigrationStarted.current) return;
+    if (!books.some((b) => !b.coverPath && needsCoverMigration(b.cover))) return;
+    coverMigrationStarted.current = true;
+    migrateInlineCovers(session.user.id)
+      .then((moved) => {
+        if (!Object.keys(moved).length) return;
+        setBooks((prev) => prev.map((b) => (moved[b.id]
+          ? { ...b, coverPath: moved[b.id], cover: coverUrl(moved[b.id]), coverThumb: coverUrl(moved[b.id], 'sm') }
+          : b)));
+      })
+      .catch((err) => console.error('Failed to migrate covers:', err.message));
+  }, [session, booksLoaded, online, books]);
+
+  const [offlineIds, setOfflineIds] = useState(() => new Set()); // books stored on this device
+  const [offlineSaving, setOfflineSaving] = useState(() => new Set());
+
+  useEffect(() => {
+    listOfflineBookIds().then((ids) => setOfflineIds(new Set(ids)));
+  }, []);
+
+  const toggleOffline = useCallback(async (book) => {
+    const mark = (setter, on) => setter((prev) => {
+      const next = new Set(prev);
+      if (on) next.add(book.id); else next.delete(book.id);
+      return next;
+    });
+    if (offlineIds.has(book.id)) {
+      mark(setOfflineIds, false);
+      removeOfflineFile(book.id).catch((err) => console.error('Failed to remove offline copy:', err.message));
+      return;
+    }
+    mark(setOfflineSaving, true);
+    try {
+      await saveOfflineFile(book);
+      mark(setOfflineIds, true);
+    } catch (err) {
+      console.error('Failed to save book offline:', err.message);
+      alert(`Couldn't make this book available offline: ${err.message}`);
+    } finally {
+      mark(setOfflineSaving, false);
+    }
+  }, [offlineIds]);
+
+  // ── Trash: soft-deleted books, purged for good after TRASH_RETENTION_DAYS ──
+  const [trash, setTrash] = useState([]);
+  const [purgingIds, setPurgingIds] = useState(() => new Set());
+  const [undoBook, setUndoBook] = useState(null); // just-trashed book offered in the undo toast
+
+  // Purged books leave the Trash, and this device, for good
+  const dropPurged = useCallback((bookId) => {
+    setTrash((prev) => prev.filter((b) => b.id !== bookId));
+    removeOfflineFile(bookId).catch((err) => console.error('Failed to remove offline copy:', err.message));
+    setOfflineIds((prev) => { const next = new Set(prev); next.delete(bookId); return next; });
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+    supabase
+      .from('books')
+      .select('*')
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .then(({ data, error }) => {
+        if (error) { console.error('Failed to load trash:', error.message); return; }
+        const trashed = (data || []).map(rowToBook);
+        setTrash(trashed);
+        // Nothing runs server-side, so books past their 30 days are purged on the next visit
+        trashed.filter((b) => daysLeftInTrash(b) === 0).forEach((book) => {
+          purgeBook(book)
+            .then(() => dropPurged(book.id))
+            .catch((err) => console.error('Failed to purge expired book:', err.message));
+        });
+      });
+  }, [session, syncVersion, dropPurged]);
+
+  useEffect(() => {
+    if (!undoBook) return;
+    const timer = setTimeout(() => setUndoBook(null), 8000);
+    return () => clearTimeout(timer);
+  }, [undoBook]);
 
   // ── Intro splash ──────────────────────────────────────────────────────
   const [introVisible, setIntroVisible] = useState(true);
@@ -140,22 +496,28 @@ export default function KindleWoodLibrary() {
   // ── Bookmarks: { [bookId]: number[] } ─ now backed by Supabase ───────────────
   const [bookmarks, setBookmarks] = useState({});
 
-  // Fetch bookmarks for a book whenever it's opened
+  // Fetch bookmarks for a book whenever it's opened (offline: the last copy seen here)
   useEffect(() => {
     if (!openBook || !session) return;
+    const snapshotKey = `bookmarks:${openBook.id}`;
     supabase
       .from('bookmarks')
       .select('page_number')
       .eq('book_id', openBook.id)
       .order('page_number')
-      .then(({ data, error }) => {
-        if (error) { console.error('Failed to load bookmarks:', error.message); return; }
-        setBookmarks(prev => ({
-          ...prev,
-          [openBook.id]: (data || []).map(r => r.page_number),
-        }));
+      .then(async ({ data, error }) => {
+        let pages;
+        if (error) {
+          console.error('Failed to load bookmarks:', error.message);
+          pages = await loadSnapshot(snapshotKey);
+          if (!pages) return;
+        } else {
+          pages = (data || []).map(r => r.page_number);
+          saveSnapshot(snapshotKey, pages);
+        }
+        setBookmarks(prev => ({ ...prev, [openBook.id]: pages }));
       });
-  }, [openBook, session]);
+  }, [openBook, session, syncVersion]);
 
   // Compare old vs new array → INSERT added pages, DELETE removed pages
   const updateBookmarks = useCallback((bookId, updater) => {
@@ -166,20 +528,38 @@ export default function KindleWoodLibrary() {
       const added = newPages.filter(p => !oldPages.includes(p));
       const removed = oldPages.filter(p => !newPages.includes(p));
 
+      // Offline (or on a dropped connection) these are queued and replayed later
+      const userId = session.user.id;
       added.forEach(page => {
-        supabase.from('bookmarks')
-          .insert({ user_id: session.user.id, book_id: bookId, page_number: page })
-          .then(({ error }) => { if (error) console.error('Bookmark insert failed:', error.message); });
+        writeOrQueue('bookmark', { userId, bookId, page, op: 'add' }, () => supabase.from('bookmarks')
+          .insert({ user_id: userId, book_id: bookId, page_number: page }))
+          .then(({ error, queued }) => {
+            if (error) console.error('Bookmark insert failed:', error.message);
+            if (queued) refreshPendingChanges();
+          });
       });
       removed.forEach(page => {
-        supabase.from('bookmarks')
-          .delete().eq('book_id', bookId).eq('page_number', page)
-          .then(({ error }) => { if (error) console.error('Bookmark delete failed:', error.message); });
+        writeOrQueue('bookmark', { userId, bookId, page, op: 'remove' }, () => supabase.from('bookmarks')
+          .delete().eq('book_id', bookId).eq('page_number', page))
+          .then(({ error, queued }) => {
+            if (error) console.error('Bookmark delete failed:', error.message);
+            if (queued) refreshPendingChanges();
+          });
       });
+      saveSnapshot(`bookmarks:${bookId}`, newPages);
 
       return { ...prev, [bookId]: newPages };
     });
-  }, [session]);
+  }, [session, refreshPendingChanges]);
+
+  // Bookmarks an import already saved — shown without being written again
+  const mergeImportedBookmarks = useCallback((bookId, pages) => {
+    setBookmarks((prev) => {
+      const merged = [...new Set([...(prev[bookId] || []), ...pages])].sort((a, b) => a - b);
+      saveSnapshot(`bookmarks:${bookId}`, merged);
+      return { ...prev, [bookId]: merged };
+    });
+  }, []);
 
   useEffect(() => {
     const hour = new Date().getHours();
@@ -189,72 +569,110 @@ export default function KindleWoodLibrary() {
     else setGreeting('Late night reading, I see.');
   }, []);
 
-  const handleFileChange = useCallback(async (e) => {
-    const file = e.target.files?.[0];
-    if (!file || file.type !== 'application/pdf') return;
-    setIsUploading(true);
+  // ── Batch upload queue (multi-select and file / folder drops) ─────────────
+  // Items: { id, file, status: 'lookup' | 'ready' | 'uploading' | 'done' | 'error',
+  //          title, author, cover, format, pageCount, progress (0–1), error }
+  const [uploadQueue, setUploadQueue] = useState([]);
+  const [queueRunning, setQueueRunning] = useState(false);
 
-    const fileTitle = titleFromFilename(file.name);
-    const [
-      { metaTitle, metaAuthor, cover: pdfCover },
-      bookInfo,
-    ] = await Promise.all([
-      extractPdfMeta(file),
-      fetchBookInfo(fileTitle),
-    ]);
-
-    // Store the raw File — we upload only after the user confirms
-    setPendingBook({
-      file,                                        // ← raw File object
-      cover: bookInfo?.cover || pdfCover || null,
-      title: bookInfo?.title || metaTitle || fileTitle,
-      author: bookInfo?.author || metaAuthor || '',
-    });
+  const updateQueueItem = useCallback((id, changes) => {
+    setUploadQueue(prev => prev.map(item => item.id === id ? { ...item, ...changes } : item));
+  }, []);
 
+  const enqueueFiles = useCallback(async (files) => {
+    const items = files.map(file => ({
+      id: crypto.randomUUID(),
+      file,
+      status: 'lookup',
+      title: titleFromFilename(file.name),
+      author: '',
+      cover: null,
+      progress: 0,
+      error: null,
+    }));
+    setUploadQueue(prev => [...prev, ...items]);
+    // One file at a time — each lookup parses the whole file for its cover
+    for (const item of items) {
+      const prepared = await prepareBookFile(item.file, { extractText: false });
+      updateQueueItem(item.id, { ...prepared, status: 'ready' });
+    }
+  }, [updateQueueItem]);
+
+  const uploadQueueItem = useCallback(async (item) => {
+    updateQueueItem(item.id, { status: 'uploading', progress: 0, error: null });
+    try {
+      const book = await addBookToLibrary(session.user.id, item, {
+        title: item.title,
+        author: item.author,
+        onProgress: (progress) => updateQueueItem(item.id, { progress }),
+      });
+      setBooks((prev) => [book, ...prev]);
+      updateQueueItem(item.id, { status: 'done', progress: 1 });
+    } catch (err) {
+      console.error(`Failed to add ${item.file.name}:`, err.message);
+      updateQueueItem(item.id, { status: 'error', error: err.message });
+    }
+  }, [session, updateQueueItem]);
+
+  // "Add all" — everything not yet added, one upload at a time
+  const uploadAll = useCallback(async () => {
+    setQueueRunning(true);
+    for (const item of uploadQueue.filter(i => i.status === 'ready' || i.status === 'error')) {
+      await uploadQueueItem(item);
+    }
+    setQueueRunning(false);
+  }, [uploadQueue, uploadQueueItem]);
+
+  const retryQueueItem = useCallback(async (item) => {
+    setQueueRunning(true);
+    await uploadQueueItem(item);
+    setQueueRunning(false);
+  }, [uploadQueueItem]);
+
+  // One file goes through the single-book confirmation; several go to the queue
+  const handleFiles = useCallback(async (files) => {
+    const supported = files.filter(isSupportedBookFile);
+    if (!supported.length) return false;
+    if (supported.length > 1 || uploadQueue.length) {
+      enqueueFiles(supported);
+      return true;
+    }
+    setIsUploading(true);
+    setPendingBook(await prepareBookFile(supported[0]));
     setIsUploading(false);
+    return true;
+  }, [uploadQueue.length, enqueueFiles]);
+
+  const handleFileChange = useCallback((e) => {
+    const files = Array.from(e.target.files || []);
     e.target.value = '';
-  }, []);
+    handleFiles(files);
+  }, [handleFiles]);
+
+  // ── Drag-and-drop of files or whole folders onto the library ──────────────
+  const [fileDragActive, setFileDragActive] = useState(false);
+
+  // Listened for on window so files can also be dropped onto an open upload queue
+  useEffect(() => {
+    if (openBook || pendingBook || queueRunning) return;
+    const handler = (e) => { if (e.dataTransfer?.types.includes('Files')) setFileDragActive(true); };
+    window.addEventListener('dragenter', handler);
+    return () => window.removeEventListener('dragenter', handler);
+  }, [openBook, pendingBook, queueRunning]);
+
+  const handleFileDrop = async (e) => {
+    e.preventDefault();
+    setFileDragActive(false);
+    const files = await filesFromDataTransfer(e.dataTransfer);
+    if (!(await handleFiles(files))) alert('Only PDF and EPUB files can be added to the library.');
+  };
 
-  const handleBookConfirm = useCallback(async ({ title, author }) => {
+  const handleBookConfirm = useCallback(async (details) => {
     if (!pendingBook) return;
     setIsUploading(true);
     try {
-      // 1. Upload PDF to Supabase Storage
-      const filePath = `${session.user.id}/${Date.now()}_${pendingBook.file.name}`;
-      const { error: uploadError } = await supabase.storage
-        .from('PDFs')
-        .upload(filePath, pendingBook.file);
-      if (uploadError) throw uploadError;
-
-      // 2. Get public URL for the reader
-      const { data: { publicUrl } } = supabase.storage
-        .from('PDFs')
-        .getPublicUrl(filePath);
-
-      // 3. Insert book row
-      const { data: row, error: insertError } = await supabase
-        .from('books')
-        .insert({
-          user_id: session.user.id,
-          title: title.trim() || 'Untitled Book',
-          author: author.trim() || 'Unknown Author',
-          cover_url: pendingBook.cover || null,
-          pdf_path: filePath,
-          favorite: false,
-        })
-        .select()
-        .single();
-      if (insertError) throw insertError;
-
-      // 4. Prepend to local state (no need to refetch)
-      setBooks((prev) => [{
-        id: row.id,
-        title: row.title,
-        author: row.author,
-        cover: row.cover_url,
-        pdfUrl: publicUrl,
-        favorite: row.favorite,
-      }, ...prev]);
+      const book = await addBookToLibrary(session.user.id, pendingBook, details);
+      setBooks((prev) => [book, ...prev]);
     } catch (err) {
       console.error('Failed to add book:', err.message);
       alert(`Upload failed: ${err.message}`);
@@ -274,55 +692,454 @@ export default function KindleWoodLibrary() {
     const newFav = !book.favorite;
     // Optimistic update
     setBooks(prev => prev.map(b => b.id === id ? { ...b, favorite: newFav } : b));
-    const { error } = await supabase.from('books').update({ favorite: newFav }).eq('id', id);
+    const { error, queued } = await writeOrQueue('toggleFavorite', { bookId: id, favorite: newFav },
+      () => supabase.from('books').update({ favorite: newFav }).eq('id', id));
+    if (queued) refreshPendingChanges();
     if (error) {
       console.error('Failed to update favorite:', error.message);
       // Revert on failure
       setBooks(prev => prev.map(b => b.id === id ? { ...b, favorite: !newFav } : b));
     }
-  }, [books]);
+  }, [books, refreshPendingChanges]);
+
+  // Status, start/finish dates, rating and review — `changes` uses the book's field names
+  const updateReadingLog = useCallback(async (id, changes) => {
+    const book = books.find(b => b.id === id);
+    if (!book) return;
+    const previous = Object.fromEntries(Object.keys(changes).map((key) => [key, book[key]]));
+    setBooks(prev => prev.map(b => b.id === id ? { ...b, ...changes } : b));
+    const row = statusToRow(changes);
+    const { error, queued } = await writeOrQueue('updateStatus', { bookId: id, changes: row },
+      () => supabase.from('books').update(row).eq('id', id));
+    if (queued) refreshPendingChanges();
+    if (error) {
+      console.error('Failed to update book status:', error.message);
+      setBooks(prev => prev.map(b => b.id === id ? { ...b, ...previous } : b));
+    }
+  }, [books, refreshPendingChanges]);
+
+  const setBookStatus = useCallback((book, status) => {
+    updateReadingLog(book.id, statusChanges(book, status));
+  }, [updateReadingLog]);
+
+
+  // ── Shelves: user-defined collections; a book can sit on several ─────────────
+  const [shelves, setShelves] = useState([]);          // [{ id, name }]
+  const [bookShelves, setBookShelves] = useState({});  // { [bookId]: shelfId[] }
+
+  useEffect(() => {
+    if (!session) return;
+    supabase
+      .from('shelves')
+      .select('id, name')
+      .order('position')
+      .order('created_at')
+      .then(({ data, error }) => {
+        if (error) { console.error('Failed to load shelves:', error.message); return; }
+        setShelves(data || []);
+      });
+    supabase
+      .from('book_shelves')
+      .select('book_id, shelf_id')
+      .then(({ data, error }) => {
+        if (error) { console.error('Failed to load shelf contents:', error.message); return; }
+        const map = {};
+        (data || []).forEach(r => { (map[r.book_id] ||= []).push(r.shelf_id); });
+        setBookShelves(map);
+      });
+  }, [session]);
+
+  const createShelf = useCallback(async (name) => {
+    const { data: row, error } = await supabase
+      .from('shelves')
+      .insert({ user_id: session.user.id, name, position: shelves.length })
+      .select('id, name')
+      .single();
+    if (error) { console.error('Failed to create shelf:', error.message); return; }
+    setShelves(prev => [...prev, row]);
+    setActiveTab(`shelf:${row.id}`);
+  }, [session, shelves.length]);
+
+  const renameShelf = useCallback((id, name) => {
+    setShelves(prev => prev.map(s => s.id === id ? { ...s, name } : s));
+    supabase.from('shelves').update({ name }).eq('id', id)
+      .then(({ error }) => { if (error) console.error('Shelf rename failed:', error.message); });
+  }, []);
 
+  const deleteShelf = useCallback((shelf) => {
+    if (!confirm(`Delete the "${shelf.name}" shelf? The books stay in your library.`)) return;
+    setShelves(prev => prev.filter(s => s.id !== shelf.id));
+    setBookShelves(prev => Object.fromEntries(
+      Object.entries(prev).map(([bookId, ids]) => [bookId, ids.filter(id => id !== shelf.id)])
+    ));
+    setActiveTab(tab => (tab === `shelf:${shelf.id}` ? 'all' : tab));
+    // book_shelves rows cascade with the shelf
+    supabase.from('shelves').delete().eq('id', shelf.id)
+      .then(({ error }) => { if (error) console.error('Shelf delete failed:', error.message); });
+  }, []);
+
+  const setBookOnShelf = useCallback((bookId, shelfId, onShelf) => {
+    const current = bookShelves[bookId] || [];
+    if (current.includes(shelfId) === onShelf) return;
+    setBookShelves(prev => ({
+      ...prev,
+      [bookId]: onShelf ? [...current, shelfId] : current.filter(id => id !== shelfId),
+    }));
+    const request = onShelf
+      ? supabase.from('book_shelves').insert({ user_id: session.user.id, book_id: bookId, shelf_id: shelfId })
+      : supabase.from('book_shelves').delete().eq('book_id', bookId).eq('shelf_id', shelfId);
+    request.then(({ error }) => { if (error) console.error('Shelf update failed:', error.message); });
+  }, [bookShelves, session]);
 
   const [bookToDelete, setBookToDelete] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
 
+  // ── Search inside book text (debounced; titles/authors filter instantly below) ──
+  const [textHits, setTextHits] = useState([]);
+  const [textSearching, setTextSearching] = useState(false);
+  const trimmedQuery = searchQuery.trim();
+  const textSearchActive = trimmedQuery.length >= 3;
+
+  useEffect(() => {
+    if (!session || !textSearchActive) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setTextSearching(true);
+      searchLibraryText(trimmedQuery).then((hits) => {
+        if (cancelled) return;
+        setTextHits(hits);
+        setTextSearching(false);
+      });
+    }, 350);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [session, trimmedQuery, textSearchActive]);
+
+  // ── Per-book reading stats for sorting/filtering; refreshed whenever the reader closes ──
+  const [libraryStats, setLibraryStats] = useState({}); // { [bookId]: { page, notes, bookmarks } }
+
+  useEffect(() => {
+    if (!session || openBook) return;
+    Promise.all([
+      supabase.from('reading_progress').select('book_id, page'),
+      supabase.from('notes').select('book_id'),
+      supabase.from('bookmarks').select('book_id'),
+    ]).then(([progressRes, notesRes, bookmarksRes]) => {
+      const error = progressRes.error || notesRes.error || bookmarksRes.error;
+      if (error) { console.error('Failed to load library stats:', error.message); return; }
+      const stats = {};
+      const entry = (id) => (stats[id] ||= { page: 0, notes: 0, bookmarks: 0 });
+      progressRes.data.forEach(r => { const e = entry(r.book_id); e.page = Math.max(e.page, r.page); });
+      notesRes.data.forEach(r => { entry(r.book_id).notes++; });
+      bookmarksRes.data.forEach(r => { entry(r.book_id).bookmarks++; });
+      setLibraryStats(stats);
+    });
+  }, [session, openBook]);
+
+  // Opening from a text hit starts the reader on that page with the query highlighted
+  const [readerStart, setReaderStart] = useState(null); // { page, query } | null
+
+  const openReader = useCallback(async (book, start = null) => {
+    if (!book.pdfPath) return;
+    // A copy saved for offline reading opens from this device, connection or not
+    const cachedFile = await loadOfflineFile(book);
+    if (!cachedFile && !navigator.onLine) {
+      alert(`"${book.title}" isn't available offline. Mark it "Available offline" while connected to read it without a network.`);
+      return;
+    }
+    setReaderStart(start);
+    setOpenBook(cachedFile ? { ...book, cachedFile } : book);
+    // Feeds the "Recently opened" sort
+    const openedAt = new Date().toISOString();
+    setBooks(prev => prev.map(b => b.id === book.id ? { ...b, lastOpenedAt: openedAt } : b));
+    supabase.from('books').update({ last_opened_at: openedAt }).eq('id', book.id)
+      .then(({ error }) => { if (error) console.error('Failed to record book open:', error.message); });
+    if (startsReadingOnOpen(readingStatusOf(book, libraryStats))) setBookStatus(book, 'reading');
+  }, [setBookStatus, libraryStats]);
+
+  // The open book as it is now in the library — status, rating and page count
+  // change while it's being read — plus the offline copy it was opened from
+  const readerBook = useMemo(() => {
+    if (!openBook) return null;
+    const live = books.find(b => b.id === openBook.id) || openBook;
+    return openBook.cachedFile ? { ...live, cachedFile: openBook.cachedFile } : live;
+  }, [openBook, books]);
+
+  // ── Duplicate upload: open the existing copy, or give it the new file ──────
+  const handleOpenExisting = useCallback((book) => {
+    setPendingBook(null);
+    openReader(book);
+  }, [openReader]);
+
+  const handleReplaceExisting = useCallback(async (book) => {
+    if (!pendingBook) return;
+    setIsUploading(true);
+    try {
+      const updated = await replaceBookFile(session.user.id, book, pendingBook);
+      setBooks((prev) => prev.map((b) => (b.id === book.id ? updated : b)));
+      // Keep an offline copy current rather than silently dropping it
+      if (offlineIds.has(book.id)) {
+        saveOfflineFile(updated).catch((err) => console.error('Failed to refresh offline copy:', err.message));
+      }
+    } catch (err) {
+      console.error('Failed to replace book file:', err.message);
+      alert(`Replace failed: ${err.message}`);
+    } finally {
+      setIsUploading(false);
+      setPendingBook(null);
+    }
+  }, [pendingBook, session, offlineIds]);
+
+  // The reader reports the real page count — backfills books added before it was stored
+  const handlePageCount = useCallback((bookId, pageCount) => {
+    setBooks(prev => prev.map(b => b.id === bookId ? { ...b, pageCount } : b));
+    supabase.from('books').update({ page_count: pageCount }).eq('id', bookId)
+      .then(({ error }) => { if (error) console.error('Failed to store page count:', error.message); });
+  }, []);
+
+  // ── Reading sessions for goals and stats; reloaded whenever a reader closes ──
+  const [readingSessions, setReadingSessions] = useState(null); // null until loaded
+
+  useEffect(() => {
+    if (!session || openBook) return;
+    let cancelled = false;
+    loadReadingSessions()
+      .then((sessions) => { if (!cancelled) setReadingSessions(sessions); })
+      .catch((err) => {
+        console.error('Failed to load reading sessions:', err.message);
+        if (!cancelled) setReadingSessions((prev) => prev || []);
+      });
+    return () => { cancelled = true; };
+  }, [session, openBook]);
+
+  // ── Reading goals — saved to the user's profile, progress from the sessions ──
+  const [goalsOverride, setGoalsOverride] = useState(null);
+  const goals = useMemo(
+    () => goalsOverride ?? normalizeGoals(session?.user.user_metadata?.reading_goals),
+    [goalsOverride, session],
+  );
+  const [goalsOpen, setGoalsOpen] = useState(false);
+
+  const updateGoals = useCallback((next) => {
+    setGoalsOverride(next);
+    supabase.auth.updateUser({ data: { reading_goals: next } })
+      .then(({ error }) => { if (error) console.error('Failed to save reading goals:', error.message); });
+  }, []);
+
+  // Ticks every minute so today's goals roll over and reminders come due while the library is open
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const goalStatus = useMemo(
+    () => readingSessions && goalProgress(goals, readingSessions, books, now),
+    [goals, readingSessions, books, now],
+  );
+  const reminder = goalStatus && goalReminder(goals, goalStatus, now);
+  // The reminder offers to reopen the book read most recently
+  const lastSession = reminder ? readingSessions.findLast((s) => books.some((b) => b.id === s.bookId)) : null;
+  const continueBook = lastSession ? books.find((b) => b.id === lastSession.bookId) : null;
+
+  // ── Library view (layout, sort, filters) — saved to the user's profile ─────────
+  const [viewOverride, setViewOverride] = useState(null);
+  const libraryView = useMemo(
+    () => viewOverride ?? { ...DEFAULT_LIBRARY_VIEW, ...session?.user.user_metadata?.library_view },
+    [viewOverride, session],
+  );
+
+  const updateLibraryView = useCallback((changes) => {
+    const next = { ...libraryView, ...changes };
+    setViewOverride(next);
+    supabase.auth.updateUser({ data: { library_view: next } })
+      .then(({ error }) => { if (error) console.error('Failed to save library view:', error.message); });
+  }, [libraryView]);
+
   const handleDeleteRequest = useCallback((book) => {
     setBookToDelete(book);
   }, []);
 
-  const handleDeleteConfirm = useCallback(() => {
+  // Moves the book to the Trash — optimistic, put back if the update fails
+  const handleDeleteConfirm = useCallback(async () => {
     if (!bookToDelete) return;
-    // 1. Remove PDF from Storage (best-effort — don't block on failure)
-    if (bookToDelete.pdfUrl) {
-      // Derive the storage path from the public URL
-      const url = new URL(bookToDelete.pdfUrl);
-      // Public URLs look like: /storage/v1/object/public/PDFs/<path>
-      const pathMatch = url.pathname.match(/\/PDFs\/(.+)$/);
-      if (pathMatch) {
-        supabase.storage.from('PDFs').remove([pathMatch[1]]).catch(console.error);
-      }
-    }
-    // 2. Delete DB row (bookmarks + notes cascade automatically)
-    supabase.from('books').delete().eq('id', bookToDelete.id).then(({ error }) => {
-      if (error) console.error('Failed to delete book:', error.message);
-    });
-    // 3. Remove from local state immediately
-    setBooks((prev) => prev.filter((b) => b.id !== bookToDelete.id));
-    setOpenBook((cur) => (cur?.id === bookToDelete.id ? null : cur));
+    const book = bookToDelete;
     setBookToDelete(null);
+    setBooks((prev) => prev.filter((b) => b.id !== book.id));
+    setOpenBook((cur) => (cur?.id === book.id ? null : cur));
+    try {
+      const trashed = { ...book, deletedAt: await moveToTrash(book.id) };
+      setTrash((prev) => [trashed, ...prev]);
+      setUndoBook(trashed);
+    } catch (err) {
+      console.error('Failed to delete book:', err.message);
+      setBooks((prev) => [book, ...prev]);
+      alert(`Couldn't remove "${book.title}": ${err.message}`);
+    }
   }, [bookToDelete]);
 
+  const restoreBook = useCallback(async (book) => {
+    setTrash((prev) => prev.filter((b) => b.id !== book.id));
+    setUndoBook((cur) => (cur?.id === book.id ? null : cur));
+    try {
+      await restoreFromTrash(book.id);
+      setBooks((prev) => [{ ...book, deletedAt: null }, ...prev]);
+    } catch (err) {
+      console.error('Failed to restore book:', err.message);
+      setTrash((prev) => [book, ...prev]);
+      alert(`Couldn't restore "${book.title}": ${err.message}`);
+    }
+  }, []);
+
+  // Permanent delete of one or more trashed books. One at a time, so a failure
+  // is reported against the right book and the rest still go.
+  const purgeFromTrash = useCallback(async (list) => {
+    const noun = list.length === 1 ? `"${list[0].title}"` : `these ${list.length} books`;
+    if (!confirm(`Permanently delete ${noun}? Notes, highlights and bookmarks go too. This can't be undone.`)) return;
+    const mark = (id, on) => setPurgingIds((prev) => {
+      const next = new Set(prev);
+      if (on) next.add(id); else next.delete(id);
+      return next;
+    });
+    const failures = [];
+    for (const book of list) {
+      mark(book.id, true);
+      try {
+        await purgeBook(book);
+        dropPurged(book.id);
+      } catch (err) {
+        console.error('Failed to purge book:', err.message);
+        failures.push(`"${book.title}": ${err.message}`);
+      } finally {
+        mark(book.id, false);
+      }
+    }
+    if (failures.length) {
+      alert(`Some books couldn't be deleted and are still in the Trash:\n\n${failures.join('\n')}`);
+    }
+  }, [dropPurged]);
+
   const handleDeleteCancel = useCallback(() => {
     setBookToDelete(null);
   }, []);
 
-  const tabFiltered = activeTab === 'favorites' ? books.filter((b) => b.favorite) : books;
-  const displayedBooks = searchQuery.trim()
+  const handleExport = useCallback(async (book, formatId) => {
+    try {
+      await exportBookAnnotations(book, formatId, { highlightColors: HIGHLIGHT_COLORS });
+    } catch (err) {
+      console.error('Export failed:', err.message);
+      alert(`Export failed: ${err.message}`);
+    }
+  }, []);
+
+  const handleImport = useCallback(async (book, file) => {
+    try {
+      const imported = await readAnnotationsFile(file);
+      const result = await importBookAnnotations(session.user.id, book, imported, HIGHLIGHT_COLORS);
+      setLibraryStats(prev => {
+        const entry = prev[book.id] || { page: 0, notes: 0, bookmarks: 0 };
+        return {
+          ...prev,
+          [book.id]: { ...entry, notes: entry.notes + result.notes.length, bookmarks: entry.bookmarks + result.bookmarks.length },
+        };
+      });
+      alert(describeImport(book, result));
+    } catch (err) {
+      console.error('Import failed:', err.message);
+      alert(`Import failed: ${err.message}`);
+    }
+  }, [session]);
+
+  // ── Edit details & cover after import ─────────────────────────────────────
+  const [editingBook, setEditingBook] = useState(null);
+  const [readingLogBook, setReadingLogBook] = useState(null); // status, dates, rating & review dialog
+
+  // Throws so the dialog stays open with the user's edits on failure
+  // A changed cover is stored as a new object; the old one goes once the row points away from it.
+  const saveBookDetails = useCallback(async (book, { title, author, cover, ...details }) => {
+    const coverChanged = cover !== book.cover;
+    // Offline, a new cover can't be stored yet: it's kept in `cover_url` and
+    // moved into storage later (see migrateInlineCovers)
+    const covers = coverChanged ? await coverColumns(session.user.id, cover) : {};
+    const changes = {
+      title: title.trim() || 'Untitled Book',
+      author: author.trim() || 'Unknown Author',
+      ...covers,
+      ...detailsToRow(details),
+    };
+    const { data: row, error, queued } = await writeOrQueue('updateDetails', { bookId: book.id, changes },
+      () => supabase.from('books').update(changes).eq('id', book.id).select().single());
+    if (queued) refreshPendingChanges();
+    if (error) {
+      console.error('Failed to update book details:', error.message);
+      if (covers.cover_path) removeCover(covers.cover_path).catch(console.error);
+      alert(`Couldn't save changes: ${error.message}`);
+      throw error;
+    }
+    if (coverChanged && book.coverPath && !queued) {
+      removeCover(book.coverPath).catch((err) => console.error('Failed to remove old cover:', err.message));
+    }
+    const updated = rowToBook(row || { ...bookToRow(book), ...changes });
+    setBooks((prev) => prev.map((b) => (b.id === book.id ? updated : b)));
+    setEditingBook(null);
+  }, [session, refreshPendingChanges]);
+
+  // The book's file for rendering a cover page — the offline copy when there is one
+  const loadBookFile = useCallback(async (book) => (
+    (await loadOfflineFile(book)) || downloadBookFile(book.pdfPath)
+  ), []);
+
+  // ── Keyboard shortcuts — rebindings saved to the user's profile ────────────
+  const [shortcutOverride, setShortcutOverride] = useState(null);
+  const shortcutChanges = useMemo(
+    () => shortcutOverride ?? session?.user.user_metadata?.shortcuts ?? {},
+    [shortcutOverride, session],
+  );
+  const shortcuts = useMemo(() => resolveBindings(shortcutChanges), [shortcutChanges]);
+  const [shortcutSheet, setShortcutSheet] = useState(null); // scope shown in the cheat sheet, or null
+  const searchInputRef = useRef(null);
+
+  const updateShortcuts = useCallback((next) => {
+    setShortcutOverride(next);
+    supabase.auth.updateUser({ data: { shortcuts: next } })
+      .then(({ error }) => { if (error) console.error('Failed to save shortcuts:', error.message); });
+  }, []);
+
+  // Library keys are off while a reader or dialog has the screen
+  const libraryCovered = !!(
+    openBook || pendingBook || editingBook || readingLogBook || bookToDelete || uploadQueue.length || shortcutSheet || goalsOpen
+  );
+  useShortcuts(shortcuts, libraryCovered ? {} : {
+    'library.search': () => searchInputRef.current?.focus(),
+    'library.help': () => setShortcutSheet('library'),
+  });
+
+  // Tabs are strings; the shelf is looked up so its id keeps the type it has in the database
+  const activeShelf = shelves.find((s) => activeTab === `shelf:${s.id}`) || null;
+  const tabFiltered = activeTab === 'favorites'
+    ? books.filter((b) => b.favorite)
+    : activeShelf
+      ? books.filter((b) => bookShelves[b.id]?.includes(activeShelf.id))
+      : books;
+  // Drag data comes back as a string whatever the id's type
+  const draggedBook = (bookId) => books.find((b) => String(b.id) === bookId);
+  const searchFiltered = searchQuery.trim()
     ? tabFiltered.filter((b) =>
       b.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
       b.author.toLowerCase().includes(searchQuery.toLowerCase())
     )
     : tabFiltered;
+  const displayedBooks = sortBooks(
+    filterBooks(searchFiltered, libraryStats, libraryView),
+    libraryStats,
+    libraryView,
+  );
+
+  // Text hits grouped by book, in library order; books no longer present are dropped
+  const textHitGroups = textSearchActive
+    ? books
+      .map((book) => ({ book, hits: textHits.filter((h) => h.bookId === book.id) }))
+      .filter((g) => g.hits.length)
+    : [];
 
   // ── Auth gate ────────────────────────────────────────────────────────────────
   if (authLoading) return (
@@ -412,8 +1229,65 @@ export default function KindleWoodLibrary() {
       {pendingBook && (
         <BookInfoModal
           initialData={pendingBook}
+          library={books}
+          busy={isUploading}
           onConfirm={handleBookConfirm}
           onCancel={handleBookCancel}
+          onOpenExisting={handleOpenExisting}
+          onReplaceExisting={handleReplaceExisting}
+        />
+      )}
+
+      {/* ── Batch Upload Queue ─────────────────────────────────────── */}
+      {uploadQueue.length > 0 && (
+        <UploadQueueModal
+          items={uploadQueue}
+          library={books}
+          running={queueRunning}
+          onChange={updateQueueItem}
+          onRemove={(id) => setUploadQueue(prev => prev.filter(item => item.id !== id))}
+          onRetry={retryQueueItem}
+          onAddAll={uploadAll}
+          onClose={() => setUploadQueue([])}
+        />
+      )}
+
+      {/* ── File drop overlay ──────────────────────────────────────── */}
+      {fileDragActive && (
+        <div
+          onDragOver={(e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; }}
+          onDragLeave={() => setFileDragActive(false)}
+          onDrop={handleFileDrop}
+          className="fixed inset-0 z-[250] flex items-center justify-center p-6"
+          style={{ background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(6px)' }}
+        >
+          <div className="pointer-events-none flex flex-col items-center gap-3 px-12 py-10 rounded-3xl border-2 border-dashed border-amber-500/60 text-center">
+            <svg width="36" height="36" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+              <polyline points="17 8 12 3 7 8" />
+              <line x1="12" y1="3" x2="12" y2="15" />
+            </svg>
+            <p className="text-white font-serif text-xl font-bold">Drop to add to your library</p>
+            <p className="text-neutral-400 text-sm">PDFs, EPUBs, or whole folders of them</p>
+          </div>
+        </div>
+      )}
+
+      {/* ── Edit Details Modal ─────────────────────────────────────── */}
+      {editingBook && (
+        <BookEditModal
+          book={editingBook}
+          onSave={(details) => saveBookDetails(editingBook, details)}
+          onLoadFile={() => loadBookFile(editingBook)}
+          onCancel={() => setEditingBook(null)}
+        />
+      )}
+
+      {readingLogBook && (
+        <ReadingLogModal
+          book={readingLogBook}
+          onSave={(changes) => { updateReadingLog(readingLogBook.id, changes); setReadingLogBook(null); }}
+          onCancel={() => setReadingLogBook(null)}
         />
       )}
 
@@ -425,15 +1299,60 @@ export default function KindleWoodLibrary() {
           onCancel={handleDeleteCancel}
         />
       )}
+      {undoBook && (
+        <UndoToast
+          book={undoBook}
+          onUndo={() => restoreBook(undoBook)}
+          onDismiss={() => setUndoBook(null)}
+        />
+      )}
 
-      {/* ── PDF Reader Overlay ─────────────────────────────────────── */}
-      {openBook && (
+      {/* ── Reader Overlay (PDF or EPUB) ───────────────────────────── */}
+      {openBook && openBook.format === 'epub' && (
+        <EpubReader
+          book={readerBook}
+          onClose={() => setOpenBook(null)}
+          bookmarks={bookmarks[openBook.id] || []}
+          onUpdateBookmarks={(updater) => updateBookmarks(openBook.id, updater)}
+          session={session}
+          onPageCount={(n) => handlePageCount(openBook.id, n)}
+          shortcuts={shortcuts}
+          onShowShortcuts={() => setShortcutSheet('reader')}
+        />
+      )}
+      {openBook && openBook.format !== 'epub' && (
         <PDFReader
-          book={openBook}
+          book={readerBook}
           onClose={() => setOpenBook(null)}
           bookmarks={bookmarks[openBook.id] || []}
           onUpdateBookmarks={(updater) => updateBookmarks(openBook.id, updater)}
+          onBookmarksImported={(pages) => mergeImportedBookmarks(openBook.id, pages)}
           session={session}
+          onPageCount={(n) => handlePageCount(openBook.id, n)}
+          initialPage={readerStart?.page}
+          initialQuery={readerStart?.query}
+          shortcuts={shortcuts}
+          onShowShortcuts={() => setShortcutSheet('reader')}
+          onFinish={() => setBookStatus(readerBook, 'finished')}
+          onRate={(rating) => updateReadingLog(openBook.id, { rating })}
+        />
+      )}
+
+      {goalsOpen && (
+        <GoalsDialog
+          goals={goals}
+          onSave={(next) => { updateGoals(next); setGoalsOpen(false); }}
+          onCancel={() => setGoalsOpen(false)}
+        />
+      )}
+
+      {/* ── Keyboard shortcut cheat sheet (over the library or a reader) ── */}
+      {shortcutSheet && (
+        <ShortcutsSheet
+          scope={shortcutSheet}
+          changes={shortcutChanges}
+          onChange={updateShortcuts}
+          onClose={() => setShortcutSheet(null)}
         />
       )}
 
@@ -453,6 +1372,13 @@ export default function KindleWoodLibrary() {
                   KindleWood
                 </h1>
                 <p className="text-base sm:text-lg text-neutral-500 dark:text-neutral-400 mt-1 sm:mt-2">{greeting}</p>
+                {goalStatus && (
+                  <GoalRings
+                    progress={goalStatus}
+                    onOpenChallenge={() => setActiveTab('challenge')}
+                    onEditGoals={() => setGoalsOpen(true)}
+                  />
+                )}
               </div>
 
               {/* Right: search bar */}
@@ -472,10 +1398,12 @@ export default function KindleWoodLibrary() {
                 </svg>
 
                 <input
+                  ref={searchInputRef}
                   type="text"
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   placeholder="Search your library…"
+                  title="Search your library (/)"
                   className="w-full rounded-2xl text-sm outline-none"
                   style={{
                     padding: '10px 40px 10px 40px',
@@ -547,6 +1475,25 @@ export default function KindleWoodLibrary() {
                   {session.user.user_metadata?.full_name || session.user.email}
                 </span>
               </div>
+              <button
+                onClick={() => setShortcutSheet('library')}
+                title="Keyboard shortcuts (?)"
+                style={{
+                  background: 'rgba(255,255,255,0.05)',
+                  border: '1px solid rgba(255,255,255,0.08)',
+                  borderRadius: '8px', padding: '7px 10px',
+                  color: '#6b7280', cursor: 'pointer',
+                  display: 'flex', alignItems: 'center',
+                  transition: 'all 0.15s',
+                }}
+                onMouseEnter={(e) => { e.currentTarget.style.borderColor = 'rgba(217,119,6,0.4)'; e.currentTarget.style.color = '#d97706'; }}
+                onMouseLeave={(e) => { e.currentTarget.style.borderColor = 'rgba(255,255,255,0.08)'; e.currentTarget.style.color = '#6b7280'; }}
+              >
+                <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <rect x="2" y="6" width="20" height="12" rx="2" />
+                  <path d="M6 10h.01M10 10h.01M14 10h.01M18 10h.01M8 14h8" />
+                </svg>
+              </button>
               <button
                 onClick={() => supabase.auth.signOut()}
                 title="Sign out"
@@ -564,80 +1511,192 @@ export default function KindleWoodLibrary() {
               </button>
             </div>
 
-            <div className="mt-5 sm:mt-8 flex space-x-2">
-              {['all', 'favorites'].map((tab) => (
-                <button
-                  key={tab}
-                  onClick={() => setActiveTab(tab)}
-                  className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-300 ${activeTab === tab
-                    ? 'bg-neutral-800 text-white dark:bg-neutral-200 dark:text-black shadow-md'
-                    : 'text-neutral-500 hover:bg-neutral-200 dark:hover:bg-neutral-800'
-                    }`}
-                >
-                  {tab === 'all' ? 'All Books' : 'Favorites'}
-                </button>
+            {/* Tabs: All, Favorites, then the user's shelves. Books can be dropped onto any of them. */}
+            <div className="mt-5 sm:mt-8 flex flex-wrap items-center gap-2">
+              <LibraryTab label="All Books" active={activeTab === 'all'} onSelect={() => setActiveTab('all')} />
+              <LibraryTab
+                label="Favorites"
+                active={activeTab === 'favorites'}
+                onSelect={() => setActiveTab('favorites')}
+                onDropBook={(bookId) => { const book = draggedBook(bookId); if (book && !book.favorite) toggleFavorite(book.id); }}
+              />
+              {shelves.map((shelf) => (
+                <LibraryTab
+                  key={shelf.id}
+                  label={shelf.name}
+                  active={activeShelf === shelf}
+                  onSelect={() => setActiveTab(`shelf:${shelf.id}`)}
+                  onDropBook={(bookId) => { const book = draggedBook(bookId); if (book) setBookOnShelf(book.id, shelf.id, true); }}
+                  onRename={(name) => renameShelf(shelf.id, name)}
+                  onDelete={() => deleteShelf(shelf)}
+                />
               ))}
+              <NewShelfButton onCreate={createShelf} />
+              <LibraryTab label="Stats" active={activeTab === 'stats'} onSelect={() => setActiveTab('stats')} />
+              <LibraryTab label="Challenge" active={activeTab === 'challenge'} onSelect={() => setActiveTab('challenge')} />
+              <LibraryTab
+                label={trash.length ? `Trash (${trash.length})` : 'Trash'}
+                active={activeTab === 'trash'}
+                onSelect={() => setActiveTab('trash')}
+                onDropBook={(bookId) => { const book = draggedBook(bookId); if (book) handleDeleteRequest(book); }}
+              />
             </div>
+
+            {!['trash', 'stats', 'challenge'].includes(activeTab) && <LibraryToolbar view={libraryView} onChange={updateLibraryView} />}
+
+            <OfflineStatus
+              online={online}
+              pendingChanges={pendingChanges}
+              syncNotice={syncNotice}
+              onDismiss={() => setSyncNotice(null)}
+            />
+
+            {reminder && (
+              <GoalReminder
+                message={reminder}
+                onRead={continueBook ? () => openReader(continueBook) : null}
+                onDismiss={() => { dismissGoalReminder(); setNow(Date.now()); }}
+              />
+            )}
           </header>
 
-          {/* Book Grid */}
-          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4 sm:gap-6 lg:gap-8 max-w-7xl mx-auto">
-            {booksLoading ? (
-              // Skeleton cards while loading
-              Array.from({ length: 5 }).map((_, i) => (
-                <div key={i} style={{
-                  borderRadius: '16px', overflow: 'hidden',
-                  background: 'rgba(255,255,255,0.04)',
-                  border: '1px solid rgba(255,255,255,0.06)',
-                  animation: `pulse 1.6s ease-in-out ${i * 0.1}s infinite`,
-                }}>
-                  <div style={{ aspectRatio: '2/3', background: 'rgba(255,255,255,0.05)' }} />
-                  <div style={{ padding: '12px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                    <div style={{ height: '12px', borderRadius: '6px', background: 'rgba(255,255,255,0.07)', width: '80%' }} />
-                    <div style={{ height: '10px', borderRadius: '6px', background: 'rgba(255,255,255,0.04)', width: '55%' }} />
-                  </div>
-                </div>
-              ))
-            ) : (
-              <>
-                {displayedBooks.map((book) => (
-                  <BookCard
-                    key={book.id}
-                    book={book}
-                    onClick={() => book.pdfUrl && setOpenBook(book)}
-                    onToggleFavorite={toggleFavorite}
-                    onDelete={handleDeleteRequest}
-                  />
-                ))}
-                {/* Only show empty-search state when a query is active */}
-                {searchQuery.trim() && displayedBooks.length === 0 && (
-                  <div className="col-span-full flex flex-col items-center justify-center py-24 text-center gap-4">
-                    <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" className="text-neutral-600 dark:text-neutral-700">
-                      <circle cx="11" cy="11" r="8" />
-                      <line x1="21" y1="21" x2="16.65" y2="16.65" />
-                    </svg>
-                    <p className="text-neutral-500 dark:text-neutral-600 text-sm font-medium">
-                      No books match &ldquo;{searchQuery}&rdquo;
-                    </p>
-                    <button
-                      onClick={() => setSearchQuery('')}
-                      className="text-xs text-amber-600 hover:text-amber-500 underline underline-offset-2 transition-colors"
-                    >
-                      Clear search
-                    </button>
+          {activeTab === 'trash' ? (
+            <TrashView
+              books={trash}
+              purgingIds={purgingIds}
+              onRestore={restoreBook}
+              onPurge={purgeFromTrash}
+            />
+          ) : activeTab === 'stats' ? (
+            <StatsView
+              sessions={readingSessions}
+              books={books}
+              libraryStats={libraryStats}
+              onOpen={(book) => openReader(book)}
+            />
+          ) : activeTab === 'challenge' ? (
+            <ChallengeView
+              sessions={readingSessions}
+              books={books}
+              progress={goalStatus}
+              onOpen={(book) => openReader(book)}
+              onEditGoals={() => setGoalsOpen(true)}
+            />
+          ) : (
+            /* Book Grid */
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4 sm:gap-6 lg:gap-8 max-w-7xl mx-auto">
+              {booksLoading ? (
+                // Skeleton cards while loading
+                Array.from({ length: 5 }).map((_, i) => (
+                  <div key={i} style={{
+                    borderRadius: '16px', overflow: 'hidden',
+                    background: 'rgba(255,255,255,0.04)',
+                    border: '1px solid rgba(255,255,255,0.06)',
+                    animation: `pulse 1.6s ease-in-out ${i * 0.1}s infinite`,
+                  }}>
+                    <div style={{ aspectRatio: '2/3', background: 'rgba(255,255,255,0.05)' }} />
+                    <div style={{ padding: '12px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      <div style={{ height: '12px', borderRadius: '6px', background: 'rgba(255,255,255,0.07)', width: '80%' }} />
+                      <div style={{ height: '10px', borderRadius: '6px', background: 'rgba(255,255,255,0.04)', width: '55%' }} />
+                    </div>
                   </div>
-                )}
-              </>
-            )}
-          </div>
+                ))
+              ) : (
+                <>
+                  {libraryView.layout === 'list' ? (
+                    displayedBooks.length > 0 && (
+                      <BookTable
+                        books={displayedBooks}
+                        stats={libraryStats}
+                        onOpen={openReader}
+                        onToggleFavorite={toggleFavorite}
+                        onDelete={handleDeleteRequest}
+                        offlineIds={offlineIds}
+                        online={online}
+                      />
+                    )
+                  ) : displayedBooks.map((book) => (
+                    <BookCard
+                      key={book.id}
+                      book={book}
+                      onClick={() => openReader(book)}
+                      onToggleFavorite={toggleFavorite}
+                      onDelete={handleDeleteRequest}
+                      onEdit={setEditingBook}
+                      onExport={handleExport}
+                      onImport={handleImport}
+                      shelves={shelves}
+                      shelfIds={bookShelves[book.id] || []}
+                      onSetShelf={setBookOnShelf}
+                      onSetStatus={setBookStatus}
+                      onEditReadingLog={setReadingLogBook}
+                      offline={offlineIds.has(book.id)}
+                      offlineSaving={offlineSaving.has(book.id)}
+                      unavailable={!online && !offlineIds.has(book.id)}
+                      onToggleOffline={toggleOffline}
+                    />
+                  ))}
+                  {/* Filters hide everything in this tab */}
+                  {!searchQuery.trim() && tabFiltered.length > 0 && displayedBooks.length === 0 && (
+                    <div className="col-span-full flex flex-col items-center justify-center py-24 text-center gap-3">
+                      <p className="text-neutral-500 dark:text-neutral-600 text-sm font-medium">No books match these filters.</p>
+                      <button
+                        onClick={() => updateLibraryView({ status: 'all', hasNotes: false, hasBookmarks: false })}
+                        className="text-xs text-amber-600 hover:text-amber-500 underline underline-offset-2 transition-colors"
+                      >
+                        Clear filters
+                      </button>
+                    </div>
+                  )}
+                  {/* Empty shelf hint */}
+                  {activeShelf && !searchQuery.trim() && tabFiltered.length === 0 && (
+                    <div className="col-span-full flex flex-col items-center justify-center py-24 text-center gap-2">
+                      <p className="text-neutral-500 dark:text-neutral-600 text-sm font-medium">This shelf is empty.</p>
+                      <p className="text-neutral-400 dark:text-neutral-700 text-xs">
+                        Drag books onto its tab, or use the shelf button on a book.
+                      </p>
+                    </div>
+                  )}
+                  {/* Only show empty-search state when a query is active */}
+                  {searchQuery.trim() && displayedBooks.length === 0 && !textHitGroups.length && !(textSearchActive && textSearching) && (
+                    <div className="col-span-full flex flex-col items-center justify-center py-24 text-center gap-4">
+                      <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" className="text-neutral-600 dark:text-neutral-700">
+                        <circle cx="11" cy="11" r="8" />
+                        <line x1="21" y1="21" x2="16.65" y2="16.65" />
+                      </svg>
+                      <p className="text-neutral-500 dark:text-neutral-600 text-sm font-medium">
+                        No books match &ldquo;{searchQuery}&rdquo;
+                      </p>
+                      <button
+                        onClick={() => setSearchQuery('')}
+                        className="text-xs text-amber-600 hover:text-amber-500 underline underline-offset-2 transition-colors"
+                      >
+                        Clear search
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Matches inside book text */}
+          {!booksLoading && !['trash', 'stats', 'challenge'].includes(activeTab) && textSearchActive && (textSearching || textHitGroups.length > 0) && (
+            <TextSearchResults
+              groups={textHitGroups}
+              searching={textSearching}
+              onOpen={(book, page) => openReader(book, { page, query: trimmedQuery })}
+            />
+          )}
           <style>{`@keyframes pulse { 0%,100%{opacity:1} 50%{opacity:0.4} }`}</style>
         </div>
 
-        {/* Hidden PDF input */}
+        {/* Hidden PDF / EPUB input */}
         <input
           ref={fileInputRef}
           type="file"
-          accept="application/pdf"
+          accept={`application/pdf,${EPUB_MIME},.epub`}
+          multiple
           className="hidden"
           onChange={handleFileChange}
         />
@@ -645,9 +1704,9 @@ export default function KindleWoodLibrary() {
         {/* Floating "Add Book" button */}
         <button
           onClick={() => fileInputRef.current?.click()}
-          disabled={isUploading || !!pendingBook}
+          disabled={isUploading || !!pendingBook || queueRunning}
           className="fixed bottom-6 right-5 sm:bottom-10 sm:right-10 z-50 group flex items-center justify-center w-14 h-14 sm:w-16 sm:h-16 bg-neutral-900 dark:bg-white text-white dark:text-neutral-900 rounded-full shadow-2xl hover:w-44 transition-all duration-300 overflow-hidden active:scale-90 cursor-pointer border border-neutral-800 dark:border-neutral-200 disabled:opacity-60"
-          title="Upload a PDF"
+          title="Add PDFs or EPUBs — or drop files and folders onto the library"
         >
           {isUploading ? (
             <span className="animate-spin text-xl">⏳</span>
@@ -668,12 +1727,26 @@ export default function KindleWoodLibrary() {
 }
 
 // ─── BookCard ────────────────────────────────────────────────────────────────
-function BookCard({ book, onClick, onToggleFavorite, onDelete }) {
-  const hasPdf = !!book.pdfUrl;
+// `offline`: a copy is stored on this device. `unavailable`: we're offline and it isn't.
+function BookCard({
+  book, onClick, onToggleFavorite, onDelete, onEdit, onExport, onImport, shelves, shelfIds, onSetShelf,
+  onSetStatus, onEditReadingLog,
+  offline = false, offlineSaving = false, unavailable = false, onToggleOffline,
+}) {
+  const hasPdf = !!book.pdfPath;
+  const [exportOpen, setExportOpen] = useState(false);
+  const [shelfPickerOpen, setShelfPickerOpen] = useState(false);
+  const [statusMenuOpen, setStatusMenuOpen] = useState(false);
   return (
     <div
       onClick={onClick}
-      className={`group flex flex-col transition-transform duration-300 hover:-translate-y-2 relative ${hasPdf ? 'cursor-pointer' : 'cursor-default'}`}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData(BOOK_DRAG_TYPE, book.id);
+        e.dataTransfer.effectAllowed = 'copy';
+      }}
+      className={`group flex flex-col transition-all duration-300 hover:-translate-y-2 relative ${hasPdf ? 'cursor-pointer' : 'cursor-default'} ${unavailable ? 'opacity-50 grayscale' : ''}`}
+      style={{ zIndex: exportOpen || shelfPickerOpen || statusMenuOpen ? 40 : undefined }} // lift an open menu above neighbouring cards
     >
       {/* ── Heart toggle — top-left, always visible ── */}
       <button
@@ -695,18 +1768,125 @@ function BookCard({ book, onClick, onToggleFavorite, onDelete }) {
         </svg>
       </button>
 
-      {/* ── PDF badge — top-right ── */}
+      {/* ── Available offline toggle — below the heart; always shown once saved ── */}
+      {hasPdf && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onToggleOffline(book); }}
+          disabled={offlineSaving}
+          className={`absolute top-12 left-3 z-20 p-1.5 rounded-full backdrop-blur-md shadow-sm transition-all duration-200 ${offline
+            ? 'bg-emerald-500/20 text-emerald-600'
+            : 'bg-white/70 dark:bg-black/60 text-neutral-400 hover:text-emerald-500 hover:bg-emerald-500/10'
+            } ${offline || offlineSaving ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`}
+          title={offline ? 'Available offline — click to remove the saved copy' : 'Make available offline'}
+        >
+          {offlineSaving ? (
+            <div className="w-3.5 h-3.5 border-2 border-emerald-500 border-t-transparent rounded-full animate-spin" />
+          ) : (
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              {offline ? (
+                <>
+                  <path d="M20 16.2A4.5 4.5 0 0 0 17.5 8h-1.8A7 7 0 1 0 4 14.9" />
+                  <polyline points="9 15 11.5 17.5 16 13" />
+                </>
+              ) : (
+                <>
+                  <path d="M20 16.2A4.5 4.5 0 0 0 17.5 8h-1.8A7 7 0 1 0 4 14.9" />
+                  <path d="M12 12v9" />
+                  <path d="m8 17 4 4 4-4" />
+                </>
+              )}
+            </svg>
+          )}
+        </button>
+      )}
+
+      {/* ── Format badge (PDF / EPUB) — top-right ── */}
       {hasPdf && (
-        <div className="absolute top-3 right-3 z-20 bg-amber-600/90 backdrop-blur-md px-2 py-0.5 rounded-full shadow-sm">
-          <span className="text-white text-[10px] font-semibold tracking-wide">PDF</span>
+        <div className={`absolute top-3 right-3 z-20 backdrop-blur-md px-2 py-0.5 rounded-full shadow-sm ${book.format === 'epub' ? 'bg-emerald-600/90' : 'bg-amber-600/90'}`}>
+          <span className="text-white text-[10px] font-semibold tracking-wide">{book.format === 'epub' ? 'EPUB' : 'PDF'}</span>
         </div>
       )}
 
+      {/* ── Status badge — below the format badge; opens the status menu ── */}
+      <button
+        onClick={(e) => { e.stopPropagation(); setStatusMenuOpen((o) => !o); }}
+        onMouseDown={(e) => e.stopPropagation()} // don't let StatusMenu's outside-press close it first
+        className={`absolute ${hasPdf ? 'top-9' : 'top-3'} right-3 z-20 ${book.status || statusMenuOpen ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'} transition-opacity duration-200`}
+        title="Reading status"
+      >
+        <StatusBadge status={book.status} />
+      </button>
+      {statusMenuOpen && (
+        <StatusMenu
+          status={book.status}
+          onSelect={(status) => { setStatusMenuOpen(false); onSetStatus(book, status); }}
+          onEditReadingLog={() => { setStatusMenuOpen(false); onEditReadingLog(book); }}
+          onClose={() => setStatusMenuOpen(false)}
+          className={hasPdf ? 'top-16 right-3' : 'top-10 right-3'}
+        />
+      )}
+
+      {/* ── Edit details button — left of shelves, appears on hover ── */}
+      <button
+        onClick={(e) => { e.stopPropagation(); onEdit(book); }}
+        className="absolute bottom-[4.5rem] right-[7.5rem] z-20 p-1.5 rounded-full bg-white/70 dark:bg-black/60 backdrop-blur-md shadow-sm text-neutral-400 hover:text-amber-600 hover:bg-amber-500/10 transition-all duration-200 opacity-0 group-hover:opacity-100 scale-90 group-hover:scale-100"
+        title="Edit details & cover"
+      >
+        <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M12 20h9" />
+          <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+        </svg>
+      </button>
+
+      {/* ── Shelf button — left of export, appears on hover ── */}
+      <button
+        onClick={(e) => { e.stopPropagation(); setShelfPickerOpen((o) => !o); }}
+        onMouseDown={(e) => e.stopPropagation()} // don't let ShelfPicker's outside-press close it first
+        className={`absolute bottom-[4.5rem] right-[5.25rem] z-20 p-1.5 rounded-full backdrop-blur-md shadow-sm transition-all duration-200 hover:text-amber-600 hover:bg-amber-500/10 ${shelfIds.length ? 'bg-amber-500/20 text-amber-600' : 'bg-white/70 dark:bg-black/60 text-neutral-400'} ${shelfPickerOpen ? 'opacity-100 scale-100' : 'opacity-0 group-hover:opacity-100 scale-90 group-hover:scale-100'}`}
+        title="Shelves"
+      >
+        <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20" />
+          <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z" />
+        </svg>
+      </button>
+      {shelfPickerOpen && (
+        <ShelfPicker
+          shelves={shelves}
+          shelfIds={shelfIds}
+          onToggle={(shelfId, onShelf) => onSetShelf(book.id, shelfId, onShelf)}
+          onClose={() => setShelfPickerOpen(false)}
+        />
+      )}
+
+      {/* ── Export button — left of trash, appears on hover ── */}
+      <button
+        onClick={(e) => { e.stopPropagation(); setExportOpen((o) => !o); }}
+        onMouseDown={(e) => e.stopPropagation()} // don't let ExportMenu's outside-press close it first
+        className={`absolute bottom-[4.5rem] right-12 z-20 p-1.5 rounded-full bg-white/70 dark:bg-black/60 backdrop-blur-md shadow-sm text-neutral-400 hover:text-amber-600 hover:bg-amber-500/10 transition-all duration-200 ${exportOpen ? 'opacity-100 scale-100' : 'opacity-0 group-hover:opacity-100 scale-90 group-hover:scale-100'}`}
+        title="Export or import notes & highlights"
+      >
+        <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+          <polyline points="7 10 12 15 17 10" />
+          <line x1="12" y1="15" x2="12" y2="3" />
+        </svg>
+      </button>
+      {exportOpen && (
+        <ExportMenu
+          onSelect={(formatId) => { setExportOpen(false); onExport(book, formatId); }}
+          onImport={(file) => { setExportOpen(false); onImport(book, file); }}
+          onClose={() => setExportOpen(false)}
+          bookFormat={book.format}
+          className="bottom-[6.5rem] right-3"
+        />
+      )}
+
       {/* ── Trash button — bottom-right, appears on hover ── */}
       <button
         onClick={(e) => { e.stopPropagation(); onDelete(book); }}
         className="absolute bottom-[4.5rem] right-3 z-20 p-1.5 rounded-full bg-white/70 dark:bg-black/60 backdrop-blur-md shadow-sm text-neutral-400 hover:text-red-500 hover:bg-red-500/10 transition-all duration-200 opacity-0 group-hover:opacity-100 scale-90 group-hover:scale-100"
-        title="Remove from library"
+        title="Move to Trash"
       >
         <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
           <polyline points="3 6 5 6 21 6" />
@@ -735,6 +1915,7 @@ function BookCard({ book, onClick, onToggleFavorite, onDelete }) {
               {book.title}
             </h3>
             <p className="text-xs text-neutral-500 dark:text-neutral-400 truncate">{book.author}</p>
+            {book.rating > 0 && <StarRating value={book.rating} size={11} className="justify-center mt-1" />}
             {hasPdf && (
               <p className="text-xs text-amber-600 mt-1 font-medium">Click to read →</p>
             )}
@@ -745,88 +1926,905 @@ function BookCard({ book, onClick, onToggleFavorite, onDelete }) {
   );
 }
 
-// ─── Default cover when no image ─────────────────────────────────────────────
-function DefaultCover({ title }) {
-  const colors = [
-    ['#2d1b69', '#11998e'],
-    ['#8e0e00', '#1f1c18'],
-    ['#1a1a2e', '#16213e'],
-    ['#0f3460', '#533483'],
-    ['#2c3e50', '#fd746c'],
-  ];
-  const idx = title.charCodeAt(0) % colors.length;
-  const [from, to] = colors[idx];
+// ─── Library tabs & shelves ───────────────────────────────────────────────────
+// dataTransfer type used when dragging a BookCard onto a tab
+const BOOK_DRAG_TYPE = 'application/x-kindlewood-book';
+
+function LibraryTab({ label, active, onSelect, onDropBook, onRename, onDelete }) {
+  const [dragOver, setDragOver] = useState(false);
+  const [renaming, setRenaming] = useState(false);
+  const [draft, setDraft] = useState(label);
+
+  const acceptsDrag = (e) => onDropBook && e.dataTransfer.types.includes(BOOK_DRAG_TYPE);
+
+  const commitRename = () => {
+    setRenaming(false);
+    if (draft.trim() && draft.trim() !== label) onRename(draft.trim());
+    else setDraft(label);
+  };
+
+  if (renaming) {
+    return (
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commitRename}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commitRename();
+          if (e.key === 'Escape') { setDraft(label); setRenaming(false); }
+        }}
+        autoFocus
+        className="px-4 py-2 rounded-full text-sm font-medium w-36 bg-white/80 dark:bg-neutral-800 text-neutral-800 dark:text-neutral-100 border border-amber-500/60 outline-none"
+      />
+    );
+  }
+
   return (
     <div
-      className="w-full h-full flex items-center justify-center p-4"
-      style={{ background: `linear-gradient(135deg, ${from}, ${to})` }}
+      onDragOver={(e) => { if (acceptsDrag(e)) { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; setDragOver(true); } }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={(e) => {
+        setDragOver(false);
+        if (!acceptsDrag(e)) return;
+        e.preventDefault();
+        onDropBook(e.dataTransfer.getData(BOOK_DRAG_TYPE));
+      }}
+      className={`flex items-center rounded-full text-sm font-medium transition-all duration-300 ${active
+        ? 'bg-neutral-800 text-white dark:bg-neutral-200 dark:text-black shadow-md'
+        : 'text-neutral-500 hover:bg-neutral-200 dark:hover:bg-neutral-800'
+        } ${dragOver ? 'ring-2 ring-amber-500 scale-105' : ''}`}
     >
-      <span className="text-white text-center text-sm font-serif font-semibold leading-snug line-clamp-4 opacity-90">
-        {title}
-      </span>
+      <button onClick={onSelect} onDoubleClick={() => onRename && setRenaming(true)} className="px-4 py-2">
+        {label}
+      </button>
+      {/* Rename / delete for the active shelf */}
+      {active && onRename && (
+        <div className="flex items-center gap-0.5 pr-2 -ml-2">
+          <button
+            onClick={() => { setDraft(label); setRenaming(true); }}
+            title="Rename shelf"
+            className="p-1 rounded-full opacity-60 hover:opacity-100 transition-opacity"
+          >
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M12 20h9" />
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+            </svg>
+          </button>
+          <button
+            onClick={onDelete}
+            title="Delete shelf"
+            className="p-1 rounded-full opacity-60 hover:opacity-100 hover:text-red-500 transition-all"
+          >
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
-// ─── Book Info Confirmation Modal ─────────────────────────────────────────────
-function BookInfoModal({ initialData, onConfirm, onCancel }) {
-  const [title, setTitle] = useState(initialData.title);
-  const [author, setAuthor] = useState(initialData.author);
+function NewShelfButton({ onCreate }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onConfirm({ title, author });
+  const commit = () => {
+    if (name.trim()) onCreate(name.trim());
+    setName('');
+    setEditing(false);
   };
 
-  // Close on backdrop click
-  const handleBackdropClick = (e) => {
-    if (e.target === e.currentTarget) onCancel();
+  return editing ? (
+    <input
+      value={name}
+      onChange={(e) => setName(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') { setName(''); setEditing(false); }
+      }}
+      placeholder="Shelf name…"
+      autoFocus
+      className="px-4 py-2 rounded-full text-sm w-36 bg-white/80 dark:bg-neutral-800 text-neutral-800 dark:text-neutral-100 placeholder-neutral-500 border border-amber-500/60 outline-none"
+    />
+  ) : (
+    <button
+      onClick={() => setEditing(true)}
+      className="px-3 py-2 rounded-full text-sm font-medium text-neutral-400 hover:text-amber-600 border border-dashed border-neutral-300 dark:border-neutral-700 hover:border-amber-500/60 transition-all duration-300"
+      title="Create a shelf"
+    >
+      + Shelf
+    </button>
+  );
+}
+
+// Checklist of shelves for one book — the non-drag way to shelve (and unshelve) it
+function ShelfPicker({ shelves, shelfIds, onToggle, onClose }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (!menuRef.current?.contains(e.target)) onClose(); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, [onClose]);
+
+  return (
+    <div
+      ref={menuRef}
+      onClick={(e) => e.stopPropagation()}
+      className="absolute bottom-[6.5rem] right-3 z-30 w-52 rounded-xl overflow-hidden shadow-2xl py-1"
+      style={{ background: 'linear-gradient(160deg, #2a2520 0%, #1a1612 100%)', border: '1px solid rgba(255,255,255,0.1)' }}
+    >
+      <p className="px-3 pt-1.5 pb-1 text-[10px] font-semibold tracking-wider uppercase text-neutral-500">Shelves</p>
+      {shelves.length === 0 ? (
+        <p className="px-3 pb-2 text-xs text-neutral-500">No shelves yet — create one with “+ Shelf”.</p>
+      ) : shelves.map((shelf) => {
+        const checked = shelfIds.includes(shelf.id);
+        return (
+          <button
+            key={shelf.id}
+            onClick={() => onToggle(shelf.id, !checked)}
+            className="w-full flex items-center gap-2.5 text-left px-3 py-2 text-sm text-neutral-300 hover:text-white hover:bg-amber-500/10 transition-colors"
+          >
+            <span className={`w-4 h-4 rounded flex items-center justify-center shrink-0 border ${checked ? 'bg-amber-600 border-amber-600' : 'border-neutral-600'}`}>
+              {checked && (
+                <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="white" strokeWidth="3.5" strokeLinecap="round" strokeLinejoin="round">
+                  <polyline points="20 6 9 17 4 12" />
+                </svg>
+              )}
+            </span>
+            <span className="truncate">{shelf.name}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── Book status: badge, status menu, star rating, reading log ───────────────
+const STATUS_BADGE_CLASSES = {
+  want_to_read: 'bg-sky-600/90 text-white',
+  reading: 'bg-violet-600/90 text-white',
+  finished: 'bg-green-700/90 text-white',
+  abandoned: 'bg-neutral-500/90 text-white',
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`block backdrop-blur-md px-2 py-0.5 rounded-full shadow-sm text-[10px] font-semibold tracking-wide whitespace-nowrap ${STATUS_BADGE_CLASSES[status] || 'bg-white/70 dark:bg-black/60 text-neutral-500'}`}>
+      {statusLabel(status) || '+ Status'}
+    </span>
+  );
+}
+
+function StatusMenu({ status, onSelect, onEditReadingLog, onClose, className = '' }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (!menuRef.current?.contains(e.target)) onClose(); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, [onClose]);
+
+  return (
+    <div
+      ref={menuRef}
+      onClick={(e) => e.stopPropagation()}
+      className={`absolute z-30 w-48 rounded-xl overflow-hidden shadow-2xl py-1 ${className}`}
+      style={{ background: 'linear-gradient(160deg, #2a2520 0%, #1a1612 100%)', border: '1px solid rgba(255,255,255,0.1)' }}
+    >
+      <p className="px-3 pt-1.5 pb-1 text-[10px] font-semibold tracking-wider uppercase text-neutral-500">Status</p>
+      {BOOK_STATUSES.map((s) => (
+        <button
+          key={s.id}
+          onClick={() => onSelect(s.id)}
+          className={`w-full flex items-center justify-between text-left px-3 py-2 text-sm transition-colors hover:bg-amber-500/10 ${status === s.id ? 'text-amber-500' : 'text-neutral-300 hover:text-white'}`}
+        >
+          {s.label}
+          {status === s.id && (
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+              <polyline points="20 6 9 17 4 12" />
+            </svg>
+          )}
+        </button>
+      ))}
+      {status && (
+        <button
+          onClick={() => onSelect(null)}
+          className="w-full text-left px-3 py-2 text-xs text-neutral-500 hover:text-white hover:bg-white/5 transition-colors"
+        >
+          Clear status
+        </button>
+      )}
+      <div className="my-1 border-t border-white/10" />
+      <button
+        onClick={onEditReadingLog}
+        className="w-full text-left px-3 py-2 text-sm text-neutral-300 hover:text-white hover:bg-amber-500/10 transition-colors"
+      >
+        Dates, rating & review…
+      </button>
+    </div>
+  );
+}
+
+// Read-only unless `onChange` is given; picking the current rating again clears it
+function StarRating({ value, onChange, size = 14, className = '' }) {
+  const [hover, setHover] = useState(0);
+  const shown = hover || value || 0;
+  return (
+    <div className={`flex items-center gap-0.5 ${className}`} onMouseLeave={() => setHover(0)}>
+      {Array.from({ length: MAX_RATING }, (_, i) => {
+        const star = (
+          <svg width={size} height={size} viewBox="0 0 24 24" fill={i < shown ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinejoin="round">
+            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2" />
+          </svg>
+        );
+        return onChange ? (
+          <button
+            key={i}
+            type="button"
+            onClick={(e) => { e.stopPropagation(); onChange(value === i + 1 ? null : i + 1); }}
+            onMouseEnter={() => setHover(i + 1)}
+            className={`p-0.5 transition-colors ${i < shown ? 'text-amber-500' : 'text-neutral-500 hover:text-amber-400'}`}
+            title={`${i + 1} of ${MAX_RATING}`}
+          >
+            {star}
+          </button>
+        ) : (
+          <span key={i} className={i < shown ? 'text-amber-500' : 'text-neutral-400/60'}>{star}</span>
+        );
+      })}
+    </div>
+  );
+}
+
+function ReadingLogModal({ book, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    status: book.status,
+    started: dateInputValue(book.startedAt),
+    finished: dateInputValue(book.finishedAt),
+    rating: book.rating,
+    review: book.review,
+  });
+
+  useEffect(() => {
+    const handler = (e) => { if (e.key === 'Escape') onCancel(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [onCancel]);
+
+  // Picking a status fills in the dates it implies; they can still be edited after
+  const pickStatus = (status) => {
+    setForm((prev) => {
+      const next = statusChanges(
+        { status: prev.status, startedAt: dateFromInput(prev.started), finishedAt: dateFromInput(prev.finished) },
+        status,
+      );
+      return { ...prev, status: next.status, started: dateInputValue(next.startedAt), finished: dateInputValue(next.finishedAt) };
+    });
+  };
+
+  // An unchanged day keeps the original timestamp
+  const dateField = (value, original) => (value === dateInputValue(original) ? original : dateFromInput(value));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      status: form.status,
+      startedAt: dateField(form.started, book.startedAt),
+      finishedAt: dateField(form.finished, book.finishedAt),
+      rating: form.rating || null,
+      review: form.review.trim(),
+    });
   };
 
   return (
     <div
-      onClick={handleBackdropClick}
+      onClick={(e) => { if (e.target === e.currentTarget) onCancel(); }}
       className="fixed inset-0 z-[200] flex items-center justify-center p-6"
       style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
     >
       <div
-        className="relative w-full max-w-lg rounded-3xl overflow-hidden shadow-2xl"
+        className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-3xl shadow-2xl"
         style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
         onClick={(e) => e.stopPropagation()}
       >
-        {/* Amber glow top */}
-        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-72 h-32 rounded-full blur-[60px] pointer-events-none"
+        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-64 h-24 rounded-full blur-[50px] pointer-events-none"
           style={{ background: 'rgba(217,119,6,0.15)' }} />
 
-        <div className="relative z-10 p-8">
-          {/* Header */}
-          <div className="flex items-start justify-between mb-7">
+        <form onSubmit={handleSubmit} className="relative z-10 p-7">
+          <div className="flex items-center gap-4 mb-6">
+            <div className="w-10 aspect-[2/3] rounded-lg overflow-hidden shrink-0 shadow-md">
+              {book.coverThumb
+                ? <img src={book.coverThumb} alt={book.title} className="w-full h-full object-cover" />
+                : <DefaultCover title={book.title} />}
+            </div>
+            <div className="min-w-0">
+              <h2 className="text-white font-serif text-lg font-bold leading-tight truncate">{book.title}</h2>
+              <p className="text-neutral-500 text-xs truncate">{book.author}</p>
+            </div>
+          </div>
+
+          <label className={FIELD_LABEL_CLASS}>Status</label>
+          <div className="flex flex-wrap gap-1.5 mb-5">
+            {BOOK_STATUSES.map((s) => (
+              <button
+                key={s.id}
+                type="button"
+                onClick={() => pickStatus(form.status === s.id ? null : s.id)}
+                className={`px-3 py-1 rounded-full text-xs font-medium transition-all duration-200 ${form.status === s.id
+                  ? 'bg-amber-600 text-white shadow-sm'
+                  : 'text-neutral-400 border border-white/10 hover:border-white/20 hover:text-white'}`}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 mb-5">
             <div>
-              <h2 className="text-white font-serif text-xl font-bold leading-tight">Confirm Book Details</h2>
-              <p className="text-neutral-500 text-xs mt-1">We found this info automatically — review and edit if needed.</p>
+              <label className={FIELD_LABEL_CLASS}>Started</label>
+              <input
+                type="date"
+                value={form.started}
+                onChange={(e) => setForm((prev) => ({ ...prev, started: e.target.value }))}
+                className={`${FIELD_INPUT_CLASS} [color-scheme:dark]`}
+              />
+            </div>
+            <div>
+              <label className={FIELD_LABEL_CLASS}>Finished</label>
+              <input
+                type="date"
+                value={form.finished}
+                min={form.started || undefined}
+                disabled={form.status !== 'finished'}
+                onChange={(e) => setForm((prev) => ({ ...prev, finished: e.target.value }))}
+                className={`${FIELD_INPUT_CLASS} [color-scheme:dark] disabled:opacity-40`}
+              />
             </div>
+          </div>
+
+          <label className={FIELD_LABEL_CLASS}>Your rating</label>
+          <StarRating
+            value={form.rating}
+            onChange={(rating) => setForm((prev) => ({ ...prev, rating }))}
+            size={22}
+            className="mb-5 -ml-0.5"
+          />
+
+          <label className={FIELD_LABEL_CLASS}>Review</label>
+          <textarea
+            value={form.review}
+            onChange={(e) => setForm((prev) => ({ ...prev, review: e.target.value }))}
+            rows={5}
+            placeholder="What did you think?"
+            className={`${FIELD_INPUT_CLASS} resize-y`}
+          />
+
+          <div className="flex gap-3 mt-7">
             <button
+              type="button"
               onClick={onCancel}
-              className="text-neutral-600 hover:text-white transition-colors p-1.5 rounded-full hover:bg-white/10 ml-4 shrink-0"
-              title="Cancel"
+              className="flex-1 py-2.5 rounded-xl text-sm font-medium text-neutral-400 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 transition-all duration-200"
             >
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
-                <path d="M18 6L6 18M6 6l12 12" />
-              </svg>
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95"
+              style={{ background: 'linear-gradient(135deg, #d97706, #92400e)' }}
+            >
+              Save
             </button>
           </div>
+        </form>
+      </div>
+    </div>
+  );
+}
 
-          <div className="flex flex-col sm:flex-row gap-5 sm:gap-6">
-            {/* Cover preview */}
-            <div className="shrink-0 w-20 sm:w-28 aspect-[2/3] rounded-xl overflow-hidden shadow-lg border border-white/10 mx-auto sm:mx-0">
-              {initialData.cover ? (
-                <img
-                  src={initialData.cover}
-                  alt="Cover preview"
-                  className="w-full h-full object-cover"
-                />
-              ) : (
-                <div
+// ─── Offline status: connection, queued changes, last sync result ────────────
+function OfflineStatus({ online, pendingChanges, syncNotice, onDismiss }) {
+  if (online && !pendingChanges && !syncNotice) return null;
+  const changes = (n) => `${n} change${n === 1 ? '' : 's'}`;
+
+  return (
+    <div className="mt-4 flex flex-col gap-2">
+      {(!online || pendingChanges > 0) && (
+        <div className="flex items-center gap-2.5 px-4 py-2 rounded-2xl text-xs bg-neutral-900/5 dark:bg-white/5 border border-neutral-300/60 dark:border-white/10 text-neutral-600 dark:text-neutral-300">
+          <span className={`w-2 h-2 rounded-full shrink-0 ${online ? 'bg-amber-500 animate-pulse' : 'bg-neutral-400'}`} />
+          {online
+            ? `${changes(pendingChanges)} made offline waiting to sync…`
+            : `You're offline — showing the library saved on this device. Only books marked "Available offline" can be opened.${pendingChanges ? ` ${changes(pendingChanges)} will sync when you're back online.` : ''}`}
+        </div>
+      )}
+      {syncNotice && (
+        <div className={`flex items-start gap-2.5 px-4 py-2 rounded-2xl text-xs border ${syncNotice.conflicts.length
+          ? 'bg-amber-500/10 border-amber-500/30 text-amber-800 dark:text-amber-300'
+          : 'bg-emerald-500/10 border-emerald-500/30 text-emerald-800 dark:text-emerald-300'}`}
+        >
+          <div className="flex-1 min-w-0">
+            <p className="font-semibold">Synced {changes(syncNotice.applied)} made offline.</p>
+            {syncNotice.conflicts.map((message, i) => <p key={i} className="mt-0.5">{message}</p>)}
+          </div>
+          <button onClick={onDismiss} className="p-0.5 rounded-full opacity-60 hover:opacity-100 transition-opacity" title="Dismiss">
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Library toolbar: status filters, sort, grid / list ──────────────────────
+function LibraryToolbar({ view, onChange }) {
+  const chip = (active) => `px-3 py-1 rounded-full text-xs font-medium transition-all duration-200 ${active
+    ? 'bg-amber-600 text-white shadow-sm'
+    : 'text-neutral-500 hover:bg-neutral-200 dark:hover:bg-neutral-800'
+    }`;
+
+  return (
+    <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+      <div className="flex flex-wrap items-center gap-1.5">
+        {STATUS_FILTERS.map((f) => (
+          <button key={f.id} onClick={() => onChange({ status: f.id })} className={chip(view.status === f.id)}>
+            {f.label}
+          </button>
+        ))}
+        <span className="w-px h-4 bg-neutral-300 dark:bg-neutral-700 mx-1" />
+        <button onClick={() => onChange({ hasNotes: !view.hasNotes })} className={chip(view.hasNotes)}>
+          Has notes
+        </button>
+        <button onClick={() => onChange({ hasBookmarks: !view.hasBookmarks })} className={chip(view.hasBookmarks)}>
+          Has bookmarks
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select
+          value={view.sort}
+          onChange={(e) => {
+            const option = SORT_OPTIONS.find((o) => o.id === e.target.value);
+            onChange({ sort: option.id, sortDir: option.dir });
+          }}
+          className="rounded-full text-xs font-medium px-3 py-1.5 bg-white/60 dark:bg-neutral-800/60 text-neutral-600 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 outline-none cursor-pointer"
+          title="Sort by"
+        >
+          {SORT_OPTIONS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+        </select>
+        <button
+          onClick={() => onChange({ sortDir: view.sortDir === 'asc' ? 'desc' : 'asc' })}
+          className="p-1.5 rounded-full text-neutral-500 hover:bg-neutral-200 dark:hover:bg-neutral-800 transition-colors"
+          title={view.sortDir === 'asc' ? 'Ascending' : 'Descending'}
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"
+            style={{ transform: view.sortDir === 'asc' ? 'rotate(180deg)' : 'none', transition: 'transform 0.2s' }}>
+            <path d="M12 5v14M19 12l-7 7-7-7" />
+          </svg>
+        </button>
+        <div className="flex items-center rounded-full p-0.5 bg-neutral-200/60 dark:bg-neutral-800/60">
+          {[
+            { id: 'grid', title: 'Grid view', icon: <><rect x="3" y="3" width="7" height="7" /><rect x="14" y="3" width="7" height="7" /><rect x="3" y="14" width="7" height="7" /><rect x="14" y="14" width="7" height="7" /></> },
+            { id: 'list', title: 'List view', icon: <><line x1="8" y1="6" x2="21" y2="6" /><line x1="8" y1="12" x2="21" y2="12" /><line x1="8" y1="18" x2="21" y2="18" /><line x1="3" y1="6" x2="3.01" y2="6" /><line x1="3" y1="12" x2="3.01" y2="12" /><line x1="3" y1="18" x2="3.01" y2="18" /></> },
+          ].map(({ id, title, icon }) => (
+            <button
+              key={id}
+              onClick={() => onChange({ layout: id })}
+              title={title}
+              className={`p-1.5 rounded-full transition-all duration-200 ${view.layout === id
+                ? 'bg-white dark:bg-neutral-700 text-neutral-800 dark:text-white shadow-sm'
+                : 'text-neutral-500 hover:text-neutral-700 dark:hover:text-neutral-300'
+                }`}
+            >
+              <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                {icon}
+              </svg>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── BookTable: compact list view ────────────────────────────────────────────
+function BookTable({ books, stats, onOpen, onToggleFavorite, onDelete, offlineIds, online }) {
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '—');
+
+  return (
+    <div className="col-span-full overflow-x-auto rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm">
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-[10px] font-semibold tracking-wider uppercase text-neutral-500 border-b border-neutral-200 dark:border-white/5">
+            <th className="px-4 py-3">Title</th>
+            <th className="px-4 py-3 hidden sm:table-cell">Author</th>
+            <th className="px-4 py-3">Progress</th>
+            <th className="px-4 py-3 hidden md:table-cell text-center">Notes</th>
+            <th className="px-4 py-3 hidden md:table-cell text-center">Bookmarks</th>
+            <th className="px-4 py-3 hidden lg:table-cell">Added</th>
+            <th className="px-4 py-3 hidden lg:table-cell">Last opened</th>
+            <th className="px-4 py-3 w-20" />
+          </tr>
+        </thead>
+        <tbody>
+          {books.map((book) => {
+            const progress = progressOf(book, stats);
+            const bookStats = stats[book.id];
+            return (
+              <tr
+                key={book.id}
+                onClick={() => onOpen(book)}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(BOOK_DRAG_TYPE, book.id);
+                  e.dataTransfer.effectAllowed = 'copy';
+                }}
+                className={`group border-b last:border-b-0 border-neutral-200/70 dark:border-white/5 hover:bg-amber-500/5 transition-colors ${book.pdfPath ? 'cursor-pointer' : ''} ${!online && !offlineIds.has(book.id) ? 'opacity-50' : ''}`}
+              >
+                <td className="px-4 py-2.5">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <div className="w-7 aspect-[2/3] rounded overflow-hidden shrink-0 shadow-sm">
+                      {book.coverThumb
+                        ? <img src={book.coverThumb} alt="" className="w-full h-full object-cover" />
+                        : <DefaultCover title={book.title} />}
+                    </div>
+                    <span className="font-serif font-semibold text-neutral-900 dark:text-white truncate max-w-[14rem]">{book.title}</span>
+                    {book.status && <span className="shrink-0"><StatusBadge status={book.status} /></span>}
+                    {offlineIds.has(book.id) && (
+                      <span className="shrink-0 text-emerald-600" title="Available offline">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                          <path d="M20 16.2A4.5 4.5 0 0 0 17.5 8h-1.8A7 7 0 1 0 4 14.9" />
+                          <polyline points="9 15 11.5 17.5 16 13" />
+                        </svg>
+                      </span>
+                    )}
+                  </div>
+                </td>
+                <td className="px-4 py-2.5 hidden sm:table-cell text-neutral-500 dark:text-neutral-400 truncate max-w-[12rem]">{book.author}</td>
+                <td className="px-4 py-2.5">
+                  <div className="flex items-center gap-2">
+                    <div className="w-16 h-1 rounded-full bg-neutral-200 dark:bg-neutral-700 overflow-hidden">
+                      <div className="h-full bg-amber-500" style={{ width: `${progress * 100}%` }} />
+                    </div>
+                    <span className="text-xs tabular-nums text-neutral-500">{Math.round(progress * 100)}%</span>
+                  </div>
+                </td>
+                <td className="px-4 py-2.5 hidden md:table-cell text-center text-xs tabular-nums text-neutral-500">{bookStats?.notes || '—'}</td>
+                <td className="px-4 py-2.5 hidden md:table-cell text-center text-xs tabular-nums text-neutral-500">{bookStats?.bookmarks || '—'}</td>
+                <td className="px-4 py-2.5 hidden lg:table-cell text-xs text-neutral-500 whitespace-nowrap">{formatDate(book.createdAt)}</td>
+                <td className="px-4 py-2.5 hidden lg:table-cell text-xs text-neutral-500 whitespace-nowrap">{formatDate(book.lastOpenedAt)}</td>
+                <td className="px-4 py-2.5">
+                  <div className="flex items-center justify-end gap-1">
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onToggleFavorite(book.id); }}
+                      className={`p-1.5 rounded-full transition-colors ${book.favorite ? 'text-red-500' : 'text-neutral-400 hover:text-red-400'}`}
+                      title={book.favorite ? 'Remove from favorites' : 'Add to favorites'}
+                    >
+                      <svg width="13" height="13" viewBox="0 0 24 24" fill={book.favorite ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onDelete(book); }}
+                      className="p-1.5 rounded-full text-neutral-400 hover:text-red-500 transition-all opacity-0 group-hover:opacity-100"
+                      title="Move to Trash"
+                    >
+                      <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                        <polyline points="3 6 5 6 21 6" />
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+                      </svg>
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Export menu ─────────────────────────────────────────────────────────────
+// Small dropdown listing the export formats, and the import of a JSON export
+// when `onImport` is given (it gets the picked File); closes on any outside
+// press (toggle buttons stop mousedown propagation so they can close it
+// themselves). `bookFormat` hides the annotated-PDF option for EPUB books
+function ExportMenu({ onSelect, onImport, onClose, bookFormat = 'pdf', className = '' }) {
+  const menuRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (!menuRef.current?.contains(e.target)) onClose(); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, [onClose]);
+
+  return (
+    <div
+      ref={menuRef}
+      onClick={(e) => e.stopPropagation()}
+      className={`absolute z-30 w-52 rounded-xl overflow-hidden shadow-2xl py-1 ${className}`}
+      style={{ background: 'linear-gradient(160deg, #2a2520 0%, #1a1612 100%)', border: '1px solid rgba(255,255,255,0.1)' }}
+    >
+      <p className="px-3 pt-1.5 pb-1 text-[10px] font-semibold tracking-wider uppercase text-neutral-500">Export notes</p>
+      {EXPORT_FORMATS.filter((f) => f.id !== 'pdf' || bookFormat === 'pdf').map((f) => (
+        <button
+          key={f.id}
+          onClick={() => onSelect(f.id)}
+          className="w-full text-left px-3 py-2 text-sm text-neutral-300 hover:text-white hover:bg-amber-500/10 transition-colors"
+        >
+          {f.label}
+          <span className="ml-1.5 text-[10px] text-neutral-600 uppercase">.{f.ext}</span>
+        </button>
+      ))}
+      {onImport && (
+        <>
+          <div className="my-1 border-t border-white/10" />
+          <p className="px-3 pt-1.5 pb-1 text-[10px] font-semibold tracking-wider uppercase text-neutral-500">Import notes</p>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="w-full text-left px-3 py-2 text-sm text-neutral-300 hover:text-white hover:bg-amber-500/10 transition-colors"
+          >
+            From a JSON export…
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Default cover when no image ─────────────────────────────────────────────
+function DefaultCover({ title }) {
+  const colors = [
+    ['#2d1b69', '#11998e'],
+    ['#8e0e00', '#1f1c18'],
+    ['#1a1a2e', '#16213e'],
+    ['#0f3460', '#533483'],
+    ['#2c3e50', '#fd746c'],
+  ];
+  const idx = title.charCodeAt(0) % colors.length;
+  const [from, to] = colors[idx];
+  return (
+    <div
+      className="w-full h-full flex items-center justify-center p-4"
+      style={{ background: `linear-gradient(135deg, ${from}, ${to})` }}
+    >
+      <span className="text-white text-center text-sm font-serif font-semibold leading-snug line-clamp-4 opacity-90">
+        {title}
+      </span>
+    </div>
+  );
+}
+
+// ─── Library text search results ──────────────────────────────────────────────
+// Hits from the `book_pages` index, grouped per book — a few pages each, with a
+// count of the rest. Clicking a page opens the reader there with the query
+// highlighted.
+function TextSearchResults({ groups, searching, onOpen }) {
+  return (
+    <section className="max-w-7xl mx-auto mt-10 sm:mt-14">
+      <div className="flex items-center gap-3 mb-4">
+        <h2 className="text-lg sm:text-xl font-serif text-neutral-800 dark:text-neutral-100">Inside your books</h2>
+        {searching && (
+          <div className="w-4 h-4 border-2 border-amber-500 border-t-transparent rounded-full animate-spin" />
+        )}
+      </div>
+      <div className="flex flex-col gap-3">
+        {groups.map(({ book, hits }) => {
+          const morePages = hits[0].bookMatches - hits.length;
+          return (
+            <div
+              key={book.id}
+              className="flex gap-4 p-3 sm:p-4 rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm"
+            >
+              <div className="w-12 sm:w-14 aspect-[2/3] rounded-lg overflow-hidden shrink-0 shadow-md">
+                {book.coverThumb ? (
+                  <img src={book.coverThumb} alt={book.title} className="w-full h-full object-cover" />
+                ) : (
+                  <DefaultCover title={book.title} />
+                )}
+              </div>
+              <div className="min-w-0 flex-1">
+                <h3 className="text-sm font-serif font-bold text-neutral-900 dark:text-white truncate">{book.title}</h3>
+                <p className="text-xs text-neutral-500 dark:text-neutral-400 truncate mb-2">{book.author}</p>
+                <div className="flex flex-col gap-1">
+                  {hits.map((hit) => (
+                    <button
+                      key={hit.page}
+                      onClick={() => onOpen(book, hit.page)}
+                      className="text-left flex items-start gap-3 rounded-lg px-2 py-1.5 -mx-2 hover:bg-amber-500/10 transition-colors"
+                    >
+                      <span className="text-amber-600 text-xs font-semibold tabular-nums shrink-0 w-12">p. {hit.page}</span>
+                      <span className="text-xs text-neutral-600 dark:text-neutral-400 leading-relaxed break-words min-w-0">
+                        {hit.snippet.before}
+                        <mark className="bg-amber-500/30 text-inherit rounded-sm px-0.5">{hit.snippet.match}</mark>
+                        {hit.snippet.after}
+                      </span>
+                    </button>
+                  ))}
+                  {morePages > 0 && (
+                    <p className="text-[11px] text-neutral-500 px-0.5">
+                      +{morePages} more {morePages === 1 ? 'page' : 'pages'} — open the book and search to see them all
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+// ─── Book Info Confirmation Modal ─────────────────────────────────────────────
+// Shared by the book dialogs' form fields
+const FIELD_INPUT_CLASS = 'w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 text-white text-sm placeholder-neutral-600 focus:outline-none focus:border-amber-500/60 focus:bg-white/8 transition-all duration-200';
+const FIELD_LABEL_CLASS = 'block text-xs font-semibold text-neutral-400 tracking-wider uppercase mb-1.5';
+
+function BookInfoModal({ initialData, library = [], busy = false, onConfirm, onCancel, onOpenExisting, onReplaceExisting }) {
+  const [title, setTitle] = useState(initialData.title);
+  const [author, setAuthor] = useState(initialData.author);
+  const [cover, setCover] = useState(initialData.cover);
+  const [details, setDetails] = useState(() => ({
+    year: initialData.year ? String(initialData.year) : '',
+    isbn: initialData.isbn || '',
+    genre: initialData.genre || '',
+    description: initialData.description || '',
+  }));
+  const setDetail = (name) => (e) => setDetails((d) => ({ ...d, [name]: e.target.value }));
+  const candidates = initialData.candidates || [];
+  const values = { title, author, cover, ...details };
+
+  // Takes fields from a candidate — one at a time, or everything it has
+  const pickFields = (candidate, fields) => {
+    fields.filter((f) => candidate[f]).forEach((f) => {
+      if (f === 'title') setTitle(candidate.title);
+      else if (f === 'author') setAuthor(candidate.author);
+      else if (f === 'cover') setCover(candidate.cover);
+      else setDetails((d) => ({ ...d, [f]: String(candidate[f]) }));
+    });
+  };
+
+  // Re-checked as the title/author are edited; a matching file wins over matching details
+  const duplicate = useMemo(
+    () => findDuplicateBook(library, { contentHash: initialData.contentHash, title, author }),
+    [library, initialData.contentHash, title, author],
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm({ title, author, cover, ...details, year: Number.parseInt(details.year, 10) || null });
+  };
+
+  // Close on backdrop click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onCancel();
+  };
+
+  return (
+    <div
+      onClick={handleBackdropClick}
+      className="fixed inset-0 z-[200] flex items-center justify-center p-6"
+      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
+    >
+      <div
+        className={`relative w-full ${candidates.length > 1 ? 'max-w-3xl' : 'max-w-lg'} max-h-[90vh] overflow-y-auto rounded-3xl shadow-2xl`}
+        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Amber glow top */}
+        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-72 h-32 rounded-full blur-[60px] pointer-events-none"
+          style={{ background: 'rgba(217,119,6,0.15)' }} />
+
+        <div className="relative z-10 p-8">
+          {/* Header */}
+          <div className="flex items-start justify-between mb-7">
+            <div>
+              <h2 className="text-white font-serif text-xl font-bold leading-tight">Confirm Book Details</h2>
+              <p className="text-neutral-500 text-xs mt-1">
+                {candidates.length > 1
+                  ? 'We found a few matches — pick the right one, or mix fields from several.'
+                  : 'We found this info automatically — review and edit if needed.'}
+              </p>
+            </div>
+            <button
+              onClick={onCancel}
+              className="text-neutral-600 hover:text-white transition-colors p-1.5 rounded-full hover:bg-white/10 ml-4 shrink-0"
+              title="Cancel"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+                <path d="M18 6L6 18M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Already in the library */}
+          {duplicate && (
+            <div className="mb-6 p-3 rounded-2xl" style={{ background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.3)' }}>
+              <p className="text-amber-400 text-xs font-semibold mb-2.5">
+                {duplicate.reason === 'file'
+                  ? 'This file is already in your library'
+                  : 'A book with this title and author is already in your library'}
+              </p>
+              <div className="flex items-center gap-3">
+                <div className="w-9 aspect-[2/3] rounded-md overflow-hidden shrink-0 shadow-md">
+                  {duplicate.book.coverThumb ? (
+                    <img src={duplicate.book.coverThumb} alt={duplicate.book.title} className="w-full h-full object-cover" />
+                  ) : (
+                    <div className="w-full h-full" style={{ background: 'linear-gradient(135deg, #2d1b69, #11998e)' }} />
+                  )}
+                </div>
+                <div className="min-w-0 flex-1">
+                  <p className="text-white text-sm font-semibold truncate">{duplicate.book.title}</p>
+                  <p className="text-neutral-500 text-xs truncate">{duplicate.book.author}</p>
+                </div>
+                <div className="flex flex-col sm:flex-row gap-1.5 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => onOpenExisting(duplicate.book)}
+                    disabled={busy || !duplicate.book.pdfPath}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium text-neutral-300 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 disabled:opacity-40 transition-all duration-200"
+                  >
+                    Open it
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onReplaceExisting(duplicate.book)}
+                    disabled={busy}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium text-amber-400 hover:text-amber-300 border border-amber-500/30 hover:bg-amber-500/10 disabled:opacity-40 transition-all duration-200"
+                    title="Use this file for the existing book — its notes and bookmarks are kept"
+                  >
+                    Replace file
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Candidates from every metadata provider, best first */}
+          {candidates.length > 1 && (
+            <div className="mb-6">
+              <p className={FIELD_LABEL_CLASS}>Matches</p>
+              <div className="flex gap-3 overflow-x-auto pb-2">
+                {candidates.map((candidate) => (
+                  <MetadataCandidateCard
+                    key={candidate.id}
+                    candidate={candidate}
+                    values={values}
+                    onPick={(fields) => pickFields(candidate, fields)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-5 sm:gap-6">
+            {/* Cover preview */}
+            <div className="shrink-0 w-20 sm:w-28 aspect-[2/3] rounded-xl overflow-hidden shadow-lg border border-white/10 mx-auto sm:mx-0">
+              {cover ? (
+                <img
+                  src={cover}
+                  alt="Cover preview"
+                  className="w-full h-full object-cover"
+                />
+              ) : (
+                <div
                   className="w-full h-full flex items-center justify-center p-2"
                   style={{ background: 'linear-gradient(135deg, #2d1b69, #11998e)' }}
                 >
@@ -866,6 +2864,21 @@ function BookInfoModal({ initialData, onConfirm, onCancel }) {
                 />
               </div>
 
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className={FIELD_LABEL_CLASS}>Year</label>
+                  <input type="number" value={details.year} onChange={setDetail('year')} className={FIELD_INPUT_CLASS} />
+                </div>
+                <div>
+                  <label className={FIELD_LABEL_CLASS}>ISBN</label>
+                  <input type="text" value={details.isbn} onChange={setDetail('isbn')} className={FIELD_INPUT_CLASS} />
+                </div>
+                <div>
+                  <label className={FIELD_LABEL_CLASS}>Genre</label>
+                  <input type="text" value={details.genre} onChange={setDetail('genre')} className={FIELD_INPUT_CLASS} />
+                </div>
+              </div>
+
               <div className="flex gap-3 mt-1">
                 <button
                   type="button"
@@ -876,10 +2889,11 @@ function BookInfoModal({ initialData, onConfirm, onCancel }) {
                 </button>
                 <button
                   type="submit"
-                  className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95"
+                  disabled={busy}
+                  className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95 disabled:opacity-50"
                   style={{ background: 'linear-gradient(135deg, #d97706, #b45309)' }}
                 >
-                  Add to Library
+                  {duplicate ? 'Add anyway' : 'Add to Library'}
                 </button>
               </div>
             </form>
@@ -890,12 +2904,69 @@ function BookInfoModal({ initialData, onConfirm, onCancel }) {
   );
 }
 
-// ─── Delete Confirmation Modal ────────────────────────────────────────────────
-function DeleteConfirmModal({ book, onConfirm, onCancel }) {
-  // Close on backdrop click
-  const handleBackdropClick = (e) => {
-    if (e.target === e.currentTarget) onCancel();
-  };
+// One metadata candidate in BookInfoModal. Click a field to use just that
+// field; fields already in use are ticked.
+const CANDIDATE_FIELD_LABELS = { title: 'Title', author: 'Author', year: 'Year', isbn: 'ISBN', genre: 'Genre', description: 'About' };
+
+function MetadataCandidateCard({ candidate, values, onPick }) {
+  const inUse = (field) => String(values[field] ?? '') === String(candidate[field]);
+  return (
+    <div className="shrink-0 w-52 flex flex-col gap-1 p-2.5 rounded-2xl" style={{ background: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.08)' }}>
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <span className="text-[10px] font-semibold tracking-wider uppercase text-amber-500/90 truncate">{candidate.sourceLabel}</span>
+        <button
+          type="button"
+          onClick={() => onPick(METADATA_FIELDS)}
+          className="shrink-0 text-[10px] font-medium text-neutral-400 hover:text-amber-400 transition-colors"
+        >
+          Use all
+        </button>
+      </div>
+      {candidate.cover && (
+        <button
+          type="button"
+          onClick={() => onPick(['cover'])}
+          className={`self-start w-12 aspect-[2/3] rounded overflow-hidden shadow-md ring-2 transition-all ${inUse('cover') ? 'ring-amber-500' : 'ring-transparent hover:ring-white/30'}`}
+          title="Use this cover"
+        >
+          <img src={candidate.cover} alt="" className="w-full h-full object-cover" />
+        </button>
+      )}
+      {Object.entries(CANDIDATE_FIELD_LABELS).filter(([field]) => candidate[field]).map(([field, label]) => (
+        <button
+          key={field}
+          type="button"
+          onClick={() => onPick([field])}
+          className={`text-left px-1.5 py-1 rounded-lg text-xs transition-colors ${inUse(field) ? 'bg-amber-500/10 text-amber-300' : 'text-neutral-300 hover:bg-white/5'}`}
+          title={`Use this ${label.toLowerCase()}`}
+        >
+          <span className="block text-[9px] uppercase tracking-wider text-neutral-500">{label}</span>
+          <span className={field === 'description' ? 'line-clamp-2' : 'block truncate'}>{candidate[field]}</span>
+        </button>
+      ))}
+      {candidate.note && <p className="text-[10px] text-neutral-500 px-1.5">{candidate.note}</p>}
+    </div>
+  );
+}
+
+// ─── Book Edit Modal ──────────────────────────────────────────────────────────
+// Edits a book already in the library: its details, a metadata lookup with a
+// custom query (pick any of the matches), and the cover — rendered from any
+// page of a PDF or uploaded as an image.
+function BookEditModal({ book, onSave, onLoadFile, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    title: book.title,
+    author: book.author,
+    series: book.series,
+    genre: book.genre,
+    year: book.year ? String(book.year) : '',
+    isbn: book.isbn,
+    description: book.description,
+    tags: book.tags.join(', '),
+  }));
+  const [cover, setCover] = useState(book.cover);
+  const [saving, setSaving] = useState(false);
+  const setField = (name) => (e) => setForm((f) => ({ ...f, [name]: e.target.value }));
 
   // Close on Escape key
   useEffect(() => {
@@ -904,45 +2975,528 @@ function DeleteConfirmModal({ book, onConfirm, onCancel }) {
     return () => window.removeEventListener('keydown', handler);
   }, [onCancel]);
 
-  return (
-    <div
-      onClick={handleBackdropClick}
-      className="fixed inset-0 z-[200] flex items-center justify-center p-6"
-      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
-    >
-      <div
-        className="relative w-full max-w-sm rounded-3xl overflow-hidden shadow-2xl"
-        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
-        onClick={(e) => e.stopPropagation()}
-      >
-        {/* Red glow */}
-        <div
-          className="absolute top-0 left-1/2 -translate-x-1/2 w-64 h-24 rounded-full blur-[50px] pointer-events-none"
-          style={{ background: 'rgba(239,68,68,0.12)' }}
-        />
+  // ── Lookup ──
+  const [query, setQuery] = useState(() =>
+    `${book.title} ${book.author === 'Unknown Author' ? '' : book.author}`.trim());
+  const [results, setResults] = useState(null); // null until the first search
+  const [searching, setSearching] = useState(false);
+
+  const runLookup = async () => {
+    if (!query.trim()) return;
+    setSearching(true);
+    setResults((await searchMetadata(query.trim())).filter((c) => c.title));
+    setSearching(false);
+  };
 
-        <div className="relative z-10 p-7">
-          {/* Icon + heading */}
-          <div className="flex items-center gap-3 mb-5">
-            <div className="p-2.5 rounded-full bg-red-500/15 text-red-400">
-              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                <polyline points="3 6 5 6 21 6" />
-                <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+  // Fills in what the match has; fields it doesn't know keep their values
+  const applyResult = (result) => {
+    setForm((f) => ({
+      ...f,
+      title: result.title || f.title,
+      author: result.author || f.author,
+      year: result.year ? String(result.year) : f.year,
+      isbn: result.isbn || f.isbn,
+      genre: result.genre || f.genre,
+      description: result.description || f.description,
+    }));
+    if (result.cover) setCover(result.cover);
+  };
+
+  // ── Cover ──
+  const canRenderPages = book.format !== 'epub' && !!book.pdfPath;
+  const [coverPage, setCoverPage] = useState('1');
+  const [coverBusy, setCoverBusy] = useState(false);
+  const bookFileRef = useRef(null); // downloaded once, reused for every page tried
+  const imageInputRef = useRef(null);
+
+  const renderCoverPage = async () => {
+    const page = Math.round(Number(coverPage));
+    if (!page || page < 1 || (book.pageCount && page > book.pageCount)) return;
+    setCoverBusy(true);
+    try {
+      bookFileRef.current ||= await onLoadFile();
+      setCover(await coverFromPdfPage(bookFileRef.current, page));
+    } catch (err) {
+      console.error('Failed to render cover page:', err.message);
+      alert(`Couldn't render page ${page}: ${err.message}`);
+    } finally {
+      setCoverBusy(false);
+    }
+  };
+
+  const handleCoverImage = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    const dataUrl = await imageFileToCover(file);
+    if (dataUrl) setCover(dataUrl);
+    else alert(`"${file.name}" couldn't be read as an image.`);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({
+        ...form,
+        cover,
+        year: Number.parseInt(form.year, 10) || null,
+        tags: [...new Set(form.tags.split(',').map((t) => t.trim()).filter(Boolean))],
+      });
+    } catch {
+      setSaving(false); // already reported; keep the edits so the user can retry
+    }
+  };
+
+  // Close on backdrop click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onCancel();
+  };
+
+  return (
+    <div
+      onClick={handleBackdropClick}
+      className="fixed inset-0 z-[200] flex items-center justify-center p-6"
+      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
+    >
+      <div
+        className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-3xl shadow-2xl"
+        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Amber glow top */}
+        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-72 h-32 rounded-full blur-[60px] pointer-events-none"
+          style={{ background: 'rgba(217,119,6,0.15)' }} />
+
+        <form onSubmit={handleSubmit} className="relative z-10 p-8">
+          {/* Header */}
+          <div className="flex items-start justify-between mb-7">
+            <div>
+              <h2 className="text-white font-serif text-xl font-bold leading-tight">Edit Book Details</h2>
+              <p className="text-neutral-500 text-xs mt-1">Notes, bookmarks and reading progress aren't affected.</p>
+            </div>
+            <button
+              type="button"
+              onClick={onCancel}
+              className="text-neutral-600 hover:text-white transition-colors p-1.5 rounded-full hover:bg-white/10 ml-4 shrink-0"
+              title="Cancel"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+                <path d="M18 6L6 18M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-6">
+            {/* Cover preview + ways to change it */}
+            <div className="shrink-0 w-32 mx-auto sm:mx-0 flex flex-col gap-2.5">
+              <div className="relative w-full aspect-[2/3] rounded-xl overflow-hidden shadow-lg border border-white/10">
+                {cover ? (
+                  <img src={cover} alt="Cover preview" className="w-full h-full object-cover" />
+                ) : (
+                  <DefaultCover title={form.title} />
+                )}
+                {coverBusy && (
+                  <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+                    <div className="w-6 h-6 border-2 border-amber-500 border-t-transparent rounded-full animate-spin" />
+                  </div>
+                )}
+              </div>
+              {canRenderPages && (
+                <div className="flex items-center gap-1.5">
+                  <input
+                    type="number"
+                    min={1}
+                    max={book.pageCount || undefined}
+                    value={coverPage}
+                    onChange={(e) => setCoverPage(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); renderCoverPage(); } }}
+                    className="w-14 bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white text-xs text-center focus:outline-none focus:border-amber-500/60"
+                    title="Page to use as the cover"
+                  />
+                  <button
+                    type="button"
+                    onClick={renderCoverPage}
+                    disabled={coverBusy}
+                    className="flex-1 py-1.5 rounded-lg text-xs font-medium text-neutral-300 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 disabled:opacity-40 transition-all duration-200"
+                  >
+                    Use page
+                  </button>
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={() => imageInputRef.current?.click()}
+                disabled={coverBusy}
+                className="py-1.5 rounded-lg text-xs font-medium text-neutral-300 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 disabled:opacity-40 transition-all duration-200"
+              >
+                Upload image…
+              </button>
+              {cover && (
+                <button
+                  type="button"
+                  onClick={() => setCover(null)}
+                  className="text-[11px] text-neutral-500 hover:text-red-400 transition-colors"
+                >
+                  Remove cover
+                </button>
+              )}
+              <input ref={imageInputRef} type="file" accept="image/*" className="hidden" onChange={handleCoverImage} />
+            </div>
+
+            {/* Fields */}
+            <div className="flex-1 grid grid-cols-2 gap-4 content-start">
+              <div className="col-span-2">
+                <label className={FIELD_LABEL_CLASS}>Book Title</label>
+                <input type="text" value={form.title} onChange={setField('title')} placeholder="Enter book title…" className={FIELD_INPUT_CLASS} autoFocus />
+              </div>
+              <div className="col-span-2">
+                <label className={FIELD_LABEL_CLASS}>Author</label>
+                <input type="text" value={form.author} onChange={setField('author')} placeholder="Enter author name…" className={FIELD_INPUT_CLASS} />
+              </div>
+              <div>
+                <label className={FIELD_LABEL_CLASS}>Series</label>
+                <input type="text" value={form.series} onChange={setField('series')} placeholder="e.g. Discworld #4" className={FIELD_INPUT_CLASS} />
+              </div>
+              <div>
+                <label className={FIELD_LABEL_CLASS}>Genre</label>
+                <input type="text" value={form.genre} onChange={setField('genre')} placeholder="e.g. Fantasy" className={FIELD_INPUT_CLASS} />
+              </div>
+              <div>
+                <label className={FIELD_LABEL_CLASS}>Year</label>
+                <input type="number" value={form.year} onChange={setField('year')} placeholder="e.g. 1987" className={FIELD_INPUT_CLASS} />
+              </div>
+              <div>
+                <label className={FIELD_LABEL_CLASS}>ISBN</label>
+                <input type="text" value={form.isbn} onChange={setField('isbn')} placeholder="978…" className={FIELD_INPUT_CLASS} />
+              </div>
+              <div className="col-span-2">
+                <label className={FIELD_LABEL_CLASS}>Tags</label>
+                <input type="text" value={form.tags} onChange={setField('tags')} placeholder="Comma-separated, e.g. classics, to-reread" className={FIELD_INPUT_CLASS} />
+              </div>
+              <div className="col-span-2">
+                <label className={FIELD_LABEL_CLASS}>Description</label>
+                <textarea value={form.description} onChange={setField('description')} rows={3} placeholder="What's it about?" className={`${FIELD_INPUT_CLASS} resize-y`} />
+              </div>
+            </div>
+          </div>
+
+          {/* Lookup: search the metadata providers with any query and pick a match */}
+          <div className="mt-6 p-4 rounded-2xl" style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.06)' }}>
+            <label className={FIELD_LABEL_CLASS}>Look up details</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); runLookup(); } }}
+                placeholder="Title, author or ISBN…"
+                className={FIELD_INPUT_CLASS}
+              />
+              <button
+                type="button"
+                onClick={runLookup}
+                disabled={searching || !query.trim()}
+                className="shrink-0 px-4 rounded-xl text-sm font-medium text-amber-400 hover:text-amber-300 border border-amber-500/30 hover:bg-amber-500/10 disabled:opacity-40 transition-all duration-200"
+              >
+                {searching ? 'Searching…' : 'Search'}
+              </button>
+            </div>
+            {results && !results.length && !searching && (
+              <p className="text-neutral-500 text-xs mt-3">No matches — try a different query.</p>
+            )}
+            {results?.length > 0 && (
+              <div className="mt-3 flex flex-col gap-1.5 max-h-56 overflow-y-auto">
+                {results.map((result) => (
+                  <button
+                    key={result.id}
+                    type="button"
+                    onClick={() => applyResult(result)}
+                    className="flex items-center gap-3 p-2 rounded-xl text-left hover:bg-white/5 border border-transparent hover:border-white/10 transition-all duration-200"
+                    title="Use these details"
+                  >
+                    <div className="w-8 aspect-[2/3] rounded overflow-hidden shrink-0 shadow-md">
+                      {result.cover
+                        ? <img src={result.cover} alt="" className="w-full h-full object-cover" />
+                        : <DefaultCover title={result.title} />}
+                    </div>
+                    <div className="min-w-0 flex-1">
+                      <p className="text-white text-sm font-semibold truncate">{result.title || 'Untitled'}</p>
+                      <p className="text-neutral-500 text-xs truncate">
+                        {[result.author, result.year, result.isbn, result.sourceLabel].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="flex-1 py-2.5 rounded-xl text-sm font-medium text-neutral-400 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || coverBusy}
+              className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95 disabled:opacity-50"
+              style={{ background: 'linear-gradient(135deg, #d97706, #b45309)' }}
+            >
+              {saving ? 'Saving…' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// ─── Upload Queue Modal ──────────────────────────────────────────────────────
+// Batch counterpart to BookInfoModal: one editable row per file, each with its
+// own lookup / upload state, and a single "Add all".
+function UploadQueueModal({ items, library = [], running, onChange, onRemove, onRetry, onAddAll, onClose }) {
+  const looking = items.filter(i => i.status === 'lookup').length;
+  const pending = items.filter(i => i.status === 'ready' || i.status === 'error').length;
+  const failed = items.filter(i => i.status === 'error').length;
+  const added = items.filter(i => i.status === 'done').length;
+  const allDone = added === items.length;
+
+  // Close on Escape — not mid-upload
+  useEffect(() => {
+    const handler = (e) => { if (e.key === 'Escape' && !running) onClose(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [running, onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-[200] flex items-center justify-center p-4 sm:p-6"
+      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
+    >
+      <div
+        className="relative w-full max-w-2xl max-h-full flex flex-col rounded-3xl overflow-hidden shadow-2xl"
+        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
+      >
+        {/* Amber glow top */}
+        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-72 h-32 rounded-full blur-[60px] pointer-events-none"
+          style={{ background: 'rgba(217,119,6,0.15)' }} />
+
+        {/* Header */}
+        <div className="relative z-10 flex items-start justify-between px-6 sm:px-8 pt-7 pb-5 shrink-0">
+          <div>
+            <h2 className="text-white font-serif text-xl font-bold leading-tight">
+              Add {items.length} {items.length === 1 ? 'Book' : 'Books'}
+            </h2>
+            <p className="text-neutral-500 text-xs mt-1">
+              {looking
+                ? `Looking up details… ${items.length - looking} of ${items.length} ready`
+                : allDone
+                  ? 'All books were added to your library.'
+                  : `Review titles and authors, then add them all at once.${added ? ` ${added} added.` : ''}${failed ? ` ${failed} failed.` : ''}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={running}
+            className="text-neutral-600 hover:text-white disabled:opacity-30 transition-colors p-1.5 rounded-full hover:bg-white/10 ml-4 shrink-0"
+            title="Close"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Rows */}
+        <ul className="relative z-10 flex-1 min-h-0 overflow-y-auto px-6 sm:px-8 flex flex-col gap-2 scrollbar-thin">
+          {items.map((item) => {
+            const editable = item.status === 'ready' || item.status === 'error';
+            const duplicate = editable ? findDuplicateBook(library, item) : null;
+            return (
+              <li
+                key={item.id}
+                className="flex items-center gap-3 p-2.5 rounded-2xl"
+                style={{ background: 'rgba(255,255,255,0.04)', border: `1px solid ${item.status === 'error' ? 'rgba(239,68,68,0.35)' : 'rgba(255,255,255,0.06)'}` }}
+              >
+                <div className="w-9 aspect-[2/3] rounded-md overflow-hidden shrink-0 shadow-md">
+                  {item.cover ? (
+                    <img src={item.cover} alt="" className="w-full h-full object-cover" />
+                  ) : (
+                    <div className="w-full h-full" style={{ background: 'linear-gradient(135deg, #2d1b69, #11998e)' }} />
+                  )}
+                </div>
+
+                <div className="flex-1 min-w-0 grid grid-cols-1 sm:grid-cols-2 gap-1.5">
+                  <input
+                    type="text"
+                    value={item.title}
+                    onChange={(e) => onChange(item.id, { title: e.target.value })}
+                    disabled={!editable || running}
+                    placeholder="Title"
+                    className="min-w-0 bg-white/5 border border-white/10 rounded-lg px-2.5 py-1.5 text-white text-xs placeholder-neutral-600 focus:outline-none focus:border-amber-500/60 disabled:opacity-60 transition-all duration-200"
+                  />
+                  <input
+                    type="text"
+                    value={item.author}
+                    onChange={(e) => onChange(item.id, { author: e.target.value })}
+                    disabled={!editable || running}
+                    placeholder="Author"
+                    className="min-w-0 bg-white/5 border border-white/10 rounded-lg px-2.5 py-1.5 text-white text-xs placeholder-neutral-600 focus:outline-none focus:border-amber-500/60 disabled:opacity-60 transition-all duration-200"
+                  />
+                  <p className="sm:col-span-2 text-[10px] text-neutral-600 truncate" title={item.file.name}>
+                    {item.file.name}
+                    {item.status === 'error' && <span className="text-red-400"> — {item.error}</span>}
+                    {duplicate && (
+                      <span className="text-amber-500"> — already in your library as “{duplicate.book.title}”</span>
+                    )}
+                  </p>
+                </div>
+
+                {/* Status / actions */}
+                <div className="w-20 shrink-0 flex items-center justify-end gap-1">
+                  {item.status === 'lookup' && (
+                    <span className="flex items-center gap-1.5 text-[10px] text-neutral-500">
+                      <span className="w-3 h-3 border-2 border-amber-500 border-t-transparent rounded-full animate-spin" />
+                      Lookup
+                    </span>
+                  )}
+                  {item.status === 'uploading' && (
+                    <div className="w-full">
+                      <div className="h-1 rounded-full bg-white/10 overflow-hidden">
+                        <div className="h-full bg-amber-500 transition-all duration-200" style={{ width: `${item.progress * 100}%` }} />
+                      </div>
+                      <p className="text-[10px] text-neutral-500 tabular-nums text-right mt-1">{Math.round(item.progress * 100)}%</p>
+                    </div>
+                  )}
+                  {item.status === 'done' && (
+                    <span className="flex items-center gap-1 text-[10px] font-semibold text-emerald-400">
+                      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+                        <polyline points="20 6 9 17 4 12" />
+                      </svg>
+                      Added
+                    </span>
+                  )}
+                  {item.status === 'error' && (
+                    <button
+                      onClick={() => onRetry(item)}
+                      disabled={running}
+                      className="text-[10px] font-semibold text-amber-500 hover:text-amber-400 disabled:opacity-40 px-2 py-1 rounded-md hover:bg-amber-500/10 transition-colors"
+                    >
+                      Retry
+                    </button>
+                  )}
+                  {(editable || item.status === 'lookup') && (
+                    <button
+                      onClick={() => onRemove(item.id)}
+                      disabled={running}
+                      className="text-neutral-600 hover:text-white disabled:opacity-30 p-1 rounded-full hover:bg-white/10 transition-colors"
+                      title="Remove from queue"
+                    >
+                      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+                        <path d="M18 6L6 18M6 6l12 12" />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        {/* Actions */}
+        <div className="relative z-10 flex gap-3 px-6 sm:px-8 py-6 shrink-0">
+          {allDone ? (
+            <button
+              onClick={onClose}
+              className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95"
+              style={{ background: 'linear-gradient(135deg, #d97706, #b45309)' }}
+            >
+              Done
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={onClose}
+                disabled={running}
+                className="flex-1 py-2.5 rounded-xl text-sm font-medium text-neutral-400 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 disabled:opacity-40 transition-all duration-200"
+              >
+                {added ? 'Close' : 'Cancel'}
+              </button>
+              <button
+                onClick={onAddAll}
+                disabled={running || looking > 0 || !pending}
+                className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95 disabled:opacity-50 disabled:active:scale-100"
+                style={{ background: 'linear-gradient(135deg, #d97706, #b45309)' }}
+              >
+                {running ? 'Adding…' : `Add all${pending ? ` (${pending})` : ''}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Delete Confirmation Modal ────────────────────────────────────────────────
+function DeleteConfirmModal({ book, onConfirm, onCancel }) {
+  // Close on backdrop click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onCancel();
+  };
+
+  // Close on Escape key
+  useEffect(() => {
+    const handler = (e) => { if (e.key === 'Escape') onCancel(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [onCancel]);
+
+  return (
+    <div
+      onClick={handleBackdropClick}
+      className="fixed inset-0 z-[200] flex items-center justify-center p-6"
+      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
+    >
+      <div
+        className="relative w-full max-w-sm rounded-3xl overflow-hidden shadow-2xl"
+        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Red glow */}
+        <div
+          className="absolute top-0 left-1/2 -translate-x-1/2 w-64 h-24 rounded-full blur-[50px] pointer-events-none"
+          style={{ background: 'rgba(239,68,68,0.12)' }}
+        />
+
+        <div className="relative z-10 p-7">
+          {/* Icon + heading */}
+          <div className="flex items-center gap-3 mb-5">
+            <div className="p-2.5 rounded-full bg-red-500/15 text-red-400">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <polyline points="3 6 5 6 21 6" />
+                <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
                 <path d="M10 11v6M14 11v6" />
                 <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
               </svg>
             </div>
             <div>
-              <h2 className="text-white font-serif text-lg font-bold leading-tight">Remove Book?</h2>
-              <p className="text-neutral-500 text-xs mt-0.5">This can't be undone.</p>
+              <h2 className="text-white font-serif text-lg font-bold leading-tight">Move to Trash?</h2>
+              <p className="text-neutral-500 text-xs mt-0.5">
+                Notes and bookmarks go with it. You can restore it for {TRASH_RETENTION_DAYS} days.
+              </p>
             </div>
           </div>
 
           {/* Book preview row */}
           <div className="flex items-center gap-4 p-3 rounded-2xl mb-6" style={{ background: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.06)' }}>
             <div className="w-10 aspect-[2/3] rounded-lg overflow-hidden shrink-0 shadow-md">
-              {book.cover ? (
-                <img src={book.cover} alt={book.title} className="w-full h-full object-cover" />
+              {book.coverThumb ? (
+                <img src={book.coverThumb} alt={book.title} className="w-full h-full object-cover" />
               ) : (
                 <div className="w-full h-full" style={{ background: 'linear-gradient(135deg, #2d1b69, #11998e)' }} />
               )}
@@ -966,7 +3520,7 @@ function DeleteConfirmModal({ book, onConfirm, onCancel }) {
               className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95"
               style={{ background: 'linear-gradient(135deg, #dc2626, #991b1b)' }}
             >
-              Remove
+              Move to Trash
             </button>
           </div>
         </div>
@@ -975,184 +3529,2645 @@ function DeleteConfirmModal({ book, onConfirm, onCancel }) {
   );
 }
 
-// ─── PDF Reader ───────────────────────────────────────────────────────────────
-// How many pages above and below the current page to keep rendered.
-// Everything outside this window is replaced by a lightweight placeholder div.
-const PDF_RENDER_BUFFER = 2;
+// ─── Undo toast: shown for a few seconds after a book is trashed ─────────────
+function UndoToast({ book, onUndo, onDismiss }) {
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[210] flex items-center gap-3 pl-4 pr-2 py-2 rounded-2xl shadow-2xl text-sm"
+      style={{ background: '#1c1a17', border: '1px solid rgba(255,255,255,0.1)', maxWidth: 'calc(100vw - 2rem)' }}
+    >
+      <span className="text-neutral-300 truncate">
+        Moved <span className="text-white font-semibold">{book.title}</span> to the Trash
+      </span>
+      <button
+        onClick={onUndo}
+        className="shrink-0 px-3 py-1.5 rounded-xl text-xs font-semibold text-amber-400 hover:bg-amber-500/10 transition-colors"
+      >
+        Undo
+      </button>
+      <button onClick={onDismiss} className="shrink-0 p-1.5 rounded-full text-neutral-500 hover:text-white transition-colors" title="Dismiss">
+        <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+          <path d="M18 6L6 18M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+  );
+}
 
-function PDFReader({ book, onClose, bookmarks, onUpdateBookmarks, session }) {
-  const [numPages, setNumPages] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  // Start at a smaller scale on narrow screens so the page fits without horizontal scroll
-  const [scale, setScale] = useState(() => window.innerWidth < 640 ? 0.6 : 1.2);
-  const [loadError, setLoadError] = useState(false);
-  const [pdfDark, setPdfDark] = useState(false);
-  const [bookmarkPanelOpen, setBookmarkPanelOpen] = useState(false);
-  const [notes, setNotes] = useState([]);
+// ─── Trash view: restore or permanently delete soft-deleted books ────────────
+function TrashView({ books, purgingIds, onRestore, onPurge }) {
+  if (!books.length) {
+    return (
+      <div className="flex flex-col items-center justify-center py-24 text-center gap-2 max-w-7xl mx-auto">
+        <p className="text-neutral-500 dark:text-neutral-600 text-sm font-medium">The Trash is empty.</p>
+        <p className="text-neutral-400 dark:text-neutral-700 text-xs">
+          Removed books stay here for {TRASH_RETENTION_DAYS} days before they're deleted for good.
+        </p>
+      </div>
+    );
+  }
 
-  // ── Load notes from Supabase when the reader opens ─────────────────────────
-  useEffect(() => {
-    if (!session) return;
-    supabase
-      .from('notes')
-      .select('*')
-      .eq('book_id', book.id)
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <p className="text-xs text-neutral-500">
+          Books in the Trash are deleted permanently after {TRASH_RETENTION_DAYS} days.
+        </p>
+        <button
+          onClick={() => onPurge(books)}
+          disabled={purgingIds.size > 0}
+          className="shrink-0 text-xs text-red-500 hover:text-red-400 underline underline-offset-2 transition-colors disabled:opacity-50"
+        >
+          Empty Trash
+        </button>
+      </div>
+      <div className="rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm">
+        {books.map((book) => {
+          const daysLeft = daysLeftInTrash(book);
+          const purging = purgingIds.has(book.id);
+          return (
+            <div
+              key={book.id}
+              className={`flex items-center gap-3 px-4 py-2.5 border-b last:border-b-0 border-neutral-200/70 dark:border-white/5 ${purging ? 'opacity-50' : ''}`}
+            >
+              <div className="w-7 aspect-[2/3] rounded overflow-hidden shrink-0 shadow-sm">
+                {book.coverThumb
+                  ? <img src={book.coverThumb} alt="" className="w-full h-full object-cover" />
+                  : <DefaultCover title={book.title} />}
+              </div>
+              <div className="min-w-0 flex-1">
+                <p className="font-serif font-semibold text-sm text-neutral-900 dark:text-white truncate">{book.title}</p>
+                <p className="text-xs text-neutral-500 truncate">{book.author}</p>
+              </div>
+              <span className="hidden sm:block text-xs text-neutral-500 whitespace-nowrap">
+                {daysLeft > 1 ? `${daysLeft} days left` : 'Deleted within a day'}
+              </span>
+              <button
+                onClick={() => onRestore(book)}
+                disabled={purging}
+                className="shrink-0 px-3 py-1.5 rounded-xl text-xs font-semibold text-amber-600 hover:bg-amber-500/10 transition-colors disabled:opacity-50"
+              >
+                Restore
+              </button>
+              <button
+                onClick={() => onPurge([book])}
+                disabled={purging}
+                className="shrink-0 px-3 py-1.5 rounded-xl text-xs font-medium text-neutral-500 hover:text-red-500 hover:bg-red-500/10 transition-colors disabled:opacity-50"
+              >
+                {purging ? 'Deleting…' : 'Delete forever'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ─── Stats view: time read, pace, streaks and time left per book ─────────────
+const WEEKDAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+function StatTile({ label, value, detail }) {
+  return (
+    <div className="rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm px-4 py-3">
+      <p className="text-[11px] font-semibold uppercase tracking-wider text-neutral-500">{label}</p>
+      <p className="font-serif text-2xl font-bold text-neutral-900 dark:text-white mt-1 tabular-nums">{value}</p>
+      {detail && <p className="text-xs text-neutral-500 mt-0.5">{detail}</p>}
+    </div>
+  );
+}
+
+// Minutes per bar; the tallest bar fills the chart
+function MinutesChart({ title, bars }) {
+  const max = Math.max(1, ...bars.map((bar) => bar.minutes));
+  return (
+    <div className="rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm p-4">
+      <p className="text-xs font-semibold text-neutral-600 dark:text-neutral-300 mb-3">{title}</p>
+      <div className="flex items-end gap-1.5 h-28">
+        {bars.map((bar) => (
+          <div key={bar.key} className="flex-1 h-full flex flex-col items-center justify-end gap-1 min-w-0" title={bar.title}>
+            <div
+              className="w-full rounded-t-md bg-amber-500/80 transition-all duration-500"
+              style={{ height: `${(bar.minutes / max) * 100}%`, minHeight: bar.minutes ? '3px' : 0 }}
+            />
+            <span className="text-[10px] text-neutral-500 tabular-nums">{bar.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function StatsView({ sessions, books, libraryStats, onOpen }) {
+  const stats = useMemo(() => sessions && computeReadingStats(sessions), [sessions]);
+
+  if (!sessions) {
+    return <p className="text-center text-sm text-neutral-500 py-24">Loading your reading stats…</p>;
+  }
+  if (!sessions.length) {
+    return (
+      <div className="flex flex-col items-center justify-center py-24 text-center gap-2 max-w-7xl mx-auto">
+        <p className="text-neutral-500 dark:text-neutral-600 text-sm font-medium">No reading recorded yet.</p>
+        <p className="text-neutral-400 dark:text-neutral-700 text-xs">
+          Open a book and read for a while — your time, pace and streaks will show up here.
+        </p>
+      </div>
+    );
+  }
+
+  const finished = books.filter((book) => readingStatusOf(book, libraryStats) === 'finished').length;
+  const inProgress = books
+    .filter((book) => readingStatusOf(book, libraryStats) === 'reading')
+    .map((book) => {
+      const page = libraryStats[book.id]?.page || 0;
+      return { book, page, estimate: estimateTimeLeft(book, page, sessions) };
+    })
+    .sort((a, b) => (a.estimate?.minutes ?? Infinity) - (b.estimate?.minutes ?? Infinity));
+
+  const dayBars = stats.days.map((day) => ({
+    key: day.key,
+    minutes: day.minutes,
+    label: WEEKDAY_LETTERS[day.date.getDay()],
+    title: `${day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}: ${formatDuration(day.minutes)}, ${day.pages} pages`,
+  }));
+  const weekBars = stats.weeks.map((week) => ({
+    key: week.start.toISOString(),
+    minutes: week.minutes,
+    label: week.start.toLocaleDateString(undefined, { month: 'numeric', day: 'numeric' }),
+    title: `Week of ${week.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}: ${formatDuration(week.minutes)}, ${week.pages} pages`,
+  }));
+
+  return (
+    <div className="max-w-7xl mx-auto flex flex-col gap-4 sm:gap-6">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 sm:gap-4">
+        <StatTile label="Today" value={formatDuration(stats.todayMinutes)} />
+        <StatTile label="This week" value={formatDuration(stats.weekMinutes)} detail={`${formatDuration(stats.totalMinutes)} this year`} />
+        <StatTile
+          label="Pace"
+          value={stats.pagesPerHour ? `${Math.round(stats.pagesPerHour)} p/h` : '—'}
+          detail={stats.pagesPerHour ? 'pages per hour' : 'read a few more pages'}
+        />
+        <StatTile
+          label="Streak"
+          value={`${stats.streak.current} ${stats.streak.current === 1 ? 'day' : 'days'}`}
+          detail={`Longest: ${stats.streak.longest} ${stats.streak.longest === 1 ? 'day' : 'days'}`}
+        />
+        <StatTile label="Finished" value={finished} detail={finished === 1 ? 'book' : 'books'} />
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-3 sm:gap-4">
+        <MinutesChart title="Last 14 days" bars={dayBars} />
+        <MinutesChart title="Last 8 weeks" bars={weekBars} />
+      </div>
+
+      {inProgress.length > 0 && (
+        <div>
+          <p className="text-xs font-semibold text-neutral-600 dark:text-neutral-300 mb-2">Time to finish</p>
+          <div className="rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm">
+            {inProgress.map(({ book, page, estimate }) => (
+              <button
+                key={book.id}
+                onClick={() => onOpen(book)}
+                className="w-full text-left flex items-center gap-3 px-4 py-2.5 border-b last:border-b-0 border-neutral-200/70 dark:border-white/5 hover:bg-amber-500/5 transition-colors"
+              >
+                <div className="w-7 aspect-[2/3] rounded overflow-hidden shrink-0 shadow-sm">
+                  {book.coverThumb
+                    ? <img src={book.coverThumb} alt="" className="w-full h-full object-cover" />
+                    : <DefaultCover title={book.title} />}
+                </div>
+                <div className="min-w-0 flex-1">
+                  <p className="font-serif font-semibold text-sm text-neutral-900 dark:text-white truncate">{book.title}</p>
+                  <div className="mt-1 h-1 rounded-full bg-neutral-200 dark:bg-white/10 overflow-hidden">
+                    <div className="h-full bg-amber-500" style={{ width: `${progressOf(book, libraryStats) * 100}%` }} />
+                  </div>
+                </div>
+                <span className="text-right shrink-0">
+                  <span className="block text-sm font-semibold text-neutral-800 dark:text-neutral-100 tabular-nums">
+                    {estimate ? `~${formatDuration(estimate.minutes)}` : '—'}
+                  </span>
+                  <span className="block text-[11px] text-neutral-500">
+                    {book.pageCount ? `${Math.max(0, book.pageCount - page)} pages left` : 'page count unknown'}
+                    {estimate?.basis === 'overall' && ' · your usual pace'}
+                  </span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Reading goals: progress rings, yearly challenge, reminder, settings ─────
+function ProgressRing({ fraction, size = 44, stroke = 4, children }) {
+  const radius = (size - stroke) / 2;
+  const circumference = 2 * Math.PI * radius;
+  return (
+    <div className="relative shrink-0" style={{ width: size, height: size }}>
+      <svg width={size} height={size} className="-rotate-90">
+        <circle cx={size / 2} cy={size / 2} r={radius} fill="none" strokeWidth={stroke} className="stroke-neutral-300/60 dark:stroke-white/10" />
+        <circle
+          cx={size / 2} cy={size / 2} r={radius} fill="none" strokeWidth={stroke} strokeLinecap="round"
+          className={fraction >= 1 ? 'stroke-emerald-500' : 'stroke-amber-500'}
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - fraction)}
+          style={{ transition: 'stroke-dashoffset 0.6s ease' }}
+        />
+      </svg>
+      <div className="absolute inset-0 flex items-center justify-center">{children}</div>
+    </div>
+  );
+}
+
+// The goals that are on, as small rings for the library header
+function GoalRings({ progress, onOpenChallenge, onEditGoals }) {
+  const rings = [
+    { id: 'minutes', goal: progress.minutes, unit: 'min today', onClick: onEditGoals },
+    { id: 'pages', goal: progress.pages, unit: 'pages today', onClick: onEditGoals },
+    { id: 'books', goal: progress.books, unit: `books in ${new Date().getFullYear()}`, onClick: onOpenChallenge },
+  ].filter((ring) => ring.goal.target);
+
+  if (!rings.length) {
+    return (
+      <button onClick={onEditGoals} className="mt-3 text-xs font-medium text-amber-600 hover:text-amber-500 transition-colors">
+        Set a reading goal →
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-3 sm:mt-4 flex flex-wrap items-center gap-4">
+      {rings.map(({ id, goal, unit, onClick }) => (
+        <button key={id} onClick={onClick} className="flex items-center gap-2 text-left group" title={id === 'books' ? 'Reading challenge' : 'Reading goals'}>
+          <ProgressRing fraction={goalFraction(goal)} size={36} stroke={3.5}>
+            {goal.value >= goal.target && (
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round" className="text-emerald-500">
+                <polyline points="20 6 9 17 4 12" />
+              </svg>
+            )}
+          </ProgressRing>
+          <span className="leading-tight">
+            <span className="block text-sm font-semibold text-neutral-800 dark:text-neutral-100 tabular-nums group-hover:text-amber-600 transition-colors">
+              {Math.floor(goal.value)}<span className="text-neutral-400 font-normal">/{goal.target}</span>
+            </span>
+            <span className="block text-[11px] text-neutral-500">{unit}</span>
+          </span>
+        </button>
+      ))}
+      <button
+        onClick={onEditGoals}
+        title="Edit reading goals"
+        className="p-1.5 rounded-full text-neutral-400 hover:text-amber-600 hover:bg-amber-500/10 transition-colors"
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M12 20h9" />
+          <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+function GoalReminder({ message, onRead, onDismiss }) {
+  return (
+    <div className="mt-4 flex items-center gap-2.5 px-4 py-2 rounded-2xl text-xs border bg-amber-500/10 border-amber-500/30 text-amber-800 dark:text-amber-300">
+      <span className="w-2 h-2 rounded-full shrink-0 bg-amber-500" />
+      <p className="flex-1 min-w-0">{message}</p>
+      {onRead && (
+        <button onClick={onRead} className="font-semibold hover:underline shrink-0">Keep reading</button>
+      )}
+      <button onClick={onDismiss} className="p-0.5 rounded-full opacity-60 hover:opacity-100 transition-opacity" title="Not today">
+        <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+          <path d="M18 6L6 18M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+const MONTH_LETTERS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+function ChallengeView({ sessions, books, progress, onOpen, onEditGoals }) {
+  const year = new Date().getFullYear();
+  const finished = useMemo(() => (sessions ? booksFinishedIn(year, books, sessions) : []), [year, books, sessions]);
+
+  if (!sessions) {
+    return <p className="text-center text-sm text-neutral-500 py-24">Loading your reading challenge…</p>;
+  }
+
+  const { value, target, expected } = progress.books;
+  const ahead = Math.round(value - expected);
+  const pace = !target ? null
+    : value >= target ? `Challenge complete — ${value} of ${target} books read.`
+      : ahead > 0 ? `${ahead} ${ahead === 1 ? 'book' : 'books'} ahead of schedule.`
+        : ahead < 0 ? `${-ahead} ${ahead === -1 ? 'book' : 'books'} behind schedule.`
+          : 'Right on schedule.';
+  const perMonth = MONTH_LETTERS.map((_, month) => finished.filter((f) => new Date(f.finishedAt).getMonth() === month).length);
+  const monthMax = Math.max(1, ...perMonth);
+  const currentMonth = new Date().getMonth();
+
+  return (
+    <div className="max-w-7xl mx-auto flex flex-col gap-4 sm:gap-6">
+      <div className="rounded-2xl bg-white/60 dark:bg-neutral-800/40 backdrop-blur-md shadow-sm p-5 sm:p-6 flex flex-col sm:flex-row sm:items-center gap-6">
+        <ProgressRing fraction={goalFraction(progress.books)} size={128} stroke={10}>
+          <div className="text-center">
+            <p className="font-serif text-3xl font-bold text-neutral-900 dark:text-white tabular-nums">{value}</p>
+            <p className="text-[11px] text-neutral-500">{target ? `of ${target}` : 'books'}</p>
+          </div>
+        </ProgressRing>
+        <div className="flex-1 min-w-0">
+          <p className="text-[11px] font-semibold uppercase tracking-wider text-neutral-500">{year} reading challenge</p>
+          <h2 className="font-serif text-2xl font-bold text-neutral-900 dark:text-white mt-1">
+            {target ? `Read ${target} ${target === 1 ? 'book' : 'books'} this year` : 'No yearly goal set'}
+          </h2>
+          <p className="text-sm text-neutral-500 mt-1">
+            {pace || 'Set a number of books to read this year to track your progress against it.'}
+          </p>
+          <button onClick={onEditGoals} className="mt-3 text-xs font-medium text-amber-600 hover:text-amber-500 transition-colors">
+            {target ? 'Change goal' : 'Set a goal'} →
+          </button>
+        </div>
+        <div className="flex items-end gap-1.5 h-20 sm:w-72">
+          {perMonth.map((count, month) => (
+            <div key={month} className="flex-1 h-full flex flex-col items-center justify-end gap-1" title={`${count} ${count === 1 ? 'book' : 'books'}`}>
+              <div
+                className={`w-full rounded-t-md ${month === currentMonth ? 'bg-amber-500' : 'bg-amber-500/50'}`}
+                style={{ height: `${(count / monthMax) * 100}%`, minHeight: count ? '3px' : 0 }}
+              />
+              <span className={`text-[10px] ${month === currentMonth ? 'text-amber-600 font-semibold' : 'text-neutral-500'}`}>{MONTH_LETTERS[month]}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {finished.length ? (
+        <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-8 gap-3 sm:gap-4">
+          {finished.map(({ book, finishedAt }) => (
+            <button key={book.id} onClick={() => onOpen(book)} className="text-left group" title={book.title}>
+              <div className="aspect-[2/3] rounded-lg overflow-hidden shadow-md group-hover:shadow-lg group-hover:-translate-y-0.5 transition-all">
+                {book.coverThumb
+                  ? <img src={book.coverThumb} alt={book.title} className="w-full h-full object-cover" />
+                  : <DefaultCover title={book.title} />}
+              </div>
+              <p className="text-[11px] text-neutral-500 mt-1.5 truncate">
+                {new Date(finishedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+              </p>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-center text-sm text-neutral-500 py-12">
+          Books you finish this year will line up here.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function GoalsDialog({ goals, onSave, onCancel }) {
+  const [form, setForm] = useState(goals);
+  const setField = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  useEffect(() => {
+    const handler = (e) => { if (e.key === 'Escape') onCancel(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [onCancel]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(normalizeGoals(form));
+  };
+
+  const targets = [
+    { key: 'dailyMinutes', label: 'Minutes a day' },
+    { key: 'dailyPages', label: 'Pages a day' },
+    { key: 'yearlyBooks', label: 'Books a year' },
+  ];
+
+  return (
+    <div
+      onClick={(e) => { if (e.target === e.currentTarget) onCancel(); }}
+      className="fixed inset-0 z-[200] flex items-center justify-center p-6"
+      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
+    >
+      <div
+        className="relative w-full max-w-md rounded-3xl overflow-hidden shadow-2xl"
+        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-64 h-24 rounded-full blur-[50px] pointer-events-none"
+          style={{ background: 'rgba(217,119,6,0.15)' }} />
+
+        <form onSubmit={handleSubmit} className="relative z-10 p-7">
+          <h2 className="text-white font-serif text-xl font-bold leading-tight">Reading goals</h2>
+          <p className="text-neutral-500 text-xs mt-1 mb-6">Leave a goal at 0 to turn it off. Progress counts the time you spend in the reader.</p>
+
+          <div className="grid grid-cols-3 gap-3">
+            {targets.map(({ key, label }) => (
+              <div key={key}>
+                <label className={FIELD_LABEL_CLASS}>{label}</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={GOAL_LIMITS[key]}
+                  value={form[key]}
+                  onChange={setField(key)}
+                  className={FIELD_INPUT_CLASS}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-6 flex items-center justify-between gap-3">
+            <label className="flex items-center gap-2 text-sm text-neutral-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.reminders}
+                onChange={(e) => setForm((prev) => ({ ...prev, reminders: e.target.checked }))}
+                className="accent-amber-600"
+              />
+              Remind me from
+            </label>
+            <select
+              value={form.reminderHour}
+              onChange={setField('reminderHour')}
+              disabled={!form.reminders}
+              className="bg-white/5 border border-white/10 rounded-xl px-3 py-2 text-white text-sm focus:outline-none focus:border-amber-500/60 disabled:opacity-40"
+            >
+              {Array.from({ length: 24 }, (_, hour) => (
+                <option key={hour} value={hour} className="bg-neutral-900">
+                  {new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' })}
+                </option>
+              ))}
+            </select>
+          </div>
+          <p className="text-neutral-600 text-[11px] mt-1.5">…when a daily goal hasn't been met yet.</p>
+
+          <div className="flex gap-3 mt-7">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="flex-1 py-2.5 rounded-xl text-sm font-medium text-neutral-400 hover:text-white border border-white/10 hover:border-white/20 hover:bg-white/5 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all duration-200 hover:opacity-90 active:scale-95"
+              style={{ background: 'linear-gradient(135deg, #d97706, #92400e)' }}
+            >
+              Save goals
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// ─── Keyboard shortcuts ───────────────────────────────────────────────────────
+// Runs `actions[actionId]()` when a key bound to that action is pressed (see
+// shortcuts.js). Keys typed into a field are left alone. `emitterRef` is for
+// an epub.js rendition, whose iframe keeps its keydown events to itself.
+function useShortcuts(bindings, actions, emitterRef) {
+  const actionsRef = useRef(actions);
+  useEffect(() => { actionsRef.current = actions; });
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const actionId = matchShortcut(bindings, Object.keys(actionsRef.current), e);
+      if (!actionId) return;
+      e.preventDefault();
+      actionsRef.current[actionId]();
+    };
+    const emitter = emitterRef?.current;
+    window.addEventListener('keydown', handler);
+    emitter?.on('keydown', handler);
+    return () => {
+      window.removeEventListener('keydown', handler);
+      emitter?.off('keydown', handler);
+    };
+  }, [bindings, emitterRef]);
+}
+
+function KeyCaps({ combo }) {
+  return (
+    <span className="inline-flex items-center gap-0.5">
+      {comboKeys(combo).map((key, i) => (
+        <kbd
+          key={i}
+          className="min-w-[22px] px-1.5 py-0.5 rounded-md text-center text-[11px] font-semibold text-neutral-200"
+          style={{ background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.12)', borderBottomWidth: '2px' }}
+        >
+          {key}
+        </kbd>
+      ))}
+    </span>
+  );
+}
+
+// The `?` cheat sheet. "Change" listens for the next key press and binds it to
+// that action alone; `changes` are the user's overrides (not the full bindings).
+function ShortcutsSheet({ scope: initialScope, changes, onChange, onClose }) {
+  const [scope, setScope] = useState(initialScope);
+  const [capturing, setCapturing] = useState(null); // action id waiting for a key
+  const bindings = useMemo(() => resolveBindings(changes), [changes]);
+
+  // Listens ahead of everything else, so nothing under the sheet reacts to keys
+  useEffect(() => {
+    const handler = (e) => {
+      e.stopPropagation();
+      if (capturing) {
+        e.preventDefault();
+        if (e.key === 'Escape') { setCapturing(null); return; }
+        const combo = keyCombo(e);
+        if (!combo) return; // wait for the key that goes with the modifier
+        onChange(rebindShortcut(changes, capturing, combo));
+        setCapturing(null);
+      } else if (e.key === 'Escape' || matchShortcut(bindings, [`${scope}.help`], e)) {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handler, true);
+    return () => window.removeEventListener('keydown', handler, true);
+  }, [capturing, changes, bindings, scope, onChange, onClose]);
+
+  return (
+    <div
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      className="fixed inset-0 z-[300] flex items-center justify-center p-4 sm:p-6"
+      style={{ background: 'rgba(0,0,0,0.75)', backdropFilter: 'blur(6px)' }}
+    >
+      <div
+        className="relative w-full max-w-lg max-h-[85vh] flex flex-col rounded-3xl overflow-hidden shadow-2xl"
+        style={{ background: 'linear-gradient(135deg, #1c1a17 0%, #252320 100%)', border: '1px solid rgba(255,255,255,0.08)', fontFamily: 'system-ui, sans-serif' }}
+      >
+        <div className="flex items-center justify-between px-6 pt-6 pb-3 shrink-0">
+          <div>
+            <h2 className="text-white font-serif text-lg font-bold leading-tight">Keyboard shortcuts</h2>
+            <p className="text-neutral-500 text-xs mt-0.5">Ignored while you're typing in a text field.</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-neutral-500 hover:text-white p-1.5 rounded-lg hover:bg-white/10 transition-colors"
+            title="Close (Esc)"
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex gap-2 px-6 pb-3 shrink-0">
+          {SHORTCUT_SCOPES.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => { setScope(s.id); setCapturing(null); }}
+              className={`px-3 py-1 rounded-full text-xs font-semibold transition-colors ${scope === s.id ? 'bg-amber-500/20 text-amber-400' : 'text-neutral-400 hover:text-white hover:bg-white/5'}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 pb-4" style={{ scrollbarWidth: 'thin', scrollbarColor: '#333 transparent' }}>
+          {SHORTCUT_ACTIONS.filter((action) => action.scope === scope).map((action) => {
+            const changed = Array.isArray(changes[action.id]);
+            return (
+              <div key={action.id} className="flex items-center gap-3 py-2 border-b border-white/5">
+                <span className="flex-1 min-w-0 text-sm text-neutral-300">{action.label}</span>
+                <span className="flex flex-wrap justify-end items-center gap-1.5">
+                  {capturing === action.id ? (
+                    <span className="text-xs text-amber-400 animate-pulse">Press a key… (Esc to cancel)</span>
+                  ) : bindings[action.id].length ? (
+                    bindings[action.id].map((combo) => <KeyCaps key={combo} combo={combo} />)
+                  ) : (
+                    <span className="text-xs text-neutral-600">Not set</span>
+                  )}
+                </span>
+                <button
+                  onClick={() => setCapturing(capturing === action.id ? null : action.id)}
+                  className="text-[11px] font-semibold text-neutral-500 hover:text-amber-400 transition-colors shrink-0"
+                >
+                  Change
+                </button>
+                <button
+                  onClick={() => onChange(resetShortcut(changes, action.id))}
+                  disabled={!changed}
+                  className="text-[11px] font-semibold text-neutral-500 hover:text-white disabled:invisible transition-colors shrink-0"
+                  title={`Default: ${action.keys.join(', ')}`}
+                >
+                  Reset
+                </button>
+              </div>
+            );
+          })}
+          {FIXED_SHORTCUTS[scope].map(({ label, combo }) => (
+            <div key={combo} className="flex items-center gap-3 py-2 border-b border-white/5">
+              <span className="flex-1 min-w-0 text-sm text-neutral-500">{label}</span>
+              <KeyCaps combo={combo} />
+              <span className="text-[11px] text-neutral-600 w-[78px] text-right shrink-0">fixed</span>
+            </div>
+          ))}
+        </div>
+
+        {Object.keys(changes).length > 0 && (
+          <div className="px-6 py-3 border-t border-white/5 shrink-0 text-right">
+            <button
+              onClick={() => onChange({})}
+              className="text-xs font-semibold text-neutral-400 hover:text-white transition-colors"
+            >
+              Reset all to defaults
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── PDF Reader ───────────────────────────────────────────────────────────────
+// How many pages above and below the current page to keep rendered.
+// Everything outside this window is replaced by a lightweight placeholder div.
+const PDF_RENDER_BUFFER = 2;
+// Finer steps for reflowed pages, which can be several screens long
+const REFLOW_VISIBILITY_THRESHOLDS = Array.from({ length: 51 }, (_, i) => i / 50);
+// Reading position is written to Supabase once the reader has been still this long.
+const PROGRESS_SAVE_DELAY = 1500;
+const PDF_FILE_ERROR = 'The file may be corrupted or unsupported.';
+const PDF_CONNECTION_ERROR = `Part of the book couldn't be downloaded. Check your connection and try again.`;
+
+function PDFReader({
+  book, onClose, bookmarks, onUpdateBookmarks, onBookmarksImported, session, onPageCount, initialPage, initialQuery,
+  shortcuts, onShowShortcuts, onFinish, onRate,
+}) {
+  const [numPages, setNumPages] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  // Zoom for view.zoom === 'custom' (the +/− buttons); fit zooms derive the scale below
+  const [customScale, setCustomScale] = useState(() => window.innerWidth < 640 ? 0.6 : 1.2);
+  const [loadError, setLoadError] = useState(null); // shown in place of the pages
+  const [loadAttempt, setLoadAttempt] = useState(0); // bumped by "Try again"
+  const [pdfDark, setPdfDark] = useState(false);
+
+  // ── Document source: the offline copy, or ranges fetched through signed URLs ──
+  const [remoteSource, setRemoteSource] = useState(null);
+  const pdfFile = book.cachedFile || remoteSource;
+
+  useEffect(() => {
+    if (book.cachedFile) return;
+    let cancelled = false;
+    const onError = () => { if (!cancelled) setLoadError(PDF_CONNECTION_ERROR); };
+    openPdfSource(book.pdfPath, { onError })
+      .then((source) => { if (!cancelled) setRemoteSource(source); })
+      .catch((err) => {
+        console.error('Failed to open PDF:', err.message);
+        onError();
+      });
+    return () => { cancelled = true; };
+  }, [book.cachedFile, book.pdfPath, loadAttempt]);
+  const [bookmarkPanelOpen, setBookmarkPanelOpen] = useState(false);
+  const { notes, addNote, updateNote, deleteNote, reloadNotes } = useBookNotes(book.id, session);
+
+  // ── Text highlights (anchored to text-layer selections) ───────────────────
+  const [highlights, setHighlights] = useState([]);
+  const [selectionDraft, setSelectionDraft] = useState(null); // { page, text, rects } — not saved yet
+  const [activeHighlightId, setActiveHighlightId] = useState(null);
+
+  useEffect(() => {
+    if (!session) return;
+    supabase
+      .from('highlights')
+      .select('*')
+      .eq('book_id', book.id)
       .then(({ data, error }) => {
-        if (error) { console.error('Failed to load notes:', error.message); return; }
-        setNotes((data || []).map(r => ({
-          id: r.id,
-          page: r.page,
-          xPct: r.x_pct,
-          yPct: r.y_pct,
-          content: r.content,
-        })));
+        if (error) { console.error('Failed to load highlights:', error.message); return; }
+        setHighlights((data || []).map(rowToHighlight));
+      });
+  }, [book.id, session]);
+
+  const addHighlight = async ({ color, comment }) => {
+    if (!selectionDraft) return;
+    const { page, text, rects } = selectionDraft;
+    setSelectionDraft(null);
+    window.getSelection()?.removeAllRanges();
+    const { data: row, error } = await supabase
+      .from('highlights')
+      .insert({
+        user_id: session.user.id,
+        book_id: book.id,
+        page,
+        text,
+        rects,
+        color,
+        comment,
+      })
+      .select()
+      .single();
+    if (error) { console.error('Failed to add highlight:', error.message); return; }
+    setHighlights(prev => [...prev, rowToHighlight(row)]);
+  };
+
+  const updateHighlight = (id, changes) => {
+    setHighlights(prev => prev.map(h => h.id === id ? { ...h, ...changes } : h));
+    supabase.from('highlights').update(changes).eq('id', id)
+      .then(({ error }) => { if (error) console.error('Highlight update failed:', error.message); });
+  };
+
+  const deleteHighlight = (id) => {
+    setHighlights(prev => prev.filter(h => h.id !== id));
+    setActiveHighlightId(null);
+    supabase.from('highlights').delete().eq('id', id)
+      .then(({ error }) => { if (error) console.error('Highlight delete failed:', error.message); });
+  };
+
+  // ── Export & import ────────────────────────────────────────────────────────
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exporting, setExporting] = useState(false); // an export or import is running
+
+  const handleExport = async (formatId) => {
+    setExportMenuOpen(false);
+    setExporting(true);
+    try {
+      await exportBookAnnotations(book, formatId, {
+        annotations: { bookmarks, notes, highlights },
+        highlightColors: HIGHLIGHT_COLORS,
+      });
+    } catch (err) {
+      console.error('Export failed:', err.message);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImport = async (file) => {
+    setExportMenuOpen(false);
+    setExporting(true);
+    try {
+      const imported = await readAnnotationsFile(file);
+      const result = await importBookAnnotations(session.user.id, book, imported, HIGHLIGHT_COLORS);
+      if (result.bookmarks.length) onBookmarksImported(result.bookmarks);
+      if (result.notes.length) reloadNotes();
+      if (result.highlights.length) setHighlights(prev => [...prev, ...result.highlights.map(rowToHighlight)]);
+      alert(describeImport(book, result));
+    } catch (err) {
+      console.error('Import failed:', err.message);
+      alert(`Import failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // A finished selection inside one page's text layer becomes a highlight draft
+  const handlePageMouseUp = (pageNum) => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.rangeCount) { setSelectionDraft(null); return; }
+    const range = selection.getRangeAt(0);
+    const pageEl = pageRefs.current[pageNum];
+    if (!pageEl?.contains(range.startContainer) || !pageEl.contains(range.endContainer)) return;
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+    const rects = rangeToPageRects(range, pageEl.getBoundingClientRect());
+    if (!text || !rects.length) return;
+    setActiveHighlightId(null);
+    setSelectionDraft({ page: pageNum, text, rects });
+  };
+
+  // Clicking on page content over a saved highlight opens it for editing
+  const handlePageClick = (e, pageNum) => {
+    if (!e.target.closest('.react-pdf__Page') || !window.getSelection()?.isCollapsed) return;
+    const box = pageRefs.current[pageNum].getBoundingClientRect();
+    const x = ((e.clientX - box.left) / box.width) * 100;
+    const y = ((e.clientY - box.top) / box.height) * 100;
+    const hit = highlights.find(h => h.page === pageNum && h.rects.some(r =>
+      x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h));
+    setActiveHighlightId(hit ? hit.id : null);
+  };
+  // Base page dimensions at scale:1. Fetched from PDF metadata — zero pixels rendered.
+  // Used to give placeholder divs the correct height so the scrollbar stays accurate.
+  const [baseDims, setBaseDims] = useState({ width: 612, height: 792 }); // A4 fallback
+
+  const containerRef = useRef(null);
+
+  // ── View mode (see pdfLayout.js) & the scale it gives ──────────────────────
+  const [view, setView] = useState(DEFAULT_PDF_VIEW);
+  // Reflowed text is always one continuous column, whatever layout the pages had
+  const pageView = useMemo(() => (view.reflow ? { ...view, layout: 'scroll' } : view), [view]);
+  const { layout } = pageView;
+  const [viewMenuOpen, setViewMenuOpen] = useState(false);
+  const [pageArea, setPageArea] = useState(null); // { width, height } of the scroll container
+  const scale = view.zoom !== 'custom' && pageArea ? fitScale(view, baseDims, pageArea) : customScale;
+
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(() => setPageArea({ width: el.clientWidth, height: el.clientHeight }));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const changeView = (changes) => setView((v) => ({ ...v, ...changes }));
+
+  // Typography of the reflowed text (see pdfReflow.js), per device
+  const [reflowStyle, setReflowStyle] = useState(loadReflowStyle);
+  const changeReflowStyle = (changes) => {
+    const next = { ...reflowStyle, ...changes };
+    setReflowStyle(next);
+    saveReflowStyle(next);
+  };
+  const reflowSizeIndex = REFLOW_FONT_SIZES.findIndex((size) => size >= reflowStyle.size);
+
+  // +/− switch to a custom zoom, stepping from whatever the current scale is;
+  // on reflowed text they step the font size instead
+  const zoomBy = (step) => {
+    if (view.reflow) {
+      const index = Math.max(0, Math.min(REFLOW_FONT_SIZES.length - 1, reflowSizeIndex + Math.sign(step)));
+      changeReflowStyle({ size: REFLOW_FONT_SIZES[index] });
+      return;
+    }
+    setCustomScale(Math.max(MIN_SCALE, Math.min(MAX_SCALE, +(scale + step).toFixed(1))));
+    changeView({ zoom: 'custom' });
+  };
+
+  const prevPage = numPages ? adjacentPage(pageView, numPages, currentPage, -1) : null;
+  const nextPage = numPages ? adjacentPage(pageView, numPages, currentPage, 1) : null;
+  const pageRefs = useRef({});
+  const ioThrottleRef = useRef(null); // timer handle for IntersectionObserver throttle
+  const ratioMapRef = useRef({}); // persistent map: { [pageNumber]: intersectionRatio }
+
+  const isCurrentPageBookmarked = bookmarks.includes(currentPage);
+
+  const toggleBookmark = () => {
+    onUpdateBookmarks((prev) =>
+      prev.includes(currentPage)
+        ? prev.filter((p) => p !== currentPage)
+        : [...prev, currentPage].sort((a, b) => a - b)
+    );
+  };
+
+  const removeBookmark = (page) => {
+    onUpdateBookmarks((prev) => prev.filter((p) => p !== page));
+  };
+
+  // ── Close on Escape ────────────────────────────────────────────────────────
+  useEffect(() => {
+    const handler = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [onClose]);
+
+  // ── Stable IntersectionObserver with persistent ratio map ─────────────────
+  // Fix for page-number flicker: instead of scanning only the *changed* entries
+  // (which caused 4↔5 oscillation mid-scroll), we maintain a persistent map of
+  // every page's latest ratio. The current page only shifts when a candidate
+  // page holds >60% of the viewport — the "majority wins" rule.
+  // Single-page view has nothing to observe: the current page is the only one shown.
+  // Reflowed pages can run longer than the screen, so there a page's share is
+  // how much of the screen it fills rather than how much of it is on screen.
+  useEffect(() => {
+    if (!numPages || layout === 'paged') return;
+    ratioMapRef.current = {}; // the page elements are new when the layout changes
+    const observer = new IntersectionObserver(
+      (entries) => {
+        // 1. Update the persistent ratio map with whatever just changed
+        entries.forEach((entry) => {
+          ratioMapRef.current[entry.target.dataset.page] = view.reflow && entry.rootBounds
+            ? entry.intersectionRect.height / entry.rootBounds.height
+            : entry.intersectionRatio;
+        });
+
+        // 2. Throttle the React setState so we render at most ~10×/sec
+        if (ioThrottleRef.current) return;
+        ioThrottleRef.current = setTimeout(() => {
+          ioThrottleRef.current = null;
+
+          // 3. Scan the FULL map to find the page with the highest visibility
+          let bestPage = null;
+          let bestRatio = 0;
+          Object.entries(ratioMapRef.current).forEach(([page, ratio]) => {
+            if (ratio > bestRatio) { bestRatio = ratio; bestPage = Number(page); }
+          });
+
+          // 4. Only commit if the winner has >60% of the viewport
+          //    (prevents flickering when two pages share roughly equal screen space)
+          if (bestPage !== null && bestRatio > 0.6) {
+            setCurrentPage(bestPage);
+          }
+        }, 100);
+      },
+      {
+        root: containerRef.current,
+        threshold: view.reflow ? REFLOW_VISIBILITY_THRESHOLDS : [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0],
+      }
+    );
+    Object.values(pageRefs.current).forEach((el) => el && observer.observe(el));
+    return () => {
+      observer.disconnect();
+      if (ioThrottleRef.current) { clearTimeout(ioThrottleRef.current); ioThrottleRef.current = null; }
+    };
+  }, [numPages, layout, view.coverAlone, view.reflow]);
+
+  const scrollToPage = (n) => {
+    if (layout === 'paged') { showPage(n); return; }
+    pageRefs.current[n]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  // Single-page view: swap the page shown and start at its top
+  const showPage = (n) => {
+    setCurrentPage(n);
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+  };
+
+  // Far jumps (page field, thumbnails, scrubber) skip the smooth scroll, which
+  // would drag every page in between through the render window
+  const jumpToPage = (n) => (layout === 'paged' ? showPage(n) : scrollToPosition(n, 0));
+
+  // Jump (no animation) to a fractional position inside a page — used to restore progress
+  const scrollToPosition = (page, offset) => {
+    const el = pageRefs.current[page];
+    const container = containerRef.current;
+    if (!el || !container) return;
+    container.scrollTop += el.getBoundingClientRect().top - container.getBoundingClientRect().top
+      + offset * el.offsetHeight;
+  };
+
+  // ── Reading progress: restore on open, save (debounced) while reading ──────
+  const [savedProgress, setSavedProgress] = useState(null); // { local, remote } once fetched
+  const [remoteProgress, setRemoteProgress] = useState(null); // other device, further ahead
+  const restoredRef = useRef(false);              // no saving until the saved position is applied
+  const positionRef = useRef({ page: 1, offset: 0, scale, view }); // latest position/zoom for the debounced saver
+  const pendingSaveRef = useRef(null);
+  const saveTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (!session) return;
+    let cancelled = false;
+    loadReadingProgress(book.id).then((progress) => {
+      if (cancelled) return;
+      if (progress.local?.scale) setCustomScale(progress.local.scale);
+      // Positions saved before view modes existed keep the zoom they were read at
+      setView(progress.local?.view ? normalizeView(progress.local.view) : DEFAULT_PDF_VIEW);
+      setRemoteProgress(progress.remote);
+      setSavedProgress(progress);
+    });
+    return () => { cancelled = true; };
+  }, [book.id, session]);
+
+  // Once both the document and the saved position are known, jump there (or to
+  // `initialPage` when opened from a library text hit). Waits a frame so placeholders have picked up the restored scale.
+  // Single-page view just shows the page; it has no other pages to scroll past.
+  const [positionRestored, setPositionRestored] = useState(false);
+  const retryPositionRef = useRef(null); // where to come back to after "Try again"
+  useEffect(() => {
+    if (!numPages || !savedProgress || restoredRef.current) return;
+    const target = retryPositionRef.current
+      || (initialPage ? { page: initialPage, offset: 0 } : savedProgress.local);
+    const frame = requestAnimationFrame(() => {
+      retryPositionRef.current = null;
+      if (target) { // nothing saved: stay at the top
+        const page = Math.min(target.page, numPages);
+        // Set straight away (scrolling would only report it a moment later), so
+        // the reading session starts on this page rather than the first
+        setCurrentPage(page);
+        if (layout !== 'paged') scrollToPosition(page, target.offset);
+      }
+      restoredRef.current = true;
+      setPositionRestored(true);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [numPages, savedProgress, initialPage, layout]);
+
+  useReadingSession(book.id, session?.user?.id, currentPage, positionRestored);
+
+  // "Try again" after a load error: open the document afresh and come back to
+  // where the reader was once it has loaded
+  const retryLoad = () => {
+    if (restoredRef.current) retryPositionRef.current = { page: positionRef.current.page, offset: positionRef.current.offset };
+    restoredRef.current = false;
+    setNumPages(null);
+    setRemoteSource(null);
+    setLoadError(null);
+    setLoadAttempt((n) => n + 1);
+  };
+
+  // ── Reaching the last page offers to mark the book finished, then to rate it ──
+  const [finishStep, setFinishStep] = useState('ask'); // 'ask' | 'rate' | 'done'
+  const atLastPage = !!numPages && adjacentPage(pageView, numPages, currentPage, 1) === null;
+  const showFinishPrompt = finishStep === 'rate'
+    || (finishStep === 'ask' && atLastPage && positionRestored && book.status !== 'finished');
+
+  const flushProgressSave = useCallback(() => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    if (!pendingSaveRef.current || !session) return;
+    saveReadingProgress(session.user.id, book.id, pendingSaveRef.current);
+    pendingSaveRef.current = null;
+  }, [book.id, session]);
+
+  // Measure now (while the DOM is live), write later
+  const scheduleProgressSave = useCallback(() => {
+    if (!restoredRef.current) return;
+    const { page, scale, view } = positionRef.current;
+    const el = pageRefs.current[page];
+    const container = containerRef.current;
+    let offset = 0;
+    if (el && container && el.offsetHeight) {
+      offset = (container.getBoundingClientRect().top - el.getBoundingClientRect().top) / el.offsetHeight;
+      offset = Math.max(0, Math.min(1, +offset.toFixed(3)));
+    }
+    positionRef.current.offset = offset;
+    pendingSaveRef.current = { page, offset, scale, view };
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushProgressSave, PROGRESS_SAVE_DELAY);
+  }, [flushProgressSave]);
+
+  // Keep the reading position when pages move under it — zooming, switching
+  // view mode, or a fit zoom following a resize. The position is taken now,
+  // before the moved pages produce scroll events of their own (and before the
+  // effect below measures the new layout).
+  const pageGeometry = view.reflow
+    ? `reflow:${reflowStyle.font}:${reflowStyle.size}:${reflowStyle.lineHeight}:${reflowStyle.margin}`
+    : `${scale}:${layout}:${view.coverAlone}`;
+  const lastGeometryRef = useRef(pageGeometry);
+  useEffect(() => {
+    if (lastGeometryRef.current === pageGeometry) return;
+    lastGeometryRef.current = pageGeometry;
+    if (!restoredRef.current) return;
+    const { page, offset } = positionRef.current;
+    const frame = requestAnimationFrame(() => scrollToPosition(page, offset));
+    return () => cancelAnimationFrame(frame);
+  }, [pageGeometry]);
+
+  useEffect(() => {
+    positionRef.current = { ...positionRef.current, page: currentPage, scale, view };
+    scheduleProgressSave();
+  }, [currentPage, scale, view, scheduleProgressSave]);
+
+  // Single-page view also turns pages with a horizontal swipe
+  const swipeRef = useRef(null);
+  const handleSwipeEnd = (e) => {
+    const start = swipeRef.current;
+    swipeRef.current = null;
+    if (!start || layout !== 'paged') return;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (Math.abs(dx) < 60 || Math.abs(dx) < 2 * Math.abs(dy)) return;
+    const target = dx < 0 ? nextPage : prevPage;
+    if (target) showPage(target);
+  };
+
+  // Don't lose the last few seconds of reading on close or tab switch
+  useEffect(() => {
+    const onHide = () => { if (document.visibilityState === 'hidden') flushProgressSave(); };
+    document.addEventListener('visibilitychange', onHide);
+    return () => {
+      document.removeEventListener('visibilitychange', onHide);
+      flushProgressSave();
+    };
+  }, [flushProgressSave]);
+
+  // Hide the "Continue reading" offer once the reader catches up on their own
+  const showContinueReading = remoteProgress && currentPage < remoteProgress.page;
+
+  const continueReading = () => {
+    scrollToPosition(remoteProgress.page, remoteProgress.offset);
+    setRemoteProgress(null);
+  };
+
+  const onDocumentLoadSuccess = useCallback(async (pdf) => {
+    setPdfDoc(pdf);
+    setNumPages(pdf.numPages);
+    setCurrentPage(1);
+    if (pdf.numPages !== book.pageCount) onPageCount?.(pdf.numPages);
+    // Fetch first-page viewport without rendering any pixels — just geometry.
+    // Gives placeholder divs the right aspect ratio for any PDF, not just A4.
+    try {
+      const firstPage = await pdf.getPage(1);
+      const vp = firstPage.getViewport({ scale: 1 });
+      setBaseDims({ width: vp.width, height: vp.height });
+    } catch { /* keep A4 defaults */ }
+  }, [book.pageCount, onPageCount]);
+
+  // ── Windowed page set ──────────────────────────────────────────────────────
+  // Only pages inside this Set actually mount a <Page> (canvas + text layer).
+  // All other slots are cheap <div> placeholders with fixed dimensions.
+  const renderedPages = useMemo(() => {
+    if (!numPages) return new Set();
+    if (layout === 'paged') return new Set([currentPage]);
+    const buffer = layout === 'spread' ? PDF_RENDER_BUFFER * 2 : PDF_RENDER_BUFFER;
+    const start = Math.max(1, currentPage - buffer);
+    const end = Math.min(numPages, currentPage + buffer);
+    const set = new Set();
+    for (let i = start; i <= end; i++) set.add(i);
+    return set;
+  }, [currentPage, numPages, layout]);
+
+  // Rows of pages as laid out — one page per row, two in a spread, and only
+  // the current page in single-page view
+  const pageRowList = useMemo(() => {
+    if (!numPages) return [];
+    return pageView.layout === 'paged' ? [[currentPage]] : pageRows(pageView, numPages);
+  }, [numPages, pageView, currentPage]);
+
+  // ── Page text (extracted in the background, on first need) ─────────────────
+  const [pdfDoc, setPdfDoc] = useState(null);
+  const [pageTexts, setPageTexts] = useState({}); // { [pageNumber]: { text, itemOffsets } }
+  const [pageTextsWanted, setPageTextsWanted] = useState(!!initialQuery);
+
+  // ── Outline (table of contents) ────────────────────────────────────────────
+  const [outline, setOutline] = useState(null); // nested entries; [] when the PDF has none
+  const [contentsOpen, setContentsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!pdfDoc) return;
+    let cancelled = false;
+    loadOutline(pdfDoc)
+      .catch((err) => {
+        console.error('Failed to read PDF outline:', err.message);
+        return [];
+      })
+      .then((entries) => { if (!cancelled) setOutline(entries); });
+    return () => { cancelled = true; };
+  }, [pdfDoc]);
+
+  const flatOutline = useMemo(() => flattenOutline(outline || []), [outline]);
+  const currentSection = currentOutlineEntry(flatOutline, currentPage);
+
+  // ── Page labels & thumbnails ───────────────────────────────────────────────
+  const [pageLabels, setPageLabels] = useState(null); // printed labels ("iv", "12"); null when the PDF has none
+  const [thumbnailsOpen, setThumbnailsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!pdfDoc) return;
+    let cancelled = false;
+    loadPageLabels(pdfDoc)
+      .then((labels) => { if (!cancelled) setPageLabels(labels); })
+      .catch((err) => console.error('Failed to read page labels:', err.message));
+    return () => { cancelled = true; };
+  }, [pdfDoc]);
+
+  useEffect(() => {
+    if (!pdfDoc || !pageTextsWanted) return;
+    let cancelled = false;
+    extractPageTexts(pdfDoc, {
+      onBatch: (batch) => setPageTexts((prev) => ({ ...prev, ...batch })),
+      isCancelled: () => cancelled,
+    });
+    return () => { cancelled = true; };
+  }, [pdfDoc, pageTextsWanted]);
+
+  // ── Read aloud — the sentence being spoken is marked in the text layer ─────
+  const [readAloudOpen, setReadAloudOpen] = useState(false);
+  const readAloud = useReadAloud(pdfDoc, book.id, {
+    onPageText: (page, pageText) => setPageTexts((prev) => (prev[page] ? prev : { ...prev, [page]: pageText })),
+    onPage: (page) => scrollToPage(page),
+  });
+  const speaking = readAloud.position;
+
+  const toggleReadAloud = () => {
+    if (speaking?.playing) { readAloud.pause(); return; }
+    setReadAloudOpen(true);
+    readAloud.play(currentPage);
+  };
+
+  // ── Find in document ───────────────────────────────────────────────────────
+  const [findOpen, setFindOpen] = useState(!!initialQuery);
+  const [findQuery, setFindQuery] = useState(initialQuery || '');
+  const [activeHitIndex, setActiveHitIndex] = useState(0);
+  const deferredFindQuery = useDeferredValue(findQuery);
+  const pendingHitScrollRef = useRef(false); // scroll the active hit into view once its text layer renders
+
+  const openFind = () => {
+    setFindOpen(true);
+    setPageTextsWanted(true);
+  };
+
+  const closeFind = () => {
+    setFindOpen(false);
+    setFindQuery('');
+  };
+
+  const hits = useMemo(
+    () => (findOpen ? searchPageTexts(pageTexts, deferredFindQuery) : []),
+    [findOpen, pageTexts, deferredFindQuery],
+  );
+  const activeHit = hits.length ? hits[Math.min(activeHitIndex, hits.length - 1)] : null;
+
+  const goToHit = (index) => {
+    if (!hits.length) return;
+    const i = (index + hits.length) % hits.length;
+    setActiveHitIndex(i);
+    pendingHitScrollRef.current = true;
+    // A page outside the render window has no text layer yet — bring it in first
+    if (!renderedPages.has(hits[i].page)) scrollToPage(hits[i].page);
+  };
+
+  // Ranges to <mark> in each page's text layer, rebuilt as hits/active hit and
+  // the spoken sentence change
+  const textRangesByPage = useMemo(() => {
+    const byPage = {};
+    hits.forEach((hit) => {
+      (byPage[hit.page] ||= []).push({
+        start: hit.start,
+        end: hit.end,
+        className: hit === activeHit ? 'kw-search-hit active' : 'kw-search-hit',
       });
-  }, [book.id, session]);
+    });
+    if (speaking) {
+      (byPage[speaking.page] ||= []).push({ start: speaking.start, end: speaking.end, className: 'kw-speaking' });
+    }
+    return byPage;
+  }, [hits, activeHit, speaking]);
+
+  // Reflowed text isn't the page text, so there the same marks are found again
+  // by their words (see markBlocks in pdfReflow.js)
+  const reflowMarksByPage = useMemo(() => {
+    if (!view.reflow) return {};
+    const byPage = {};
+    if (hits.length) {
+      const pattern = buildSearchPattern(deferredFindQuery);
+      const hitsOnPage = {};
+      hits.forEach((hit) => { (hitsOnPage[hit.page] ||= []).push(hit); });
+      Object.entries(hitsOnPage).forEach(([page, pageHits]) => {
+        byPage[page] = [{ pattern, className: 'kw-search-hit', active: pageHits.indexOf(activeHit) }];
+      });
+    }
+    const spoken = speaking && pageTexts[speaking.page]?.text.slice(speaking.start, speaking.end);
+    const spokenPattern = spoken && buildSearchPattern(spoken.replace(/(\p{L})-\n(\p{L})/gu, '$1$2'));
+    if (spokenPattern) (byPage[speaking.page] ||= []).push({ pattern: spokenPattern, className: 'kw-speaking', once: true });
+    return byPage;
+  }, [view.reflow, hits, activeHit, deferredFindQuery, speaking, pageTexts]);
+
+  // Passed to react-pdf as customTextRenderer; runs again on every text-layer
+  // render, so highlights follow zoom changes automatically.
+  const renderTextItem = useCallback(({ pageNumber, itemIndex, str }) => {
+    const pageText = pageTexts[pageNumber];
+    const ranges = textRangesByPage[pageNumber];
+    if (!pageText || !ranges) return markTextItem(str, 0, []);
+    return markTextItem(str, pageText.itemOffsets[itemIndex] ?? 0, ranges);
+  }, [pageTexts, textRangesByPage]);
+
+  const handleTextLayerRendered = (pageNum) => {
+    if (!pendingHitScrollRef.current || activeHit?.page !== pageNum) return;
+    pageRefs.current[pageNum]
+      ?.querySelector('mark.kw-search-hit.active')
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    pendingHitScrollRef.current = false;
+  };
+
+  // Ctrl/Cmd+F opens the find bar instead of the browser's (which can't see unrendered pages)
+  useEffect(() => {
+    const handler = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setFindOpen(true);
+        setPageTextsWanted(true);
+      }
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, []);
+
+  // ── Keyboard shortcuts (see shortcuts.js) ──────────────────────────────────
+  const pageFieldRef = useRef(null);
+  useShortcuts(shortcuts, numPages ? {
+    'reader.nextPage': () => nextPage && scrollToPage(nextPage),
+    'reader.prevPage': () => prevPage && scrollToPage(prevPage),
+    'reader.zoomIn': () => zoomBy(0.2),
+    'reader.zoomOut': () => zoomBy(-0.2),
+    'reader.goToPage': () => pageFieldRef.current?.focus(),
+    'reader.find': openFind,
+    'reader.bookmark': toggleBookmark,
+    'reader.note': () => addNote(currentPage),
+    'reader.dark': () => setPdfDark((d) => !d),
+    ...(readAloud.supported && { 'reader.readAloud': toggleReadAloud }),
+    'reader.help': onShowShortcuts,
+  } : {});
+
+  // Placeholder size — scales correctly whenever the user zooms
+  const placeholderW = Math.round(baseDims.width * scale);
+  const placeholderH = Math.round(baseDims.height * scale);
+
+  const pdfLoadingView = (
+    <div className="flex items-center justify-center h-64 text-neutral-400">
+      <div className="text-center">
+        <div className="w-8 h-8 border-2 border-amber-500 border-t-transparent rounded-full animate-spin mx-auto mb-3" />
+        <p className="text-sm">Loading PDF…</p>
+      </div>
+    </div>
+  );
+
+  // Dark mode filter: only applied to PDF page pixels
+  const pageFilter = pdfDark
+    ? 'invert(1) hue-rotate(180deg) brightness(0.88) contrast(1.05)'
+    : 'none';
+
+  return (
+    <div className="fixed inset-0 z-[100] flex flex-col bg-[#1a1814]" style={{ fontFamily: 'system-ui, sans-serif' }}>
+      {/* ── Top Bar ── */}
+      <div className="flex flex-wrap items-center justify-between gap-y-2 px-3 sm:px-6 py-2 sm:py-3 bg-[#111]/80 backdrop-blur border-b border-white/10 z-10 shrink-0">
+        <div className="flex items-center gap-3 min-w-0 flex-1">
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-white transition-colors p-2 rounded-full hover:bg-white/10 shrink-0"
+            title="Close (Esc)"
+          >
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M19 12H5M12 5l-7 7 7 7" />
+            </svg>
+          </button>
+          <div className="min-w-0">
+            <h2 className="text-white font-semibold text-sm leading-tight truncate">{book.title}</h2>
+            <p className="text-neutral-500 text-xs truncate">
+              {book.author}
+              {currentSection && <span className="text-neutral-400"> · {currentSection.title}</span>}
+            </p>
+          </div>
+        </div>
+
+        {/* Page controls + zoom + dark — grouped right, wrap onto 2nd row on mobile */}
+        <div className="flex items-center gap-2 sm:gap-3 shrink-0 flex-wrap justify-end">
+          {/* Table of contents */}
+          <button
+            onClick={() => setContentsOpen((o) => !o)}
+            disabled={!numPages}
+            className={`p-1.5 rounded hover:bg-white/10 transition-all disabled:opacity-30 ${contentsOpen ? 'text-amber-500' : 'text-neutral-400 hover:text-white'}`}
+            title="Contents"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="8" y1="6" x2="21" y2="6" /><line x1="8" y1="12" x2="21" y2="12" /><line x1="8" y1="18" x2="21" y2="18" />
+              <line x1="3" y1="6" x2="3.01" y2="6" /><line x1="3" y1="12" x2="3.01" y2="12" /><line x1="3" y1="18" x2="3.01" y2="18" />
+            </svg>
+          </button>
+
+          {/* Page thumbnails */}
+          <button
+            onClick={() => setThumbnailsOpen((o) => !o)}
+            disabled={!numPages}
+            className={`p-1.5 rounded hover:bg-white/10 transition-all disabled:opacity-30 ${thumbnailsOpen ? 'text-amber-500' : 'text-neutral-400 hover:text-white'}`}
+            title="Page thumbnails"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <rect x="3" y="3" width="7" height="9" rx="1" /><rect x="14" y="3" width="7" height="9" rx="1" />
+              <rect x="3" y="15" width="7" height="6" rx="1" /><rect x="14" y="15" width="7" height="6" rx="1" />
+            </svg>
+          </button>
+
+          <div className="flex items-center gap-1 sm:gap-3">
+            <button
+              onClick={() => scrollToPage(prevPage)}
+              disabled={!prevPage}
+              className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M15 18l-6-6 6-6" /></svg>
+            </button>
+            {numPages ? (
+              <PageNumberField inputRef={pageFieldRef} currentPage={currentPage} numPages={numPages} labels={pageLabels} onGo={jumpToPage} />
+            ) : (
+              <span className="text-neutral-300 text-xs min-w-[56px] text-center">…</span>
+            )}
+            <button
+              onClick={() => scrollToPage(nextPage)}
+              disabled={!nextPage}
+              className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M9 18l6-6-6-6" /></svg>
+            </button>
+          </div>
+
+          {/* Export notes, highlights & bookmarks */}
+          <div className="relative">
+            <button
+              onClick={() => setExportMenuOpen((o) => !o)}
+              onMouseDown={(e) => e.stopPropagation()} // don't let ExportMenu's outside-press close it first
+              disabled={exporting}
+              className={`p-1.5 rounded hover:bg-white/10 transition-all disabled:opacity-50 ${exportMenuOpen ? 'text-amber-500' : 'text-neutral-400 hover:text-white'}`}
+              title="Export or import notes & highlights"
+            >
+              {exporting ? (
+                <div className="w-4 h-4 border-2 border-amber-500 border-t-transparent rounded-full animate-spin" />
+              ) : (
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                  <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                  <polyline points="7 10 12 15 17 10" />
+                  <line x1="12" y1="15" x2="12" y2="3" />
+                </svg>
+              )}
+            </button>
+            {exportMenuOpen && (
+              <ExportMenu
+                onSelect={handleExport}
+                onImport={handleImport}
+                onClose={() => setExportMenuOpen(false)}
+                bookFormat={book.format}
+                className="top-full right-0 mt-2"
+              />
+            )}
+          </div>
+
+          {/* Read aloud */}
+          {readAloud.supported && (
+            <button
+              onClick={() => {
+                if (readAloudOpen) { readAloud.stop(); setReadAloudOpen(false); } else toggleReadAloud();
+              }}
+              disabled={!numPages}
+              className={`p-1.5 rounded hover:bg-white/10 transition-all disabled:opacity-30 ${readAloudOpen ? 'text-amber-500' : 'text-neutral-400 hover:text-white'}`}
+              title="Read aloud (R)"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" />
+                <path d="M15.54 8.46a5 5 0 0 1 0 7.07" />
+                <path d="M19.07 4.93a10 10 0 0 1 0 14.14" />
+              </svg>
+            </button>
+          )}
+
+          {/* Find in document */}
+          <button
+            onClick={() => (findOpen ? closeFind() : openFind())}
+            className={`p-1.5 rounded hover:bg-white/10 transition-all ${findOpen ? 'text-amber-500' : 'text-neutral-400 hover:text-white'}`}
+            title="Find in document (Ctrl+F)"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="11" cy="11" r="8" />
+              <line x1="21" y1="21" x2="16.65" y2="16.65" />
+            </svg>
+          </button>
+
+          {/* Zoom controls; the percentage opens the view-mode menu */}
+          <div className="relative flex items-center gap-1">
+            <button
+              onClick={() => zoomBy(-0.2)}
+              disabled={view.reflow ? reflowSizeIndex <= 0 : scale <= MIN_SCALE}
+              className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all text-lg leading-none"
+              title={view.reflow ? 'Smaller text' : 'Zoom out'}
+            >−</button>
+            <button
+              onClick={() => setViewMenuOpen((o) => !o)}
+              onMouseDown={(e) => e.stopPropagation()} // don't let PdfViewMenu's outside-press close it first
+              className={`text-xs w-11 text-center py-1 rounded hover:bg-white/10 transition-all ${viewMenuOpen ? 'text-amber-500' : 'text-neutral-300'}`}
+              title="View options"
+            >
+              {view.reflow ? `${reflowStyle.size}px` : `${Math.round(scale * 100)}%`}
+            </button>
+            <button
+              onClick={() => zoomBy(0.2)}
+              disabled={view.reflow ? reflowSizeIndex >= REFLOW_FONT_SIZES.length - 1 : scale >= MAX_SCALE}
+              className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all text-lg leading-none"
+              title={view.reflow ? 'Larger text' : 'Zoom in'}
+            >+</button>
+            {viewMenuOpen && (
+              <PdfViewMenu
+                view={view}
+                onChange={changeView}
+                reflowStyle={reflowStyle}
+                onReflowStyleChange={changeReflowStyle}
+                onClose={() => setViewMenuOpen(false)}
+                className="top-full right-0 mt-2"
+              />
+            )}
+          </div>
+
+          {/* Dark/light pill toggle */}
+          <ReaderThemeToggle dark={pdfDark} onToggle={() => setPdfDark((d) => !d)} />
+        </div>
+      </div>
+
+      {/* ── Find bar ── */}
+      {findOpen && (
+        <FindBar
+          query={findQuery}
+          onQueryChange={(q) => { setFindQuery(q); setActiveHitIndex(0); }}
+          hits={hits}
+          activeIndex={activeHit ? hits.indexOf(activeHit) : -1}
+          onGoTo={goToHit}
+          onClose={closeFind}
+          pagesIndexed={Object.keys(pageTexts).length}
+          numPages={numPages}
+        />
+      )}
+
+      {/* ── Scrollable Page Area ── */}
+      <div
+        ref={containerRef}
+        onScroll={scheduleProgressSave}
+        onPointerDown={(e) => { if (e.pointerType !== 'mouse') swipeRef.current = { x: e.clientX, y: e.clientY }; }}
+        onPointerUp={handleSwipeEnd}
+        onPointerCancel={() => { swipeRef.current = null; }}
+        className="flex-1 overflow-y-auto overflow-x-auto scrollbar-thin"
+        // Horizontal swipes are ours in single-page view, so the browser mustn't pan on them.
+        // The scrollbar's room is always kept, so a fit-width zoom doesn't flip-flop as it comes and goes.
+        style={{
+          scrollbarColor: '#444 #1a1814',
+          scrollbarGutter: 'stable',
+          touchAction: layout === 'paged' ? 'pan-y pinch-zoom' : undefined,
+        }}
+      >
+        {loadError ? (
+          <div className="flex items-center justify-center h-full text-neutral-400 text-center px-8">
+            <div>
+              <div className="text-5xl mb-4">📄</div>
+              <p className="text-lg font-semibold text-white mb-2">Unable to load PDF</p>
+              <p className="text-sm">{loadError}</p>
+              <button
+                onClick={retryLoad}
+                className="mt-5"
+                style={{
+                  background: 'linear-gradient(135deg,#d97706,#b45309)', color: 'white',
+                  border: 'none', borderRadius: '999px', padding: '7px 16px',
+                  fontSize: '13px', fontWeight: 700, cursor: 'pointer',
+                }}
+              >
+                Try again
+              </button>
+            </div>
+          </div>
+        ) : !pdfFile ? (
+          pdfLoadingView
+        ) : (
+          <Document
+            file={pdfFile}
+            onLoadSuccess={onDocumentLoadSuccess}
+            onLoadError={() => setLoadError(PDF_FILE_ERROR)}
+            loading={pdfLoadingView}
+            className="flex flex-col items-center px-4 py-4"
+          >
+            {view.reflow ? (
+              <ReflowColumn style={reflowStyle} dark={pdfDark}>
+                {pageRowList.map(([pageNum]) => (
+                  <ReflowPage
+                    key={pageNum}
+                    pdf={pdfDoc}
+                    page={pageNum}
+                    label={pageLabel(pageLabels, pageNum)}
+                    bookmarked={bookmarks.includes(pageNum)}
+                    active={renderedPages.has(pageNum)}
+                    marks={reflowMarksByPage[pageNum]}
+                    pageRef={(el) => (pageRefs.current[pageNum] = el)}
+                    onRendered={() => handleTextLayerRendered(pageNum)}
+                  >
+                    {/* Docked under the page marker: positions only mean something on the page itself */}
+                    {notes.filter(n => n.page === pageNum).map(note => (
+                      <StickyNote
+                        key={note.id}
+                        note={note}
+                        docked
+                        onUpdate={(changes) => updateNote(note.id, changes)}
+                        onDelete={() => deleteNote(note.id)}
+                      />
+                    ))}
+                  </ReflowPage>
+                ))}
+              </ReflowColumn>
+            ) : pageRowList.map((row) => (
+              <div key={row.join('-')} className="flex items-start my-4" style={{ gap: `${SPREAD_GAP}px` }}>
+                {row.map((pageNum) => {
+                  const isRendered = renderedPages.has(pageNum);
+                  return (
+                    <div
+                      key={pageNum}
+                      ref={(el) => (pageRefs.current[pageNum] = el)}
+                      data-page={pageNum}
+                      style={{
+                        // ─ Windowing ────────────────────────────────────────────────
+                        position: 'relative',           // so notes can be absolute-positioned inside
+                        width: isRendered ? undefined : `${placeholderW}px`,
+                        height: isRendered ? undefined : `${placeholderH}px`,
+                        background: isRendered ? undefined : 'rgba(255,255,255,0.025)',
+                        borderRadius: '2px',
+                        overflow: 'visible',            // allow notes to peek outside page bounds
+                        boxShadow: '0 4px 24px rgba(0,0,0,0.5)',
+                        willChange: 'transform',
+                      }}
+                      onMouseUp={() => handlePageMouseUp(pageNum)}
+                      onTouchEnd={() => setTimeout(() => handlePageMouseUp(pageNum), 0)}
+                      onClick={(e) => handlePageClick(e, pageNum)}
+                    >
+                      {/* Only mount the heavy <Page> when inside the render window.
+                          The dark-mode filter wraps just the page so highlights and notes keep their colours. */}
+                      {isRendered && (
+                        <div style={{ filter: pageFilter, transition: 'filter 0.35s ease' }}>
+                          <Page
+                            pageNumber={pageNum}
+                            scale={scale}
+                            renderTextLayer={true}
+                            renderAnnotationLayer={true}
+                            customTextRenderer={hits.length || speaking ? renderTextItem : undefined}
+                            onRenderTextLayerSuccess={() => handleTextLayerRendered(pageNum)}
+                            className="block"
+                          />
+                        </div>
+                      )}
+                      {/* ── Highlights on this page ── */}
+                      {isRendered && highlights.filter(h => h.page === pageNum).map(h => (
+                        <HighlightMarks key={h.id} highlight={h} dark={pdfDark} />
+                      ))}
+                      {isRendered && selectionDraft?.page === pageNum && (
+                        <HighlightPopover
+                          key="draft"
+                          rects={selectionDraft.rects}
+                          onSave={addHighlight}
+                          onClose={() => setSelectionDraft(null)}
+                        />
+                      )}
+                      {isRendered && highlights.filter(h => h.page === pageNum && h.id === activeHighlightId).map(h => (
+                        <HighlightPopover
+                          key={h.id}
+                          rects={h.rects}
+                          highlight={h}
+                          onSave={(changes) => { updateHighlight(h.id, changes); setActiveHighlightId(null); }}
+                          onDelete={() => deleteHighlight(h.id)}
+                          onClose={() => setActiveHighlightId(null)}
+                        />
+                      ))}
+                      {/* ── Notes attached to this page ── */}
+                      {notes.filter(n => n.page === pageNum).map(note => (
+                        <StickyNote
+                          key={note.id}
+                          note={note}
+                          onUpdate={(changes) => updateNote(note.id, changes)}
+                          onDelete={() => deleteNote(note.id)}
+                        />
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </Document>
+        )}
+      </div>
+
+      {/* ── Continue reading (another device is further ahead) ── */}
+      {numPages && showContinueReading && (
+        <div
+          style={{
+            position: 'fixed', top: '72px', left: '50%', transform: 'translateX(-50%)',
+            zIndex: 106, display: 'flex', alignItems: 'center', gap: '10px',
+            padding: '6px 6px 6px 14px', borderRadius: '999px',
+            background: 'rgba(26,22,18,0.94)', backdropFilter: 'blur(10px)',
+            border: '1px solid rgba(245,158,11,0.3)',
+            boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
+            animation: 'floatUp 0.3s cubic-bezier(0.22,1,0.36,1)',
+            whiteSpace: 'nowrap', maxWidth: '92vw',
+          }}
+        >
+          <span style={{ color: '#d4cfca', fontSize: '12px', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            You reached page {remoteProgress.page} on another device
+          </span>
+          <button
+            onClick={continueReading}
+            style={{
+              background: 'linear-gradient(135deg,#d97706,#b45309)', color: 'white',
+              border: 'none', borderRadius: '999px', padding: '5px 12px',
+              fontSize: '12px', fontWeight: 700, cursor: 'pointer', flexShrink: 0,
+            }}
+          >
+            Continue reading
+          </button>
+          <button
+            onClick={() => setRemoteProgress(null)}
+            title="Dismiss"
+            style={{ color: '#6b6b6b', padding: '4px', borderRadius: '50%', cursor: 'pointer', flexShrink: 0 }}
+            className="hover:text-white hover:bg-white/10 transition-colors"
+          >
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+
+      {/* ── Finished? (last page reached) ── */}
+      {showFinishPrompt && (
+        <div
+          style={{
+            position: 'fixed', bottom: readAloudOpen ? '116px' : '64px', left: '50%', transform: 'translateX(-50%)',
+            zIndex: 106, display: 'flex', alignItems: 'center', gap: '10px',
+            padding: '6px 6px 6px 14px', borderRadius: '999px',
+            background: 'rgba(26,22,18,0.94)', backdropFilter: 'blur(10px)',
+            border: '1px solid rgba(245,158,11,0.3)',
+            boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
+            animation: 'floatUp 0.3s cubic-bezier(0.22,1,0.36,1)',
+            whiteSpace: 'nowrap', maxWidth: '92vw',
+          }}
+        >
+          <span style={{ color: '#d4cfca', fontSize: '12px', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {finishStep === 'rate' ? 'Finished! How was it?' : 'You reached the last page. Mark this book as finished?'}
+          </span>
+          {finishStep === 'rate' ? (
+            <StarRating value={book.rating} onChange={(rating) => { onRate(rating); setFinishStep('done'); }} size={16} />
+          ) : (
+            <button
+              onClick={() => { onFinish(); setFinishStep('rate'); }}
+              style={{
+                background: 'linear-gradient(135deg,#d97706,#b45309)', color: 'white',
+                border: 'none', borderRadius: '999px', padding: '5px 12px',
+                fontSize: '12px', fontWeight: 700, cursor: 'pointer', flexShrink: 0,
+              }}
+            >
+              Mark finished
+            </button>
+          )}
+          <button
+            onClick={() => setFinishStep('done')}
+            title={finishStep === 'rate' ? 'Skip' : 'Not yet'}
+            style={{ color: '#6b6b6b', padding: '4px', borderRadius: '50%', cursor: 'pointer', flexShrink: 0 }}
+            className="hover:text-white hover:bg-white/10 transition-colors"
+          >
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+
+      {/* ── Read-aloud controls ── */}
+      {readAloudOpen && (
+        <ReadAloudBar
+          readAloud={readAloud}
+          labels={pageLabels}
+          currentPage={currentPage}
+          onClose={() => setReadAloudOpen(false)}
+        />
+      )}
+
+      {/* ── Progress bar — drag or click to seek ── */}
+      {numPages && (
+        <PageScrubber
+          pdf={pdfDoc}
+          numPages={numPages}
+          currentPage={currentPage}
+          labels={pageLabels}
+          pageFilter={pageFilter}
+          onSeek={jumpToPage}
+        />
+      )}
+
+      {/* ── Thumbnail strip (left edge, stays open while reading) ── */}
+      {thumbnailsOpen && numPages && (
+        <ThumbnailStrip
+          pdf={pdfDoc}
+          numPages={numPages}
+          currentPage={currentPage}
+          labels={pageLabels}
+          aspect={baseDims.height / baseDims.width}
+          pageFilter={pageFilter}
+          onJump={jumpToPage}
+          onClose={() => setThumbnailsOpen(false)}
+        />
+      )}
+
+      {/* ── Contents Panel (slide-in from left) ── */}
+      {contentsOpen && (
+        <ContentsPanel
+          outline={outline}
+          numPages={numPages}
+          currentPage={currentPage}
+          labels={pageLabels}
+          onJump={scrollToPage}
+          onClose={() => setContentsOpen(false)}
+        />
+      )}
+
+      {/* ── Bookmark Panel (slide-in from right) ── */}
+      {bookmarkPanelOpen && (
+        <BookmarkPanel
+          bookmarks={bookmarks}
+          numPages={numPages}
+          currentPage={currentPage}
+          isCurrentPageBookmarked={isCurrentPageBookmarked}
+          onJump={scrollToPage}
+          onRemove={removeBookmark}
+          onToggleCurrent={toggleBookmark}
+          onClose={() => setBookmarkPanelOpen(false)}
+        />
+      )}
+
+      {/* ── Floating Bookmark Button ── */}
+      {numPages && (
+        <ReaderFabs
+          bookmarks={bookmarks}
+          currentPage={currentPage}
+          isCurrentPageBookmarked={isCurrentPageBookmarked}
+          panelOpen={bookmarkPanelOpen}
+          onAddNote={() => addNote(currentPage)}
+          onToggleBookmark={toggleBookmark}
+          onOpenPanel={() => setBookmarkPanelOpen(true)}
+        />
+      )}
+    </div>
+  );
+}
+
+// ─── PDF view menu: fit zoom, page layout, reflowed text ──────────────────────
+function PdfViewMenu({ view, onChange, reflowStyle, onReflowStyleChange, onClose, className = '' }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (!menuRef.current?.contains(e.target)) onClose(); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, [onClose]);
 
-  const addNote = async () => {
-    const { data: row, error } = await supabase
-      .from('notes')
-      .insert({
-        user_id: session.user.id,
-        book_id: book.id,
-        page: currentPage,
-        x_pct: 5,
-        y_pct: 5,
-        content: '',
+  const option = (label, active, onSelect) => (
+    <button
+      key={label}
+      onClick={onSelect}
+      className={`w-full flex items-center justify-between px-3 py-2 text-sm transition-colors hover:bg-amber-500/10 ${active ? 'text-amber-400' : 'text-neutral-300 hover:text-white'}`}
+    >
+      {label}
+      {active && (
+        <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+          <polyline points="20 6 9 17 4 12" />
+        </svg>
+      )}
+    </button>
+  );
+
+  const heading = (label) => (
+    <p className="px-3 pt-1.5 pb-1 text-[10px] font-semibold tracking-wider uppercase text-neutral-500">{label}</p>
+  );
+
+  // A row of choices for the reflowed text's typography
+  const segments = (items, isActive, onSelect, itemStyle) => (
+    <div className="flex gap-1 px-3 pb-2">
+      {items.map((item) => (
+        <button
+          key={item.id}
+          onClick={() => onSelect(item)}
+          className={`flex-1 py-1 rounded-md text-xs transition-colors ${isActive(item) ? 'bg-amber-500/20 text-amber-400' : 'text-neutral-300 hover:bg-white/10 hover:text-white'}`}
+          style={itemStyle?.(item)}
+        >
+          {item.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div
+      ref={menuRef}
+      onClick={(e) => e.stopPropagation()}
+      className={`absolute z-30 w-52 rounded-xl overflow-hidden shadow-2xl py-1 ${className}`}
+      style={{ background: 'linear-gradient(160deg, #2a2520 0%, #1a1612 100%)', border: '1px solid rgba(255,255,255,0.1)' }}
+    >
+      <label className="flex items-center gap-2 px-3 py-2 text-sm text-neutral-300 cursor-pointer hover:bg-white/5">
+        <input
+          type="checkbox"
+          checked={view.reflow}
+          onChange={(e) => onChange({ reflow: e.target.checked })}
+          className="accent-amber-500"
+        />
+        Reflow text
+      </label>
+      <div className="my-1 border-t border-white/5" />
+      {view.reflow ? (
+        <>
+          {heading('Font')}
+          {segments(REFLOW_FONTS, (f) => reflowStyle.font === f.id, (f) => onReflowStyleChange({ font: f.id }), (f) => ({ fontFamily: f.css }))}
+          {heading('Line spacing')}
+          {segments(
+            REFLOW_LINE_HEIGHTS.map((lh) => ({ id: lh, label: String(lh) })),
+            (lh) => reflowStyle.lineHeight === lh.id,
+            (lh) => onReflowStyleChange({ lineHeight: lh.id }),
+          )}
+          {heading('Margins')}
+          {segments(REFLOW_MARGINS, (m) => reflowStyle.margin === m.id, (m) => onReflowStyleChange({ margin: m.id }))}
+          <p className="px-3 pb-2 text-[11px] text-neutral-500">− and + change the text size.</p>
+        </>
+      ) : (
+        <>
+          {heading('Zoom')}
+          {PDF_ZOOM_MODES.map((mode) => option(mode.label, view.zoom === mode.id, () => onChange({ zoom: mode.id })))}
+          <div className="my-1 border-t border-white/5" />
+          {heading('Pages')}
+          {PDF_LAYOUTS.map((layout) => option(layout.label, view.layout === layout.id, () => onChange({ layout: layout.id })))}
+          {view.layout === 'spread' && (
+            <label className="flex items-center gap-2 px-3 py-2 text-sm text-neutral-300 cursor-pointer hover:bg-white/5">
+              <input
+                type="checkbox"
+                checked={view.coverAlone}
+                onChange={(e) => onChange({ coverAlone: e.target.checked })}
+                className="accent-amber-500"
+              />
+              Show cover on its own
+            </label>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── PDF reflow view ──────────────────────────────────────────────────────────
+// The PDF's text set as plain HTML (see pdfReflow.js) for screens too small for
+// its pages. Each page stays a section of its own behind a page marker, so the
+// current page, bookmarks and notes work as they do on the pages themselves —
+// notes are docked under the marker, as their positions are on the page.
+// Highlights, which are drawn on the page image, only show in the page view.
+function ReflowColumn({ style, dark, children }) {
+  const font = REFLOW_FONTS.find((f) => f.id === style.font) || REFLOW_FONTS[0];
+  const margin = REFLOW_MARGINS.find((m) => m.id === style.margin) || REFLOW_MARGINS[1];
+  return (
+    <div
+      className="kw-reflow w-full rounded-sm"
+      style={{
+        maxWidth: '40em',
+        padding: `8px ${margin.px}px 48px`,
+        fontFamily: font.css,
+        fontSize: `${style.size}px`,
+        lineHeight: style.lineHeight,
+        background: dark ? '#1a1814' : '#f7f3ea',
+        color: dark ? '#d4cfca' : '#1c1a17',
+        boxShadow: '0 4px 24px rgba(0,0,0,0.5)',
+        overflowWrap: 'break-word',
+        hyphens: 'auto',
+        transition: 'background 0.35s ease, color 0.35s ease',
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+const REFLOW_HEADING_SIZES = { 1: '1.6em', 2: '1.35em', 3: '1.15em' };
+
+const NO_MARKS = [];
+
+// One page's text, extracted once it first comes into the render window and
+// kept from then on so the column doesn't change height under the reader.
+// `marks` are find hits and the spoken sentence (see markBlocks); `onRendered`
+// fires once they're on screen, like the page view's text layer callback.
+// Children — the page's notes — sit under the page marker.
+function ReflowPage({ pdf, page, label, bookmarked, active, marks = NO_MARKS, pageRef, onRendered, children }) {
+  const [blocks, setBlocks] = useState(null);
+  const runs = useMemo(() => blocks && markBlocks(blocks, marks), [blocks, marks]);
+  const onRenderedRef = useRef(onRendered);
+  useEffect(() => { onRenderedRef.current = onRendered; });
+
+  useEffect(() => {
+    if (runs) onRenderedRef.current?.();
+  }, [runs]);
+
+  useEffect(() => {
+    if (!active || blocks || !pdf) return;
+    let cancelled = false;
+    reflowPage(pdf, page)
+      .catch((err) => {
+        console.error('Failed to reflow page:', err.message);
+        return [];
       })
-      .select()
-      .single();
-    if (error) { console.error('Failed to add note:', error.message); return; }
-    setNotes(prev => [...prev, { id: row.id, page: row.page, xPct: row.x_pct, yPct: row.y_pct, content: row.content }]);
+      .then((result) => { if (!cancelled) setBlocks(result); });
+    return () => { cancelled = true; };
+  }, [active, blocks, pdf, page]);
+
+  return (
+    <section ref={pageRef} data-page={page} style={{ position: 'relative', minHeight: blocks ? undefined : '60vh' }}>
+      <div
+        className="flex items-center gap-2 my-6 text-[11px] font-semibold tracking-wider uppercase select-none"
+        style={{ fontFamily: 'system-ui, sans-serif', lineHeight: 1, opacity: 0.5 }}
+      >
+        <span className="flex-1 border-t border-current opacity-40" />
+        {bookmarked && (
+          <svg width="11" height="11" viewBox="0 0 24 24" fill="#f59e0b" stroke="#f59e0b" strokeWidth="2.5" strokeLinejoin="round">
+            <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+          </svg>
+        )}
+        Page {label}
+        <span className="flex-1 border-t border-current opacity-40" />
+      </div>
+      {React.Children.count(children) > 0 && (
+        <div className="flex flex-wrap items-start gap-2 mb-4" style={{ fontFamily: 'system-ui, sans-serif', lineHeight: 1.4 }}>
+          {children}
+        </div>
+      )}
+      {blocks?.length === 0 && (
+        <p className="text-sm italic text-center" style={{ opacity: 0.5 }}>No text on this page</p>
+      )}
+      {blocks?.map((block, i) => {
+        const text = runs[i].map((run, j) => (run.className ? <mark key={j} className={run.className}>{run.text}</mark> : run.text));
+        return block.type === 'heading' ? (
+          <p
+            key={i}
+            role="heading"
+            aria-level={block.level + 1}
+            style={{ fontSize: REFLOW_HEADING_SIZES[block.level], fontWeight: 700, lineHeight: 1.25, margin: '1.2em 0 0.6em' }}
+          >
+            {text}
+          </p>
+        ) : (
+          <p key={i} style={{ margin: '0 0 0.9em' }}>{text}</p>
+        );
+      })}
+    </section>
+  );
+}
+
+// ─── Read aloud: controller hook and control bar (PDF reader) ────────────────
+// Wraps createReadAloud (see readAloud.js) for one document. `handlers.onPageText`
+// receives the text it extracts for a page, `handlers.onPage` fires as it moves
+// on to the next page.
+function useReadAloud(pdf, bookId, handlers) {
+  const supported = speechSupported();
+  const [voices, setVoices] = useState([]);
+  const [options, setOptions] = useState(loadReadAloudOptions);
+  const [position, setPosition] = useState(null); // { page, index, count, start, end, playing } while active
+  const [notice, setNotice] = useState(null);
+  const controllerRef = useRef(null);
+  const handlersRef = useRef(handlers);
+  useEffect(() => { handlersRef.current = handlers; });
+
+  useEffect(() => {
+    if (!supported) return;
+    let cancelled = false;
+    loadVoices().then((list) => { if (!cancelled) setVoices(list); });
+    return () => { cancelled = true; };
+  }, [supported]);
+
+  useEffect(() => {
+    if (!pdf || !supported) return;
+    const controller = createReadAloud({
+      bookId,
+      loadPage: async (page) => {
+        if (page > pdf.numPages) return null;
+        const pageText = await getPageText(pdf, page);
+        handlersRef.current.onPageText?.(page, pageText);
+        return pageText.text;
+      },
+      onChange: setPosition,
+      onPage: (page) => handlersRef.current.onPage?.(page),
+      onFinish: (reason) => {
+        if (reason === 'no-text') setNotice('No text to read on these pages — they may be scanned images.');
+      },
+      onError: (message) => {
+        console.error('Read aloud failed:', message);
+        setNotice("Couldn't read this aloud. Try another voice.");
+      },
+    });
+    controllerRef.current = controller;
+    return () => { controller.stop(); controllerRef.current = null; };
+  }, [pdf, bookId, supported]);
+
+  useEffect(() => { controllerRef.current?.setVoices(voices); }, [voices, pdf, bookId]);
+
+  // From the paused sentence; otherwise from the saved one when it's on
+  // `fromPage`, else from the top of `fromPage`
+  const play = useCallback((fromPage) => {
+    const controller = controllerRef.current;
+    if (!controller) return;
+    setNotice(null);
+    if (position) { controller.resume(); return; }
+    const saved = loadReadAloudPosition(bookId);
+    controller.start(fromPage, saved?.page === fromPage ? saved.sentence : 0);
+  }, [position, bookId]);
+
+  const changeOptions = useCallback((changes) => {
+    setOptions((prev) => ({ ...prev, ...changes }));
+    controllerRef.current?.setOptions(changes);
+  }, []);
+
+  return {
+    supported,
+    voices,
+    options,
+    position,
+    notice,
+    play,
+    pause: () => controllerRef.current?.pause(),
+    stop: () => controllerRef.current?.stop(),
+    skip: (dir) => controllerRef.current?.skip(dir),
+    setOptions: changeOptions,
   };
+}
 
-  const updateNote = (id, changes) => {
-    // Optimistic local update
-    setNotes(prev => prev.map(n => n.id === id ? { ...n, ...changes } : n));
-    // Build DB payload — map camelCase back to snake_case
-    const dbPayload = {};
-    if (changes.xPct !== undefined) dbPayload.x_pct = changes.xPct;
-    if (changes.yPct !== undefined) dbPayload.y_pct = changes.yPct;
-    if (changes.content !== undefined) dbPayload.content = changes.content;
-    if (Object.keys(dbPayload).length) {
-      supabase.from('notes').update(dbPayload).eq('id', id)
-        .then(({ error }) => { if (error) console.error('Note update failed:', error.message); });
+function ReadAloudBar({ readAloud, labels, currentPage, onClose }) {
+  const { voices, options, position, notice } = readAloud;
+  const playing = !!position?.playing;
+  // The user's language first, then the rest by name
+  const lang = navigator.language?.slice(0, 2);
+  const sortedVoices = [...voices].sort((a, b) => (
+    (b.lang.startsWith(lang) - a.lang.startsWith(lang)) || a.name.localeCompare(b.name)
+  ));
+  const iconButton = 'p-2 rounded-full text-neutral-300 hover:text-white hover:bg-white/10 disabled:opacity-30 transition-colors';
+  const select = 'bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-xs text-neutral-200 focus:outline-none focus:border-amber-500/60';
+
+  return (
+    <div
+      style={{
+        // Clear of the note/bookmark buttons on the right
+        position: 'fixed', bottom: '20px', left: '16px', right: '72px',
+        maxWidth: '560px', margin: '0 auto', zIndex: 106,
+        background: 'rgba(26,22,18,0.96)', backdropFilter: 'blur(10px)',
+        border: '1px solid rgba(255,255,255,0.1)', borderRadius: '16px',
+        boxShadow: '0 8px 30px rgba(0,0,0,0.5)',
+        animation: 'floatUp 0.3s cubic-bezier(0.22,1,0.36,1)',
+      }}
+      className="px-3 py-2 flex flex-col gap-1.5"
+    >
+      <div className="flex items-center gap-1">
+        <button onClick={() => readAloud.skip(-1)} disabled={!position} className={iconButton} title="Previous sentence">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M6 6h2v12H6zM9.5 12l8.5 6V6z" /></svg>
+        </button>
+        <button
+          onClick={() => (playing ? readAloud.pause() : readAloud.play(currentPage))}
+          className="p-2.5 rounded-full text-white transition-all hover:opacity-90 active:scale-95"
+          style={{ background: 'linear-gradient(135deg,#d97706,#b45309)' }}
+          title={playing ? 'Pause' : position ? 'Resume' : 'Read aloud from this page'}
+        >
+          {playing ? (
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M6 5h4v14H6zM14 5h4v14h-4z" /></svg>
+          ) : (
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M7 4v16l13-8z" /></svg>
+          )}
+        </button>
+        <button onClick={() => readAloud.skip(1)} disabled={!position} className={iconButton} title="Next sentence">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M16 6h2v12h-2zM6 18l8.5-6L6 6z" /></svg>
+        </button>
+
+        <span className="flex-1 min-w-0 px-2 text-xs text-neutral-400 truncate">
+          {notice || (position
+            ? `Page ${pageLabel(labels, position.page)} · sentence ${position.index + 1} of ${position.count}${playing ? '' : ' · paused'}`
+            : 'Read aloud')}
+        </span>
+
+        <select
+          value={options.rate}
+          onChange={(e) => readAloud.setOptions({ rate: Number(e.target.value) })}
+          className={select}
+          title="Speed"
+        >
+          {READ_ALOUD_RATES.map((rate) => (
+            <option key={rate} value={rate} className="bg-neutral-900">{rate}×</option>
+          ))}
+        </select>
+        <button
+          onClick={() => { readAloud.stop(); onClose(); }}
+          className={iconButton}
+          title="Stop reading aloud"
+        >
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+            <path d="M18 6L6 18M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+      {voices.length > 0 && (
+        <select
+          value={options.voiceURI || ''}
+          onChange={(e) => readAloud.setOptions({ voiceURI: e.target.value || null })}
+          className={`${select} w-full`}
+          title="Voice"
+        >
+          <option value="" className="bg-neutral-900">Default voice</option>
+          {sortedVoices.map((voice) => (
+            <option key={voice.voiceURI} value={voice.voiceURI} className="bg-neutral-900">
+              {voice.name} ({voice.lang})
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+// ─── PDF page navigation: page field, thumbnails, scrubber ───────────────────
+
+// Data URL of a page thumbnail once rendered → { page, url }. The last one stays
+// until the next arrives, so a changing `page` doesn't blink. `delay` holds off
+// rendering while `page` is still moving (scrubbing).
+function usePageThumbnail(pdf, page, delay = 0) {
+  const [thumb, setThumb] = useState(null);
+  useEffect(() => {
+    if (!pdf || !page) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      pageThumbnail(pdf, page)
+        .then((url) => { if (!cancelled) setThumb({ page, url }); })
+        .catch((err) => console.error('Failed to render thumbnail:', err.message));
+    }, delay);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [pdf, page, delay]);
+  return thumb;
+}
+
+// Current page in the top bar; click to type a page number or printed label
+// ("xii") and press Enter to go there.
+function PageNumberField({ inputRef, currentPage, numPages, labels, onGo }) {
+  const [draft, setDraft] = useState(null); // text being typed; null when not editing
+  const [invalid, setInvalid] = useState(false);
+  const label = pageLabel(labels, currentPage);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      const page = pageFromInput(labels, draft ?? '', numPages);
+      if (page == null) { setInvalid(true); return; }
+      onGo(page);
+      e.currentTarget.blur();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation(); // don't close the reader
+      e.currentTarget.blur();
     }
   };
 
-  const deleteNote = (id) => {
-    setNotes(prev => prev.filter(n => n.id !== id));
-    supabase.from('notes').delete().eq('id', id)
-      .then(({ error }) => { if (error) console.error('Note delete failed:', error.message); });
+  return (
+    <span className="flex items-center gap-1 text-neutral-300 text-xs tabular-nums" title={`Page ${currentPage} of ${numPages} — press G to go to a page`}>
+      <input
+        ref={inputRef}
+        type="text"
+        inputMode={labels ? 'text' : 'numeric'}
+        value={draft ?? label}
+        onFocus={(e) => { setDraft(label); e.target.select(); }}
+        onChange={(e) => { setDraft(e.target.value); setInvalid(false); }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => { setDraft(null); setInvalid(false); }}
+        aria-label="Go to page"
+        className={`bg-white/5 border rounded px-1 py-0.5 text-center text-white focus:outline-none transition-colors ${invalid ? 'border-red-500/70' : 'border-white/10 focus:border-amber-500/60'}`}
+        style={{ width: `${Math.max(String(numPages).length, label.length) + 2}ch` }}
+      />
+      <span className="whitespace-nowrap">
+        {label !== String(currentPage) ? `(${currentPage} / ${numPages})` : `/ ${numPages}`}
+      </span>
+    </span>
+  );
+}
+
+const THUMB_STRIP_WIDTH = 120; // px, image width
+const THUMB_STRIP_OVERSCAN = 3; // rows rendered beyond each edge
+
+function StripThumbnail({ pdf, page, label, active, height, pageFilter, onClick }) {
+  const thumb = usePageThumbnail(pdf, page);
+  return (
+    <button onClick={onClick} className="flex flex-col items-center gap-1 w-full group">
+      <div
+        style={{
+          width: `${THUMB_STRIP_WIDTH}px`, height: `${height}px`,
+          background: 'rgba(255,255,255,0.04)', borderRadius: '3px', overflow: 'hidden',
+          outline: active ? '2px solid #f59e0b' : '1px solid rgba(255,255,255,0.08)',
+          outlineOffset: active ? '2px' : '0',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.4)',
+        }}
+      >
+        {thumb && (
+          <img src={thumb.url} alt="" draggable={false} style={{ width: '100%', height: '100%', objectFit: 'contain', filter: pageFilter }} />
+        )}
+      </div>
+      <span className="tabular-nums group-hover:text-white transition-colors" style={{ fontSize: '11px', color: active ? '#f59e0b' : '#8a857d' }}>
+        {label}
+      </span>
+    </button>
+  );
+}
+
+// Thumbnail sidebar. Rows have a fixed height, so only the ones in (or near)
+// view are mounted and thumbnails render as they scroll in. Follows the
+// current page while open.
+function ThumbnailStrip({ pdf, numPages, currentPage, labels, aspect, pageFilter, onJump, onClose }) {
+  const thumbHeight = Math.round(THUMB_STRIP_WIDTH * aspect);
+  const rowHeight = thumbHeight + 40;
+  const listRef = useRef(null);
+  const followedRef = useRef(false); // first follow is instant, later ones smooth
+  const [view, setView] = useState({ top: 0, height: 0 });
+
+  const measure = () => {
+    const el = listRef.current;
+    if (el) setView({ top: el.scrollTop, height: el.clientHeight });
   };
-  // Base page dimensions at scale:1. Fetched from PDF metadata — zero pixels rendered.
-  // Used to give placeholder divs the correct height so the scrollbar stays accurate.
-  const [baseDims, setBaseDims] = useState({ width: 612, height: 792 }); // A4 fallback
 
-  const containerRef = useRef(null);
-  const pageRefs = useRef({});
-  const ioThrottleRef = useRef(null); // timer handle for IntersectionObserver throttle
-  const ratioMapRef = useRef({}); // persistent map: { [pageNumber]: intersectionRatio }
+  useEffect(() => {
+    const observer = new ResizeObserver(measure);
+    observer.observe(listRef.current);
+    return () => observer.disconnect();
+  }, []);
 
-  const isCurrentPageBookmarked = bookmarks.includes(currentPage);
+  // Keep the current page's row in view
+  useEffect(() => {
+    const el = listRef.current;
+    const rowTop = (currentPage - 1) * rowHeight;
+    if (rowTop >= el.scrollTop && rowTop + rowHeight <= el.scrollTop + el.clientHeight) return;
+    el.scrollTo({
+      top: rowTop - (el.clientHeight - rowHeight) / 2,
+      behavior: followedRef.current ? 'smooth' : 'auto',
+    });
+    followedRef.current = true;
+  }, [currentPage, rowHeight]);
 
-  const toggleBookmark = () => {
-    onUpdateBookmarks((prev) =>
-      prev.includes(currentPage)
-        ? prev.filter((p) => p !== currentPage)
-        : [...prev, currentPage].sort((a, b) => a - b)
-    );
+  const first = Math.max(1, Math.floor(view.top / rowHeight) + 1 - THUMB_STRIP_OVERSCAN);
+  const last = Math.min(numPages, Math.ceil((view.top + view.height) / rowHeight) + THUMB_STRIP_OVERSCAN);
+  const pages = [];
+  for (let page = first; page <= last; page++) pages.push(page);
+
+  return (
+    <div
+      style={{
+        position: 'fixed', top: '58px', left: 0, bottom: 0, zIndex: 104,
+        width: `${THUMB_STRIP_WIDTH + 48}px`,
+        display: 'flex', flexDirection: 'column',
+        background: 'linear-gradient(160deg, #1a1612 0%, #211e18 100%)',
+        borderRight: '1px solid rgba(255,255,255,0.08)',
+        boxShadow: '12px 0 40px rgba(0,0,0,0.5)',
+        animation: 'slideInLeft 0.25s cubic-bezier(0.22,1,0.36,1)',
+      }}
+    >
+      <div className="flex items-center justify-between pl-4 pr-2 py-2.5 border-b border-white/8 shrink-0">
+        <span style={{ color: '#e5e0d5', fontWeight: 600, fontSize: '13px' }}>Pages</span>
+        <button
+          onClick={onClose}
+          style={{ color: '#6b6b6b', padding: '4px', borderRadius: '6px', cursor: 'pointer' }}
+          className="hover:text-white hover:bg-white/10 transition-colors"
+          title="Close thumbnails"
+        >
+          <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+            <path d="M18 6L6 18M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+      <div
+        ref={listRef}
+        onScroll={measure}
+        className="flex-1 overflow-y-auto"
+        style={{ scrollbarWidth: 'thin', scrollbarColor: '#333 transparent' }}
+      >
+        <div style={{ position: 'relative', height: `${numPages * rowHeight}px` }}>
+          {pages.map((page) => (
+            <div
+              key={page}
+              style={{ position: 'absolute', left: 0, right: 0, top: `${(page - 1) * rowHeight}px`, height: `${rowHeight}px`, paddingTop: '12px' }}
+            >
+              <StripThumbnail
+                pdf={pdf}
+                page={page}
+                label={pageLabel(labels, page)}
+                active={page === currentPage}
+                height={thumbHeight}
+                pageFilter={pageFilter}
+                onClick={() => onJump(page)}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// The reading progress bar, doubling as a seek bar: hovering or dragging shows
+// the page under the pointer, releasing jumps there.
+function PageScrubber({ pdf, numPages, currentPage, labels, pageFilter, onSeek }) {
+  const [target, setTarget] = useState(null); // { page, x } under the pointer
+  const [dragging, setDragging] = useState(false);
+  const barRef = useRef(null);
+  const thumb = usePageThumbnail(pdf, target?.page, 120);
+
+  const targetAt = (clientX) => {
+    const box = barRef.current.getBoundingClientRect();
+    const x = Math.max(0, Math.min(box.width, clientX - box.left));
+    return { page: Math.max(1, Math.ceil((x / box.width) * numPages)), x, width: box.width };
   };
 
-  const removeBookmark = (page) => {
-    onUpdateBookmarks((prev) => prev.filter((p) => p !== page));
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(true);
+    setTarget(targetAt(e.clientX));
   };
 
-  // ── Close on Escape ────────────────────────────────────────────────────────
+  const handlePointerUp = (e) => {
+    if (!dragging) return;
+    setDragging(false);
+    onSeek(targetAt(e.clientX).page);
+    if (e.pointerType !== 'mouse') setTarget(null);
+  };
+
+  const active = dragging || target;
+  const shownPage = dragging && target ? target.page : currentPage;
+  const previewWidth = 110;
+
+  return (
+    <div
+      ref={barRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={(e) => setTarget(targetAt(e.clientX))}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => { setDragging(false); setTarget(null); }}
+      onPointerLeave={() => { if (!dragging) setTarget(null); }}
+      className="relative shrink-0 z-10 flex items-end cursor-pointer"
+      style={{ height: '10px', marginTop: '-8px', touchAction: 'none' }}
+    >
+      <div className="w-full bg-neutral-800 transition-all duration-150" style={{ height: active ? '5px' : '2px' }}>
+        <div
+          className={`h-full bg-amber-500 ${dragging ? '' : 'transition-all duration-300'}`}
+          style={{ width: `${(shownPage / numPages) * 100}%` }}
+        />
+      </div>
+
+      {target && (
+        <div
+          style={{
+            position: 'absolute', bottom: '14px',
+            left: `${Math.max(8, Math.min(target.width - previewWidth - 8, target.x - previewWidth / 2))}px`,
+            width: `${previewWidth}px`, padding: '6px',
+            display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px',
+            background: 'rgba(26,22,18,0.96)', borderRadius: '8px',
+            border: '1px solid rgba(255,255,255,0.1)', boxShadow: '0 6px 24px rgba(0,0,0,0.6)',
+            pointerEvents: 'none',
+          }}
+        >
+          {pdf && (
+            <div style={{ width: '100%', aspectRatio: '3 / 4', background: 'rgba(255,255,255,0.04)', borderRadius: '3px', overflow: 'hidden' }}>
+              {thumb && (
+                <img
+                  src={thumb.url}
+                  alt=""
+                  style={{ width: '100%', height: '100%', objectFit: 'contain', filter: pageFilter, opacity: thumb.page === target.page ? 1 : 0.4 }}
+                />
+              )}
+            </div>
+          )}
+          <span className="tabular-nums" style={{ color: '#d4cfca', fontSize: '11px', fontWeight: 600 }}>
+            {labels ? `${pageLabel(labels, target.page)} · ${target.page} / ${numPages}` : `${target.page} / ${numPages}`}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── EPUB Reader ──────────────────────────────────────────────────────────────
+// Reflowable counterpart to PDFReader. epub.js paginates the book into an
+// iframe; "pages" here are the locations from ensureLocations(), so bookmarks,
+// notes and reading progress reuse the same page columns as PDFs.
+const EPUB_FONT_SIZES = [80, 90, 100, 110, 125, 150, 175, 200]; // percent
+const EPUB_THEMES = {
+  light: { body: { background: '#f7f3ea !important', color: '#1c1a17 !important' } },
+  dark: {
+    body: { background: '#1a1814 !important', color: '#d4cfca !important' },
+    a: { color: '#f59e0b !important' },
+  },
+};
+
+function EpubReader({ book, onClose, bookmarks, onUpdateBookmarks, session, onPageCount, shortcuts, onShowShortcuts }) {
+  const [numPages, setNumPages] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [ready, setReady] = useState(false); // locations generated and saved position displayed
+  const [loadError, setLoadError] = useState(false);
+  const [epubDark, setEpubDark] = useState(false);
+  const [fontSize, setFontSize] = useState(100);
+  const [bookmarkPanelOpen, setBookmarkPanelOpen] = useState(false);
+  const { notes, addNote, updateNote, deleteNote } = useBookNotes(book.id, session);
+
+  const viewerRef = useRef(null);
+  const epubRef = useRef(null);
+  const renditionRef = useRef(null);
+
+  // ── Open the book, paginate it, and jump to this device's saved position ──
   useEffect(() => {
-    const handler = (e) => { if (e.key === 'Escape') onClose(); };
-    window.addEventListener('keydown', handler);
-    return () => window.removeEventListener('keydown', handler);
-  }, [onClose]);
+    let cancelled = false;
+    // Books saved for offline reading open from the local copy; otherwise the
+    // whole file is fetched once through a freshly signed URL
+    const epub = ePub();
+    const opening = book.cachedFile
+      ? book.cachedFile.arrayBuffer().then((buffer) => epub.open(buffer, 'binary'))
+      : signedUrlSource(book.pdfPath)().then((url) => epub.open(url, 'epub'));
+    opening.catch((err) => {
+      console.error('Failed to open EPUB:', err?.message);
+      if (!cancelled) setLoadError(true);
+    });
+    const rendition = epub.renderTo(viewerRef.current, {
+      width: '100%', height: '100%', flow: 'paginated', spread: 'auto',
+    });
+    epubRef.current = epub;
+    renditionRef.current = rendition;
+    Object.entries(EPUB_THEMES).forEach(([name, styles]) => rendition.themes.register(name, styles));
+
+    rendition.on('relocated', (location) => {
+      if (!epub.locations.length()) return;
+      setCurrentPage(epub.locations.locationFromCfi(location.start.cfi) + 1);
+    });
+
+    Promise.all([epub.ready, loadReadingProgress(book.id)])
+      .then(async ([, progress]) => {
+        await ensureLocations(epub, book.id);
+        if (cancelled) return;
+        const total = epub.locations.length();
+        setNumPages(total);
+        const saved = progress.local ? Math.min(progress.local.page, total) : null;
+        await rendition.display(saved ? epub.locations.cfiFromLocation(saved - 1) : undefined);
+        if (!cancelled) setReady(true);
+      })
+      .catch((err) => {
+        console.error('Failed to open EPUB:', err?.message);
+        if (!cancelled) setLoadError(true);
+      });
+
+    return () => {
+      cancelled = true;
+      renditionRef.current = null;
+      epubRef.current = null;
+      epub.destroy();
+    };
+  }, [book.id, book.pdfPath, book.cachedFile]);
 
-  // ── Stable IntersectionObserver with persistent ratio map ─────────────────
-  // Fix for page-number flicker: instead of scanning only the *changed* entries
-  // (which caused 4↔5 oscillation mid-scroll), we maintain a persistent map of
-  // every page's latest ratio. The current page only shifts when a candidate
-  // page holds >60% of the viewport — the "majority wins" rule.
   useEffect(() => {
-    if (!numPages) return;
-    const observer = new IntersectionObserver(
-      (entries) => {
-        // 1. Update the persistent ratio map with whatever just changed
-        entries.forEach((entry) => {
-          ratioMapRef.current[entry.target.dataset.page] = entry.intersectionRatio;
-        });
+    renditionRef.current?.themes.select(epubDark ? 'dark' : 'light');
+  }, [epubDark]);
 
-        // 2. Throttle the React setState so we render at most ~10×/sec
-        if (ioThrottleRef.current) return;
-        ioThrottleRef.current = setTimeout(() => {
-          ioThrottleRef.current = null;
+  useEffect(() => {
+    renditionRef.current?.themes.fontSize(`${fontSize}%`);
+  }, [fontSize]);
 
-          // 3. Scan the FULL map to find the page with the highest visibility
-          let bestPage = null;
-          let bestRatio = 0;
-          Object.entries(ratioMapRef.current).forEach(([page, ratio]) => {
-            if (ratio > bestRatio) { bestRatio = ratio; bestPage = Number(page); }
-          });
+  // The location count stands in for a page count in the library's progress bars
+  const pageCountReportedRef = useRef(false);
+  useEffect(() => {
+    if (!numPages || pageCountReportedRef.current) return;
+    pageCountReportedRef.current = true;
+    if (numPages !== book.pageCount) onPageCount?.(numPages);
+  }, [numPages, book.pageCount, onPageCount]);
+
+  const goToPage = (n) => {
+    const epub = epubRef.current;
+    if (!epub?.locations.length()) return;
+    renditionRef.current?.display(epub.locations.cfiFromLocation(n - 1));
+  };
+  const prevPage = () => renditionRef.current?.prev();
+  const nextPage = () => renditionRef.current?.next();
+
+  // ── Keyboard: Escape closes; the rest are shortcuts, bound further down ────
+  // Keys pressed while focus is inside the book's iframe never reach window,
+  // so the rendition's own keydown events are handled too.
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.target.closest?.('input, textarea')) return;
+      if (e.key === 'Escape') onClose();
+    };
+    const rendition = renditionRef.current;
+    window.addEventListener('keydown', handler);
+    rendition?.on('keydown', handler);
+    return () => {
+      window.removeEventListener('keydown', handler);
+      rendition?.off('keydown', handler);
+    };
+  }, [onClose]);
+
+  // ── Reading progress (saved once the reader has been still for a moment) ──
+  const pendingSaveRef = useRef(null);
+
+  const flushProgressSave = useCallback(() => {
+    if (!pendingSaveRef.current || !session) return;
+    saveReadingProgress(session.user.id, book.id, pendingSaveRef.current);
+    pendingSaveRef.current = null;
+  }, [book.id, session]);
 
-          // 4. Only commit if the winner has >60% of the viewport
-          //    (prevents flickering when two pages share roughly equal screen space)
-          if (bestPage !== null && bestRatio > 0.6) {
-            setCurrentPage(bestPage);
-          }
-        }, 100);
-      },
-      { root: containerRef.current, threshold: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0] }
-    );
-    Object.values(pageRefs.current).forEach((el) => el && observer.observe(el));
+  useEffect(() => {
+    if (!ready) return;
+    pendingSaveRef.current = { page: currentPage, offset: 0, scale: null };
+    const timer = setTimeout(flushProgressSave, PROGRESS_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [ready, currentPage, flushProgressSave]);
+
+  useEffect(() => {
+    const onHide = () => { if (document.visibilityState === 'hidden') flushProgressSave(); };
+    document.addEventListener('visibilitychange', onHide);
     return () => {
-      observer.disconnect();
-      if (ioThrottleRef.current) { clearTimeout(ioThrottleRef.current); ioThrottleRef.current = null; }
+      document.removeEventListener('visibilitychange', onHide);
+      flushProgressSave();
     };
-  }, [numPages]);
+  }, [flushProgressSave]);
 
-  const scrollToPage = (n) => {
-    pageRefs.current[n]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  // ── Bookmarks ──────────────────────────────────────────────────────────────
+  const isCurrentPageBookmarked = bookmarks.includes(currentPage);
+
+  const toggleBookmark = () => {
+    onUpdateBookmarks((prev) =>
+      prev.includes(currentPage)
+        ? prev.filter((p) => p !== currentPage)
+        : [...prev, currentPage].sort((a, b) => a - b)
+    );
   };
 
-  const onDocumentLoadSuccess = useCallback(async (pdf) => {
-    setNumPages(pdf.numPages);
-    setCurrentPage(1);
-    // Fetch first-page viewport without rendering any pixels — just geometry.
-    // Gives placeholder divs the right aspect ratio for any PDF, not just A4.
-    try {
-      const firstPage = await pdf.getPage(1);
-      const vp = firstPage.getViewport({ scale: 1 });
-      setBaseDims({ width: vp.width, height: vp.height });
-    } catch { /* keep A4 defaults */ }
-  }, []);
+  const removeBookmark = (page) => {
+    onUpdateBookmarks((prev) => prev.filter((p) => p !== page));
+  };
 
-  // ── Windowed page set ──────────────────────────────────────────────────────
-  // Only pages inside this Set actually mount a <Page> (canvas + text layer).
-  // All other slots are cheap <div> placeholders with fixed dimensions.
-  const renderedPages = useMemo(() => {
-    if (!numPages) return new Set();
-    const start = Math.max(1, currentPage - PDF_RENDER_BUFFER);
-    const end = Math.min(numPages, currentPage + PDF_RENDER_BUFFER);
-    const set = new Set();
-    for (let i = start; i <= end; i++) set.add(i);
-    return set;
-  }, [currentPage, numPages]);
+  const fontIndex = EPUB_FONT_SIZES.indexOf(fontSize);
+  const stepFontSize = (dir) => setFontSize(EPUB_FONT_SIZES[Math.max(0, Math.min(EPUB_FONT_SIZES.length - 1, fontIndex + dir))]);
 
-  // Placeholder size — scales correctly whenever the user zooms
-  const placeholderW = Math.round(baseDims.width * scale);
-  const placeholderH = Math.round(baseDims.height * scale);
+  useReadingSession(book.id, session?.user?.id, currentPage, ready);
 
-  // Dark mode filter: only applied to PDF page pixels
-  const pageFilter = pdfDark
-    ? 'invert(1) hue-rotate(180deg) brightness(0.88) contrast(1.05)'
-    : 'none';
+  const pageFieldRef = useRef(null);
+  useShortcuts(shortcuts, ready ? {
+    'reader.nextPage': nextPage,
+    'reader.prevPage': prevPage,
+    'reader.zoomIn': () => stepFontSize(1),
+    'reader.zoomOut': () => stepFontSize(-1),
+    'reader.goToPage': () => pageFieldRef.current?.focus(),
+    'reader.bookmark': toggleBookmark,
+    'reader.note': () => addNote(currentPage),
+    'reader.dark': () => setEpubDark((d) => !d),
+    'reader.help': onShowShortcuts,
+  } : {}, renditionRef);
+
+  const pageBackground = epubDark ? '#1a1814' : '#f7f3ea';
 
   return (
     <div className="fixed inset-0 z-[100] flex flex-col bg-[#1a1814]" style={{ fontFamily: 'system-ui, sans-serif' }}>
@@ -1174,450 +6189,1014 @@ function PDFReader({ book, onClose, bookmarks, onUpdateBookmarks, session }) {
           </div>
         </div>
 
-        {/* Page controls + zoom + dark — grouped right, wrap onto 2nd row on mobile */}
         <div className="flex items-center gap-2 sm:gap-3 shrink-0 flex-wrap justify-end">
           <div className="flex items-center gap-1 sm:gap-3">
             <button
-              onClick={() => scrollToPage(Math.max(1, currentPage - 1))}
-              disabled={currentPage <= 1}
+              onClick={prevPage}
+              disabled={!ready || currentPage <= 1}
               className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all"
+              title="Previous page (←)"
             >
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M15 18l-6-6 6-6" /></svg>
             </button>
-            <span className="text-neutral-300 text-xs tabular-nums min-w-[56px] text-center">
-              {numPages ? `${currentPage} / ${numPages}` : '…'}
-            </span>
+            {numPages ? (
+              <PageNumberField inputRef={pageFieldRef} currentPage={currentPage} numPages={numPages} labels={null} onGo={goToPage} />
+            ) : (
+              <span className="text-neutral-300 text-xs min-w-[56px] text-center">…</span>
+            )}
             <button
-              onClick={() => scrollToPage(Math.min(numPages || 1, currentPage + 1))}
-              disabled={!numPages || currentPage >= numPages}
+              onClick={nextPage}
+              disabled={!ready || currentPage >= numPages}
               className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all"
+              title="Next page (→)"
             >
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M9 18l6-6-6-6" /></svg>
             </button>
           </div>
 
-          {/* Zoom controls */}
+          {/* Text size — the EPUB equivalent of zoom */}
           <div className="flex items-center gap-1">
             <button
-              onClick={() => setScale((s) => Math.max(0.5, +(s - 0.2).toFixed(1)))}
-              className="text-neutral-400 hover:text-white p-1.5 rounded hover:bg-white/10 transition-all text-lg leading-none"
-              title="Zoom out"
-            >−</button>
-            <span className="text-neutral-300 text-xs w-9 text-center">{Math.round(scale * 100)}%</span>
+              onClick={() => stepFontSize(-1)}
+              disabled={fontIndex <= 0}
+              className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all text-xs font-semibold leading-none"
+              title="Smaller text"
+            >A−</button>
+            <span className="text-neutral-300 text-xs w-9 text-center">{fontSize}%</span>
             <button
-              onClick={() => setScale((s) => Math.min(3, +(s + 0.2).toFixed(1)))}
-              className="text-neutral-400 hover:text-white p-1.5 rounded hover:bg-white/10 transition-all text-lg leading-none"
-              title="Zoom in"
-            >+</button>
+              onClick={() => stepFontSize(1)}
+              disabled={fontIndex >= EPUB_FONT_SIZES.length - 1}
+              className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all text-sm font-semibold leading-none"
+              title="Larger text"
+            >A+</button>
+          </div>
+
+          {/* Dark/light pill toggle */}
+          <ReaderThemeToggle dark={epubDark} onToggle={() => setEpubDark((d) => !d)} />
+        </div>
+      </div>
+
+      {/* ── Page Area ── */}
+      <div className="flex-1 min-h-0 flex" style={{ background: pageBackground, transition: 'background 0.35s ease' }}>
+        <div className="relative flex-1 max-w-4xl mx-auto my-4 sm:my-8 px-4 sm:px-10">
+          <div className="relative w-full h-full">
+            <div ref={viewerRef} className="absolute inset-0" />
+
+            {/* ── Notes attached to this location ── */}
+            {ready && (
+              <div data-page={currentPage} className="absolute inset-0 pointer-events-none">
+                {notes.filter(n => n.page === currentPage).map(note => (
+                  <div key={note.id} className="pointer-events-auto">
+                    <StickyNote
+                      note={note}
+                      onUpdate={(changes) => updateNote(note.id, changes)}
+                      onDelete={() => deleteNote(note.id)}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {loadError ? (
+              <div className="absolute inset-0 flex items-center justify-center text-neutral-400 text-center px-8">
+                <div>
+                  <div className="text-5xl mb-4">📖</div>
+                  <p className={`text-lg font-semibold mb-2 ${epubDark ? 'text-white' : 'text-neutral-900'}`}>Unable to load EPUB</p>
+                  <p className="text-sm">The file may be corrupted or unsupported.</p>
+                </div>
+              </div>
+            ) : !ready && (
+              <div className="absolute inset-0 flex items-center justify-center text-neutral-400">
+                <div className="text-center">
+                  <div className="w-8 h-8 border-2 border-amber-500 border-t-transparent rounded-full animate-spin mx-auto mb-3" />
+                  <p className="text-sm">{numPages ? 'Opening…' : 'Preparing book…'}</p>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* ── Progress bar ── */}
+      {numPages && (
+        <div className="h-0.5 bg-neutral-800 shrink-0">
+          <div
+            className="h-full bg-amber-500 transition-all duration-300"
+            style={{ width: `${(currentPage / numPages) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {/* ── Bookmark Panel (slide-in from right) ── */}
+      {bookmarkPanelOpen && (
+        <BookmarkPanel
+          bookmarks={bookmarks}
+          numPages={numPages}
+          currentPage={currentPage}
+          isCurrentPageBookmarked={isCurrentPageBookmarked}
+          onJump={goToPage}
+          onRemove={removeBookmark}
+          onToggleCurrent={toggleBookmark}
+          onClose={() => setBookmarkPanelOpen(false)}
+        />
+      )}
+
+      {/* ── Floating Bookmark Button ── */}
+      {ready && (
+        <ReaderFabs
+          bookmarks={bookmarks}
+          currentPage={currentPage}
+          isCurrentPageBookmarked={isCurrentPageBookmarked}
+          panelOpen={bookmarkPanelOpen}
+          onAddNote={() => addNote(currentPage)}
+          onToggleBookmark={toggleBookmark}
+          onOpenPanel={() => setBookmarkPanelOpen(true)}
+        />
+      )}
+    </div>
+  );
+}
+
+// ─── Reader chrome shared by the PDF and EPUB readers ────────────────────────
+// Notes, reading sessions, the bookmark slide-in panel, floating note /
+// bookmark buttons and the theme toggle.
+
+// Records reading sessions (see readingSessions.js) once `ready` — the saved
+// position has been restored, so the first page counted is the real one.
+function useReadingSession(bookId, userId, currentPage, ready) {
+  const trackerRef = useRef(null);
+
+  useEffect(() => {
+    if (!userId || !ready) return;
+    const tracker = createSessionTracker({ userId, bookId });
+    trackerRef.current = tracker;
+    const onActivity = () => tracker.activity();
+    const onVisibility = () => (document.visibilityState === 'hidden' ? tracker.end() : tracker.activity());
+    const activityEvents = ['pointerdown', 'keydown', 'wheel'];
+    activityEvents.forEach((type) => window.addEventListener(type, onActivity, { passive: true }));
+    window.addEventListener('scroll', onActivity, { capture: true, passive: true }); // scroll doesn't bubble
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      activityEvents.forEach((type) => window.removeEventListener(type, onActivity));
+      window.removeEventListener('scroll', onActivity, { capture: true });
+      document.removeEventListener('visibilitychange', onVisibility);
+      tracker.end();
+      trackerRef.current = null;
+    };
+  }, [bookId, userId, ready]);
+
+  useEffect(() => {
+    if (ready) trackerRef.current?.pageChanged(currentPage);
+  }, [currentPage, ready]);
+}
+
+// Sticky notes for one book: loaded on open, edited optimistically.
+// `page` is a PDF page number, or an EPUB location index for EPUB books.
+// Offline, notes come from the last copy seen on this device and edits are
+// queued (see offline.js); notes created offline carry a temporary id until synced.
+function useBookNotes(bookId, session) {
+  const [notes, setNotes] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [syncVersion, setSyncVersion] = useState(0);
+
+  // Reload once queued offline edits have been replayed — temporary ids become real ones
+  useEffect(() => subscribeToSync(() => setSyncVersion((v) => v + 1)), []);
+
+  useEffect(() => {
+    if (!session) return;
+    supabase
+      .from('notes')
+      .select('*')
+      .eq('book_id', bookId)
+      .then(async ({ data, error }) => {
+        if (error) {
+          console.error('Failed to load notes:', error.message);
+          const cached = await loadSnapshot(`notes:${bookId}`);
+          if (cached) { setNotes(cached); setLoaded(true); }
+          return;
+        }
+        setNotes((data || []).map(r => ({
+          id: r.id,
+          page: r.page,
+          xPct: r.x_pct,
+          yPct: r.y_pct,
+          content: r.content,
+        })));
+        setLoaded(true);
+      });
+  }, [bookId, session, syncVersion]);
+
+  useEffect(() => {
+    if (loaded) saveSnapshot(`notes:${bookId}`, notes);
+  }, [notes, loaded, bookId]);
+
+  const addNote = async (page) => {
+    const draft = { userId: session.user.id, bookId, page, xPct: 5, yPct: 5, content: '' };
+    const tempId = makeTempId();
+    const { data: row, error, queued } = await writeOrQueue('addNote', { ...draft, tempId }, () => supabase
+      .from('notes')
+      .insert({
+        user_id: session.user.id,
+        book_id: bookId,
+        page,
+        x_pct: 5,
+        y_pct: 5,
+        content: '',
+      })
+      .select()
+      .single());
+    if (error) { console.error('Failed to add note:', error.message); return; }
+    if (queued) {
+      setNotes(prev => [...prev, { id: tempId, page, xPct: draft.xPct, yPct: draft.yPct, content: draft.content }]);
+      return;
+    }
+    setNotes(prev => [...prev, { id: row.id, page: row.page, xPct: row.x_pct, yPct: row.y_pct, content: row.content }]);
+  };
+
+  const updateNote = (id, changes) => {
+    const before = notes.find(n => n.id === id);
+    // Optimistic local update
+    setNotes(prev => prev.map(n => n.id === id ? { ...n, ...changes } : n));
+    // Build DB payload — map camelCase back to snake_case
+    const dbPayload = {};
+    if (changes.xPct !== undefined) dbPayload.x_pct = changes.xPct;
+    if (changes.yPct !== undefined) dbPayload.y_pct = changes.yPct;
+    if (changes.content !== undefined) dbPayload.content = changes.content;
+    if (!Object.keys(dbPayload).length) return;
+    // `base` lets the replay spot edits made to the same note on another device
+    const mutation = {
+      id,
+      changes,
+      base: before && { ...before, userId: session.user.id, bookId },
+    };
+    // Not synced yet — there's no row to update, so fold into the queued insert
+    if (isTempId(id)) { queueMutation('updateNote', mutation); return; }
+    writeOrQueue('updateNote', mutation, () => supabase.from('notes').update(dbPayload).eq('id', id))
+      .then(({ error }) => { if (error) console.error('Note update failed:', error.message); });
+  };
+
+  const deleteNote = (id) => {
+    setNotes(prev => prev.filter(n => n.id !== id));
+    if (isTempId(id)) { queueMutation('deleteNote', { id }); return; }
+    writeOrQueue('deleteNote', { id }, () => supabase.from('notes').delete().eq('id', id))
+      .then(({ error }) => { if (error) console.error('Note delete failed:', error.message); });
+  };
+
+  // After notes were added behind the hook's back (an import)
+  const reloadNotes = () => setSyncVersion((v) => v + 1);
+
+  return { notes, addNote, updateNote, deleteNote, reloadNotes };
+}
+
+// Dark/light pill toggle in the reader top bar
+function ReaderThemeToggle({ dark, onToggle }) {
+  return (
+    <button
+      onClick={onToggle}
+      title={dark ? 'Switch to light mode' : 'Switch to dark mode'}
+      style={{
+        display: 'flex', alignItems: 'center', gap: '4px',
+        padding: '5px 8px 5px 6px', borderRadius: '999px',
+        border: dark ? '1px solid rgba(245,200,66,0.4)' : '1px solid rgba(255,255,255,0.12)',
+        background: dark ? 'rgba(245,200,66,0.12)' : 'rgba(255,255,255,0.07)',
+        color: dark ? '#f5c842' : '#a3a3a3',
+        fontSize: '11px', fontWeight: 600, cursor: 'pointer',
+        transition: 'all 0.25s ease', letterSpacing: '0.02em', whiteSpace: 'nowrap',
+      }}
+    >
+      <span style={{
+        display: 'inline-flex', alignItems: 'center', justifyContent: 'center',
+        width: '18px', height: '18px', borderRadius: '50%',
+        background: dark ? 'rgba(245,200,66,0.18)' : 'rgba(255,255,255,0.1)',
+        transition: 'all 0.25s ease', flexShrink: 0,
+      }}>
+        {dark ? (
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M21 12.79A9 9 0 1 1 11.21 3a7 7 0 0 0 9.79 9.79z" />
+          </svg>
+        ) : (
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+            <circle cx="12" cy="12" r="5" />
+            <line x1="12" y1="1" x2="12" y2="3" /><line x1="12" y1="21" x2="12" y2="23" />
+            <line x1="4.22" y1="4.22" x2="5.64" y2="5.64" /><line x1="18.36" y1="18.36" x2="19.78" y2="19.78" />
+            <line x1="1" y1="12" x2="3" y2="12" /><line x1="21" y1="12" x2="23" y2="12" />
+            <line x1="4.22" y1="19.78" x2="5.64" y2="18.36" /><line x1="18.36" y1="5.64" x2="19.78" y2="4.22" />
+          </svg>
+        )}
+      </span>
+      <span className="hidden sm:inline">{dark ? 'Dark' : 'Light'}</span>
+    </button>
+  );
+}
+
+function BookmarkPanel({ bookmarks, numPages, currentPage, isCurrentPageBookmarked, onJump, onRemove, onToggleCurrent, onClose }) {
+  return (
+    <div
+      style={{ position: 'fixed', top: '58px', left: 0, right: 0, bottom: 0, zIndex: 110 }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          position: 'absolute', right: 0, top: 0, bottom: 0,
+          width: 'min(288px, 92vw)',
+          display: 'flex', flexDirection: 'column',
+          background: 'linear-gradient(160deg, #1a1612 0%, #211e18 100%)',
+          borderLeft: '1px solid rgba(255,255,255,0.08)',
+          boxShadow: '-12px 0 40px rgba(0,0,0,0.6)',
+          animation: 'slideInRight 0.25s cubic-bezier(0.22,1,0.36,1)',
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Panel header */}
+        <div className="flex items-center justify-between px-5 py-4 border-b border-white/8 shrink-0">
+          <div className="flex items-center gap-2.5">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+            </svg>
+            <span style={{ color: '#e5e0d5', fontWeight: 600, fontSize: '14px', letterSpacing: '0.01em' }}>Bookmarks</span>
+            {bookmarks.length > 0 && (
+              <span style={{
+                background: 'rgba(245,158,11,0.18)', color: '#f59e0b',
+                borderRadius: '999px', fontSize: '11px', fontWeight: 700,
+                padding: '1px 7px', border: '1px solid rgba(245,158,11,0.3)',
+              }}>{bookmarks.length}</span>
+            )}
           </div>
+          <button
+            onClick={onClose}
+            style={{ color: '#6b6b6b', padding: '4px', borderRadius: '6px', cursor: 'pointer' }}
+            className="hover:text-white hover:bg-white/10 transition-colors"
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Bookmark list */}
+        <div className="flex-1 overflow-y-auto py-3 px-3" style={{ scrollbarWidth: 'thin', scrollbarColor: '#333 transparent' }}>
+          {bookmarks.length === 0 ? (
+            <div className="flex flex-col items-center justify-center h-full text-center px-4 gap-3">
+              <div style={{
+                width: '48px', height: '48px', borderRadius: '14px',
+                background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.15)',
+                display: 'flex', alignItems: 'center', justifyContent: 'center',
+              }}>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+                  <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+                  <line x1="12" y1="8" x2="12" y2="14" />
+                  <line x1="9" y1="11" x2="15" y2="11" />
+                </svg>
+              </div>
+              <p style={{ color: '#5a5650', fontSize: '13px', lineHeight: 1.5 }}>
+                No bookmarks yet.<br />Navigate to a page and press the ribbon button.
+              </p>
+            </div>
+          ) : (
+            <div className="flex flex-col gap-2">
+              {bookmarks.map((page) => (
+                <div
+                  key={page}
+                  className="group flex items-center gap-3 rounded-xl px-3 py-2.5 cursor-pointer transition-all duration-150"
+                  style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.05)' }}
+                  onClick={() => { onJump(page); onClose(); }}
+                  onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(245,158,11,0.08)'}
+                  onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255,255,255,0.03)'}
+                >
+                  {/* Ribbon icon */}
+                  <div style={{
+                    width: '30px', height: '30px', borderRadius: '8px', flexShrink: 0,
+                    background: 'rgba(245,158,11,0.12)', border: '1px solid rgba(245,158,11,0.2)',
+                    display: 'flex', alignItems: 'center', justifyContent: 'center',
+                  }}>
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="#f59e0b" stroke="none">
+                      <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+                    </svg>
+                  </div>
+                  {/* Label */}
+                  <div className="flex-1 min-w-0">
+                    <p style={{ color: '#d4cfca', fontSize: '13px', fontWeight: 600 }}>Page {page}</p>
+                    <p style={{ color: '#4a4742', fontSize: '11px' }}>{numPages ? `of ${numPages}` : ''}</p>
+                  </div>
+                  {/* Jump arrow */}
+                  <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2.5" strokeLinecap="round"
+                    style={{ opacity: 0.6, flexShrink: 0 }}>
+                    <path d="M5 12h14M12 5l7 7-7 7" />
+                  </svg>
+                  {/* Delete button */}
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onRemove(page); }}
+                    className="opacity-0 group-hover:opacity-100 transition-opacity"
+                    title="Remove bookmark"
+                    style={{ color: '#6b6b6b', padding: '3px', borderRadius: '5px', cursor: 'pointer', flexShrink: 0 }}
+                    onMouseEnter={(e) => e.currentTarget.style.color = '#ef4444'}
+                    onMouseLeave={(e) => e.currentTarget.style.color = '#6b6b6b'}
+                  >
+                    <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+                      <path d="M18 6L6 18M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Current page quick-add footer */}
+        <div className="px-4 py-3 border-t shrink-0" style={{ borderColor: 'rgba(255,255,255,0.06)' }}>
+          <button
+            onClick={onToggleCurrent}
+            className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl text-sm font-semibold transition-all duration-200 active:scale-95"
+            style={isCurrentPageBookmarked ? {
+              background: 'rgba(239,68,68,0.1)', color: '#f87171',
+              border: '1px solid rgba(239,68,68,0.25)',
+            } : {
+              background: 'rgba(245,158,11,0.12)', color: '#f59e0b',
+              border: '1px solid rgba(245,158,11,0.25)',
+            }}
+          >
+            {isCurrentPageBookmarked ? (
+              <>
+                <svg width="13" height="13" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+                  <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+                </svg>
+                Remove Page {currentPage}
+              </>
+            ) : (
+              <>
+                <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                  <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+                  <line x1="12" y1="8" x2="12" y2="14" />
+                  <line x1="9" y1="11" x2="15" y2="11" />
+                </svg>
+                Bookmark Page {currentPage}
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Table of contents, slid in from the left. `outline` is nested entries from
+// loadOutline (null while loading); with no outline it lists the pages instead.
+// Pages are shown by their printed label where the PDF has `labels`.
+function ContentsPanel({ outline, numPages, currentPage, labels, onJump, onClose }) {
+  const flat = useMemo(() => flattenOutline(outline || []), [outline]);
+  const current = currentOutlineEntry(flat, currentPage);
+  // Opens with the current section's branch unfolded
+  const [expanded, setExpanded] = useState(() => new Set(current?.ancestors));
+  const currentRowRef = useRef(null);
+
+  useEffect(() => {
+    currentRowRef.current?.scrollIntoView({ block: 'center' });
+  }, []);
+
+  const toggle = (id) => setExpanded((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const jump = (page) => { onJump(page); onClose(); };
+
+  const rowStyle = (active, depth = 0) => ({
+    paddingLeft: `${10 + depth * 14}px`,
+    background: active ? 'rgba(245,158,11,0.12)' : 'transparent',
+    color: active ? '#f59e0b' : '#d4cfca',
+  });
 
-          {/* Dark/light pill toggle */}
+  const renderEntries = (entries, depth) => entries.map((entry) => {
+    const active = entry.id === current?.id;
+    const open = expanded.has(entry.id);
+    return (
+      <div key={entry.id}>
+        <div
+          ref={active ? currentRowRef : undefined}
+          className="flex items-center gap-1 rounded-lg pr-2 py-1.5 transition-colors hover:bg-white/5"
+          style={rowStyle(active, depth)}
+        >
+          {entry.children.length > 0 ? (
+            <button
+              onClick={() => toggle(entry.id)}
+              className="p-0.5 rounded shrink-0 text-neutral-500 hover:text-white transition-colors"
+              title={open ? 'Collapse' : 'Expand'}
+            >
+              <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"
+                style={{ transform: open ? 'rotate(90deg)' : 'none', transition: 'transform 0.15s' }}>
+                <path d="M9 18l6-6-6-6" />
+              </svg>
+            </button>
+          ) : (
+            <span className="w-4 shrink-0" />
+          )}
           <button
-            onClick={() => setPdfDark((d) => !d)}
-            title={pdfDark ? 'Switch to light mode' : 'Switch to dark mode'}
-            style={{
-              display: 'flex', alignItems: 'center', gap: '4px',
-              padding: '5px 8px 5px 6px', borderRadius: '999px',
-              border: pdfDark ? '1px solid rgba(245,200,66,0.4)' : '1px solid rgba(255,255,255,0.12)',
-              background: pdfDark ? 'rgba(245,200,66,0.12)' : 'rgba(255,255,255,0.07)',
-              color: pdfDark ? '#f5c842' : '#a3a3a3',
-              fontSize: '11px', fontWeight: 600, cursor: 'pointer',
-              transition: 'all 0.25s ease', letterSpacing: '0.02em', whiteSpace: 'nowrap',
-            }}
+            onClick={() => entry.page && jump(entry.page)}
+            disabled={!entry.page}
+            className="flex-1 min-w-0 flex items-baseline gap-2 text-left disabled:opacity-50"
           >
-            <span style={{
-              display: 'inline-flex', alignItems: 'center', justifyContent: 'center',
-              width: '18px', height: '18px', borderRadius: '50%',
-              background: pdfDark ? 'rgba(245,200,66,0.18)' : 'rgba(255,255,255,0.1)',
-              transition: 'all 0.25s ease', flexShrink: 0,
-            }}>
-              {pdfDark ? (
-                <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M21 12.79A9 9 0 1 1 11.21 3a7 7 0 0 0 9.79 9.79z" />
-                </svg>
-              ) : (
-                <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
-                  <circle cx="12" cy="12" r="5" />
-                  <line x1="12" y1="1" x2="12" y2="3" /><line x1="12" y1="21" x2="12" y2="23" />
-                  <line x1="4.22" y1="4.22" x2="5.64" y2="5.64" /><line x1="18.36" y1="18.36" x2="19.78" y2="19.78" />
-                  <line x1="1" y1="12" x2="3" y2="12" /><line x1="21" y1="12" x2="23" y2="12" />
-                  <line x1="4.22" y1="19.78" x2="5.64" y2="18.36" /><line x1="18.36" y1="5.64" x2="19.78" y2="4.22" />
-                </svg>
-              )}
+            <span className="flex-1 truncate" style={{ fontSize: '13px', fontWeight: active || depth === 0 ? 600 : 400 }}>
+              {entry.title}
             </span>
-            <span className="hidden sm:inline">{pdfDark ? 'Dark' : 'Light'}</span>
+            {entry.page && <span className="shrink-0 tabular-nums" style={{ color: '#5a5650', fontSize: '11px' }}>{pageLabel(labels, entry.page)}</span>}
           </button>
         </div>
+        {open && renderEntries(entry.children, depth + 1)}
       </div>
+    );
+  });
 
-      {/* ── Scrollable Page Area ── */}
+  return (
+    <div
+      style={{ position: 'fixed', top: '58px', left: 0, right: 0, bottom: 0, zIndex: 110 }}
+      onClick={onClose}
+    >
       <div
-        ref={containerRef}
-        className="flex-1 overflow-y-auto overflow-x-auto scrollbar-thin"
-        style={{ scrollbarColor: '#444 #1a1814' }}
+        style={{
+          position: 'absolute', left: 0, top: 0, bottom: 0,
+          width: 'min(320px, 92vw)',
+          display: 'flex', flexDirection: 'column',
+          background: 'linear-gradient(160deg, #1a1612 0%, #211e18 100%)',
+          borderRight: '1px solid rgba(255,255,255,0.08)',
+          boxShadow: '12px 0 40px rgba(0,0,0,0.6)',
+          animation: 'slideInLeft 0.25s cubic-bezier(0.22,1,0.36,1)',
+        }}
+        onClick={(e) => e.stopPropagation()}
       >
-        {loadError ? (
-          <div className="flex items-center justify-center h-full text-neutral-400 text-center px-8">
-            <div>
-              <div className="text-5xl mb-4">📄</div>
-              <p className="text-lg font-semibold text-white mb-2">Unable to load PDF</p>
-              <p className="text-sm">The file may be corrupted or unsupported.</p>
-            </div>
+        {/* Panel header */}
+        <div className="flex items-center justify-between px-5 py-4 border-b border-white/8 shrink-0">
+          <div className="flex items-center gap-2.5">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="8" y1="6" x2="21" y2="6" /><line x1="8" y1="12" x2="21" y2="12" /><line x1="8" y1="18" x2="21" y2="18" />
+              <line x1="3" y1="6" x2="3.01" y2="6" /><line x1="3" y1="12" x2="3.01" y2="12" /><line x1="3" y1="18" x2="3.01" y2="18" />
+            </svg>
+            <span style={{ color: '#e5e0d5', fontWeight: 600, fontSize: '14px', letterSpacing: '0.01em' }}>Contents</span>
           </div>
-        ) : (
-          <Document
-            file={book.pdfUrl}
-            onLoadSuccess={onDocumentLoadSuccess}
-            onLoadError={() => setLoadError(true)}
-            loading={
-              <div className="flex items-center justify-center h-64 text-neutral-400">
-                <div className="text-center">
-                  <div className="w-8 h-8 border-2 border-amber-500 border-t-transparent rounded-full animate-spin mx-auto mb-3" />
-                  <p className="text-sm">Loading PDF…</p>
-                </div>
-              </div>
-            }
-            className="flex flex-col items-center py-4"
+          <button
+            onClick={onClose}
+            style={{ color: '#6b6b6b', padding: '4px', borderRadius: '6px', cursor: 'pointer' }}
+            className="hover:text-white hover:bg-white/10 transition-colors"
           >
-            {numPages && Array.from({ length: numPages }, (_, i) => i + 1).map((pageNum) => {
-              const isRendered = renderedPages.has(pageNum);
-              return (
-                <div
-                  key={pageNum}
-                  ref={(el) => (pageRefs.current[pageNum] = el)}
-                  data-page={pageNum}
-                  className="my-4"
-                  style={{
-                    // ─ Windowing ────────────────────────────────────────────────
-                    position: 'relative',           // so notes can be absolute-positioned inside
-                    width: isRendered ? undefined : `${placeholderW}px`,
-                    height: isRendered ? undefined : `${placeholderH}px`,
-                    background: isRendered ? undefined : 'rgba(255,255,255,0.025)',
-                    borderRadius: '2px',
-                    overflow: 'visible',            // allow notes to peek outside page bounds
-                    boxShadow: '0 4px 24px rgba(0,0,0,0.5)',
-                    willChange: 'transform',
-                    filter: isRendered ? pageFilter : 'none',
-                    transition: 'filter 0.35s ease',
-                  }}
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <path d="M18 6L6 18M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto py-3 px-3" style={{ scrollbarWidth: 'thin', scrollbarColor: '#333 transparent' }}>
+          {!outline ? (
+            <p className="text-center py-8" style={{ color: '#5a5650', fontSize: '13px' }}>Reading contents…</p>
+          ) : outline.length ? (
+            renderEntries(outline, 0)
+          ) : (
+            // No outline in the file — a plain page list instead
+            <>
+              <p className="px-2.5 pb-2" style={{ color: '#5a5650', fontSize: '11px' }}>
+                This PDF has no table of contents.
+              </p>
+              {Array.from({ length: numPages || 0 }, (_, i) => i + 1).map((page) => (
+                <button
+                  key={page}
+                  ref={page === currentPage ? currentRowRef : undefined}
+                  onClick={() => jump(page)}
+                  className="w-full text-left rounded-lg pr-2 py-1.5 transition-colors hover:bg-white/5"
+                  style={{ ...rowStyle(page === currentPage), fontSize: '13px' }}
                 >
-                  {/* Only mount the heavy <Page> when inside the render window */}
-                  {isRendered && (
-                    <Page
-                      pageNumber={pageNum}
-                      scale={scale}
-                      renderTextLayer={true}
-                      renderAnnotationLayer={true}
-                      className="block"
-                    />
-                  )}
-                  {/* ── Notes attached to this page ── */}
-                  {notes.filter(n => n.page === pageNum).map(note => (
-                    <StickyNote
-                      key={note.id}
-                      note={note}
-                      onUpdate={(changes) => updateNote(note.id, changes)}
-                      onDelete={() => deleteNote(note.id)}
-                    />
-                  ))}
-                </div>
-              );
-            })}
-          </Document>
-        )}
+                  Page {pageLabel(labels, page)}
+                </button>
+              ))}
+            </>
+          )}
+        </div>
       </div>
+    </div>
+  );
+}
 
-      {/* ── Progress bar ── */}
-      {numPages && (
-        <div className="h-0.5 bg-neutral-800 shrink-0">
-          <div
-            className="h-full bg-amber-500 transition-all duration-300"
-            style={{ width: `${(currentPage / numPages) * 100}%` }}
-          />
-        </div>
+function ReaderFabs({ bookmarks, currentPage, isCurrentPageBookmarked, panelOpen, onAddNote, onToggleBookmark, onOpenPanel }) {
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        bottom: '20px',
+        right: '16px',
+        zIndex: 105,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'flex-end',
+        gap: '10px',
+      }}
+    >
+      {/* Notes FAB — above bookmark */}
+      <button
+        onClick={onAddNote}
+        title="Add sticky note"
+        style={{
+          width: '42px', height: '42px', borderRadius: '10px',
+          border: '1px solid rgba(255,255,255,0.1)',
+          background: 'linear-gradient(160deg,#2a2520,#1a1612)',
+          cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center',
+          boxShadow: '0 4px 16px rgba(0,0,0,0.45)',
+          transition: 'all 0.2s ease',
+          flexShrink: 0,
+        }}
+        onMouseEnter={(e) => { e.currentTarget.style.background = 'rgba(251,191,36,0.15)'; e.currentTarget.style.borderColor = 'rgba(251,191,36,0.35)'; }}
+        onMouseLeave={(e) => { e.currentTarget.style.background = 'linear-gradient(160deg,#2a2520,#1a1612)'; e.currentTarget.style.borderColor = 'rgba(255,255,255,0.1)'; }}
+      >
+        <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="#fbbf24" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M12 20h9" />
+          <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+        </svg>
+      </button>
+      {/* Mini bookmark count pill — shown when there are bookmarks */}
+      {bookmarks.length > 0 && !panelOpen && (
+        <button
+          onClick={onOpenPanel}
+          title="Open bookmarks"
+          style={{
+            display: 'flex', alignItems: 'center', gap: '6px',
+            padding: '5px 10px 5px 8px', borderRadius: '999px',
+            background: 'rgba(26,22,18,0.92)', backdropFilter: 'blur(10px)',
+            border: '1px solid rgba(245,158,11,0.3)',
+            color: '#f59e0b', fontSize: '12px', fontWeight: 700,
+            cursor: 'pointer', boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
+            transition: 'all 0.2s ease',
+            animation: 'floatUp 0.3s cubic-bezier(0.22,1,0.36,1)',
+          }}
+          onMouseEnter={(e) => { e.currentTarget.style.background = 'rgba(245,158,11,0.15)'; e.currentTarget.style.borderColor = 'rgba(245,158,11,0.5)'; }}
+          onMouseLeave={(e) => { e.currentTarget.style.background = 'rgba(26,22,18,0.92)'; e.currentTarget.style.borderColor = 'rgba(245,158,11,0.3)'; }}
+        >
+          <svg width="11" height="11" viewBox="0 0 24 24" fill="#f59e0b" stroke="none">
+            <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+          </svg>
+          {bookmarks.length} {bookmarks.length === 1 ? 'bookmark' : 'bookmarks'}
+        </button>
       )}
 
-      {/* ── Bookmark Panel (slide-in from right) ── */}
-      {bookmarkPanelOpen && (
-        <div
-          style={{ position: 'fixed', top: '58px', left: 0, right: 0, bottom: 0, zIndex: 110 }}
-          onClick={() => setBookmarkPanelOpen(false)}
+      {/* Main ribbon FAB */}
+      <button
+        onClick={onToggleBookmark}
+        onContextMenu={(e) => { e.preventDefault(); onOpenPanel(); }}
+        title={isCurrentPageBookmarked ? `Remove bookmark (p.${currentPage}) · Right-click to manage` : `Bookmark page ${currentPage} · Right-click to manage`}
+        style={{
+          width: '50px',
+          height: '60px',
+          borderRadius: '10px 10px 4px 4px',
+          border: 'none',
+          cursor: 'pointer',
+          position: 'relative',
+          overflow: 'hidden',
+          boxShadow: isCurrentPageBookmarked
+            ? '0 6px 28px rgba(245,158,11,0.45), 0 2px 8px rgba(0,0,0,0.6)'
+            : '0 6px 24px rgba(0,0,0,0.5)',
+          transition: 'all 0.25s cubic-bezier(0.34,1.56,0.64,1)',
+          background: isCurrentPageBookmarked
+            ? 'linear-gradient(160deg,#f59e0b,#d97706)'
+            : 'linear-gradient(160deg,#2a2520,#1a1612)',
+          transform: 'translateY(0)',
+        }}
+        onMouseEnter={(e) => { e.currentTarget.style.transform = 'translateY(-3px) scale(1.05)'; }}
+        onMouseLeave={(e) => { e.currentTarget.style.transform = 'translateY(0) scale(1)'; }}
+        onMouseDown={(e) => { e.currentTarget.style.transform = 'translateY(1px) scale(0.96)'; }}
+        onMouseUp={(e) => { e.currentTarget.style.transform = 'translateY(-3px) scale(1.05)'; }}
+      >
+        {/* Ribbon notch at the bottom */}
+        <div style={{
+          position: 'absolute', bottom: 0, left: 0, right: 0, height: '16px',
+          background: isCurrentPageBookmarked ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.04)',
+          clipPath: 'polygon(0 0, 50% 55%, 100% 0, 100% 100%, 0 100%)',
+        }} />
+        {/* Icon */}
+        <div style={{
+          position: 'absolute', inset: 0,
+          display: 'flex', alignItems: 'center', justifyContent: 'center',
+          paddingBottom: '6px',
+        }}>
+          {isCurrentPageBookmarked ? (
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="white" stroke="none">
+              <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+            </svg>
+          ) : (
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+              <line x1="12" y1="8" x2="12" y2="14" />
+              <line x1="9" y1="11" x2="15" y2="11" />
+            </svg>
+          )}
+        </div>
+        {/* Border overlay */}
+        <div style={{
+          position: 'absolute', inset: 0, borderRadius: 'inherit',
+          border: isCurrentPageBookmarked ? '1px solid rgba(255,255,255,0.2)' : '1px solid rgba(245,158,11,0.25)',
+          pointerEvents: 'none',
+        }} />
+      </button>
+    </div>
+  );
+}
+
+// ─── FindBar ──────────────────────────────────────────────────────────────────
+// Search row under the reader's top bar. Enter / Shift+Enter step through hits,
+// Escape closes the bar (without closing the reader).
+function FindBar({ query, onQueryChange, hits, activeIndex, onGoTo, onClose, pagesIndexed, numPages }) {
+  const [resultsOpen, setResultsOpen] = useState(false);
+  const indexing = numPages && pagesIndexed < numPages;
+  const hasQuery = query.trim().length > 0;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onGoTo(e.shiftKey ? activeIndex - 1 : activeIndex + 1);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="relative shrink-0 z-[9] bg-[#151310]/95 backdrop-blur border-b border-white/10 px-3 sm:px-6 py-2">
+      <div className="flex items-center gap-2 max-w-3xl mx-auto">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => { onQueryChange(e.target.value); setResultsOpen(true); }}
+          onKeyDown={handleKeyDown}
+          placeholder="Find in document…"
+          autoFocus
+          className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm text-white placeholder-neutral-600 focus:outline-none focus:border-amber-500/60"
+        />
+        <span className="text-neutral-400 text-xs tabular-nums whitespace-nowrap min-w-[64px] text-center">
+          {hasQuery ? (hits.length ? `${activeIndex + 1} / ${hits.length}` : 'No matches') : ''}
+        </span>
+        <button
+          onClick={() => onGoTo(activeIndex - 1)}
+          disabled={!hits.length}
+          className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all"
+          title="Previous match (Shift+Enter)"
         >
-          <div
-            style={{
-              position: 'absolute', right: 0, top: 0, bottom: 0,
-              width: 'min(288px, 92vw)',
-              display: 'flex', flexDirection: 'column',
-              background: 'linear-gradient(160deg, #1a1612 0%, #211e18 100%)',
-              borderLeft: '1px solid rgba(255,255,255,0.08)',
-              boxShadow: '-12px 0 40px rgba(0,0,0,0.6)',
-              animation: 'slideInRight 0.25s cubic-bezier(0.22,1,0.36,1)',
-            }}
-            onClick={(e) => e.stopPropagation()}
-          >
-            {/* Panel header */}
-            <div className="flex items-center justify-between px-5 py-4 border-b border-white/8 shrink-0">
-              <div className="flex items-center gap-2.5">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                  <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                </svg>
-                <span style={{ color: '#e5e0d5', fontWeight: 600, fontSize: '14px', letterSpacing: '0.01em' }}>Bookmarks</span>
-                {bookmarks.length > 0 && (
-                  <span style={{
-                    background: 'rgba(245,158,11,0.18)', color: '#f59e0b',
-                    borderRadius: '999px', fontSize: '11px', fontWeight: 700,
-                    padding: '1px 7px', border: '1px solid rgba(245,158,11,0.3)',
-                  }}>{bookmarks.length}</span>
-                )}
-              </div>
-              <button
-                onClick={() => setBookmarkPanelOpen(false)}
-                style={{ color: '#6b6b6b', padding: '4px', borderRadius: '6px', cursor: 'pointer' }}
-                className="hover:text-white hover:bg-white/10 transition-colors"
-              >
-                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
-                  <path d="M18 6L6 18M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M18 15l-6-6-6 6" /></svg>
+        </button>
+        <button
+          onClick={() => onGoTo(activeIndex + 1)}
+          disabled={!hits.length}
+          className="text-neutral-400 hover:text-white disabled:opacity-30 p-1.5 rounded hover:bg-white/10 transition-all"
+          title="Next match (Enter)"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round"><path d="M6 9l6 6 6-6" /></svg>
+        </button>
+        <button
+          onClick={() => setResultsOpen((o) => !o)}
+          disabled={!hits.length}
+          className={`p-1.5 rounded hover:bg-white/10 transition-all disabled:opacity-30 ${resultsOpen ? 'text-amber-500' : 'text-neutral-400 hover:text-white'}`}
+          title="Show all matches"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+            <line x1="8" y1="6" x2="21" y2="6" /><line x1="8" y1="12" x2="21" y2="12" /><line x1="8" y1="18" x2="21" y2="18" />
+            <line x1="3" y1="6" x2="3.01" y2="6" /><line x1="3" y1="12" x2="3.01" y2="12" /><line x1="3" y1="18" x2="3.01" y2="18" />
+          </svg>
+        </button>
+        <button
+          onClick={onClose}
+          className="text-neutral-500 hover:text-white p-1.5 rounded hover:bg-white/10 transition-all"
+          title="Close (Esc)"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+            <path d="M18 6L6 18M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
 
-            {/* Bookmark list */}
-            <div className="flex-1 overflow-y-auto py-3 px-3" style={{ scrollbarWidth: 'thin', scrollbarColor: '#333 transparent' }}>
-              {bookmarks.length === 0 ? (
-                <div className="flex flex-col items-center justify-center h-full text-center px-4 gap-3">
-                  <div style={{
-                    width: '48px', height: '48px', borderRadius: '14px',
-                    background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.15)',
-                    display: 'flex', alignItems: 'center', justifyContent: 'center',
-                  }}>
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
-                      <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                      <line x1="12" y1="8" x2="12" y2="14" />
-                      <line x1="9" y1="11" x2="15" y2="11" />
-                    </svg>
-                  </div>
-                  <p style={{ color: '#5a5650', fontSize: '13px', lineHeight: 1.5 }}>
-                    No bookmarks yet.<br />Navigate to a page and press the ribbon button.
-                  </p>
-                </div>
-              ) : (
-                <div className="flex flex-col gap-2">
-                  {bookmarks.map((page) => (
-                    <div
-                      key={page}
-                      className="group flex items-center gap-3 rounded-xl px-3 py-2.5 cursor-pointer transition-all duration-150"
-                      style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.05)' }}
-                      onClick={() => { scrollToPage(page); setBookmarkPanelOpen(false); }}
-                      onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(245,158,11,0.08)'}
-                      onMouseLeave={(e) => e.currentTarget.style.background = 'rgba(255,255,255,0.03)'}
-                    >
-                      {/* Ribbon icon */}
-                      <div style={{
-                        width: '30px', height: '30px', borderRadius: '8px', flexShrink: 0,
-                        background: 'rgba(245,158,11,0.12)', border: '1px solid rgba(245,158,11,0.2)',
-                        display: 'flex', alignItems: 'center', justifyContent: 'center',
-                      }}>
-                        <svg width="12" height="12" viewBox="0 0 24 24" fill="#f59e0b" stroke="none">
-                          <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                        </svg>
-                      </div>
-                      {/* Label */}
-                      <div className="flex-1 min-w-0">
-                        <p style={{ color: '#d4cfca', fontSize: '13px', fontWeight: 600 }}>Page {page}</p>
-                        <p style={{ color: '#4a4742', fontSize: '11px' }}>{numPages ? `of ${numPages}` : ''}</p>
-                      </div>
-                      {/* Jump arrow */}
-                      <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2.5" strokeLinecap="round"
-                        style={{ opacity: 0.6, flexShrink: 0 }}>
-                        <path d="M5 12h14M12 5l7 7-7 7" />
-                      </svg>
-                      {/* Delete button */}
-                      <button
-                        onClick={(e) => { e.stopPropagation(); removeBookmark(page); }}
-                        className="opacity-0 group-hover:opacity-100 transition-opacity"
-                        title="Remove bookmark"
-                        style={{ color: '#6b6b6b', padding: '3px', borderRadius: '5px', cursor: 'pointer', flexShrink: 0 }}
-                        onMouseEnter={(e) => e.currentTarget.style.color = '#ef4444'}
-                        onMouseLeave={(e) => e.currentTarget.style.color = '#6b6b6b'}
-                      >
-                        <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
-                          <path d="M18 6L6 18M6 6l12 12" />
-                        </svg>
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
+      {indexing && (
+        <p className="text-[11px] text-neutral-500 max-w-3xl mx-auto mt-1">
+          Reading text… {pagesIndexed} / {numPages} pages — results will fill in as it goes.
+        </p>
+      )}
 
-            {/* Current page quick-add footer */}
-            <div className="px-4 py-3 border-t shrink-0" style={{ borderColor: 'rgba(255,255,255,0.06)' }}>
-              <button
-                onClick={toggleBookmark}
-                className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl text-sm font-semibold transition-all duration-200 active:scale-95"
-                style={isCurrentPageBookmarked ? {
-                  background: 'rgba(239,68,68,0.1)', color: '#f87171',
-                  border: '1px solid rgba(239,68,68,0.25)',
-                } : {
-                  background: 'rgba(245,158,11,0.12)', color: '#f59e0b',
-                  border: '1px solid rgba(245,158,11,0.25)',
-                }}
-              >
-                {isCurrentPageBookmarked ? (
-                  <>
-                    <svg width="13" height="13" viewBox="0 0 24 24" fill="currentColor" stroke="none">
-                      <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                    </svg>
-                    Remove Page {currentPage}
-                  </>
-                ) : (
-                  <>
-                    <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-                      <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                      <line x1="12" y1="8" x2="12" y2="14" />
-                      <line x1="9" y1="11" x2="15" y2="11" />
-                    </svg>
-                    Bookmark Page {currentPage}
-                  </>
-                )}
-              </button>
-            </div>
-          </div>
+      {/* Match list: page number + context snippet */}
+      {resultsOpen && hasQuery && hits.length > 0 && (
+        <div
+          className="absolute left-0 right-0 top-full mx-auto max-w-3xl overflow-y-auto rounded-b-xl border border-t-0 border-white/10 shadow-2xl"
+          style={{ maxHeight: '50vh', background: 'linear-gradient(160deg, #1a1612 0%, #211e18 100%)', scrollbarWidth: 'thin', scrollbarColor: '#333 transparent' }}
+        >
+          {hits.map((hit, i) => (
+            <button
+              key={`${hit.page}:${hit.start}`}
+              onClick={() => { onGoTo(i); setResultsOpen(false); }}
+              className={`w-full text-left flex items-start gap-3 px-4 py-2 border-b border-white/5 transition-colors ${i === activeIndex ? 'bg-amber-500/10' : 'hover:bg-white/5'}`}
+            >
+              <span className="text-amber-500 text-xs font-semibold tabular-nums shrink-0 w-12 pt-px">p. {hit.page}</span>
+              <span className="text-neutral-400 text-xs leading-relaxed break-words min-w-0">
+                {hit.snippet.before}
+                <mark className="bg-amber-500/30 text-amber-100 rounded-sm px-0.5">{hit.snippet.match}</mark>
+                {hit.snippet.after}
+              </span>
+            </button>
+          ))}
         </div>
       )}
+    </div>
+  );
+}
+
+// ─── Highlights ───────────────────────────────────────────────────────────────
+// Stored as the selected text plus rectangles in page percentages (like sticky
+// notes' xPct / yPct), so they line up at any zoom. They're drawn outside the
+// dark-mode filter, blending with the page instead of being inverted by it.
+const HIGHLIGHT_COLORS = {
+  yellow: '#facc15',
+  green: '#4ade80',
+  blue: '#60a5fa',
+  pink: '#f472b6',
+  orange: '#fb923c',
+};
+
+function rowToHighlight(row) {
+  return {
+    id: row.id,
+    page: row.page,
+    text: row.text,
+    rects: row.rects || [],
+    color: row.color,
+    comment: row.comment || '',
+  };
+}
 
+// Client rects of a selection → page-percentage boxes, merging the per-span
+// fragments on each line into one box.
+function rangeToPageRects(range, pageBox) {
+  const boxes = Array.from(range.getClientRects())
+    .filter((r) => r.width > 1 && r.height > 1)
+    .map((r) => ({
+      x: ((r.left - pageBox.left) / pageBox.width) * 100,
+      y: ((r.top - pageBox.top) / pageBox.height) * 100,
+      w: (r.width / pageBox.width) * 100,
+      h: (r.height / pageBox.height) * 100,
+    }))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const merged = [];
+  boxes.forEach((b) => {
+    const last = merged[merged.length - 1];
+    const sameLine = last && Math.abs(last.y + last.h / 2 - (b.y + b.h / 2)) < Math.min(last.h, b.h) / 2;
+    if (sameLine && b.x <= last.x + last.w + 1) {
+      const right = Math.max(last.x + last.w, b.x + b.w);
+      const bottom = Math.max(last.y + last.h, b.y + b.h);
+      last.x = Math.min(last.x, b.x);
+      last.y = Math.min(last.y, b.y);
+      last.w = right - last.x;
+      last.h = bottom - last.y;
+    } else {
+      merged.push({ ...b });
+    }
+  });
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return merged.map((r) => ({ x: round(r.x), y: round(r.y), w: round(r.w), h: round(r.h) }));
+}
 
-      {/* ── Floating Bookmark Button ── */}
-      {numPages && (
+function HighlightMarks({ highlight, dark }) {
+  const color = HIGHLIGHT_COLORS[highlight.color] || HIGHLIGHT_COLORS.yellow;
+  const last = highlight.rects[highlight.rects.length - 1];
+  return (
+    <>
+      {highlight.rects.map((r, i) => (
         <div
+          key={i}
           style={{
-            position: 'fixed',
-            bottom: '20px',
-            right: '16px',
-            zIndex: 105,
-            display: 'flex',
-            flexDirection: 'column',
-            alignItems: 'flex-end',
-            gap: '10px',
+            position: 'absolute',
+            left: `${r.x}%`, top: `${r.y}%`, width: `${r.w}%`, height: `${r.h}%`,
+            background: color,
+            opacity: dark ? 0.35 : 0.45,
+            mixBlendMode: dark ? 'screen' : 'multiply',
+            borderRadius: '2px',
+            pointerEvents: 'none', // keep the text layer selectable underneath
+            zIndex: 3,
           }}
-        >
-          {/* Notes FAB — above bookmark */}
+        />
+      ))}
+      {/* Comment marker at the end of the highlight */}
+      {highlight.comment && last && (
+        <div style={{
+          position: 'absolute',
+          left: `${last.x + last.w}%`, top: `${last.y}%`,
+          transform: 'translate(-40%, -70%)',
+          width: '12px', height: '12px', borderRadius: '6px 6px 6px 1px',
+          background: color, boxShadow: '0 1px 4px rgba(0,0,0,0.4)',
+          pointerEvents: 'none', zIndex: 4,
+        }} />
+      )}
+    </>
+  );
+}
+
+// Colour picker + optional comment, anchored under the highlight's last line.
+// Without `highlight` it's the "new highlight" variant for a live selection.
+function HighlightPopover({ rects, highlight, onSave, onDelete, onClose }) {
+  const [color, setColor] = useState(highlight?.color || 'yellow');
+  const [comment, setComment] = useState(highlight?.comment || '');
+  const [commentOpen, setCommentOpen] = useState(!!highlight?.comment);
+  const last = rects[rects.length - 1];
+  const flip = last.x + last.w > 60; // open leftwards near the right edge
+
+  const pickColor = (c) => {
+    setColor(c);
+    // Quick path: no comment being written → save straight away
+    if (!commentOpen) onSave({ color: c, comment });
+  };
+
+  return (
+    <div
+      // Keep page-level handlers (selection capture, highlight hit-testing) out of it
+      onMouseUp={(e) => e.stopPropagation()}
+      onTouchEnd={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+      style={{
+        position: 'absolute',
+        left: `${flip ? last.x + last.w : last.x}%`,
+        top: `${last.y + last.h}%`,
+        transform: `translate(${flip ? '-100%' : '0'}, 8px)`,
+        zIndex: 20,
+        width: commentOpen ? '240px' : 'auto',
+        background: 'linear-gradient(160deg, #2a2520 0%, #1a1612 100%)',
+        border: '1px solid rgba(255,255,255,0.1)',
+        borderRadius: '12px',
+        boxShadow: '0 8px 32px rgba(0,0,0,0.55)',
+        padding: '8px',
+        animation: 'floatUp 0.2s cubic-bezier(0.22,1,0.36,1)',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        {Object.entries(HIGHLIGHT_COLORS).map(([name, hex]) => (
           <button
-            onClick={addNote}
-            title="Add sticky note"
+            key={name}
+            onClick={() => pickColor(name)}
+            title={name[0].toUpperCase() + name.slice(1)}
             style={{
-              width: '42px', height: '42px', borderRadius: '10px',
-              border: '1px solid rgba(255,255,255,0.1)',
-              background: 'linear-gradient(160deg,#2a2520,#1a1612)',
-              cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center',
-              boxShadow: '0 4px 16px rgba(0,0,0,0.45)',
-              transition: 'all 0.2s ease',
-              flexShrink: 0,
+              width: '20px', height: '20px', borderRadius: '50%', cursor: 'pointer', flexShrink: 0,
+              background: hex,
+              border: color === name ? '2px solid white' : '2px solid transparent',
+              boxShadow: '0 1px 3px rgba(0,0,0,0.4)',
             }}
-            onMouseEnter={(e) => { e.currentTarget.style.background = 'rgba(251,191,36,0.15)'; e.currentTarget.style.borderColor = 'rgba(251,191,36,0.35)'; }}
-            onMouseLeave={(e) => { e.currentTarget.style.background = 'linear-gradient(160deg,#2a2520,#1a1612)'; e.currentTarget.style.borderColor = 'rgba(255,255,255,0.1)'; }}
+          />
+        ))}
+        <span style={{ width: '1px', height: '18px', background: 'rgba(255,255,255,0.1)', margin: '0 2px' }} />
+        <button
+          onClick={() => setCommentOpen((o) => !o)}
+          title={commentOpen ? 'Hide comment' : 'Add comment'}
+          className="hover:bg-white/10 transition-colors"
+          style={{ padding: '3px', borderRadius: '6px', cursor: 'pointer', color: commentOpen ? '#fbbf24' : '#a3a3a3' }}
+        >
+          <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z" />
+          </svg>
+        </button>
+        {onDelete && (
+          <button
+            onClick={onDelete}
+            title="Delete highlight"
+            className="hover:bg-white/10 transition-colors"
+            style={{ padding: '3px', borderRadius: '6px', cursor: 'pointer', color: '#a3a3a3' }}
+            onMouseEnter={(e) => e.currentTarget.style.color = '#ef4444'}
+            onMouseLeave={(e) => e.currentTarget.style.color = '#a3a3a3'}
           >
-            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="#fbbf24" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-              <path d="M12 20h9" />
-              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <polyline points="3 6 5 6 21 6" />
+              <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
             </svg>
           </button>
-          {/* Mini bookmark count pill — shown when there are bookmarks */}
-          {bookmarks.length > 0 && !bookmarkPanelOpen && (
-            <button
-              onClick={() => setBookmarkPanelOpen(true)}
-              title="Open bookmarks"
-              style={{
-                display: 'flex', alignItems: 'center', gap: '6px',
-                padding: '5px 10px 5px 8px', borderRadius: '999px',
-                background: 'rgba(26,22,18,0.92)', backdropFilter: 'blur(10px)',
-                border: '1px solid rgba(245,158,11,0.3)',
-                color: '#f59e0b', fontSize: '12px', fontWeight: 700,
-                cursor: 'pointer', boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
-                transition: 'all 0.2s ease',
-                animation: 'floatUp 0.3s cubic-bezier(0.22,1,0.36,1)',
-              }}
-              onMouseEnter={(e) => { e.currentTarget.style.background = 'rgba(245,158,11,0.15)'; e.currentTarget.style.borderColor = 'rgba(245,158,11,0.5)'; }}
-              onMouseLeave={(e) => { e.currentTarget.style.background = 'rgba(26,22,18,0.92)'; e.currentTarget.style.borderColor = 'rgba(245,158,11,0.3)'; }}
-            >
-              <svg width="11" height="11" viewBox="0 0 24 24" fill="#f59e0b" stroke="none">
-                <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-              </svg>
-              {bookmarks.length} {bookmarks.length === 1 ? 'bookmark' : 'bookmarks'}
-            </button>
-          )}
+        )}
+      </div>
 
-          {/* Main ribbon FAB */}
+      {commentOpen && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px' }}>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) onSave({ color, comment });
+              if (e.key === 'Escape') { e.stopPropagation(); onClose(); }
+            }}
+            placeholder="Add a comment… (Ctrl+Enter to save)"
+            autoFocus
+            style={{
+              width: '100%', minHeight: '70px', resize: 'vertical',
+              background: 'rgba(255,255,255,0.05)', border: '1px solid rgba(255,255,255,0.1)',
+              borderRadius: '8px', padding: '8px', outline: 'none',
+              fontSize: '12px', lineHeight: 1.5, color: '#e5e0d5', boxSizing: 'border-box',
+            }}
+          />
           <button
-            onClick={toggleBookmark}
-            onContextMenu={(e) => { e.preventDefault(); setBookmarkPanelOpen(true); }}
-            title={isCurrentPageBookmarked ? `Remove bookmark (p.${currentPage}) · Right-click to manage` : `Bookmark page ${currentPage} · Right-click to manage`}
+            onClick={() => onSave({ color, comment })}
             style={{
-              width: '50px',
-              height: '60px',
-              borderRadius: '10px 10px 4px 4px',
-              border: 'none',
-              cursor: 'pointer',
-              position: 'relative',
-              overflow: 'hidden',
-              boxShadow: isCurrentPageBookmarked
-                ? '0 6px 28px rgba(245,158,11,0.45), 0 2px 8px rgba(0,0,0,0.6)'
-                : '0 6px 24px rgba(0,0,0,0.5)',
-              transition: 'all 0.25s cubic-bezier(0.34,1.56,0.64,1)',
-              background: isCurrentPageBookmarked
-                ? 'linear-gradient(160deg,#f59e0b,#d97706)'
-                : 'linear-gradient(160deg,#2a2520,#1a1612)',
-              transform: 'translateY(0)',
+              background: 'linear-gradient(135deg,#d97706,#b45309)', color: 'white',
+              border: 'none', borderRadius: '7px', padding: '5px 0',
+              fontSize: '12px', fontWeight: 700, cursor: 'pointer', width: '100%',
             }}
-            onMouseEnter={(e) => { e.currentTarget.style.transform = 'translateY(-3px) scale(1.05)'; }}
-            onMouseLeave={(e) => { e.currentTarget.style.transform = 'translateY(0) scale(1)'; }}
-            onMouseDown={(e) => { e.currentTarget.style.transform = 'translateY(1px) scale(0.96)'; }}
-            onMouseUp={(e) => { e.currentTarget.style.transform = 'translateY(-3px) scale(1.05)'; }}
           >
-            {/* Ribbon notch at the bottom */}
-            <div style={{
-              position: 'absolute', bottom: 0, left: 0, right: 0, height: '16px',
-              background: isCurrentPageBookmarked ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.04)',
-              clipPath: 'polygon(0 0, 50% 55%, 100% 0, 100% 100%, 0 100%)',
-            }} />
-            {/* Icon */}
-            <div style={{
-              position: 'absolute', inset: 0,
-              display: 'flex', alignItems: 'center', justifyContent: 'center',
-              paddingBottom: '6px',
-            }}>
-              {isCurrentPageBookmarked ? (
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="white" stroke="none">
-                  <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                </svg>
-              ) : (
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                  <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
-                  <line x1="12" y1="8" x2="12" y2="14" />
-                  <line x1="9" y1="11" x2="15" y2="11" />
-                </svg>
-              )}
-            </div>
-            {/* Border overlay */}
-            <div style={{
-              position: 'absolute', inset: 0, borderRadius: 'inherit',
-              border: isCurrentPageBookmarked ? '1px solid rgba(255,255,255,0.2)' : '1px solid rgba(245,158,11,0.25)',
-              pointerEvents: 'none',
-            }} />
+            Save
           </button>
         </div>
       )}
-
-      <style>{`
-        @keyframes slideInRight {
-          from { transform: translateX(100%); opacity: 0; }
-          to   { transform: translateX(0);    opacity: 1; }
-        }
-        @keyframes floatUp {
-          from { transform: translateY(10px); opacity: 0; }
-          to   { transform: translateY(0);    opacity: 1; }
-        }
-      `}</style>
     </div>
   );
 }
@@ -1625,7 +7204,9 @@ function PDFReader({ book, onClose, bookmarks, onUpdateBookmarks, session }) {
 // ─── StickyNote ───────────────────────────────────────────────────────────────
 // Notes are rendered inside each page's wrapper div (position:relative).
 // xPct / yPct are percentages of the page width/height, so they survive zoom.
-function StickyNote({ note, onUpdate, onDelete }) {
+// `docked` notes sit in the flow (reflowed text) and can't be dragged: their
+// position is only saved from the page they're placed on
+function StickyNote({ note, onUpdate, onDelete, docked = false }) {
   const [hovered, setHovered] = useState(false);
   const [editing, setEditing] = useState(!note.content);
   const [draft, setDraft] = useState(note.content);
@@ -1639,7 +7220,7 @@ function StickyNote({ note, onUpdate, onDelete }) {
 
   // Drag: convert absolute mouse movement → percentage change within the page div
   const handleMouseDown = (e) => {
-    if (editing || e.button !== 0) return;
+    if (docked || editing || e.button !== 0) return;
     e.preventDefault();
     didDrag.current = false;
 
@@ -1683,9 +7264,7 @@ function StickyNote({ note, onUpdate, onDelete }) {
 
   return (
     <div style={{
-      position: 'absolute',
-      left: `${note.xPct}%`,
-      top: `${note.yPct}%`,
+      ...(docked ? { position: 'relative' } : { position: 'absolute', left: `${note.xPct}%`, top: `${note.yPct}%` }),
       zIndex: 10,
       userSelect: 'none',
     }}>
@@ -1757,7 +7336,7 @@ function StickyNote({ note, onUpdate, onDelete }) {
             boxShadow: hovered
               ? '0 10px 30px rgba(0,0,0,0.45)'
               : '0 4px 14px rgba(0,0,0,0.35)',
-            cursor: hovered ? 'pointer' : 'grab',
+            cursor: hovered || docked ? 'pointer' : 'grab',
             transition: 'width 0.22s cubic-bezier(0.34,1.56,0.64,1), min-height 0.22s ease, border-radius 0.18s ease, background 0.18s ease, box-shadow 0.22s ease',
             overflow: 'hidden',
             display: 'flex',
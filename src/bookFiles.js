@@ -0,0 +1,73 @@
+import { pdfjs } from 'react-pdf';
+import { supabase } from './supabase.js';
+
+// ─── Book files ───────────────────────────────────────────────────────────────
+// The `PDFs` bucket (PDFs and EPUBs) is private. Files are read through
+// short-lived signed URLs created when a book is opened, and re-signed before
+// they run out so long reading sessions keep loading pages.
+
+const BUCKET = 'PDFs';
+const SIGNED_URL_TTL = 60 * 60;                // seconds
+const REFRESH_BEFORE_EXPIRY = 5 * 60 * 1000;   // ms — re-sign once this close to expiry
+const INITIAL_PDF_CHUNK = 64 * 1024;           // bytes fetched up front to learn the file size
+const RANGE_RETRY_DELAY = 1000;                // ms before a failed range is asked for again
+
+async function createSignedUrl(path) {
+  const { data, error } = await supabase.storage.from(BUCKET).createSignedUrl(path, SIGNED_URL_TTL);
+  if (error) throw error;
+  return { url: data.signedUrl, expiresAt: Date.now() + SIGNED_URL_TTL * 1000 };
+}
+
+// → () => Promise<url>, always resolving to a URL with some life left in it
+export function signedUrlSource(path) {
+  let current = null;
+  return async () => {
+    const signed = current && await current.catch(() => null);
+    if (signed && signed.expiresAt - Date.now() > REFRESH_BEFORE_EXPIRY) return signed.url;
+    current = createSignedUrl(path);
+    return (await current).url;
+  };
+}
+
+// Whole file as a Blob — for exports and offline copies
+export async function downloadBookFile(path) {
+  const { data, error } = await supabase.storage.from(BUCKET).download(path);
+  if (error) throw error;
+  return data;
+}
+
+// What to hand react-pdf's <Document file>. pdf.js loads PDFs in ranges as
+// pages are needed; serving those ranges through a PDFDataRangeTransport means
+// each request signs against a current URL, so pages still load after the
+// first URL has expired. Falls back to the file's bytes when the server
+// returns the whole file, or to a plain URL when it hides the file size.
+//
+// pdf.js has no way to hear that a range failed — it just waits — so a range
+// that still fails after a retry goes to `onError` for the reader to show.
+export async function openPdfSource(path, { onError } = {}) {
+  const getUrl = signedUrlSource(path);
+  const first = await fetch(await getUrl(), { headers: { Range: `bytes=0-${INITIAL_PDF_CHUNK - 1}` } });
+  if (!first.ok) throw new Error(`Couldn't load the book (${first.status})`);
+  const initialData = new Uint8Array(await first.arrayBuffer());
+  const total = Number(first.headers.get('Content-Range')?.split('/')[1]);
+
+  if (first.status !== 206 || initialData.length >= total) return { data: initialData };
+  if (!total) return getUrl();
+
+  const transport = new pdfjs.PDFDataRangeTransport(total, initialData);
+  const fetchRange = async (begin, end) => {
+    const res = await fetch(await getUrl(), { headers: { Range: `bytes=${begin}-${end - 1}` } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.arrayBuffer();
+  };
+  transport.requestDataRange = (begin, end) => {
+    fetchRange(begin, end)
+      .catch(() => new Promise((resolve) => setTimeout(resolve, RANGE_RETRY_DELAY)).then(() => fetchRange(begin, end)))
+      .then((buffer) => transport.onDataRange(begin, new Uint8Array(buffer)))
+      .catch((err) => {
+        console.error('Failed to load part of the PDF:', err.message);
+        onError?.(err);
+      });
+  };
+  return transport;
+}
@@ -0,0 +1,71 @@
+// ─── Book status ──────────────────────────────────────────────────────────────
+// Where the user is with a book. `books.status` is one of BOOK_STATUSES, or null
+// for books never given one — those fall back to their reading progress (see
+// readingStatusOf in libraryView.js). Moving between statuses stamps
+// `started_at` / `finished_at`; a personal `rating` (1–MAX_RATING) and `review`
+// sit alongside.
+//
+// Opening a book moves it to "reading" unless it's already finished (a re-read
+// keeps it finished); reaching the last page asks before marking it finished.
+
+export const BOOK_STATUSES = [
+  { id: 'want_to_read', label: 'Want to read' },
+  { id: 'reading', label: 'Reading' },
+  { id: 'finished', label: 'Finished' },
+  { id: 'abandoned', label: 'Abandoned' },
+];
+
+export const MAX_RATING = 5;
+
+export function statusLabel(status) {
+  return BOOK_STATUSES.find((s) => s.id === status)?.label ?? null;
+}
+
+// `status` is the one the library shows (readingStatusOf), so a book without a
+// status that was read to its last page counts as finished too
+export function startsReadingOnOpen(status) {
+  return status !== 'reading' && status !== 'finished';
+}
+
+// The fields to change for `book` to move to `status` → { status, startedAt, finishedAt }
+export function statusChanges(book, status, now = new Date().toISOString()) {
+  switch (status) {
+    case 'want_to_read':
+      return { status, startedAt: null, finishedAt: null };
+    case 'reading':
+      return { status, startedAt: book.startedAt || now, finishedAt: null };
+    case 'finished':
+      return { status, startedAt: book.startedAt || now, finishedAt: book.status === 'finished' && book.finishedAt ? book.finishedAt : now };
+    case 'abandoned':
+      return { status, startedAt: book.startedAt || now, finishedAt: null };
+    default:
+      return { status: null, startedAt: null, finishedAt: null };
+  }
+}
+
+const ROW_FIELDS = {
+  status: 'status',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+  rating: 'rating',
+  review: 'review',
+};
+
+// Changed book fields → the `books` columns to update
+export function statusToRow(changes) {
+  return Object.fromEntries(Object.entries(changes)
+    .filter(([key]) => ROW_FIELDS[key])
+    .map(([key, value]) => [ROW_FIELDS[key], key === 'review' ? value || null : value]));
+}
+
+// ISO timestamp ↔ the value of an <input type="date"> (local calendar day)
+export function dateInputValue(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+export function dateFromInput(value) {
+  // Midday, so the day survives a time-zone change
+  return value ? new Date(`${value}T12:00:00`).toISOString() : null;
+}
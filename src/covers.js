@@ -0,0 +1,179 @@
+import { pdfjs } from 'react-pdf';
+import { supabase } from './supabase.js';
+
+// ─── Cover images ─────────────────────────────────────────────────────────────
+// Covers are made in the browser as JPEG data URLs — from a PDF page, an EPUB's
+// cover image or a picture the user uploaded — or come from a metadata provider
+// as a remote URL, fetched through the `fetch-cover` Edge Function since the
+// providers don't allow CORS. Either way they're stored in the public `covers`
+// bucket, in two sizes, and `books.cover_path` holds the path. `cover_url` only
+// holds a cover that couldn't be stored yet; migrateInlineCovers retries those.
+
+const COVER_WIDTH = 360;
+const PAGE_COVER_SCALE = 0.6; // plenty for a card thumbnail
+
+// Draws an image URL into a JPEG data URL no wider than `maxWidth`. Resolves
+// to null if the image can't be loaded.
+export function imageToCoverDataUrl(src, maxWidth = COVER_WIDTH) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const ratio = Math.min(1, maxWidth / img.naturalWidth);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.naturalWidth * ratio);
+      canvas.height = Math.round(img.naturalHeight * ratio);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// A picked image file as a cover, or null if it isn't a readable image
+export async function imageFileToCover(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    return await imageToCoverDataUrl(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Renders one page of an open pdf.js document as a cover
+export async function renderPageCover(pdf, pageNumber = 1) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: PAGE_COVER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+// Cover from any page of a PDF file (Blob or File)
+export async function coverFromPdfPage(file, pageNumber) {
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  try {
+    return await renderPageCover(pdf, pageNumber);
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
+const COVERS_BUCKET = 'covers';
+// `md` for the grid and dialogs, `sm` for list rows and small previews
+const COVER_VARIANTS = { md: COVER_WIDTH, sm: 120 };
+
+const variantPath = (path, size) => (size === 'md' ? path : path.replace(/\.jpg$/, `@${size}.jpg`));
+
+// The bucket is public-read: paths carry a random id, and a cover isn't worth a
+// signed-URL round trip for every card in the grid.
+export function coverUrl(path, size = 'md') {
+  return supabase.storage.from(COVERS_BUCKET).getPublicUrl(variantPath(path, size)).data.publicUrl;
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Couldn't encode cover`))), 'image/jpeg', 0.8);
+  });
+}
+
+const COVER_FETCH_FUNCTION = 'fetch-cover';
+
+const isRemote = (src) => /^https?:/i.test(src);
+
+// Remote images come through the Edge Function; data and blob URLs are local
+async function fetchCoverImage(src) {
+  if (isRemote(src)) {
+    const { data, error } = await supabase.functions.invoke(COVER_FETCH_FUNCTION, { body: { url: src } });
+    if (error) throw error;
+    return data;
+  }
+  const res = await fetch(src);
+  if (!res.ok) throw new Error(`Couldn't fetch cover (${res.status})`);
+  return res.blob();
+}
+
+// Any image URL → { [size]: Blob }
+async function renderVariants(src) {
+  const bitmap = await createImageBitmap(await fetchCoverImage(src));
+  try {
+    const entries = await Promise.all(Object.entries(COVER_VARIANTS).map(async ([size, maxWidth]) => {
+      const ratio = Math.min(1, maxWidth / bitmap.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(bitmap.width * ratio);
+      canvas.height = Math.round(bitmap.height * ratio);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      return [size, await canvasToBlob(canvas)];
+    }));
+    return Object.fromEntries(entries);
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Uploads every variant of a cover → the stored path
+export async function storeCover(userId, src) {
+  const variants = await renderVariants(src);
+  const path = `${userId}/${crypto.randomUUID()}.jpg`;
+  for (const [size, blob] of Object.entries(variants)) {
+    const { error } = await supabase.storage.from(COVERS_BUCKET)
+      .upload(variantPath(path, size), blob, { contentType: 'image/jpeg' });
+    if (error) throw error;
+  }
+  return path;
+}
+
+export async function removeCover(path) {
+  const { error } = await supabase.storage.from(COVERS_BUCKET)
+    .remove(Object.keys(COVER_VARIANTS).map((size) => variantPath(path, size)));
+  if (error) throw error;
+}
+
+// `books` columns for a new or changed cover. When it can't be stored the
+// source URL is kept instead, so the cover isn't lost.
+export async function coverColumns(userId, src) {
+  if (!src) return { cover_path: null, cover_url: null };
+  try {
+    return { cover_path: await storeCover(userId, src), cover_url: null };
+  } catch (err) {
+    console.error('Failed to store cover:', err.message);
+    return { cover_path: null, cover_url: src };
+  }
+}
+
+// Whether a book's `cover_url` is one migrateInlineCovers would move
+export const needsCoverMigration = (coverUrl) => !!coverUrl && (coverUrl.startsWith('data:') || isRemote(coverUrl));
+
+// Moves covers kept in `cover_url` into storage: data URLs saved before the
+// `covers` bucket existed, and provider images that were hotlinked. Resolves
+// to { [bookId]: coverPath } for the rows it moved; rows that fail stay as
+// they were and are retried next time.
+export async function migrateInlineCovers(userId) {
+  const { data, error } = await supabase
+    .from('books')
+    .select('id, cover_url')
+    .is('cover_path', null)
+    .or('cover_url.like.data:*,cover_url.like.http*');
+  if (error) throw error;
+
+  const moved = {};
+  for (const row of data || []) {
+    try {
+      const path = await storeCover(userId, row.cover_url);
+      const { error: updateError } = await supabase.from('books')
+        .update({ cover_path: path, cover_url: null }).eq('id', row.id);
+      if (updateError) {
+        removeCover(path).catch(() => {});
+        throw updateError;
+      }
+      moved[row.id] = path;
+    } catch (err) {
+      console.error('Failed to migrate cover:', err.message);
+    }
+  }
+  return moved;
+}
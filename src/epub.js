@@ -0,0 +1,66 @@
+import ePub from 'epubjs';
+import { imageToCoverDataUrl } from './covers.js';
+import { normalizeIsbn } from './metadata.js';
+
+// ─── EPUB helpers ─────────────────────────────────────────────────────────────
+// EPUBs live in the same storage bucket and `books` table as PDFs; the row's
+// `format` column tells the two apart. Since EPUBs reflow there are no fixed
+// pages — the reader uses epub.js "locations" (evenly sized slices of text) as
+// page numbers, so bookmarks, notes and progress work the same way.
+
+export const EPUB_MIME = 'application/epub+zip';
+
+// Characters per location — roughly one printed page
+const LOCATION_SIZE = 1600;
+const LOCATIONS_KEY = (bookId) => `kw-epub-locations:${bookId}`;
+
+export function isEpubFile(file) {
+  return file.type === EPUB_MIME || /\.epub$/i.test(file.name);
+}
+
+// Title, author, date, ISBN and cover image from the package document (OPF).
+// Same shape as extractPdfMeta; the page count is only known once the reader
+// has generated locations, so it's reported later through onPageCount.
+export async function extractEpubMeta(file) {
+  let book = null;
+  try {
+    book = ePub(await file.arrayBuffer());
+    const metadata = await book.loaded.metadata;
+    const coverUrl = await book.coverUrl().catch(() => null);
+    const cover = coverUrl ? await imageToCoverDataUrl(coverUrl) : null;
+    const isbn = normalizeIsbn(metadata.identifier?.replace(/^urn:isbn:/i, ''));
+    return {
+      metaTitle: metadata.title?.trim() || '',
+      metaAuthor: metadata.creator?.trim() || '',
+      metaYear: Number.parseInt(metadata.pubdate, 10) || null,
+      isbns: isbn ? [{ isbn, page: null }] : [],
+      cover,
+      pageCount: null,
+    };
+  } catch {
+    return { metaTitle: '', metaAuthor: '', metaYear: null, isbns: [], cover: null, pageCount: null };
+  } finally {
+    book?.destroy();
+  }
+}
+
+// Drops cached locations, e.g. when the book's file is replaced
+export function forgetLocations(bookId) {
+  localStorage.removeItem(LOCATIONS_KEY(bookId));
+}
+
+// Generating locations walks the whole book, so the result is cached per book
+// in localStorage and reused on the next open.
+export async function ensureLocations(book, bookId) {
+  const cached = localStorage.getItem(LOCATIONS_KEY(bookId));
+  if (cached) {
+    try {
+      book.locations.load(cached);
+      if (book.locations.length()) return;
+    } catch { /* stale or corrupt cache — regenerate */ }
+  }
+  await book.locations.generate(LOCATION_SIZE);
+  try {
+    localStorage.setItem(LOCATIONS_KEY(bookId), book.locations.save());
+  } catch { /* storage full — we'll just regenerate next time */ }
+}
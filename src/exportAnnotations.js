@@ -0,0 +1,321 @@
+import { supabase } from './supabase.js';
+import { downloadBookFile } from './bookFiles.js';
+
+// ─── Annotation export & import ───────────────────────────────────────────────
+// Three formats: a Markdown digest grouped by page, a JSON dump that can be
+// imported back (into the same book or another copy of it), and a copy of the
+// PDF with notes and highlights written in as real PDF annotations (so they
+// show up in any PDF viewer).
+
+export const EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown digest', ext: 'md' },
+  { id: 'json', label: 'JSON', ext: 'json' },
+  { id: 'pdf', label: 'Annotated PDF', ext: 'pdf' },
+];
+
+// Bumped whenever the JSON shape changes, so anything reading it can tell versions apart
+const JSON_EXPORT_FORMAT = 'kindlewood-annotations';
+const JSON_EXPORT_VERSION = 1;
+
+// Everything attached to a book, for exports started from the library where
+// the reader's state isn't loaded → { bookmarks, notes, highlights }
+export async function fetchBookAnnotations(bookId) {
+  const [bookmarksRes, notesRes, highlightsRes] = await Promise.all([
+    supabase.from('bookmarks').select('page_number').eq('book_id', bookId).order('page_number'),
+    supabase.from('notes').select('*').eq('book_id', bookId),
+    supabase.from('highlights').select('*').eq('book_id', bookId),
+  ]);
+  const error = bookmarksRes.error || notesRes.error || highlightsRes.error;
+  if (error) throw error;
+  return {
+    bookmarks: bookmarksRes.data.map((r) => r.page_number),
+    notes: notesRes.data.map((r) => ({ page: r.page, xPct: r.x_pct, yPct: r.y_pct, content: r.content })),
+    highlights: highlightsRes.data.map((r) => ({
+      page: r.page, text: r.text, rects: r.rects || [], color: r.color, comment: r.comment || '',
+    })),
+  };
+}
+
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'book';
+}
+
+export function toMarkdown(book, { bookmarks, notes, highlights }) {
+  const pages = [...new Set([
+    ...bookmarks,
+    ...notes.filter((n) => n.content.trim()).map((n) => n.page),
+    ...highlights.map((h) => h.page),
+  ])].sort((a, b) => a - b);
+
+  const lines = [`# ${book.title}`, ''];
+  if (book.author) lines.push(`*${book.author}*`, '');
+  lines.push(`Exported from KindleWood on ${new Date().toLocaleDateString()}.`, '');
+  if (bookmarks.length) {
+    lines.push(`**Bookmarked pages:** ${bookmarks.join(', ')}`, '');
+  }
+  if (!pages.length) lines.push('_No notes, highlights or bookmarks yet._', '');
+
+  // Top-to-bottom order within a page
+  const byPosition = (a, b) => a.y - b.y;
+  pages.forEach((page) => {
+    lines.push(`## Page ${page}${bookmarks.includes(page) ? ' · bookmarked' : ''}`, '');
+    const items = [
+      ...highlights.filter((h) => h.page === page).map((h) => ({ y: h.rects[0]?.y ?? 0, highlight: h })),
+      ...notes.filter((n) => n.page === page && n.content.trim()).map((n) => ({ y: n.yPct, note: n })),
+    ].sort(byPosition);
+    items.forEach(({ highlight, note }) => {
+      if (highlight) {
+        lines.push(`> ${highlight.text}`);
+        if (highlight.comment.trim()) lines.push('', highlight.comment.trim());
+      } else {
+        lines.push(`**Note:** ${note.content.trim()}`);
+      }
+      lines.push('');
+    });
+  });
+  return lines.join('\n');
+}
+
+export function toJson(book, { bookmarks, notes, highlights }) {
+  return JSON.stringify({
+    format: JSON_EXPORT_FORMAT,
+    version: JSON_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    book: { title: book.title, author: book.author, pageCount: book.pageCount ?? null },
+    bookmarks,
+    notes: notes.map(({ page, xPct, yPct, content }) => ({ page, xPct, yPct, content })),
+    highlights: highlights.map(({ page, text, rects, color, comment }) => ({ page, text, rects, color, comment })),
+  }, null, 2);
+}
+
+// ── Import ────────────────────────────────────────────────────────────────────
+
+const isPage = (page) => Number.isInteger(page) && page >= 1;
+const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+const toPct = (n) => (isNumber(n) ? Math.min(100, Math.max(0, n)) : 0);
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+// A JSON export read back → { pageCount, bookmarks, notes, highlights }. Throws
+// when the file isn't one, or comes from a newer version than this one reads.
+// Entries that don't have the expected shape are dropped.
+export async function readAnnotationsFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`"${file.name}" isn't a JSON file.`);
+  }
+  if (data?.format !== JSON_EXPORT_FORMAT || !Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`"${file.name}" isn't a KindleWood annotations export.`);
+  }
+  if (data.version > JSON_EXPORT_VERSION) {
+    throw new Error(`"${file.name}" was exported by a newer version of KindleWood (format version ${data.version}).`);
+  }
+  return {
+    pageCount: isPage(data.book?.pageCount) ? data.book.pageCount : null,
+    bookmarks: listOf(data.bookmarks).filter(isPage),
+    notes: listOf(data.notes)
+      .filter((n) => isPage(n?.page) && typeof n.content === 'string')
+      .map((n) => ({ page: n.page, xPct: toPct(n.xPct), yPct: toPct(n.yPct), content: n.content })),
+    highlights: listOf(data.highlights)
+      .filter((h) => isPage(h?.page) && typeof h.text === 'string' && Array.isArray(h.rects))
+      .map((h) => ({
+        page: h.page,
+        text: h.text,
+        rects: h.rects
+          .filter((r) => [r?.x, r?.y, r?.w, r?.h].every(isNumber))
+          .map(({ x, y, w, h: height }) => ({ x, y, w, h: height })),
+        color: typeof h.color === 'string' ? h.color : 'yellow',
+        comment: typeof h.comment === 'string' ? h.comment : '',
+      }))
+      .filter((h) => h.rects.length),
+  };
+}
+
+const noteKey = (n) => `${n.page}|${(n.content || '').trim()}`;
+const highlightKey = (h) => `${h.page}|${h.text}|${h.rects.map((r) => `${r.x.toFixed(1)},${r.y.toFixed(1)}`).join(';')}`;
+
+// Keeps the items whose key isn't in `seen` yet, adding theirs as it goes, so
+// repeats within the file are dropped too
+function unseen(items, key, seen) {
+  return items.filter((item) => {
+    const k = key(item);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// Adds what `imported` (readAnnotationsFile) holds to `book`. Pages keep their
+// numbers; ones past the end of `book` are left out, as are highlights for an
+// EPUB (it has no text layer to show them on) and anything the book already
+// has — so importing the same file twice, or again after a failed attempt,
+// adds nothing twice. `colors` are the highlight colours known here; others
+// become yellow.
+// → { bookmarks: pages, notes: rows, highlights: rows, duplicates, leftOut, pageCountDiffers }
+export async function importBookAnnotations(userId, book, imported, colors) {
+  const existing = await fetchBookAnnotations(book.id);
+  const fits = (page) => !book.pageCount || page <= book.pageCount;
+  const total = imported.bookmarks.length + imported.notes.length + imported.highlights.length;
+
+  const placeable = {
+    bookmarks: imported.bookmarks.filter(fits),
+    notes: imported.notes.filter((n) => fits(n.page) && n.content.trim()),
+    highlights: book.format === 'epub' ? [] : imported.highlights.filter((h) => fits(h.page)),
+  };
+  const bookmarks = unseen(placeable.bookmarks, String, new Set(existing.bookmarks.map(String)));
+  const notes = unseen(placeable.notes, noteKey, new Set(existing.notes.map(noteKey)));
+  const highlights = unseen(placeable.highlights, highlightKey, new Set(existing.highlights.map(highlightKey)));
+
+  const insert = async (table, rows) => {
+    if (!rows.length) return [];
+    const { data, error } = await supabase.from(table).insert(rows).select();
+    if (error) throw error;
+    return data;
+  };
+  const bookmarkRows = await insert('bookmarks', bookmarks.map((page) => ({
+    user_id: userId, book_id: book.id, page_number: page,
+  })));
+  const noteRows = await insert('notes', notes.map((n) => ({
+    user_id: userId, book_id: book.id, page: n.page, x_pct: n.xPct, y_pct: n.yPct, content: n.content,
+  })));
+  const highlightRows = await insert('highlights', highlights.map((h) => ({
+    user_id: userId, book_id: book.id, page: h.page, text: h.text, rects: h.rects,
+    color: colors[h.color] ? h.color : 'yellow', comment: h.comment,
+  })));
+
+  const placed = placeable.bookmarks.length + placeable.notes.length + placeable.highlights.length;
+  const added = bookmarks.length + notes.length + highlights.length;
+  return {
+    bookmarks: bookmarkRows.map((r) => r.page_number),
+    notes: noteRows,
+    highlights: highlightRows,
+    duplicates: placed - added,
+    leftOut: total - placed,
+    pageCountDiffers: !!(imported.pageCount && book.pageCount && imported.pageCount !== book.pageCount),
+  };
+}
+
+const countOf = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// A line or two for the user about what an import did
+export function describeImport(book, { bookmarks, notes, highlights, duplicates, leftOut, pageCountDiffers }) {
+  const parts = [
+    notes.length && countOf(notes.length, 'note'),
+    highlights.length && countOf(highlights.length, 'highlight'),
+    bookmarks.length && countOf(bookmarks.length, 'bookmark'),
+  ].filter(Boolean);
+  const lines = [parts.length
+    ? `Added ${parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts.at(-1)}` : parts[0]} to "${book.title}".`
+    : `Nothing new to add to "${book.title}".`];
+  if (duplicates) lines.push(`${countOf(duplicates, 'item')} ${duplicates === 1 ? 'was' : 'were'} already there.`);
+  if (leftOut) lines.push(`${countOf(leftOut, 'item')} couldn't be placed in this book (empty notes, pages it doesn't have${book.format === 'epub' ? ', or highlights, which EPUBs don\'t show' : ''}).`);
+  if (pageCountDiffers) lines.push('The export came from a copy with a different number of pages, so some may sit on the wrong page.');
+  return lines.join('\n');
+}
+
+function hexToRgb01(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+const NOTE_ICON_SIZE = 20;
+
+// Writes sticky notes as /Text annotations at their xPct / yPct, and highlights
+// as /Highlight annotations over their rectangles. Percentages are taken
+// against the page's crop box as react-pdf renders it — turned by the page's
+// /Rotate — so they're turned back before becoming PDF coordinates.
+export async function toAnnotatedPdf(pdfBytes, { notes, highlights }, colors) {
+  const { PDFDocument, PDFHexString, PDFString } = await import('pdf-lib');
+  const doc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  const pages = doc.getPages();
+  const now = PDFString.fromDate(new Date());
+
+  // Fractions across / down the page as shown → PDF user space
+  const toPdfPoint = (page, xPct, yPct) => {
+    const box = page.getCropBox();
+    const u = xPct / 100;
+    const v = yPct / 100;
+    const [fx, fy] = {
+      90: [v, 1 - u],
+      180: [1 - u, 1 - v],
+      270: [1 - v, u],
+    }[((page.getRotation().angle % 360) + 360) % 360] || [u, v];
+    return [box.x + fx * box.width, box.y + box.height - fy * box.height];
+  };
+
+  const addAnnot = (pageNum, dict) => {
+    const page = pages[pageNum - 1];
+    if (!page) return;
+    page.node.addAnnot(doc.context.register(doc.context.obj({
+      Type: 'Annot', F: 4, M: now, T: PDFHexString.fromText('KindleWood'), ...dict,
+    })));
+  };
+
+  notes.filter((n) => n.content.trim()).forEach((n) => {
+    const page = pages[n.page - 1];
+    if (!page) return;
+    const [x, y] = toPdfPoint(page, n.xPct, n.yPct);
+    addAnnot(n.page, {
+      Subtype: 'Text',
+      Name: 'Comment',
+      Rect: [x, y - NOTE_ICON_SIZE, x + NOTE_ICON_SIZE, y],
+      Contents: PDFHexString.fromText(n.content.trim()),
+      C: hexToRgb01('#fbbf24'),
+      Open: false,
+    });
+  });
+
+  highlights.forEach((h) => {
+    const page = pages[h.page - 1];
+    if (!page || !h.rects.length) return;
+    const quads = [];
+    h.rects.forEach((r) => {
+      // Quad order viewers expect, as the text reads: top-left, top-right, bottom-left, bottom-right
+      [[r.x, r.y], [r.x + r.w, r.y], [r.x, r.y + r.h], [r.x + r.w, r.y + r.h]]
+        .forEach(([x, y]) => quads.push(...toPdfPoint(page, x, y)));
+    });
+    const xs = quads.filter((_, i) => i % 2 === 0);
+    const ys = quads.filter((_, i) => i % 2 === 1);
+    const [minX, minY, maxX, maxY] = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    addAnnot(h.page, {
+      Subtype: 'Highlight',
+      Rect: [minX, minY, maxX, maxY],
+      QuadPoints: quads,
+      Contents: PDFHexString.fromText(h.comment.trim() || h.text),
+      C: hexToRgb01(colors[h.color] || colors.yellow),
+      CA: 0.5,
+    });
+  });
+
+  return doc.save();
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Builds the chosen format and saves it. `annotations` can be passed in when
+// the caller already has them loaded (the reader); otherwise they're fetched.
+export async function exportBookAnnotations(book, formatId, { annotations, highlightColors }) {
+  const data = annotations || await fetchBookAnnotations(book.id);
+  const format = EXPORT_FORMATS.find((f) => f.id === formatId);
+  const slug = slugify(book.title);
+
+  if (formatId === 'markdown') {
+    downloadBlob(new Blob([toMarkdown(book, data)], { type: 'text/markdown' }), `${slug}-notes.${format.ext}`);
+  } else if (formatId === 'json') {
+    downloadBlob(new Blob([toJson(book, data)], { type: 'application/json' }), `${slug}-annotations.${format.ext}`);
+  } else if (formatId === 'pdf') {
+    const file = await downloadBookFile(book.pdfPath);
+    const bytes = await toAnnotatedPdf(await file.arrayBuffer(), data, highlightColors);
+    downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `${slug}-annotated.${format.ext}`);
+  }
+}
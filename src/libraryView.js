@@ -0,0 +1,72 @@
+// ─── Library sorting & filtering ──────────────────────────────────────────────
+// `stats` is { [bookId]: { page, notes, bookmarks } } — the furthest page read
+// on any device plus note/bookmark counts, loaded alongside the books.
+// A book's status is the one the user gave it (see bookStatus.js), or else
+// 'unread' / 'reading' / 'finished' from how far they've got.
+
+export const DEFAULT_LIBRARY_VIEW = {
+  layout: 'grid',      // 'grid' | 'list'
+  sort: 'added',
+  sortDir: 'desc',
+  status: 'all',       // 'all' | 'unread' | 'want_to_read' | 'reading' | 'finished' | 'abandoned'
+  hasNotes: false,
+  hasBookmarks: false,
+};
+
+// `dir` is the direction a sort starts in when picked
+export const SORT_OPTIONS = [
+  { id: 'added', label: 'Date added', dir: 'desc' },
+  { id: 'opened', label: 'Recently opened', dir: 'desc' },
+  { id: 'title', label: 'Title', dir: 'asc' },
+  { id: 'author', label: 'Author', dir: 'asc' },
+  { id: 'progress', label: 'Progress', dir: 'desc' },
+];
+
+export const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'unread', label: 'Unread' },
+  { id: 'want_to_read', label: 'Want to read' },
+  { id: 'reading', label: 'In progress' },
+  { id: 'finished', label: 'Finished' },
+  { id: 'abandoned', label: 'Abandoned' },
+];
+
+// 0–1, or 0 when the page count isn't known yet
+export function progressOf(book, stats) {
+  const page = stats[book.id]?.page || 0;
+  if (!page || !book.pageCount) return 0;
+  return Math.min(1, page / book.pageCount);
+}
+
+export function readingStatusOf(book, stats) {
+  if (book.status) return book.status;
+  const page = stats[book.id]?.page || 0;
+  if (!page) return 'unread';
+  if (book.pageCount && page >= book.pageCount) return 'finished';
+  return 'reading';
+}
+
+export function filterBooks(books, stats, view) {
+  return books.filter((book) => {
+    if (view.status !== 'all' && readingStatusOf(book, stats) !== view.status) return false;
+    if (view.hasNotes && !stats[book.id]?.notes) return false;
+    if (view.hasBookmarks && !stats[book.id]?.bookmarks) return false;
+    return true;
+  });
+}
+
+const compareText = (a, b) => (a || '').localeCompare(b || '', undefined, { sensitivity: 'base' });
+const compareTime = (a, b) => (a ? Date.parse(a) : 0) - (b ? Date.parse(b) : 0);
+
+export function sortBooks(books, stats, view) {
+  const comparators = {
+    added: (a, b) => compareTime(a.createdAt, b.createdAt),
+    opened: (a, b) => compareTime(a.lastOpenedAt, b.lastOpenedAt),
+    title: (a, b) => compareText(a.title, b.title),
+    author: (a, b) => compareText(a.author, b.author) || compareText(a.title, b.title),
+    progress: (a, b) => progressOf(a, stats) - progressOf(b, stats),
+  };
+  const compare = comparators[view.sort] || comparators.added;
+  const sign = view.sortDir === 'asc' ? 1 : -1;
+  return [...books].sort((a, b) => sign * compare(a, b));
+}
@@ -0,0 +1,311 @@
+// ─── Metadata lookup ──────────────────────────────────────────────────────────
+// Book details come from several providers, each turning a lookup context into
+// candidates. All of them run side by side; their candidates are ranked
+// together so the upload dialog can show them next to each other and the user
+// can take fields from any of them.
+//
+//   Provider   { id, label, weight, lookup(context) → Promise<Candidate[]> }
+//   Context    { query, isbns: string[], embedded: { title, author, year, cover } | null }
+//   Candidate  { id, source, sourceLabel, title, author, cover, year, isbn, genre,
+//                description, note, score }
+//
+// `embedded` and `isbns` come from the file itself (see extractPdfMeta /
+// extractEpubMeta); the remote providers search by ISBN first when there is one.
+// Set VITE_MOCK_METADATA=1 to swap the remote providers for canned ones, or
+// call setMetadataProviders() with your own.
+
+export const METADATA_FIELDS = ['title', 'author', 'cover', 'year', 'isbn', 'genre', 'description'];
+
+const ISBN_SCAN_PAGES = 6;
+const RESULTS_PER_PROVIDER = 5;
+const MAX_LOOKUP_ISBNS = 3; // a file can print many (other editions, series); the first are its own
+const MAX_CONCURRENT_REQUESTS = 3; // across all lookups, so a batch upload doesn't flood the providers
+
+// ── ISBNs ─────────────────────────────────────────────────────────────────────
+
+function isValidIsbn(isbn) {
+  if (/^\d{9}[\dX]$/.test(isbn)) { // X only as the ISBN-10 check digit
+    const sum = [...isbn].reduce((acc, ch, i) => acc + (ch === 'X' ? 10 : Number(ch)) * (10 - i), 0);
+    return sum % 11 === 0;
+  }
+  if (isbn.length === 13 && /^\d+$/.test(isbn)) {
+    const sum = [...isbn].reduce((acc, ch, i) => acc + Number(ch) * (i % 2 ? 3 : 1), 0);
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+// ISBN-10s are compared as their ISBN-13 form
+export function normalizeIsbn(raw) {
+  const isbn = String(raw || '').replace(/[\s-]/g, '').toUpperCase();
+  if (!isValidIsbn(isbn)) return '';
+  if (isbn.length === 13) return isbn;
+  const core = `978${isbn.slice(0, 9)}`;
+  const sum = [...core].reduce((acc, ch, i) => acc + Number(ch) * (i % 2 ? 3 : 1), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+}
+
+// Valid ISBNs in a block of text: anything labelled "ISBN", plus bare 978/979 numbers
+export function findIsbns(text) {
+  const found = new Set();
+  const patterns = [
+    /ISBN(?:-1[03])?[:\s]*([\dX][\d\s-]{8,15}[\dX])/gi,
+    /\b(97[89][\d\s-]{10,14}\d)\b/g,
+  ];
+  for (const pattern of patterns) {
+    for (const [, raw] of text.matchAll(pattern)) {
+      const isbn = normalizeIsbn(raw);
+      if (isbn) found.add(isbn);
+    }
+  }
+  return [...found];
+}
+
+// ISBNs printed on the first pages of an open pdf.js document — usually the
+// copyright page → [{ isbn, page }]
+export async function scanPdfIsbns(pdf, maxPages = ISBN_SCAN_PAGES) {
+  const seen = new Map();
+  for (let page = 1; page <= Math.min(maxPages, pdf.numPages); page++) {
+    const content = await (await pdf.getPage(page)).getTextContent();
+    const text = content.items.map((item) => item.str).join(' ');
+    findIsbns(text).forEach((isbn) => { if (!seen.has(isbn)) seen.set(isbn, page); });
+  }
+  return [...seen].map(([isbn, page]) => ({ isbn, page }));
+}
+
+// Title / author / year from a PDF's Info dictionary, falling back to its XMP
+// packet. Titles that are really file names ("Microsoft Word - draft.docx") are dropped.
+export function readPdfInfo({ info = {}, metadata = null } = {}) {
+  const xmp = (name) => {
+    const value = metadata?.get(name);
+    return String((Array.isArray(value) ? value[0] : value) || '').trim();
+  };
+  const str = (value) => (typeof value === 'string' ? value.trim() : '');
+  let title = str(info.Title) || xmp('dc:title');
+  if (/^(microsoft word|untitled)\b|\.(docx?|pdf|indd|tex)$/i.test(title)) title = '';
+  const date = str(info.CreationDate) || xmp('xmp:createdate');
+  return {
+    title,
+    author: str(info.Author) || xmp('dc:creator'),
+    year: Number((date.match(/(?:D:)?(\d{4})/) || [])[1]) || null,
+  };
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+
+function searchTerms({ query, isbns }) {
+  return isbns.length ? [...isbns.slice(0, MAX_LOOKUP_ISBNS).map((isbn) => ({ isbn })), { query }] : [{ query }];
+}
+
+// Provider requests queue up once MAX_CONCURRENT_REQUESTS are in flight; a
+// finishing request hands its slot straight to the next one waiting
+let activeRequests = 0;
+const waitingRequests = [];
+
+async function throttled(request) {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) activeRequests++;
+  else await new Promise((resolve) => waitingRequests.push(resolve));
+  try {
+    return await request();
+  } finally {
+    const next = waitingRequests.shift();
+    if (next) next();
+    else activeRequests--;
+  }
+}
+
+function fetchJson(url) {
+  return throttled(async () => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  });
+}
+
+export const googleBooksProvider = {
+  id: 'google',
+  label: 'Google Books',
+  weight: 0.3,
+  async lookup(context) {
+    const results = await Promise.all(searchTerms(context).filter((t) => t.isbn || t.query).map(async ({ isbn, query }) => {
+      const q = isbn ? `isbn:${isbn}` : query;
+      const data = await fetchJson(`https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(q)}&maxResults=${RESULTS_PER_PROVIDER}`);
+      return (data.items || []).map(({ id, volumeInfo: vol }) => {
+        const ids = vol.industryIdentifiers || [];
+        return {
+          id: `google:${id}`,
+          title: vol.title?.trim() || '',
+          author: (vol.authors?.[0] ?? '').trim(),
+          cover: vol.imageLinks?.thumbnail?.replace('http:', 'https:') ?? null,
+          year: Number.parseInt(vol.publishedDate, 10) || null,
+          isbn: (ids.find((i) => i.type === 'ISBN_13') || ids.find((i) => i.type === 'ISBN_10'))?.identifier || '',
+          genre: vol.categories?.[0] || '',
+          description: vol.description || '',
+        };
+      });
+    }));
+    return results.flat();
+  },
+};
+
+export const openLibraryProvider = {
+  id: 'openlibrary',
+  label: 'Open Library',
+  weight: 0.25,
+  async lookup(context) {
+    const results = await Promise.all(searchTerms(context).filter((t) => t.isbn || t.query).map(async ({ isbn, query }) => {
+      const q = isbn ? `isbn=${isbn}` : `q=${encodeURIComponent(query)}`;
+      const data = await fetchJson(`https://openlibrary.org/search.json?${q}&limit=${RESULTS_PER_PROVIDER}&fields=key,title,author_name,first_publish_year,isbn,cover_i,subject`);
+      return (data.docs || []).map((doc) => ({
+        id: `openlibrary:${doc.key}`,
+        title: doc.title?.trim() || '',
+        author: (doc.author_name?.[0] ?? '').trim(),
+        cover: doc.cover_i ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-M.jpg` : null,
+        year: doc.first_publish_year || null,
+        isbn: isbn || doc.isbn?.find((i) => i.length === 13) || doc.isbn?.[0] || '',
+        genre: doc.subject?.[0] || '',
+        description: '',
+      }));
+    }));
+    return results.flat();
+  },
+};
+
+// What the file says about itself (PDF Info / XMP, EPUB package metadata)
+export const embeddedProvider = {
+  id: 'embedded',
+  label: 'From the file',
+  weight: 0.1,
+  async lookup({ embedded }) {
+    if (!embedded || !(embedded.title || embedded.author || embedded.cover)) return [];
+    return [{ id: 'embedded', ...embedded }];
+  },
+};
+
+// ISBNs found printed in the book. On their own they only fill the ISBN field,
+// but they steer the remote providers to the right edition.
+export const isbnScanProvider = {
+  id: 'isbn-scan',
+  label: 'ISBN in the text',
+  weight: 0,
+  async lookup({ isbns, isbnPages = {} }) {
+    return isbns.map((isbn) => ({
+      id: `isbn-scan:${isbn}`,
+      isbn,
+      note: isbnPages[isbn] ? `Printed on page ${isbnPages[isbn]}` : '',
+    }));
+  },
+};
+
+// A provider that answers every lookup with `candidates` after `delay` ms
+export function createMockProvider({ id, label, weight = 0.3, candidates, delay = 300 }) {
+  return {
+    id,
+    label,
+    weight,
+    lookup: () => new Promise((resolve) => {
+      setTimeout(() => resolve(candidates.map((c, i) => ({ id: `${id}:${i}`, ...c }))), delay);
+    }),
+  };
+}
+
+const MOCK_REMOTE_PROVIDERS = [
+  createMockProvider({
+    id: 'mock-a',
+    label: 'Mock catalogue A',
+    candidates: [
+      { title: 'The Left Hand of Darkness', author: 'Ursula K. Le Guin', year: 1969, isbn: '9780441478125', genre: 'Science fiction' },
+      { title: 'The Left Hand of Darkness (50th Anniversary)', author: 'Ursula K. Le Guin', year: 2019, genre: 'Fiction' },
+    ],
+  }),
+  createMockProvider({
+    id: 'mock-b',
+    label: 'Mock catalogue B',
+    weight: 0.25,
+    delay: 800,
+    candidates: [
+      { title: 'Left Hand of Darkness', author: 'Le Guin, Ursula', year: 1976, description: 'A lone envoy on a world where gender is fluid.' },
+    ],
+  }),
+];
+
+let providers = import.meta.env.VITE_MOCK_METADATA
+  ? [embeddedProvider, isbnScanProvider, ...MOCK_REMOTE_PROVIDERS]
+  : [embeddedProvider, isbnScanProvider, googleBooksProvider, openLibraryProvider];
+
+export function setMetadataProviders(list) {
+  providers = list;
+}
+
+// ── Ranking & merging ─────────────────────────────────────────────────────────
+
+function words(str) {
+  return new Set((str || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean));
+}
+
+// Word overlap, 0–1
+function similarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.size || !wb.size) return 0;
+  const shared = [...wa].filter((w) => wb.has(w)).length;
+  return shared / (wa.size + wb.size - shared);
+}
+
+// An ISBN printed in the book is the strongest signal; after that, how well
+// the title and author match what we already know, the provider's weight,
+// how complete the candidate is and its position in the provider's results.
+function scoreCandidate(candidate, { query, isbns, embedded }) {
+  let score = candidate.weight - 0.03 * candidate.rank;
+  if (candidate.title && isbns.includes(normalizeIsbn(candidate.isbn))) score += 1;
+  score += similarity(candidate.title, embedded?.title || query);
+  if (embedded?.author) score += 0.5 * similarity(candidate.author, embedded.author);
+  score += 0.04 * METADATA_FIELDS.filter((f) => candidate[f]).length;
+  return score;
+}
+
+// Runs every provider; a failing provider just contributes nothing.
+// Resolves to candidates, best first.
+export async function lookupMetadata({ query = '', isbns = [], isbnPages, embedded = null }) {
+  const context = { query: query.trim(), isbns, isbnPages, embedded };
+  const settled = await Promise.allSettled(providers.map(async (provider) => {
+    const list = await provider.lookup(context);
+    return list.map((candidate, rank) => ({
+      ...candidate,
+      source: provider.id,
+      sourceLabel: provider.label,
+      weight: provider.weight,
+      rank,
+    }));
+  }));
+  settled
+    .filter((r) => r.status === 'rejected')
+    .forEach((r) => console.error('Metadata provider failed:', r.reason?.message));
+
+  const seen = new Set();
+  return settled
+    .flatMap((r) => (r.status === 'fulfilled' ? r.value : []))
+    .filter((c) => !seen.has(c.id) && seen.add(c.id))
+    .map((c) => ({ ...c, score: scoreCandidate(c, context) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Free-text search, as typed into the edit dialog. An ISBN is searched as one.
+export function searchMetadata(query) {
+  const isbn = normalizeIsbn(query);
+  return lookupMetadata({ query: isbn ? '' : query, isbns: isbn ? [isbn] : [] });
+}
+
+// Each field from the best-ranked candidate that has it
+export function mergeCandidates(candidates) {
+  const merged = {};
+  for (const field of METADATA_FIELDS) {
+    merged[field] = candidates.find((c) => c[field])?.[field] ?? (field === 'year' || field === 'cover' ? null : '');
+  }
+  return merged;
+}
@@ -0,0 +1,322 @@
+import { supabase } from './supabase.js';
+import { downloadBookFile } from './bookFiles.js';
+
+// ─── Offline support ──────────────────────────────────────────────────────────
+// One IndexedDB database with three stores:
+//   files      { bookId, blob, pdfPath, savedAt } — books marked "available offline"
+//   snapshots  { key, value }                     — last-seen library, bookmarks and
+//                                                   notes, so they render without a network
+//   mutations  { id, type, payload, queuedAt }    — writes made offline, replayed in order
+//
+// Queued mutation types and payloads:
+//   bookmark        { userId, bookId, page, op: 'add' | 'remove' }
+//   addNote         { tempId, userId, bookId, page, xPct, yPct, content }
+//   updateNote      { id, changes, base }  — `base` is the note as it was before the first queued edit
+//   deleteNote      { id }
+//   toggleFavorite  { bookId, favorite }
+//   updateStatus    { bookId, changes }  — `changes` are `books` columns: status, dates, rating, review
+//   updateDetails   { bookId, changes }  — `books` columns from the edit dialog: title, author, cover, details
+//   addSession      reading_sessions row (see readingSessions.js)
+
+const DB_NAME = 'kindlewood-offline';
+const DB_VERSION = 1;
+const TEMP_ID_PREFIX = 'offline-';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore('files', { keyPath: 'bookId' });
+        db.createObjectStore('snapshots', { keyPath: 'key' });
+        db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `fn(store)` in a transaction; resolves with the value of the request
+// `fn` returns (if any) once the transaction commits.
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ── Files ─────────────────────────────────────────────────────────────────────
+
+export async function saveOfflineFile(book) {
+  const blob = await downloadBookFile(book.pdfPath);
+  await withStore('files', 'readwrite', (store) =>
+    store.put({ bookId: book.id, blob, pdfPath: book.pdfPath, savedAt: new Date().toISOString() }));
+}
+
+// The cached copy, or null. A copy of an older file (since replaced) doesn't count.
+export async function loadOfflineFile(book) {
+  try {
+    const entry = await withStore('files', 'readonly', (store) => store.get(book.id));
+    if (!entry || (book.pdfPath && entry.pdfPath && entry.pdfPath !== book.pdfPath)) return null;
+    return entry.blob;
+  } catch {
+    return null;
+  }
+}
+
+export async function removeOfflineFile(bookId) {
+  await withStore('files', 'readwrite', (store) => store.delete(bookId));
+}
+
+export async function listOfflineBookIds() {
+  try {
+    return await withStore('files', 'readonly', (store) => store.getAllKeys());
+  } catch {
+    return [];
+  }
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+
+export async function saveSnapshot(key, value) {
+  try {
+    await withStore('snapshots', 'readwrite', (store) => store.put({ key, value }));
+  } catch (err) {
+    console.error('Failed to save offline snapshot:', err.message);
+  }
+}
+
+export async function loadSnapshot(key) {
+  try {
+    const entry = await withStore('snapshots', 'readonly', (store) => store.get(key));
+    return entry?.value ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// ── Mutation queue ────────────────────────────────────────────────────────────
+
+export function makeTempId() {
+  return `${TEMP_ID_PREFIX}${crypto.randomUUID()}`;
+}
+
+// Notes created offline keep a temporary id until their insert is replayed
+export function isTempId(id) {
+  return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+}
+
+// True when a request failed because there was no connection, as opposed to
+// being rejected by the server
+export function isNetworkError(error) {
+  if (!navigator.onLine) return true;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '');
+}
+
+// Queues a mutation, folding it into what's already queued where possible so
+// the queue doesn't grow with every drag of a note:
+//   - edits to a note created offline are merged into its addNote
+//   - repeated edits to the same note are merged, keeping the first `base`
+//   - deleting a note created offline drops it (and its edits) entirely
+export async function queueMutation(type, payload) {
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction('mutations', 'readwrite');
+    const store = tx.objectStore('mutations');
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+
+    const req = store.getAll();
+    req.onsuccess = () => {
+      const queued = req.result;
+      const append = () => store.add({ type, payload, queuedAt: new Date().toISOString() });
+
+      if (type === 'updateNote') {
+        const pendingAdd = queued.find((m) => m.type === 'addNote' && m.payload.tempId === payload.id);
+        if (pendingAdd) {
+          store.put({ ...pendingAdd, payload: { ...pendingAdd.payload, ...payload.changes } });
+          return;
+        }
+        const pendingUpdate = queued.find((m) => m.type === 'updateNote' && m.payload.id === payload.id);
+        if (pendingUpdate) {
+          const changes = { ...pendingUpdate.payload.changes, ...payload.changes };
+          store.put({ ...pendingUpdate, payload: { ...pendingUpdate.payload, changes } });
+          return;
+        }
+      }
+
+      if (type === 'deleteNote') {
+        const related = queued.filter((m) =>
+          (m.type === 'addNote' && m.payload.tempId === payload.id) ||
+          (m.type === 'updateNote' && m.payload.id === payload.id));
+        related.forEach((m) => store.delete(m.id));
+        if (isTempId(payload.id)) return;
+      }
+
+      append();
+    };
+  });
+}
+
+export async function pendingMutationCount() {
+  try {
+    return await withStore('mutations', 'readonly', (store) => store.count());
+  } catch {
+    return 0;
+  }
+}
+
+// Runs `write()` — a Supabase call resolving to { data, error } — right away,
+// or queues the mutation when offline or when the request never reached the
+// server. Resolves to the write's result, or { data: null, error: null, queued: true }.
+export async function writeOrQueue(type, payload, write) {
+  if (navigator.onLine) {
+    const result = await write();
+    if (!result.error || !isNetworkError(result.error)) return result;
+  }
+  await queueMutation(type, payload);
+  return { data: null, error: null, queued: true };
+}
+
+const noteToRow = (changes) => {
+  const row = {};
+  if (changes.xPct !== undefined) row.x_pct = changes.xPct;
+  if (changes.yPct !== undefined) row.y_pct = changes.yPct;
+  if (changes.content !== undefined) row.content = changes.content;
+  return row;
+};
+
+// Applies one queued mutation. Resolves to a conflict message when the change
+// couldn't be applied as made, or null. Throws on network errors so replay
+// stops and the mutation stays queued.
+async function applyMutation({ type, payload }) {
+  const check = ({ error }) => {
+    if (error && isNetworkError(error)) throw error;
+    return error;
+  };
+
+  if (type === 'bookmark') {
+    const { userId, bookId, page, op } = payload;
+    if (op === 'remove') {
+      check(await supabase.from('bookmarks').delete().eq('book_id', bookId).eq('page_number', page));
+      return null;
+    }
+    // Another device may have bookmarked the same page meanwhile
+    const existing = await supabase.from('bookmarks').select('page_number')
+      .eq('book_id', bookId).eq('page_number', page).limit(1);
+    check(existing);
+    if (existing.data?.length) return null;
+    const error = check(await supabase.from('bookmarks').insert({ user_id: userId, book_id: bookId, page_number: page }));
+    return error ? `A bookmark on page ${page} couldn't be saved — the book may have been removed.` : null;
+  }
+
+  if (type === 'addNote') {
+    const { userId, bookId, page, xPct, yPct, content } = payload;
+    const error = check(await supabase.from('notes').insert({
+      user_id: userId, book_id: bookId, page, x_pct: xPct, y_pct: yPct, content,
+    }));
+    return error ? `A note on page ${page} couldn't be saved — the book may have been removed.` : null;
+  }
+
+  if (type === 'updateNote') {
+    const { id, changes, base } = payload;
+    const current = await supabase.from('notes').select('*').eq('id', id).maybeSingle();
+    check(current);
+    const row = current.data;
+    if (!row) {
+      // Deleted on another device — keep the offline text as a new note rather than lose it
+      if (!changes.content?.trim() || !base) return 'A note you edited offline had been deleted elsewhere.';
+      check(await supabase.from('notes').insert({
+        user_id: base.userId, book_id: base.bookId, page: base.page,
+        x_pct: changes.xPct ?? base.xPct, y_pct: changes.yPct ?? base.yPct, content: changes.content,
+      }));
+      return `A note on page ${base.page} had been deleted elsewhere — your offline edit was restored as a new note.`;
+    }
+    const contentConflict = changes.content !== undefined && base
+      && row.content !== base.content && row.content !== changes.content;
+    if (!contentConflict) {
+      check(await supabase.from('notes').update(noteToRow(changes)).eq('id', id));
+      return null;
+    }
+    // Both sides changed the text: keep the other device's version in place
+    // and add ours next to it, so neither edit is lost.
+    check(await supabase.from('notes').update(noteToRow({ ...changes, content: undefined })).eq('id', id));
+    check(await supabase.from('notes').insert({
+      user_id: row.user_id, book_id: row.book_id, page: row.page,
+      x_pct: Math.min(95, (changes.xPct ?? row.x_pct) + 4), y_pct: Math.min(95, (changes.yPct ?? row.y_pct) + 4),
+      content: changes.content,
+    }));
+    return `A note on page ${row.page} was also changed on another device — both versions were kept.`;
+  }
+
+  if (type === 'deleteNote') {
+    check(await supabase.from('notes').delete().eq('id', payload.id));
+    return null;
+  }
+
+  if (type === 'addSession') {
+    // A session for a book deleted since is simply dropped
+    check(await supabase.from('reading_sessions').insert(payload));
+    return null;
+  }
+
+  if (type === 'toggleFavorite') {
+    const { data, error } = await supabase.from('books')
+      .update({ favorite: payload.favorite }).eq('id', payload.bookId).select('id');
+    check({ error });
+    return data?.length ? null : 'A book you favourited offline has since been removed.';
+  }
+
+  if (type === 'updateStatus' || type === 'updateDetails') {
+    const { data, error } = await supabase.from('books')
+      .update(payload.changes).eq('id', payload.bookId).select('id');
+    check({ error });
+    return data?.length ? null : 'A book you updated offline has since been removed.';
+  }
+
+  return null;
+}
+
+// Sync listeners are told when a replay applied something, so they can reload
+const syncListeners = new Set();
+
+export function subscribeToSync(listener) {
+  syncListeners.add(listener);
+  return () => syncListeners.delete(listener);
+}
+
+let replaying = null;
+
+// Replays queued mutations oldest first. Resolves to { applied, conflicts }
+// (conflict messages for the user). Concurrent calls share one run.
+export function replayMutations() {
+  if (!replaying) {
+    replaying = (async () => {
+      let applied = 0;
+      const conflicts = [];
+      try {
+        const queued = await withStore('mutations', 'readonly', (store) => store.getAll());
+        for (const mutation of queued) {
+          const conflict = await applyMutation(mutation);
+          await withStore('mutations', 'readwrite', (store) => store.delete(mutation.id));
+          applied += 1;
+          if (conflict) conflicts.push(conflict);
+        }
+      } catch (err) {
+        console.error('Offline sync stopped:', err.message);
+      }
+      if (applied) syncListeners.forEach((listener) => listener({ applied, conflicts }));
+      return { applied, conflicts };
+    })().finally(() => { replaying = null; });
+  }
+  return replaying;
+}
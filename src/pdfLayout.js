@@ -0,0 +1,77 @@
+// ─── PDF view modes ───────────────────────────────────────────────────────────
+// How the PDF reader lays pages out and sizes them:
+//
+//   { zoom: 'custom' | 'fit-width' | 'fit-page',
+//     layout: 'scroll' | 'spread' | 'paged',
+//     coverAlone: boolean,
+//     reflow: boolean }
+//
+// `scroll` is the continuous column of pages, `spread` the same with two pages
+// side by side like an open book (the cover on its own first when coverAlone),
+// `paged` shows one page at a time. With a fit zoom the scale follows the size
+// of the page area; books open at a custom zoom (the reader's starting scale)
+// until one is picked. `reflow` swaps the pages for their text set as plain HTML
+// (see pdfReflow.js) — always one continuous column, so it overrides `layout`
+// while on. The mode is saved with the reading progress, per device.
+
+export const DEFAULT_PDF_VIEW = { zoom: 'custom', layout: 'scroll', coverAlone: true, reflow: false };
+
+export const PDF_ZOOM_MODES = [
+  { id: 'fit-width', label: 'Fit width' },
+  { id: 'fit-page', label: 'Fit page' },
+];
+
+export const PDF_LAYOUTS = [
+  { id: 'scroll', label: 'Continuous' },
+  { id: 'spread', label: 'Two-page spread' },
+  { id: 'paged', label: 'Single page' },
+];
+
+export const MIN_SCALE = 0.25;
+export const MAX_SCALE = 3;
+
+// Space the page area keeps around pages, in CSS px — matches the reader's padding and margins
+export const PAGE_MARGIN_X = 16;
+export const PAGE_MARGIN_Y = 32;
+export const SPREAD_GAP = 12;
+
+// A saved view (possibly from an older version, or null) → a complete one
+export function normalizeView(saved) {
+  const view = { ...DEFAULT_PDF_VIEW, ...saved };
+  if (!['custom', ...PDF_ZOOM_MODES.map((m) => m.id)].includes(view.zoom)) view.zoom = DEFAULT_PDF_VIEW.zoom;
+  if (!PDF_LAYOUTS.some((l) => l.id === view.layout)) view.layout = DEFAULT_PDF_VIEW.layout;
+  view.reflow = !!view.reflow;
+  return view;
+}
+
+// The scale a fit zoom gives pages of `pageSize` (at scale 1) in a page area
+// of `box` ({ width, height } in CSS px)
+export function fitScale(view, pageSize, box) {
+  const across = view.layout === 'spread' ? 2 : 1;
+  const width = (box.width - 2 * PAGE_MARGIN_X - (across - 1) * SPREAD_GAP) / (across * pageSize.width);
+  const height = (box.height - 2 * PAGE_MARGIN_Y) / pageSize.height;
+  const scale = view.zoom === 'fit-page' ? Math.min(width, height) : width;
+  return Math.max(MIN_SCALE, Math.min(MAX_SCALE, +scale.toFixed(3)));
+}
+
+// Pages grouped into the rows the reader shows: [[1], [2, 3], [4, 5], …] for a
+// spread with the cover alone, one page per row otherwise
+export function pageRows(view, numPages) {
+  const rows = [];
+  if (view.layout !== 'spread') {
+    for (let page = 1; page <= numPages; page++) rows.push([page]);
+    return rows;
+  }
+  let page = 1;
+  if (view.coverAlone) rows.push([page++]);
+  for (; page <= numPages; page += 2) rows.push(page < numPages ? [page, page + 1] : [page]);
+  return rows;
+}
+
+// First page of the row before (dir -1) or after (dir 1) the one holding `page`;
+// null at either end
+export function adjacentPage(view, numPages, page, dir) {
+  const rows = pageRows(view, numPages);
+  const index = rows.findIndex((row) => row.includes(page));
+  return rows[index + dir]?.[0] ?? null;
+}
@@ -0,0 +1,48 @@
+// ─── PDF outline (table of contents) ──────────────────────────────────────────
+// pdf.js hands back the outline as nested items whose `dest` is either a named
+// destination or an explicit array starting with a page reference. Both are
+// resolved to page numbers here once, so the sidebar only deals with
+//   { id, title, page, children }   (page is null when it can't be resolved)
+
+async function resolvePage(pdf, dest) {
+  try {
+    const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    const ref = explicit?.[0];
+    if (ref == null) return null;
+    // Usually a { num, gen } reference; some files use a bare page index
+    return typeof ref === 'number' ? ref + 1 : (await pdf.getPageIndex(ref)) + 1;
+  } catch {
+    return null;
+  }
+}
+
+// → nested entries, or [] when the document has no outline
+export async function loadOutline(pdf) {
+  const items = await pdf.getOutline();
+  let nextId = 0;
+  const convert = (list) => Promise.all((list || []).map(async (item) => ({
+    id: nextId++,
+    title: item.title?.trim() || 'Untitled',
+    page: await resolvePage(pdf, item.dest),
+    children: await convert(item.items),
+  })));
+  return convert(items);
+}
+
+// Entries in reading order, each with the ids of its ancestors
+export function flattenOutline(entries, ancestors = []) {
+  return entries.flatMap((entry) => [
+    { ...entry, ancestors },
+    ...flattenOutline(entry.children, [...ancestors, entry.id]),
+  ]);
+}
+
+// The section `page` falls in: the entry starting latest at or before it. On
+// a tie the later (usually deeper) entry wins.
+export function currentOutlineEntry(flat, page) {
+  let best = null;
+  flat.forEach((entry) => {
+    if (entry.page != null && entry.page <= page && (!best || entry.page >= best.page)) best = entry;
+  });
+  return best;
+}
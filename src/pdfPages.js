@@ -0,0 +1,63 @@
+// ─── PDF page labels & thumbnails ─────────────────────────────────────────────
+// Page labels are what the book prints on its pages — "iv" in the front matter,
+// "1" where chapter one starts — as opposed to the page's position in the file.
+// The reader always navigates by position; labels are only for display and for
+// parsing what the user types into the page field.
+
+// → one label per page, or null when the PDF doesn't define any
+export async function loadPageLabels(pdf) {
+  const labels = await pdf.getPageLabels();
+  // Files that label every page with its own number add nothing
+  if (!labels || labels.every((label, i) => label === String(i + 1))) return null;
+  return labels;
+}
+
+export function pageLabel(labels, page) {
+  return labels?.[page - 1] || String(page);
+}
+
+// What the user typed → a page number, or null. A matching label wins ("iv",
+// "12" in a book whose page 12 is the 24th in the file); otherwise a plain
+// number is taken as a position.
+export function pageFromInput(labels, input, numPages) {
+  const text = String(input).trim().toLowerCase();
+  if (!text) return null;
+  const index = labels ? labels.findIndex((label) => label.trim().toLowerCase() === text) : -1;
+  if (index !== -1) return index + 1;
+  const page = /^\d+$/.test(text) ? Number(text) : NaN;
+  return page >= 1 && page <= numPages ? page : null;
+}
+
+// ── Thumbnails ────────────────────────────────────────────────────────────────
+// Rendered small, kept as JPEG data URLs per document so scrolling the sidebar
+// back and forth or scrubbing over the same pages doesn't render them again.
+
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_CACHE_SIZE = 300; // per document; oldest first out
+
+const thumbnailCaches = new WeakMap(); // pdf → Map<page, Promise<dataUrl>>
+
+async function renderThumbnail(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  // Twice the display width so thumbnails stay sharp on high-DPI screens
+  const viewport = page.getViewport({ scale: (THUMBNAIL_WIDTH * 2) / base.width });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(viewport.width);
+  canvas.height = Math.round(viewport.height);
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+export function pageThumbnail(pdf, pageNumber) {
+  let cache = thumbnailCaches.get(pdf);
+  if (!cache) thumbnailCaches.set(pdf, (cache = new Map()));
+  if (!cache.has(pageNumber)) {
+    const promise = renderThumbnail(pdf, pageNumber);
+    // A failed render is retried the next time the page is asked for
+    promise.catch(() => cache.delete(pageNumber));
+    cache.set(pageNumber, promise);
+    if (cache.size > THUMBNAIL_CACHE_SIZE) cache.delete(cache.keys().next().value);
+  }
+  return cache.get(pageNumber);
+}
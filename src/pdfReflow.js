@@ -0,0 +1,200 @@
+// ─── PDF reflow ───────────────────────────────────────────────────────────────
+// Rebuilds a page's running text from its pdf.js text items so it can be shown
+// as ordinary HTML that wraps to the screen. Items are joined into lines by
+// their baseline, lines into paragraphs by the gaps and indents between them,
+// and lines set clearly larger than the page's body text become headings.
+// Lines that are only a page number at the top or bottom of the page are
+// dropped. It's a best effort: tables, multi-column layouts and scanned pages
+// come out rough or empty, which is why the page view is always one toggle away.
+//
+// A page → [{ type: 'heading', level: 1–3, text } | { type: 'paragraph', text }]
+
+const HEADING_RATIO = 1.2; // × the body font size
+const MAX_HEADING_CHARS = 200;
+
+// Lines on the same baseline (within half a line) are one line
+function textLines(items) {
+  const lines = [];
+  let line = null;
+  items.forEach((item) => {
+    if (!item.str) return;
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || item.height || 0;
+    if (line && Math.abs(y - line.y) <= Math.max(line.size, size) * 0.5) {
+      const gap = x - line.xEnd;
+      const spaced = /\s$/.test(line.text) || /^\s/.test(item.str);
+      if (!spaced && gap > Math.max(line.size, size) * 0.15) line.text += ' ';
+      line.text += item.str;
+      line.xEnd = Math.max(line.xEnd, x + item.width);
+      line.size = Math.max(line.size, size);
+      return;
+    }
+    line = { text: item.str, x, xEnd: x + item.width, y, size };
+    lines.push(line);
+  });
+  return lines
+    .map((l) => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }))
+    .filter((l) => l.text);
+}
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// The font size most of the page's characters are set in
+function bodySize(lines) {
+  const chars = {};
+  lines.forEach((l) => {
+    const key = Math.round(l.size * 2) / 2;
+    chars[key] = (chars[key] || 0) + l.text.length;
+  });
+  return Number(Object.entries(chars).sort((a, b) => b[1] - a[1])[0]?.[0]) || 12;
+}
+
+const ROMAN_NUMERAL = /^(?=[ivxlcdm]+$)m*(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+
+// A page number: digits, or a roman numeral. Words like "I" or "Mix" are roman
+// numerals too, so one in capitals only counts when the line stands well clear
+// of its neighbour — a running footer, not the page's last line of text.
+function isPageNumber(line, neighbour) {
+  if (line.text.length > 8) return false;
+  const number = line.text.replace(/^[-–—\s]+|[-–—\s]+$/g, '');
+  if (/^[0-9]+$/.test(number)) return true;
+  if (!ROMAN_NUMERAL.test(number)) return false;
+  const setApart = !neighbour || Math.abs(line.y - neighbour.y) > Math.max(line.size, neighbour.size) * 2.5;
+  return number === number.toLowerCase() || setApart;
+}
+
+// Adds a line's text to a block's, mending words hyphenated across lines
+function joinLine(text, next) {
+  if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(next)) return text.slice(0, -1) + next;
+  return `${text} ${next}`;
+}
+
+export function reflowBlocks(items) {
+  const lines = textLines(items);
+  if (lines.length && isPageNumber(lines[lines.length - 1], lines[lines.length - 2])) lines.pop();
+  if (lines.length && isPageNumber(lines[0], lines[1])) lines.shift();
+  if (!lines.length) return [];
+
+  const body = bodySize(lines);
+  const bodyLines = lines.filter((l) => Math.abs(l.size - body) < body * 0.1);
+  const spacing = median(bodyLines.slice(1).map((l, i) => bodyLines[i].y - l.y).filter((gap) => gap > 0)) || body * 1.2;
+  const left = Math.min(...bodyLines.map((l) => l.x));
+  const right = Math.max(...bodyLines.map((l) => l.xEnd));
+
+  const blocks = [];
+  let block = null;
+  let blockSize = 0;
+  let prev = null;
+  lines.forEach((line) => {
+    const heading = line.size >= body * HEADING_RATIO && line.text.length <= MAX_HEADING_CHARS;
+    const type = heading ? 'heading' : 'paragraph';
+    const gap = prev ? prev.y - line.y : 0;
+    const startsNew = !block
+      || block.type !== type
+      || (heading && Math.abs(line.size - blockSize) > blockSize * 0.1)
+      || gap < 0 // moved back up the page — a new column or a float
+      || gap > spacing * 1.4 // blank line
+      || (!heading && line.x > left + body) // indented first line
+      || (!heading && prev.xEnd < right - body * 3 && /[.!?:"”’)]$/.test(prev.text)); // short last line
+
+    if (startsNew) {
+      const ratio = line.size / body;
+      block = heading
+        ? { type, level: ratio >= 1.8 ? 1 : ratio >= 1.4 ? 2 : 3, text: line.text }
+        : { type, text: line.text };
+      blockSize = line.size;
+      blocks.push(block);
+    } else {
+      block.text = joinLine(block.text, line.text);
+    }
+    prev = line;
+  });
+  return blocks;
+}
+
+// Splits blocks' text at the matches of `marks` — [{ pattern, className,
+// active, once }], `pattern` a global RegExp — for the reader to wrap in
+// <mark>s. Matches are counted across the page's blocks: the `active`-th one
+// also gets the class "active", and `once` marks only the first. Of marks that
+// overlap, the one starting first wins.
+// → per block, [{ text, className }] runs (className null for plain text)
+export function markBlocks(blocks, marks) {
+  const ranges = blocks.map(() => []);
+  marks.forEach(({ pattern, className, active = -1, once = false }) => {
+    let count = 0;
+    blocks.some((block, i) => {
+      pattern.lastIndex = 0;
+      let m;
+      while ((m = pattern.exec(block.text))) {
+        if (!m[0]) { pattern.lastIndex++; continue; }
+        ranges[i].push({ start: m.index, end: m.index + m[0].length, className: count === active ? `${className} active` : className });
+        count++;
+        if (once) return true;
+      }
+      return false;
+    });
+  });
+  return blocks.map((block, i) => {
+    const runs = [];
+    let cursor = 0;
+    ranges[i].sort((a, b) => a.start - b.start).forEach((r) => {
+      if (r.start < cursor) return;
+      if (r.start > cursor) runs.push({ text: block.text.slice(cursor, r.start), className: null });
+      runs.push({ text: block.text.slice(r.start, r.end), className: r.className });
+      cursor = r.end;
+    });
+    if (cursor < block.text.length) runs.push({ text: block.text.slice(cursor), className: null });
+    return runs;
+  });
+}
+
+const reflowCaches = new WeakMap(); // pdf → Map<page, Promise<blocks>>
+
+export function reflowPage(pdf, pageNumber) {
+  let cache = reflowCaches.get(pdf);
+  if (!cache) reflowCaches.set(pdf, (cache = new Map()));
+  if (!cache.has(pageNumber)) {
+    const promise = pdf.getPage(pageNumber)
+      .then((page) => page.getTextContent())
+      .then((content) => reflowBlocks(content.items));
+    promise.catch(() => cache.delete(pageNumber));
+    cache.set(pageNumber, promise);
+  }
+  return cache.get(pageNumber);
+}
+
+// ── Typography ────────────────────────────────────────────────────────────────
+// How reflowed text is set; kept per device, like the page view it replaces.
+
+export const REFLOW_FONTS = [
+  { id: 'serif', label: 'Serif', css: 'Georgia, "Times New Roman", serif' },
+  { id: 'sans', label: 'Sans', css: 'system-ui, -apple-system, "Segoe UI", sans-serif' },
+  { id: 'mono', label: 'Mono', css: 'ui-monospace, Menlo, Consolas, monospace' },
+];
+export const REFLOW_FONT_SIZES = [14, 16, 18, 20, 22, 24, 28, 32]; // px
+export const REFLOW_LINE_HEIGHTS = [1.3, 1.5, 1.7, 2];
+export const REFLOW_MARGINS = [
+  { id: 'narrow', label: 'Narrow', px: 8 },
+  { id: 'normal', label: 'Normal', px: 24 },
+  { id: 'wide', label: 'Wide', px: 64 },
+];
+
+export const DEFAULT_REFLOW_STYLE = { font: 'serif', size: 18, lineHeight: 1.7, margin: 'normal' };
+
+const REFLOW_STYLE_KEY = 'kw-reflow-style';
+
+export function loadReflowStyle() {
+  try {
+    return { ...DEFAULT_REFLOW_STYLE, ...JSON.parse(localStorage.getItem(REFLOW_STYLE_KEY)) };
+  } catch {
+    return DEFAULT_REFLOW_STYLE;
+  }
+}
+
+export function saveReflowStyle(style) {
+  localStorage.setItem(REFLOW_STYLE_KEY, JSON.stringify(style));
+}
@@ -0,0 +1,116 @@
+// ─── PDF text extraction & search ─────────────────────────────────────────────
+// A page's text is its pdf.js text items concatenated in order, with a newline
+// after items that end a line. `itemOffsets[i]` is where item i starts in that
+// string — the same item indices react-pdf hands to `customTextRenderer`, which
+// is how search hits (and other ranges) are mapped back onto the text layer.
+
+export async function getPageText(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const content = await page.getTextContent();
+  let text = '';
+  const itemOffsets = [];
+  content.items.forEach((item) => {
+    itemOffsets.push(text.length);
+    text += item.str;
+    if (item.hasEOL) text += '\n';
+  });
+  return { text, itemOffsets };
+}
+
+// Extracts every page in order without blocking the UI. `onBatch` receives
+// { [pageNumber]: { text, itemOffsets } } every `batchSize` pages (and once at
+// the end) so callers can update state in chunks rather than per page.
+export async function extractPageTexts(pdf, { onBatch, isCancelled = () => false, batchSize = 20 }) {
+  let batch = {};
+  for (let n = 1; n <= pdf.numPages; n++) {
+    if (isCancelled()) return;
+    try {
+      batch[n] = await getPageText(pdf, n);
+    } catch {
+      batch[n] = { text: '', itemOffsets: [] }; // unreadable page — don't stall the rest
+    }
+    if (n % batchSize === 0 || n === pdf.numPages) {
+      if (isCancelled()) return;
+      onBatch(batch);
+      batch = {};
+      // Yield so scrolling and rendering stay responsive on long documents
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Case-insensitive; any run of whitespace in the query matches any run in the
+// text, so phrases still match across line breaks.
+export function buildSearchPattern(query) {
+  const terms = query.trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (!terms.length) return null;
+  return new RegExp(terms.join('\\s+'), 'gi');
+}
+
+const SNIPPET_CONTEXT = 40;
+
+// Text around a match, collapsed to single spaces, for result lists
+export function makeSnippet(text, start, end) {
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, end + SNIPPET_CONTEXT);
+  const clean = (s) => s.replace(/\s+/g, ' ');
+  return {
+    before: (from > 0 ? '…' : '') + clean(text.slice(from, start)).trimStart(),
+    match: clean(text.slice(start, end)),
+    after: clean(text.slice(end, to)).trimEnd() + (to < text.length ? '…' : ''),
+  };
+}
+
+// Returns hits in page order: [{ page, start, end, snippet }]
+export function searchPageTexts(pageTexts, query, limit = 1000) {
+  const pattern = buildSearchPattern(query);
+  if (!pattern) return [];
+  const hits = [];
+  const pages = Object.keys(pageTexts).map(Number).sort((a, b) => a - b);
+  for (const page of pages) {
+    const { text } = pageTexts[page];
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text))) {
+      const start = m.index;
+      const end = start + m[0].length;
+      hits.push({ page, start, end, snippet: makeSnippet(text, start, end) });
+      if (hits.length >= limit) return hits;
+    }
+  }
+  return hits;
+}
+
+// HTML for one text-layer item with the parts covered by `ranges`
+// ([{ start, end, className }], page-text offsets) wrapped in <mark>.
+export function markTextItem(str, itemStart, ranges) {
+  const itemEnd = itemStart + str.length;
+  const inside = ranges
+    .filter((r) => r.start < itemEnd && r.end > itemStart)
+    .sort((a, b) => a.start - b.start);
+  if (!inside.length) return escapeHtml(str);
+
+  let html = '';
+  let cursor = 0;
+  inside.forEach((r) => {
+    const from = Math.max(cursor, r.start - itemStart);
+    const to = Math.min(str.length, r.end - itemStart);
+    if (to <= from) return;
+    html += escapeHtml(str.slice(cursor, from));
+    html += `<mark class="${r.className}">${escapeHtml(str.slice(from, to))}</mark>`;
+    cursor = to;
+  });
+  return html + escapeHtml(str.slice(cursor));
+}
@@ -0,0 +1,270 @@
+// ─── Read aloud ───────────────────────────────────────────────────────────────
+// Speaks a PDF sentence by sentence with the Web Speech API. Page text comes
+// from pdf.js (see pdfText.js) and is split into sentences whose `start`/`end`
+// are offsets into that page text, so the sentence being spoken can be marked
+// in the text layer like a search hit.
+//
+// Pausing cancels speech rather than calling speechSynthesis.pause(), which
+// several browsers don't honour (or cut off after a while); resuming speaks the
+// paused sentence again from its start. The position is also kept per book on
+// this device, so reading aloud can pick up there next time. Voice and rate
+// are kept per device too — the voices on offer differ between devices.
+
+export const READ_ALOUD_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+const OPTIONS_KEY = 'kw-read-aloud-options';
+const POSITION_KEY = (bookId) => `kw-read-aloud:${bookId}`;
+
+const MAX_UTTERANCE_CHARS = 280; // longer utterances get cut off in some browsers
+const MAX_EMPTY_PAGES = 5; // pages in a row without text before giving up (scanned books)
+
+export function speechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+// The browser's voices; some only list them after `voiceschanged`
+export function loadVoices() {
+  if (!speechSupported()) return Promise.resolve([]);
+  const voices = speechSynthesis.getVoices();
+  if (voices.length) return Promise.resolve(voices);
+  return new Promise((resolve) => {
+    const done = () => {
+      speechSynthesis.removeEventListener('voiceschanged', done);
+      resolve(speechSynthesis.getVoices());
+    };
+    speechSynthesis.addEventListener('voiceschanged', done);
+    setTimeout(done, 2000); // none coming
+  });
+}
+
+export function loadReadAloudOptions() {
+  try {
+    return { voiceURI: null, rate: 1, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) };
+  } catch {
+    return { voiceURI: null, rate: 1 };
+  }
+}
+
+export function saveReadAloudOptions(options) {
+  localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+}
+
+// → { page, sentence } or null
+export function loadReadAloudPosition(bookId) {
+  try {
+    return JSON.parse(localStorage.getItem(POSITION_KEY(bookId)));
+  } catch {
+    return null;
+  }
+}
+
+function saveReadAloudPosition(bookId, page, sentence) {
+  localStorage.setItem(POSITION_KEY(bookId), JSON.stringify({ page, sentence }));
+}
+
+// ── Sentences ─────────────────────────────────────────────────────────────────
+
+// Long sentences split at the last comma, semicolon or space that fits
+function splitLong(text, start, end, out) {
+  while (end - start > MAX_UTTERANCE_CHARS) {
+    const slice = text.slice(start, start + MAX_UTTERANCE_CHARS);
+    const cut = Math.max(slice.lastIndexOf(', '), slice.lastIndexOf('; '), slice.lastIndexOf(': '));
+    const at = cut > MAX_UTTERANCE_CHARS / 2 ? cut + 2 : slice.lastIndexOf(' ') + 1 || MAX_UTTERANCE_CHARS;
+    out.push({ start, end: start + at });
+    start += at;
+  }
+  out.push({ start, end });
+}
+
+// Page text → [{ start, end, speech }]. Line breaks count as spaces (the same
+// length, so offsets still line up) and words hyphenated across lines are
+// joined back up for speaking.
+export function splitSentences(text) {
+  const flat = text.replace(/\n/g, ' ');
+  const ranges = [];
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    for (const { index, segment } of segmenter.segment(flat)) ranges.push([index, index + segment.length]);
+  } else {
+    const pattern = /[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g;
+    let m;
+    while ((m = pattern.exec(flat))) ranges.push([m.index, m.index + m[0].length]);
+  }
+
+  const sentences = [];
+  ranges.forEach(([start, end]) => {
+    // Trim the range itself so the highlight covers just the sentence
+    while (start < end && /\s/.test(flat[start])) start++;
+    while (end > start && /\s/.test(flat[end - 1])) end--;
+    if (!/[\p{L}\p{N}]/u.test(flat.slice(start, end))) return;
+    const parts = [];
+    splitLong(flat, start, end, parts);
+    parts.forEach((part) => {
+      const speech = text.slice(part.start, part.end).replace(/(\p{L})-\n(\p{L})/gu, '$1$2').replace(/\s+/g, ' ').trim();
+      if (speech) sentences.push({ ...part, speech });
+    });
+  });
+  return sentences;
+}
+
+// ── Speaking ──────────────────────────────────────────────────────────────────
+
+// `loadPage(page)` → the page's text, or null past the last page. `onChange`
+// gets { page, index, count, start, end, playing } as reading moves on (null
+// once stopped); `onPage(page)` fires when reading moves to a new page;
+// `onFinish(reason)` with 'end' or 'no-text' when it runs out.
+export function createReadAloud({ bookId, loadPage, onChange, onPage, onFinish, onError }) {
+  let options = loadReadAloudOptions();
+  let voices = [];
+  let page = null;
+  let sentences = [];
+  let index = 0;
+  let playing = false;
+  let run = 0; // bumped on every start/stop, so callbacks from stale utterances are ignored
+  let utterance = null; // held so it isn't garbage-collected mid-speech (Chrome drops its events)
+
+  const report = () => {
+    const sentence = sentences[index];
+    onChange(page == null ? null : {
+      page, index, count: sentences.length, playing,
+      start: sentence?.start ?? 0, end: sentence?.end ?? 0,
+    });
+  };
+
+  const speakCurrent = (token) => {
+    const sentence = sentences[index];
+    saveReadAloudPosition(bookId, page, index);
+    report();
+    utterance = new SpeechSynthesisUtterance(sentence.speech);
+    utterance.rate = options.rate;
+    const voice = voices.find((v) => v.voiceURI === options.voiceURI);
+    if (voice) { utterance.voice = voice; utterance.lang = voice.lang; }
+    utterance.onend = () => {
+      if (token !== run) return;
+      if (index + 1 < sentences.length) { index++; speakCurrent(token); } else goToPage(page + 1, 0, token);
+    };
+    utterance.onerror = (e) => {
+      if (token !== run || e.error === 'interrupted' || e.error === 'canceled') return;
+      playing = false;
+      report();
+      onError?.(e.error);
+    };
+    speechSynthesis.speak(utterance);
+  };
+
+  // Carries on where it was: speaking again if playing, or just reporting
+  const stayPut = (token) => {
+    if (playing) speakCurrent(token);
+    else report();
+  };
+
+  // `dir` is the way pages without text are walked past: forward onto the next
+  // page's first sentence, or back (skipping back) onto the previous one's last
+  const goToPage = async (next, sentence, token, dir = 1, emptyPages = 0) => {
+    if (next < 1) { stayPut(token); return; }
+    let text;
+    try {
+      text = await loadPage(next);
+    } catch (err) {
+      if (token !== run) return;
+      playing = false;
+      report();
+      onError?.(err.message);
+      return;
+    }
+    if (token !== run) return;
+    // While paused, running out just leaves the position where it was
+    if (text == null) { if (playing) { stop(); onFinish?.('end'); } return; }
+    const nextSentences = splitSentences(text);
+    if (!nextSentences.length) {
+      if (emptyPages + 1 >= MAX_EMPTY_PAGES) {
+        if (dir < 0) stayPut(token);
+        else if (playing) { stop(); onFinish?.('no-text'); }
+        return;
+      }
+      goToPage(next + dir, dir < 0 ? Infinity : 0, token, dir, emptyPages + 1);
+      return;
+    }
+    if (page != null && next !== page) onPage?.(next); // moving on, not starting
+    page = next;
+    sentences = nextSentences;
+    index = Math.min(sentence, sentences.length - 1);
+    if (playing) { speakCurrent(token); return; }
+    saveReadAloudPosition(bookId, page, index);
+    report();
+  };
+
+  const start = (fromPage, sentence = 0, dir = 1) => {
+    const token = ++run;
+    speechSynthesis.cancel();
+    playing = true;
+    goToPage(fromPage, sentence, token, dir);
+  };
+
+  const pause = () => {
+    if (!playing) return;
+    run++;
+    playing = false;
+    speechSynthesis.cancel();
+    report();
+  };
+
+  const resume = () => {
+    if (page == null || playing) return;
+    start(page, index);
+  };
+
+  // Moves `dir` sentences, crossing onto the next/previous page at the ends.
+  // While paused it only moves the position.
+  const skip = (dir) => {
+    if (page == null) return;
+    const target = index + dir;
+    if (target >= 0 && target < sentences.length) {
+      if (playing) {
+        const token = ++run;
+        speechSynthesis.cancel();
+        index = target;
+        speakCurrent(token);
+      } else {
+        index = target;
+        saveReadAloudPosition(bookId, page, index);
+        report();
+      }
+    } else if (target >= sentences.length) {
+      moveTo(page + 1, 0, 1);
+    } else if (page > 1) {
+      moveTo(page - 1, Infinity, -1);
+    }
+  };
+
+  const moveTo = (toPage, sentence, dir) => {
+    if (playing) start(toPage, sentence, dir);
+    else goToPage(toPage, sentence, ++run, dir);
+  };
+
+  const stop = () => {
+    run++;
+    playing = false;
+    speechSynthesis.cancel();
+    page = null;
+    sentences = [];
+    index = 0;
+    utterance = null;
+    report();
+  };
+
+  // New voice or rate: saved, and the current sentence restarts with it
+  const setOptions = (changes) => {
+    options = { ...options, ...changes };
+    saveReadAloudOptions(options);
+    if (playing) {
+      const token = ++run;
+      speechSynthesis.cancel();
+      speakCurrent(token);
+    }
+  };
+
+  const setVoices = (list) => { voices = list; };
+
+  return { start, pause, resume, skip, stop, setOptions, setVoices };
+}
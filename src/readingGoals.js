@@ -0,0 +1,111 @@
+import { dayKey } from './readingSessions.js';
+
+// ─── Reading goals & reminders ────────────────────────────────────────────────
+// Targets the user sets for themselves, saved in the profile's
+// `user_metadata.reading_goals`:
+//
+//   { dailyMinutes, dailyPages, yearlyBooks, reminders, reminderHour }
+//
+// A target of 0 turns that goal off. Progress is always worked out from the
+// recorded reading sessions (see readingSessions.js), never stored. A book
+// counts towards the year's challenge in the year it was marked finished (see
+// bookStatus.js); one without a status, in the year a session first reached
+// its last page.
+
+export const DEFAULT_GOALS = {
+  dailyMinutes: 20,
+  dailyPages: 0,
+  yearlyBooks: 12,
+  reminders: true,
+  reminderHour: 19, // local time, 0–23
+};
+
+export const GOAL_LIMITS = {
+  dailyMinutes: 24 * 60,
+  dailyPages: 2000,
+  yearlyBooks: 1000,
+};
+
+// Which day's reminder was dismissed, per device
+const REMINDER_DISMISSED_KEY = 'kw-goal-reminder-dismissed';
+
+// Saved goals (possibly partial, or null) → complete ones with targets in range
+export function normalizeGoals(saved) {
+  const goals = { ...DEFAULT_GOALS, ...saved };
+  Object.entries(GOAL_LIMITS).forEach(([key, max]) => {
+    const value = Math.round(Number(goals[key]));
+    goals[key] = Number.isFinite(value) ? Math.max(0, Math.min(max, value)) : DEFAULT_GOALS[key];
+  });
+  const hour = Math.round(Number(goals.reminderHour));
+  goals.reminderHour = hour >= 0 && hour <= 23 ? hour : DEFAULT_GOALS.reminderHour;
+  goals.reminders = !!goals.reminders;
+  return goals;
+}
+
+// Books finished in `year` → [{ book, finishedAt }], in the order they were finished
+export function booksFinishedIn(year, books, sessions) {
+  const reachedEnd = {}; // bookId → when a session first reached the last page
+  sessions.forEach((s) => {
+    const book = books.find((b) => b.id === s.bookId);
+    if (!book?.pageCount || s.endPage < book.pageCount || reachedEnd[book.id]) return;
+    reachedEnd[book.id] = s.endedAt;
+  });
+  return books
+    .map((book) => ({
+      book,
+      finishedAt: book.status === 'finished' && book.finishedAt ? Date.parse(book.finishedAt)
+        : book.status ? null : reachedEnd[book.id],
+    }))
+    .filter(({ finishedAt }) => finishedAt && new Date(finishedAt).getFullYear() === year)
+    .sort((a, b) => a.finishedAt - b.finishedAt);
+}
+
+// → { minutes, pages, books } with each { value, target } (target 0 = off).
+// `books` also has `expected`: how many should be done by now to stay on pace.
+export function goalProgress(goals, sessions, books, now = Date.now()) {
+  const today = dayKey(now);
+  const todays = sessions.filter((s) => dayKey(s.startedAt) === today);
+  const year = new Date(now).getFullYear();
+  const yearStart = new Date(year, 0, 1).getTime();
+  const yearLength = new Date(year + 1, 0, 1).getTime() - yearStart;
+
+  return {
+    minutes: {
+      value: todays.reduce((sum, s) => sum + Math.max(0, s.endedAt - s.startedAt) / 60000, 0),
+      target: goals.dailyMinutes,
+    },
+    pages: {
+      value: todays.reduce((sum, s) => sum + s.pagesRead, 0),
+      target: goals.dailyPages,
+    },
+    books: {
+      value: booksFinishedIn(year, books, sessions).length,
+      target: goals.yearlyBooks,
+      expected: goals.yearlyBooks * ((now - yearStart) / yearLength),
+    },
+  };
+}
+
+// 0–1 towards the target; 0 when the goal is off
+export function goalFraction({ value, target }) {
+  return target ? Math.min(1, value / target) : 0;
+}
+
+// The reminder to show now, or null: from the reminder hour on, while a daily
+// goal that's on hasn't been met and today's reminder hasn't been dismissed
+export function goalReminder(goals, progress, now = Date.now()) {
+  if (!goals.reminders || new Date(now).getHours() < goals.reminderHour) return null;
+  if (localStorage.getItem(REMINDER_DISMISSED_KEY) === dayKey(now)) return null;
+
+  const more = (n, unit) => `${n} more ${unit}${n === 1 ? '' : 's'}`;
+  const left = [];
+  const { minutes, pages } = progress;
+  if (minutes.target && minutes.value < minutes.target) left.push(more(Math.ceil(minutes.target - minutes.value), 'minute'));
+  if (pages.target && pages.value < pages.target) left.push(more(pages.target - pages.value, 'page'));
+  if (!left.length) return null;
+  return `${left.join(' and ')} to reach today's reading goal.`;
+}
+
+export function dismissGoalReminder(now = Date.now()) {
+  localStorage.setItem(REMINDER_DISMISSED_KEY, dayKey(now));
+}
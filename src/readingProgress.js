@@ -0,0 +1,80 @@
+import { supabase } from './supabase.js';
+
+// ─── Reading progress ─────────────────────────────────────────────────────────
+// One `reading_progress` row per (user, book, device). Keeping a row per device
+// lets the reader restore its own position instantly while still noticing when
+// another device has read further ahead.
+
+const DEVICE_ID_KEY = 'kw-device-id';
+// Last position per book also kept locally, so the reader can resume offline
+const LOCAL_PROGRESS_KEY = (bookId) => `kw-progress:${bookId}`;
+
+// Stable per-browser id, generated on first use and kept in localStorage
+export function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, id);
+  }
+  return id;
+}
+
+// Page + fractional offset, so positions on the same page still compare
+function positionOf(progress) {
+  return progress.page + progress.offset;
+}
+
+function rowToProgress(row) {
+  return {
+    page: row.page,
+    offset: row.page_offset ?? 0,
+    scale: row.scale ?? null,
+    view: row.view_mode ?? null, // PDF view mode (see pdfLayout.js)
+    deviceId: row.device_id,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Resolves to { local, remote } — `local` is this device's saved position,
+// `remote` the furthest position saved from another device, but only when it
+// is further ahead than `local` (otherwise null).
+export async function loadReadingProgress(bookId) {
+  const { data, error } = await supabase
+    .from('reading_progress')
+    .select('*')
+    .eq('book_id', bookId);
+  if (error) {
+    console.error('Failed to load reading progress:', error.message);
+    const cached = localStorage.getItem(LOCAL_PROGRESS_KEY(bookId));
+    return { local: cached ? JSON.parse(cached) : null, remote: null };
+  }
+
+  const deviceId = getDeviceId();
+  let local = null;
+  let remote = null;
+  (data || []).forEach((row) => {
+    const progress = rowToProgress(row);
+    if (row.device_id === deviceId) local = progress;
+    else if (!remote || positionOf(progress) > positionOf(remote)) remote = progress;
+  });
+  const localPosition = local ? positionOf(local) : 1;
+  if (remote && positionOf(remote) <= localPosition) remote = null;
+  return { local, remote };
+}
+
+export async function saveReadingProgress(userId, bookId, { page, offset, scale, view = null }) {
+  localStorage.setItem(LOCAL_PROGRESS_KEY(bookId), JSON.stringify({ page, offset, scale, view }));
+  const { error } = await supabase
+    .from('reading_progress')
+    .upsert({
+      user_id: userId,
+      book_id: bookId,
+      device_id: getDeviceId(),
+      page,
+      page_offset: offset,
+      scale,
+      view_mode: view,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id,book_id,device_id' });
+  if (error) console.error('Failed to save reading progress:', error.message);
+}
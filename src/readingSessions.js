@@ -0,0 +1,242 @@
+import { supabase } from './supabase.js';
+import { writeOrQueue } from './offline.js';
+
+// ─── Reading sessions & statistics ────────────────────────────────────────────
+// A session is one unbroken stretch of reading one book: it starts on the first
+// page shown and ends when the reader closes, the tab is hidden, or nothing has
+// happened for SESSION_IDLE_MS. Each becomes a `reading_sessions` row:
+//
+//   user_id, book_id, started_at, ended_at, start_page, end_page, pages_read
+//
+// `pages_read` counts the distinct pages the reader stayed on for at least
+// PAGE_DWELL_MS, so flicking past pages or jumping across the book doesn't
+// inflate it. Sessions are saved through the offline queue like notes.
+
+export const SESSION_IDLE_MS = 5 * 60 * 1000;
+const PAGE_DWELL_MS = 4000;
+const MIN_SESSION_MS = 20 * 1000; // shorter ones with no page read aren't worth a row
+
+export const STATS_HISTORY_DAYS = 365;
+const MIN_PACE_PAGES = 10; // pages needed before a pace is trusted
+
+// Saves still in flight; loading waits for them, so a session that ended as the
+// reader closed is in the stats the library reloads straight after
+const pendingSaves = new Set();
+
+function saveReadingSession(row) {
+  const save = writeOrQueue('addSession', row, () => supabase.from('reading_sessions').insert(row))
+    .then(({ error }) => { if (error) console.error('Failed to save reading session:', error.message); })
+    .finally(() => pendingSaves.delete(save));
+  pendingSaves.add(save);
+  return save;
+}
+
+// Call pageChanged() whenever the current page changes, activity() on any
+// input, end() when reading stops. A new session starts on the next call after
+// an end.
+export function createSessionTracker({ userId, bookId, save = saveReadingSession }) {
+  let current = null; // { startedAt, lastActiveAt, startPage, page, pageSince, pages }
+  let page = null;
+  let idleTimer = null;
+
+  const settlePage = (at) => {
+    if (at - current.pageSince >= PAGE_DWELL_MS) current.pages.add(current.page);
+  };
+
+  const end = (at = Date.now()) => {
+    clearTimeout(idleTimer);
+    if (!current) return;
+    settlePage(at);
+    const session = current;
+    current = null;
+    if (at - session.startedAt < MIN_SESSION_MS && !session.pages.size) return;
+    save({
+      user_id: userId,
+      book_id: bookId,
+      started_at: new Date(session.startedAt).toISOString(),
+      ended_at: new Date(at).toISOString(),
+      start_page: session.startPage,
+      end_page: session.page,
+      pages_read: session.pages.size,
+    });
+  };
+
+  const activity = () => {
+    if (page == null) return;
+    const now = Date.now();
+    if (!current) {
+      current = { startedAt: now, lastActiveAt: now, startPage: page, page, pageSince: now, pages: new Set() };
+    }
+    current.lastActiveAt = now;
+    clearTimeout(idleTimer);
+    // Gone idle: the session ended when the reader last did something
+    idleTimer = setTimeout(() => { if (current) end(current.lastActiveAt); }, SESSION_IDLE_MS);
+  };
+
+  const pageChanged = (next) => {
+    if (current && next !== current.page) {
+      settlePage(Date.now());
+      current.page = next;
+      current.pageSince = Date.now();
+    }
+    page = next;
+    activity();
+  };
+
+  return { pageChanged, activity, end: () => end() };
+}
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+
+function rowToSession(row) {
+  return {
+    bookId: row.book_id,
+    startedAt: Date.parse(row.started_at),
+    endedAt: Date.parse(row.ended_at),
+    startPage: row.start_page,
+    endPage: row.end_page,
+    pagesRead: row.pages_read ?? 0,
+  };
+}
+
+const SESSIONS_PAGE_SIZE = 1000; // PostgREST's default row cap per request
+
+// The user's sessions from the last `days` days, oldest first. Fetched a page
+// at a time so a heavy reader's year isn't cut off at the row cap.
+export async function loadReadingSessions(days = STATS_HISTORY_DAYS) {
+  await Promise.allSettled(pendingSaves);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const rows = [];
+  for (;;) {
+    const { data, error } = await supabase
+      .from('reading_sessions')
+      .select('book_id, started_at, ended_at, start_page, end_page, pages_read')
+      .gte('started_at', since)
+      .order('started_at')
+      .range(rows.length, rows.length + SESSIONS_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < SESSIONS_PAGE_SIZE) break;
+  }
+  return rows.map(rowToSession);
+}
+
+// ── Statistics ────────────────────────────────────────────────────────────────
+
+const minutesOf = (session) => Math.max(0, session.endedAt - session.startedAt) / 60000;
+
+// Local calendar day, e.g. "2026-03-14"
+export function dayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function startOfDay(time) {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+// Weeks start on Monday
+function startOfWeek(time) {
+  const d = startOfDay(time);
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+// Pages per hour over `sessions`, or null until there's enough reading to go on
+export function readingPace(sessions) {
+  const pages = sessions.reduce((sum, s) => sum + s.pagesRead, 0);
+  const minutes = sessions.reduce((sum, s) => sum + minutesOf(s), 0);
+  if (pages < MIN_PACE_PAGES || !minutes) return null;
+  return pages / (minutes / 60);
+}
+
+// Consecutive days with any reading: `current` ends today, or yesterday when
+// nothing has been read yet today (the streak isn't broken until tomorrow)
+function streaks(dayKeys, now) {
+  const days = new Set(dayKeys);
+  let current = 0;
+  let day = startOfDay(now);
+  if (!days.has(dayKey(day))) day = addDays(day, -1);
+  while (days.has(dayKey(day))) { current++; day = addDays(day, -1); }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...days].sort().forEach((key) => {
+    const date = new Date(`${key}T00:00:00`);
+    run = previous && dayKey(addDays(previous, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+  return { current, longest };
+}
+
+// → { todayMinutes, weekMinutes, totalMinutes, pagesPerHour,
+//     days: [{ key, date, minutes, pages }] (last `dayCount`, oldest first),
+//     weeks: [{ start, minutes, pages }] (last `weekCount`),
+//     streak: { current, longest } }
+export function computeReadingStats(sessions, { now = Date.now(), dayCount = 14, weekCount = 8 } = {}) {
+  const byDay = {};
+  sessions.forEach((s) => {
+    const entry = (byDay[dayKey(s.startedAt)] ||= { minutes: 0, pages: 0 });
+    entry.minutes += minutesOf(s);
+    entry.pages += s.pagesRead;
+  });
+
+  const today = startOfDay(now);
+  const days = Array.from({ length: dayCount }, (_, i) => {
+    const date = addDays(today, i - dayCount + 1);
+    const key = dayKey(date);
+    return { key, date, minutes: byDay[key]?.minutes || 0, pages: byDay[key]?.pages || 0 };
+  });
+
+  const thisWeek = startOfWeek(now);
+  const weeks = Array.from({ length: weekCount }, (_, i) => {
+    const start = addDays(thisWeek, 7 * (i - weekCount + 1));
+    const end = addDays(start, 7);
+    const inWeek = sessions.filter((s) => s.startedAt >= start.getTime() && s.startedAt < end.getTime());
+    return {
+      start,
+      minutes: inWeek.reduce((sum, s) => sum + minutesOf(s), 0),
+      pages: inWeek.reduce((sum, s) => sum + s.pagesRead, 0),
+    };
+  });
+
+  return {
+    todayMinutes: byDay[dayKey(today)]?.minutes || 0,
+    weekMinutes: weeks[weeks.length - 1]?.minutes || 0,
+    totalMinutes: sessions.reduce((sum, s) => sum + minutesOf(s), 0),
+    pagesPerHour: readingPace(sessions),
+    days,
+    weeks,
+    streak: streaks(Object.keys(byDay).filter((key) => byDay[key].minutes >= 1), now),
+  };
+}
+
+// Minutes left in a book at the user's pace — their pace in this book once
+// there's enough of it, their overall pace otherwise. → { minutes, basis } or
+// null when the page count or a pace is missing.
+export function estimateTimeLeft(book, page, sessions) {
+  if (!book.pageCount) return null;
+  const bookPace = readingPace(sessions.filter((s) => s.bookId === book.id));
+  const pace = bookPace ?? readingPace(sessions);
+  if (!pace) return null;
+  const pagesLeft = Math.max(0, book.pageCount - page);
+  return { minutes: (pagesLeft / pace) * 60, basis: bookPace ? 'book' : 'overall' };
+}
+
+// "45 min", "3 h 20 min"
+export function formatDuration(minutes) {
+  const total = Math.round(minutes);
+  if (total < 60) return `${total} min`;
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
@@ -0,0 +1,117 @@
+// ─── Keyboard shortcuts ───────────────────────────────────────────────────────
+// Every shortcut is an action with default keys. Users can rebind actions from
+// the cheat sheet; only their changes are stored, in the profile's
+// `user_metadata.shortcuts` as { [actionId]: [combo, …] }, so new actions and
+// changed defaults still reach them.
+//
+// A combo is the key as KeyboardEvent.key names it, lower-cased for letters,
+// with modifiers in front: "b", "Shift+Space", "PageDown", "?", "Ctrl+k".
+// Shift is only spelled out for letters and named keys — for "?" or "+" it is
+// part of the character.
+
+export const SHORTCUT_SCOPES = [
+  { id: 'library', label: 'Library' },
+  { id: 'reader', label: 'Reader' },
+];
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'library.search', scope: 'library', label: 'Search the library', keys: ['/'] },
+  { id: 'library.help', scope: 'library', label: 'Show keyboard shortcuts', keys: ['?'] },
+  { id: 'reader.nextPage', scope: 'reader', label: 'Next page', keys: ['ArrowRight', 'PageDown', 'Space'] },
+  { id: 'reader.prevPage', scope: 'reader', label: 'Previous page', keys: ['ArrowLeft', 'PageUp', 'Shift+Space'] },
+  { id: 'reader.zoomIn', scope: 'reader', label: 'Zoom in / larger text', keys: ['+', '='] },
+  { id: 'reader.zoomOut', scope: 'reader', label: 'Zoom out / smaller text', keys: ['-'] },
+  { id: 'reader.goToPage', scope: 'reader', label: 'Go to page…', keys: ['g'] },
+  { id: 'reader.find', scope: 'reader', label: 'Find in book', keys: ['/'] },
+  { id: 'reader.bookmark', scope: 'reader', label: 'Bookmark this page', keys: ['b'] },
+  { id: 'reader.note', scope: 'reader', label: 'Add a note', keys: ['n'] },
+  { id: 'reader.dark', scope: 'reader', label: 'Dark / light pages', keys: ['d'] },
+  { id: 'reader.readAloud', scope: 'reader', label: 'Read aloud / pause (PDF)', keys: ['r'] },
+  { id: 'reader.help', scope: 'reader', label: 'Show keyboard shortcuts', keys: ['?'] },
+];
+
+// Handled outside the binding system and can't be rebound
+export const FIXED_SHORTCUTS = {
+  library: [],
+  reader: [{ label: 'Close the book', combo: 'Escape' }, { label: 'Find in book', combo: 'Ctrl+f' }],
+};
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// The combo a keydown event stands for, or null for a bare modifier
+export function keyCombo(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key = e.key === ' ' ? 'Space' : e.key;
+  if (key.length === 1) key = key.toLowerCase();
+  const shiftMatters = key.length > 1 || /^[a-z]$/.test(key);
+  return [
+    e.ctrlKey && 'Ctrl',
+    e.altKey && 'Alt',
+    e.metaKey && 'Meta',
+    e.shiftKey && shiftMatters && 'Shift',
+    key,
+  ].filter(Boolean).join('+');
+}
+
+// Keys typed into a field are text, not shortcuts
+export function isTypingTarget(target) {
+  return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+// Defaults with the user's changes applied → { [actionId]: [combo, …] }
+export function resolveBindings(overrides = {}) {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [
+    action.id,
+    Array.isArray(overrides[action.id]) ? overrides[action.id] : action.keys,
+  ]));
+}
+
+// The action in `actionIds` bound to the event's combo, if any
+export function matchShortcut(bindings, actionIds, e) {
+  const combo = keyCombo(e);
+  return combo ? actionIds.find((id) => bindings[id]?.includes(combo)) ?? null : null;
+}
+
+// Binds `combo` to `actionId` alone. Any other action in the same scope using
+// that combo loses it. → the new overrides
+export function rebindShortcut(overrides, actionId, combo) {
+  const bindings = resolveBindings(overrides);
+  const { scope } = SHORTCUT_ACTIONS.find((a) => a.id === actionId);
+  const next = { ...overrides, [actionId]: [combo] };
+  SHORTCUT_ACTIONS
+    .filter((a) => a.scope === scope && a.id !== actionId && bindings[a.id].includes(combo))
+    .forEach((a) => { next[a.id] = bindings[a.id].filter((c) => c !== combo); });
+  return next;
+}
+
+// Puts `actionId` back on its default combos. Another action in the same scope
+// that had been given one of them gives it up; if that leaves it with none, it
+// goes back to its own defaults too, unless those are taken. → the new overrides
+export function resetShortcut(overrides, actionId) {
+  const { scope, keys } = SHORTCUT_ACTIONS.find((a) => a.id === actionId);
+  const next = { ...overrides };
+  delete next[actionId];
+  const bindings = resolveBindings(next);
+  const inScope = SHORTCUT_ACTIONS.filter((a) => a.scope === scope);
+  const taken = (combo, exceptId) => inScope.some((a) => a.id !== exceptId && bindings[a.id].includes(combo));
+  inScope
+    .filter((a) => a.id !== actionId && bindings[a.id].some((c) => keys.includes(c)))
+    .forEach((a) => {
+      const remaining = bindings[a.id].filter((c) => !keys.includes(c));
+      if (!remaining.length && !a.keys.some((c) => taken(c, a.id))) delete next[a.id];
+      else next[a.id] = remaining;
+    });
+  return next;
+}
+
+const KEY_LABELS = {
+  ArrowRight: '→', ArrowLeft: '←', ArrowUp: '↑', ArrowDown: '↓',
+  PageUp: 'PgUp', PageDown: 'PgDn', Escape: 'Esc', Meta: '⌘',
+};
+
+// A combo as the keys to show: "Shift+Space" → ['Shift', 'Space'], "Ctrl++" → ['Ctrl', '+']
+export function comboKeys(combo) {
+  const split = combo.length > 1 ? combo.lastIndexOf('+', combo.length - 2) : -1;
+  const keys = split === -1 ? [combo] : [...combo.slice(0, split).split('+'), combo.slice(split + 1)];
+  return keys.map((key) => KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key));
+}
@@ -0,0 +1,81 @@
+import { pdfjs } from 'react-pdf';
+import { supabase } from './supabase.js';
+import { extractPageTexts, buildSearchPattern, makeSnippet } from './pdfText.js';
+
+// ─── Library text index ───────────────────────────────────────────────────────
+// Every uploaded PDF gets one `book_pages` row per page (book_id, page, content)
+// so the library search box can look inside books, not just at titles.
+
+const INSERT_CHUNK = 100;
+
+// Pulls the text of every page out of a local File → { [pageNumber]: text }
+export async function extractFileText(file) {
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const texts = {};
+  try {
+    await extractPageTexts(pdf, {
+      onBatch: (batch) => {
+        Object.entries(batch).forEach(([page, { text }]) => { texts[page] = text; });
+      },
+    });
+  } finally {
+    pdf.destroy();
+  }
+  return texts;
+}
+
+export async function saveBookText(userId, bookId, texts) {
+  const rows = Object.entries(texts)
+    .filter(([, content]) => content.trim())
+    .map(([page, content]) => ({ user_id: userId, book_id: bookId, page: Number(page), content }));
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const { error } = await supabase.from('book_pages').insert(rows.slice(i, i + INSERT_CHUNK));
+    if (error) throw error;
+  }
+}
+
+// Clears a book's index, e.g. before re-indexing a replaced file
+export async function deleteBookText(bookId) {
+  const { error } = await supabase.from('book_pages').delete().eq('book_id', bookId);
+  if (error) throw error;
+}
+
+// Escape LIKE wildcards so they match literally
+function likeEscape(str) {
+  return str.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+const HITS_PER_BOOK = 5;
+
+// Resolves to [{ bookId, page, snippet, bookMatches }], at most `limit` pages
+// and at most HITS_PER_BOOK from any one book, so a long book can't crowd out
+// the rest; `bookMatches` counts all the book's matching pages. The picking is
+// done by the search_book_pages function in the database (see the book_pages
+// migration). Words must appear in order on the page; the snippet centres on
+// the exact phrase when present, otherwise on the first word.
+export async function searchLibraryText(query, limit = 50) {
+  const words = query.trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const pattern = `%${words.map(likeEscape).join('%')}%`;
+
+  const { data, error } = await supabase.rpc('search_book_pages', {
+    pattern,
+    per_book: HITS_PER_BOOK,
+    max_hits: limit,
+  });
+  if (error) {
+    console.error('Library text search failed:', error.message);
+    return [];
+  }
+
+  const phrase = buildSearchPattern(query);
+  const firstWord = buildSearchPattern(words[0]);
+  return (data || []).map((row) => {
+    phrase.lastIndex = 0;
+    firstWord.lastIndex = 0;
+    const m = phrase.exec(row.content) || firstWord.exec(row.content);
+    const start = m ? m.index : 0;
+    const end = m ? start + m[0].length : 0;
+    return { bookId: row.book_id, page: row.page, snippet: makeSnippet(row.content, start, end), bookMatches: row.book_matches };
+  });
+}
@@ -0,0 +1,46 @@
+import { supabase } from './supabase.js';
+import { removeCover } from './covers.js';
+
+// ─── Trash ────────────────────────────────────────────────────────────────────
+// Deleting a book only stamps `books.deleted_at`; its file, notes, bookmarks,
+// highlights and progress stay where they are, so restoring is just clearing
+// the stamp. Books are purged for good after TRASH_RETENTION_DAYS, or sooner
+// from the Trash view.
+
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days left before a trashed book is purged (0 once it's due)
+export function daysLeftInTrash(book, now = Date.now()) {
+  const purgeAt = new Date(book.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now) / DAY_MS));
+}
+
+// → the `deleted_at` timestamp that was set
+export async function moveToTrash(bookId) {
+  const deletedAt = new Date().toISOString();
+  const { error } = await supabase.from('books').update({ deleted_at: deletedAt }).eq('id', bookId);
+  if (error) throw error;
+  return deletedAt;
+}
+
+export async function restoreFromTrash(bookId) {
+  const { error } = await supabase.from('books').update({ deleted_at: null }).eq('id', bookId);
+  if (error) throw error;
+}
+
+// Removes the stored file, then the row (notes, bookmarks, highlights, progress
+// and the text index cascade with it). The file goes first so a failure leaves
+// the book in the Trash to retry, rather than a row-less file nobody can reach.
+export async function purgeBook(book) {
+  if (book.pdfPath) {
+    const { error } = await supabase.storage.from('PDFs').remove([book.pdfPath]);
+    if (error) throw new Error(`Couldn't delete the file: ${error.message}`);
+  }
+  const { error } = await supabase.from('books').delete().eq('id', book.id);
+  if (error) throw new Error(`Couldn't delete the book: ${error.message}`);
+  // Nothing points at the cover any more, so a failure here is only logged
+  if (book.coverPath) {
+    removeCover(book.coverPath).catch((err) => console.error('Failed to remove cover:', err.message));
+  }
+}
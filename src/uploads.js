@@ -0,0 +1,99 @@
+import { supabase } from './supabase.js';
+import { isEpubFile } from './epub.js';
+
+// ─── Uploads ──────────────────────────────────────────────────────────────────
+// File picking / dropping helpers and a storage upload that reports progress.
+
+export function isSupportedBookFile(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name) || isEpubFile(file);
+}
+
+// A directory reader hands entries back in batches; keep reading until empty
+function readAllEntries(dirEntry) {
+  const reader = dirEntry.createReader();
+  const entries = [];
+  return new Promise((resolve, reject) => {
+    const next = () => reader.readEntries((batch) => {
+      if (!batch.length) { resolve(entries); return; }
+      entries.push(...batch);
+      next();
+    }, reject);
+    next();
+  });
+}
+
+async function filesFromEntry(entry) {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry);
+    const nested = await Promise.all(children.map(filesFromEntry));
+    return nested.flat();
+  }
+  return [];
+}
+
+// Every file in a drop, walking into dropped folders. Entries must be taken
+// from the DataTransfer synchronously — it's emptied once the handler returns.
+export async function filesFromDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer.files || []);
+  const nested = await Promise.all(entries.map((entry) => filesFromEntry(entry).catch(() => [])));
+  return nested.flat();
+}
+
+// SHA-256 of the file's bytes as hex, stored on `books.content_hash` so
+// re-uploads of the same file can be recognised
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Case, accents, punctuation and a missing author don't make a different book
+function normalizeForMatch(str) {
+  const s = (str || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return s === 'unknown author' ? '' : s;
+}
+
+// Existing book an upload would duplicate → { book, reason: 'file' | 'metadata' }, or null
+export function findDuplicateBook(books, { contentHash, title, author }) {
+  const byHash = contentHash && books.find((b) => b.contentHash === contentHash);
+  if (byHash) return { book: byHash, reason: 'file' };
+  const key = `${normalizeForMatch(title)}|${normalizeForMatch(author)}`;
+  if (key.startsWith('|')) return null; // no title to go on
+  const byMeta = books.find((b) => `${normalizeForMatch(b.title)}|${normalizeForMatch(b.author)}` === key);
+  return byMeta ? { book: byMeta, reason: 'metadata' } : null;
+}
+
+// supabase-js doesn't report upload progress, so this asks for a signed upload
+// URL and PUTs the file with XHR instead. `onProgress` receives 0–1.
+export async function uploadWithProgress(bucket, path, file, { contentType, onProgress } = {}) {
+  const { data, error } = await supabase.storage.from(bucket).createSignedUploadUrl(path);
+  if (error) throw error;
+
+  await new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', data.signedUrl);
+    xhr.setRequestHeader('Content-Type', contentType || file.type || 'application/octet-stream');
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) { resolve(); return; }
+      let message = `Upload failed (${xhr.status})`;
+      try { message = JSON.parse(xhr.responseText).message || message; } catch { /* not JSON */ }
+      reject(new Error(message));
+    };
+    xhr.onerror = () => reject(new Error('Network error during upload'));
+    xhr.send(file);
+  });
+}
@@ -0,0 +1,95 @@
+// ─── fetch-cover ──────────────────────────────────────────────────────────────
+// Fetches a metadata provider's cover image for the browser, which can't read
+// it itself: Google Books thumbnails come without CORS headers. Called through
+// supabase.functions.invoke('fetch-cover', { body: { url } }) by covers.js; the
+// image comes back as application/octet-stream so supabase-js hands over a Blob.
+//
+// Only the providers' image hosts are fetched — redirects included, Open
+// Library's covers are served from archive.org — so this can't be used to reach
+// anything else from inside the project.
+
+const ALLOWED_HOSTS = ['covers.openlibrary.org', 'archive.org', 'books.google.com', 'books.googleusercontent.com'];
+const MAX_REDIRECTS = 3;
+const MAX_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10_000;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// A provider host or one of its subdomains (ia800…us.archive.org)
+const isAllowed = (url: URL) => ['http:', 'https:'].includes(url.protocol)
+  && ALLOWED_HOSTS.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`));
+
+const fail = (status: number, message: string) =>
+  new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+// The response body, read a chunk at a time so an upstream that sends no
+// Content-Length can't make us buffer more than `max` bytes → null past that
+async function readCapped(res: Response, max: number) {
+  const reader = res.body!.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > max) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const body = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return body;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+  if (req.method !== 'POST') return fail(405, 'Method not allowed');
+
+  let url: URL;
+  try {
+    url = new URL((await req.json()).url);
+  } catch {
+    return fail(400, 'Expected { url }');
+  }
+  if (!isAllowed(url)) return fail(400, `Covers from ${url.hostname} aren't fetched`);
+
+  let res!: Response;
+  try {
+    for (let redirects = 0; ; redirects++) {
+      url.protocol = 'https:';
+      res = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      const location = res.headers.get('Location');
+      if (res.status < 300 || res.status >= 400 || !location) break;
+      url = new URL(location, url);
+      if (redirects >= MAX_REDIRECTS || !isAllowed(url)) return fail(502, `Cover redirected to ${url.hostname}`);
+    }
+  } catch (err) {
+    return fail(502, `Couldn't fetch cover: ${(err as Error).message}`);
+  }
+  const type = res.headers.get('Content-Type') ?? '';
+  if (!res.ok || !type.startsWith('image/')) return fail(502, `Couldn't fetch cover (${res.status})`);
+  if (Number(res.headers.get('Content-Length')) > MAX_BYTES) return fail(413, 'Cover too large');
+
+  let body: Uint8Array | null;
+  try {
+    body = await readCapped(res, MAX_BYTES);
+  } catch (err) {
+    return fail(502, `Couldn't fetch cover: ${(err as Error).message}`);
+  }
+  if (!body) return fail(413, 'Cover too large');
+  return new Response(body, {
+    headers: { ...corsHeaders, 'Content-Type': 'application/octet-stream', 'Cache-Control': 'public, max-age=86400' },
+  });
+});
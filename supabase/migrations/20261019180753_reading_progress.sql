@@ -0,0 +1,27 @@
+-- ─── Reading progress ─────────────────────────────────────────────────────────
+-- One row per (user, book, device), upserted by saveReadingProgress in
+-- readingProgress.js — its onConflict target is the unique constraint below.
+--
+-- `books`, `notes` and `bookmarks` and the `PDFs` bucket predate these
+-- migrations; they assume `books.id` is a bigint identity, as it is there.
+
+create table public.reading_progress (
+  id          bigint generated always as identity primary key,
+  user_id     uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  book_id     bigint not null references public.books (id) on delete cascade,
+  device_id   text not null,
+  page        integer not null,
+  page_offset double precision not null default 0, -- fraction of the page scrolled past
+  scale       double precision,
+  updated_at  timestamptz not null default now(),
+  unique (user_id, book_id, device_id)
+);
+
+create index reading_progress_book_id_idx on public.reading_progress (book_id);
+
+alter table public.reading_progress enable row level security;
+
+create policy "Users manage their own reading progress"
+  on public.reading_progress for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,52 @@
+-- ─── Library text index ───────────────────────────────────────────────────────
+-- The text of every page of every uploaded PDF, written by saveBookText in
+-- textIndex.js and searched with ILIKE from the library — hence the trigram
+-- index. Replacing a book's file deletes its rows before indexing it again.
+
+create extension if not exists pg_trgm with schema extensions;
+
+create table public.book_pages (
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  book_id bigint not null references public.books (id) on delete cascade,
+  page    integer not null,
+  content text not null,
+  primary key (book_id, page)
+);
+
+create index book_pages_content_trgm_idx on public.book_pages using gin (content extensions.gin_trgm_ops);
+
+alter table public.book_pages enable row level security;
+
+create policy "Users manage their own book text"
+  on public.book_pages for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Library search (searchLibraryText): matching pages, at most `per_book` from
+-- any one book and `max_hits` in all, taken round-robin across books — every
+-- book's first match, then every second… — so one long book can't crowd out
+-- the rest. Only the pages picked come back with their text; `book_matches` is
+-- how many pages of that book match in all. Runs as the caller, under RLS.
+create or replace function public.search_book_pages(pattern text, per_book integer, max_hits integer)
+returns table (book_id bigint, page integer, content text, book_matches bigint)
+language sql stable
+set search_path = ''
+as $$
+  with matches as (
+    select p.book_id, p.page,
+           row_number() over (partition by p.book_id order by p.page) as book_rank,
+           count(*) over (partition by p.book_id) as book_matches
+    from public.book_pages p
+    where p.content ilike pattern
+  ), picked as (
+    select m.book_id, m.page, m.book_matches
+    from matches m
+    where m.book_rank <= per_book
+    order by m.book_rank, m.book_id
+    limit max_hits
+  )
+  select picked.book_id, picked.page, p.content, picked.book_matches
+  from picked
+  join public.book_pages p on p.book_id = picked.book_id and p.page = picked.page
+  order by picked.book_id, picked.page;
+$$;
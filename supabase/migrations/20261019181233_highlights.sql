@@ -0,0 +1,24 @@
+-- ─── Highlights ───────────────────────────────────────────────────────────────
+-- Text selections saved in the PDF reader. `rects` are the selection's boxes on
+-- the page as percentages: [{ x, y, w, h }].
+
+create table public.highlights (
+  id         bigint generated always as identity primary key,
+  user_id    uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  book_id    bigint not null references public.books (id) on delete cascade,
+  page       integer not null,
+  text       text not null default '',
+  rects      jsonb not null default '[]',
+  color      text not null,
+  comment    text,
+  created_at timestamptz not null default now()
+);
+
+create index highlights_book_id_idx on public.highlights (book_id);
+
+alter table public.highlights enable row level security;
+
+create policy "Users manage their own highlights"
+  on public.highlights for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
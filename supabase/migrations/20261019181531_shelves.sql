@@ -0,0 +1,38 @@
+-- ─── Shelves ──────────────────────────────────────────────────────────────────
+-- User-defined collections. A book can sit on several shelves; its
+-- `book_shelves` rows go with the shelf or the book when either is deleted.
+
+create table public.shelves (
+  id         bigint generated always as identity primary key,
+  user_id    uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name       text not null,
+  position   integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table public.book_shelves (
+  user_id  uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  book_id  bigint not null references public.books (id) on delete cascade,
+  shelf_id bigint not null references public.shelves (id) on delete cascade,
+  primary key (book_id, shelf_id)
+);
+
+create index book_shelves_shelf_id_idx on public.book_shelves (shelf_id);
+
+alter table public.shelves enable row level security;
+alter table public.book_shelves enable row level security;
+
+create policy "Users manage their own shelves"
+  on public.shelves for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Only their own books, onto their own shelves
+create policy "Users manage their own shelf contents"
+  on public.book_shelves for all
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and exists (select 1 from public.shelves s where s.id = shelf_id and s.user_id = auth.uid())
+    and exists (select 1 from public.books b where b.id = book_id and b.user_id = auth.uid())
+  );
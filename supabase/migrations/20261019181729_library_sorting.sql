@@ -0,0 +1,7 @@
+-- ─── Library sorting ──────────────────────────────────────────────────────────
+-- Sorting by length and by recently opened. `page_count` is set on upload and
+-- backfilled by the reader for books added before it was stored.
+
+alter table public.books
+  add column page_count     integer,
+  add column last_opened_at timestamptz;
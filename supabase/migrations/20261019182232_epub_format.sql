@@ -0,0 +1,6 @@
+-- ─── EPUB books ───────────────────────────────────────────────────────────────
+-- EPUBs live in the `PDFs` bucket next to PDFs; `format` says which reader opens
+-- the file. Existing rows are all PDFs.
+
+alter table public.books
+  add column format text not null default 'pdf' check (format in ('pdf', 'epub'));
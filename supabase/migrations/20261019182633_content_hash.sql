@@ -0,0 +1,8 @@
+-- ─── Duplicate detection ──────────────────────────────────────────────────────
+-- SHA-256 of the uploaded file, hex. Null for books uploaded before it was kept;
+-- those are matched on title and author instead.
+
+alter table public.books
+  add column content_hash text;
+
+create index books_user_content_hash_idx on public.books (user_id, content_hash);
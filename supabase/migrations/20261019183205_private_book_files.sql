@@ -0,0 +1,22 @@
+-- ─── Private book files ───────────────────────────────────────────────────────
+-- The `PDFs` bucket stops serving public URLs; files are read through signed
+-- URLs (bookFiles.js). Everyone's files sit under a folder named after their
+-- user id, and can only be reached from there by them.
+
+update storage.buckets set public = false where id = 'PDFs';
+
+drop policy if exists "Users read their own book files" on storage.objects;
+drop policy if exists "Users upload their own book files" on storage.objects;
+drop policy if exists "Users delete their own book files" on storage.objects;
+
+create policy "Users read their own book files"
+  on storage.objects for select to authenticated
+  using (bucket_id = 'PDFs' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users upload their own book files"
+  on storage.objects for insert to authenticated
+  with check (bucket_id = 'PDFs' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users delete their own book files"
+  on storage.objects for delete to authenticated
+  using (bucket_id = 'PDFs' and (storage.foldername(name))[1] = auth.uid()::text);
@@ -0,0 +1,8 @@
+-- ─── Trash ────────────────────────────────────────────────────────────────────
+-- Deleted books keep their row, with `deleted_at` set, for 30 days before the
+-- app purges them (trash.js). The library only loads rows without it.
+
+alter table public.books
+  add column deleted_at timestamptz;
+
+create index books_user_deleted_at_idx on public.books (user_id, deleted_at);
@@ -0,0 +1,11 @@
+-- ─── Book details ─────────────────────────────────────────────────────────────
+-- Descriptive fields edited after import (BookEditModal) or filled in from
+-- metadata providers.
+
+alter table public.books
+  add column series      text,
+  add column genre       text,
+  add column year        integer,
+  add column isbn        text,
+  add column description text,
+  add column tags        text[];
@@ -0,0 +1,25 @@
+-- ─── Covers bucket ────────────────────────────────────────────────────────────
+-- Covers are stored as resized JPEGs in a public `covers` bucket (covers.js)
+-- instead of data URLs in `books.cover_url`; `cover_path` is the stored cover,
+-- under the owner's user-id folder. `cover_url` stays for covers that couldn't
+-- be stored and for rows not yet migrated.
+
+alter table public.books
+  add column cover_path text;
+
+insert into storage.buckets (id, name, public)
+values ('covers', 'covers', true)
+on conflict (id) do update set public = true;
+
+-- Public reads need no policy; writes are limited to the owner's folder
+create policy "Users read their own covers"
+  on storage.objects for select to authenticated
+  using (bucket_id = 'covers' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users upload their own covers"
+  on storage.objects for insert to authenticated
+  with check (bucket_id = 'covers' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users delete their own covers"
+  on storage.objects for delete to authenticated
+  using (bucket_id = 'covers' and (storage.foldername(name))[1] = auth.uid()::text);
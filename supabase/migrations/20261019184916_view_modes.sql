@@ -0,0 +1,6 @@
+-- ─── PDF view modes ───────────────────────────────────────────────────────────
+-- The reader's view mode is saved with the reading progress, per device:
+-- { zoom, layout, coverAlone, reflow } (see pdfLayout.js).
+
+alter table public.reading_progress
+  add column view_mode jsonb;
@@ -0,0 +1,24 @@
+-- ─── Reading sessions ─────────────────────────────────────────────────────────
+-- One row per unbroken stretch of reading one book (readingSessions.js), for
+-- the stats view, goals and the yearly challenge.
+
+create table public.reading_sessions (
+  id         bigint generated always as identity primary key,
+  user_id    uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  book_id    bigint not null references public.books (id) on delete cascade,
+  started_at timestamptz not null,
+  ended_at   timestamptz not null,
+  start_page integer not null,
+  end_page   integer not null,
+  pages_read integer not null default 0,
+  check (ended_at >= started_at)
+);
+
+create index reading_sessions_user_started_idx on public.reading_sessions (user_id, started_at);
+
+alter table public.reading_sessions enable row level security;
+
+create policy "Users manage their own reading sessions"
+  on public.reading_sessions for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
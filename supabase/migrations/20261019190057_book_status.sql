@@ -0,0 +1,10 @@
+-- ─── Book status ──────────────────────────────────────────────────────────────
+-- Where the user is with a book (bookStatus.js). Null status: never given one —
+-- the library goes by reading progress instead.
+
+alter table public.books
+  add column status      text check (status in ('want_to_read', 'reading', 'finished', 'abandoned')),
+  add column started_at  timestamptz,
+  add column finished_at timestamptz,
+  add column rating      smallint check (rating between 1 and 5),
+  add column review      text;